@@ -0,0 +1,8 @@
+ALTER TABLE "photo_jobs" ADD COLUMN "file_urls" jsonb;--> statement-breakpoint
+ALTER TABLE "photo_jobs" ADD COLUMN "preview_urls" jsonb;--> statement-breakpoint
+ALTER TABLE "photo_jobs" ADD COLUMN "error" text;--> statement-breakpoint
+ALTER TABLE "photo_jobs" ADD COLUMN "free_applied" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+ALTER TABLE "photo_jobs" ADD COLUMN "credits_applied" numeric(10, 2) DEFAULT '0.00' NOT NULL;--> statement-breakpoint
+ALTER TABLE "photo_jobs" ADD COLUMN "attempts" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+ALTER TABLE "photo_jobs" ADD COLUMN "locked_at" timestamp;--> statement-breakpoint
+ALTER TABLE "photo_jobs" ADD COLUMN "completed_at" timestamp;
\ No newline at end of file
@@ -0,0 +1,25 @@
+CREATE TABLE "photo_job_items" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"job_id" integer NOT NULL,
+	"position" integer NOT NULL,
+	"source_url" text NOT NULL,
+	"status" varchar(50) DEFAULT 'pending' NOT NULL,
+	"error" text,
+	"output_url" text,
+	"price" numeric(10, 2) DEFAULT '1.00' NOT NULL,
+	"is_free" boolean DEFAULT false NOT NULL,
+	"credits_charged" numeric(10, 2) DEFAULT '0.00' NOT NULL,
+	"completed_at" timestamp,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "photo_job_items" ADD CONSTRAINT "photo_job_items_job_id_photo_jobs_id_fk" FOREIGN KEY ("job_id") REFERENCES "public"."photo_jobs"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "idx_photo_job_items_job_id" ON "photo_job_items" USING btree ("job_id");--> statement-breakpoint
+CREATE UNIQUE INDEX "idx_photo_job_items_job_position" ON "photo_job_items" USING btree ("job_id","position");--> statement-breakpoint
+-- Carry source URLs of jobs queued before this migration over to items
+INSERT INTO "photo_job_items" ("job_id", "position", "source_url", "status", "is_free")
+SELECT j."id", (u.ord - 1)::integer, u.url, CASE WHEN j."status" = 'completed' THEN 'completed' ELSE 'pending' END, (u.ord <= j."free_applied")
+FROM "photo_jobs" j, jsonb_array_elements_text(j."file_urls") WITH ORDINALITY AS u(url, ord)
+WHERE j."file_urls" IS NOT NULL;--> statement-breakpoint
+ALTER TABLE "photo_jobs" DROP COLUMN "file_urls";
\ No newline at end of file
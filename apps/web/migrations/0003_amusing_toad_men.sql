@@ -0,0 +1 @@
+ALTER TABLE "photo_jobs" ADD COLUMN "style_id" varchar(50);
\ No newline at end of file
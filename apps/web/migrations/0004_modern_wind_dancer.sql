@@ -0,0 +1 @@
+ALTER TABLE "photo_job_items" ADD COLUMN "room_type" varchar(50);
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "photo_jobs" ADD COLUMN "operation" varchar(50) DEFAULT 'stage' NOT NULL;
\ No newline at end of file
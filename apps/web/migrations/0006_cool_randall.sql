@@ -0,0 +1,4 @@
+ALTER TABLE "photo_job_items" ADD COLUMN "operation" varchar(50) DEFAULT 'stage' NOT NULL;--> statement-breakpoint
+ALTER TABLE "photo_job_items" ADD COLUMN "prompt" text;--> statement-breakpoint
+-- Existing photos were all processed with their job's operation
+UPDATE "photo_job_items" SET "operation" = "photo_jobs"."operation" FROM "photo_jobs" WHERE "photo_jobs"."id" = "photo_job_items"."job_id";
\ No newline at end of file
@@ -0,0 +1,16 @@
+CREATE TABLE "photo_job_outputs" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"item_id" integer NOT NULL,
+	"variant" integer NOT NULL,
+	"url" text NOT NULL,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "photo_job_items" ADD COLUMN "variations" integer DEFAULT 1 NOT NULL;--> statement-breakpoint
+ALTER TABLE "photo_job_outputs" ADD CONSTRAINT "photo_job_outputs_item_id_photo_job_items_id_fk" FOREIGN KEY ("item_id") REFERENCES "public"."photo_job_items"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "idx_photo_job_outputs_item_variant" ON "photo_job_outputs" USING btree ("item_id","variant");--> statement-breakpoint
+-- Photos completed before variations existed have a single output
+INSERT INTO "photo_job_outputs" ("item_id", "variant", "url", "created_at")
+SELECT "id", 0, "output_url", COALESCE("completed_at", "updated_at")
+FROM "photo_job_items"
+WHERE "output_url" IS NOT NULL;
\ No newline at end of file
@@ -0,0 +1,3 @@
+ALTER TABLE "photo_job_items" ADD COLUMN "regenerations" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+ALTER TABLE "photo_job_outputs" ADD COLUMN "version" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+ALTER TABLE "photo_job_outputs" ADD COLUMN "prompt" text;
\ No newline at end of file
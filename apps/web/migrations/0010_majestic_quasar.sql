@@ -0,0 +1 @@
+ALTER TABLE "photo_jobs" ADD COLUMN "comparison" varchar(20);
\ No newline at end of file
@@ -0,0 +1,3 @@
+ALTER TABLE "photo_job_items" ADD COLUMN "preview_url" text;--> statement-breakpoint
+ALTER TABLE "photo_jobs" ADD COLUMN "preview" boolean DEFAULT false NOT NULL;--> statement-breakpoint
+ALTER TABLE "photo_jobs" ADD COLUMN "unlocked_at" timestamp;
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "photo_job_items" ADD COLUMN "original_name" varchar(255);
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "photo_job_items" ADD COLUMN "original_url" text;
\ No newline at end of file
@@ -0,0 +1,14 @@
+CREATE TABLE "enhancement_cache" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"cache_key" varchar(64) NOT NULL,
+	"output_url" text NOT NULL,
+	"room_type" varchar(50),
+	"hits" integer DEFAULT 0 NOT NULL,
+	"created_at" timestamp DEFAULT now(),
+	"last_hit_at" timestamp,
+	CONSTRAINT "enhancement_cache_cache_key_unique" UNIQUE("cache_key")
+);
+--> statement-breakpoint
+ALTER TABLE "photo_job_items" ADD COLUMN "cached_variations" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+ALTER TABLE "photo_jobs" ADD COLUMN "charge_cache_hits" boolean DEFAULT true NOT NULL;--> statement-breakpoint
+ALTER TABLE "user_credits" ADD COLUMN "plan" varchar(20) DEFAULT 'payg' NOT NULL;
\ No newline at end of file
@@ -0,0 +1,22 @@
+CREATE TABLE "brokerage_members" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"brokerage_id" integer NOT NULL,
+	"user_id" uuid NOT NULL,
+	"role" varchar(20) DEFAULT 'member' NOT NULL,
+	"created_at" timestamp DEFAULT now(),
+	CONSTRAINT "brokerage_members_user_id_unique" UNIQUE("user_id")
+);
+--> statement-breakpoint
+CREATE TABLE "brokerages" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"name" varchar(255) NOT NULL,
+	"require_disclosure" boolean DEFAULT false NOT NULL,
+	"disclosure" jsonb,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "photo_jobs" ADD COLUMN "disclosure" jsonb;--> statement-breakpoint
+ALTER TABLE "brokerage_members" ADD CONSTRAINT "brokerage_members_brokerage_id_brokerages_id_fk" FOREIGN KEY ("brokerage_id") REFERENCES "public"."brokerages"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "brokerage_members" ADD CONSTRAINT "brokerage_members_user_id_auth_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."auth_users"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "idx_brokerage_members_brokerage_id" ON "brokerage_members" USING btree ("brokerage_id");
\ No newline at end of file
@@ -0,0 +1,3 @@
+ALTER TABLE "photo_job_items" ADD COLUMN "structure_regenerations" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+ALTER TABLE "photo_job_outputs" ADD COLUMN "structure_score" real;--> statement-breakpoint
+ALTER TABLE "photo_job_outputs" ADD COLUMN "structure_changed" boolean DEFAULT false NOT NULL;
\ No newline at end of file
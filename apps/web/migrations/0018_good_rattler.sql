@@ -0,0 +1 @@
+ALTER TABLE "photo_jobs" ADD COLUMN "turnaround" varchar(20) DEFAULT 'standard' NOT NULL;
\ No newline at end of file
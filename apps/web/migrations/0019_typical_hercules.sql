@@ -0,0 +1,3 @@
+ALTER TABLE "photo_jobs" ADD COLUMN "settled_at" timestamp;--> statement-breakpoint
+-- Finished jobs have already had their unused reservation refunded
+UPDATE "photo_jobs" SET "settled_at" = COALESCE("completed_at", "updated_at") WHERE "status" IN ('completed', 'partial', 'failed');
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "photo_job_items" ADD COLUMN "variant_count" integer DEFAULT 0 NOT NULL;
\ No newline at end of file
@@ -0,0 +1,25 @@
+CREATE TABLE "photo_regenerations" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"item_id" integer NOT NULL,
+	"job_id" integer NOT NULL,
+	"user_id" uuid,
+	"prompt" text,
+	"variant" integer NOT NULL,
+	"version" integer NOT NULL,
+	"charge" numeric(10, 2) DEFAULT '0.00' NOT NULL,
+	"structure_fix" boolean DEFAULT false NOT NULL,
+	"status" varchar(50) DEFAULT 'queued' NOT NULL,
+	"error" text,
+	"attempts" integer DEFAULT 0 NOT NULL,
+	"locked_at" timestamp,
+	"completed_at" timestamp,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "photo_jobs" ADD COLUMN "repackage_requested_at" timestamp;--> statement-breakpoint
+ALTER TABLE "photo_regenerations" ADD CONSTRAINT "photo_regenerations_item_id_photo_job_items_id_fk" FOREIGN KEY ("item_id") REFERENCES "public"."photo_job_items"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "photo_regenerations" ADD CONSTRAINT "photo_regenerations_job_id_photo_jobs_id_fk" FOREIGN KEY ("job_id") REFERENCES "public"."photo_jobs"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "photo_regenerations" ADD CONSTRAINT "photo_regenerations_user_id_auth_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."auth_users"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "idx_photo_regenerations_item_id" ON "photo_regenerations" USING btree ("item_id");--> statement-breakpoint
+CREATE INDEX "idx_photo_regenerations_status" ON "photo_regenerations" USING btree ("status");
\ No newline at end of file
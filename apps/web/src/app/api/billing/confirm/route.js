@@ -1,5 +1,6 @@
 import sql from '@/app/api/utils/sql'
 import { auth } from '@/auth'
+import { planForPurchase } from '@/utils/plans'
 
 const STRIPE_API = 'https://api.stripe.com/v1'
 
@@ -105,16 +106,21 @@ export async function GET(request) {
     }
     const creditsPurchased = creditsPerUnit * quantity
 
+    // Buying a pack moves the user to the pack plan; pay-as-you-go purchases
+    // never move them back
+    const plan = planForPurchase(price?.lookup_key)
+
     // Upsert user's credits and record purchase
     // FIX: sql.transaction must get an array of queries (or a function that RETURNS an array).
     // Replace callback style with array-based transaction and use INSERT ... ON CONFLICT for upsert.
     await sql.transaction([
       sql`
-        INSERT INTO user_credits (user_id, credits)
-        VALUES (${session.user.id}, ${creditsPurchased})
+        INSERT INTO user_credits (user_id, credits, plan)
+        VALUES (${session.user.id}, ${creditsPurchased}, ${plan})
         ON CONFLICT (user_id)
         DO UPDATE SET 
           credits = user_credits.credits + EXCLUDED.credits,
+          plan = CASE WHEN EXCLUDED.plan = 'pack' THEN 'pack' ELSE user_credits.plan END,
           updated_at = CURRENT_TIMESTAMP
       `,
       sql`
@@ -1,23 +1,35 @@
 import sql from '@/app/api/utils/sql'
 import { auth } from '@/auth'
+import { DEFAULT_PLAN_ID } from '@/utils/plans'
 
 export async function GET() {
   try {
     const session = await auth()
     if (!session?.user?.id) {
-      return Response.json({ authenticated: false, freeUsed: 0, credits: 0 })
+      return Response.json({
+        authenticated: false,
+        freeUsed: 0,
+        credits: 0,
+        plan: DEFAULT_PLAN_ID,
+      })
     }
 
     const rows =
-      await sql`SELECT free_used, credits FROM user_credits WHERE user_id = ${session.user.id}`
+      await sql`SELECT free_used, credits, plan FROM user_credits WHERE user_id = ${session.user.id}`
     if (!rows.length) {
-      return Response.json({ authenticated: true, freeUsed: 0, credits: 0 })
+      return Response.json({
+        authenticated: true,
+        freeUsed: 0,
+        credits: 0,
+        plan: DEFAULT_PLAN_ID,
+      })
     }
     const r = rows[0]
     return Response.json({
       authenticated: true,
       freeUsed: r.free_used,
       credits: r.credits,
+      plan: r.plan,
     })
   } catch (e) {
     console.error('billing/me error', e)
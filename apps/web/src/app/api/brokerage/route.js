@@ -0,0 +1,88 @@
+import sql from '@/app/api/utils/sql'
+import { auth } from '@/auth'
+import { UpdateBrokerageSchema } from '@/schemas/api'
+import { logError, logEvent } from '@/app/api/utils/logger.js'
+import { formatBrokerage, loadBrokerage } from '@/app/api/utils/brokerage'
+
+// The signed-in user's brokerage and its disclosure rules. Independent users
+// get `brokerage: null`.
+export async function GET(request) {
+  let userId = null
+  try {
+    const session = await auth()
+    userId = session?.user?.id || null
+    if (!userId) {
+      return Response.json({ error: 'Not authenticated' }, { status: 401 })
+    }
+
+    return Response.json({ brokerage: await loadBrokerage(userId) })
+  } catch (error) {
+    logError(error, request, { apiRoute: 'brokerage', userId, statusCode: 500 })
+    return Response.json({ error: 'Internal server error' }, { status: 500 })
+  }
+}
+
+// Changes the brokerage's disclosure rules. Only its admins may.
+export async function PATCH(request) {
+  let userId = null
+  try {
+    const session = await auth()
+    userId = session?.user?.id || null
+    if (!userId) {
+      return Response.json({ error: 'Not authenticated' }, { status: 401 })
+    }
+
+    const body = await request.json().catch(() => ({}))
+    const validation = UpdateBrokerageSchema.safeParse(body)
+    if (!validation.success) {
+      return Response.json(
+        {
+          error: 'Validation failed',
+          details: validation.error.issues.map(issue => ({
+            field: issue.path.join('.'),
+            message: issue.message,
+          })),
+        },
+        { status: 400 }
+      )
+    }
+    const { requireDisclosure, disclosure } = validation.data
+
+    const brokerage = await loadBrokerage(userId)
+    if (!brokerage) {
+      return Response.json(
+        { error: 'You are not a member of a brokerage' },
+        { status: 404 }
+      )
+    }
+    if (brokerage.role !== 'admin') {
+      return Response.json(
+        { error: 'Only brokerage admins can change its rules' },
+        { status: 403 }
+      )
+    }
+
+    const rows = await sql`
+      UPDATE brokerages
+      SET require_disclosure = COALESCE(${requireDisclosure ?? null}, require_disclosure),
+          disclosure = CASE WHEN ${disclosure !== undefined}
+            THEN ${disclosure ? JSON.stringify(disclosure) : null}::jsonb
+            ELSE disclosure END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${brokerage.id}
+      RETURNING id, name, require_disclosure, disclosure
+    `
+    const updated = formatBrokerage({ ...rows[0], role: brokerage.role })
+
+    logEvent('brokerage_disclosure_updated', request, {
+      userId,
+      brokerageId: updated.id,
+      requireDisclosure: updated.requireDisclosure,
+    })
+
+    return Response.json({ success: true, brokerage: updated })
+  } catch (error) {
+    logError(error, request, { apiRoute: 'brokerage', userId, statusCode: 500 })
+    return Response.json({ error: 'Internal server error' }, { status: 500 })
+  }
+}
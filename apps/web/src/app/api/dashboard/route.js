@@ -1,5 +1,6 @@
 import sql from '@/app/api/utils/sql'
 import { auth } from '@/auth'
+import { loadJobItemsForResponse } from '@/app/api/utils/queue'
 
 export async function GET(request) {
   try {
@@ -14,10 +15,16 @@ export async function GET(request) {
       SELECT 
         id,
         prompt,
+        style_id,
+        operation,
+        preview,
+        unlocked_at,
         photo_count,
         cost,
         status,
         download_url,
+        settled_at,
+        repackage_requested_at,
         created_at,
         updated_at,
         group_name -- ADD: include optional user-defined group label
@@ -27,14 +34,19 @@ export async function GET(request) {
       LIMIT 50
     `
 
-    // Calculate user-specific statistics
+    // Per-photo breakdown, so partially completed jobs can show what failed
+    const jobIds = jobs.map(job => job.id)
+    const itemsByJob = await loadJobItemsForResponse(jobIds)
+
+    // Calculate user-specific statistics. A job's cost is only final once it
+    // is settled; until then it is the amount reserved for it
     const statsResult = await sql`
       SELECT 
         COUNT(*) as total_jobs,
         COALESCE(SUM(photo_count), 0) as total_photos,
-        COALESCE(SUM(cost), 0) as total_spent,
+        COALESCE(SUM(CASE WHEN settled_at IS NOT NULL THEN cost ELSE 0 END), 0) as total_spent,
         COALESCE(SUM(CASE 
-          WHEN created_at >= date_trunc('month', CURRENT_DATE) 
+          WHEN settled_at IS NOT NULL AND created_at >= date_trunc('month', CURRENT_DATE) 
           THEN cost 
           ELSE 0 
         END), 0) as this_month_spent
@@ -48,13 +60,23 @@ export async function GET(request) {
     const formattedJobs = jobs.map(job => ({
       id: job.id,
       prompt: job.prompt,
+      styleId: job.style_id || null,
+      operation: job.operation,
+      preview: job.preview,
+      // A free preview that hasn't been paid for yet
+      locked: job.preview && !job.unlocked_at,
       photoCount: job.photo_count,
       cost: parseFloat(job.cost),
       status: job.status,
+      // False while a cancelled job's photos in progress are finishing
+      settled: Boolean(job.settled_at),
+      // True while the ZIP is being rebuilt after a change to its photos
+      repackaging: Boolean(job.repackage_requested_at),
       downloadUrl: job.download_url,
       createdAt: job.created_at,
       updatedAt: job.updated_at,
       groupName: job.group_name || null, // ADD: expose optional group name
+      items: itemsByJob.get(job.id) || [],
     }))
 
     // Format stats data for frontend
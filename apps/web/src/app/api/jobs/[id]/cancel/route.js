@@ -0,0 +1,75 @@
+import sql from '@/app/api/utils/sql'
+import { auth } from '@/auth'
+import { logError, logEvent } from '@/app/api/utils/logger.js'
+import { cancelJob, loadJobItemsForResponse } from '@/app/api/utils/queue'
+
+// Stops a job the user no longer wants, e.g. after picking the wrong photos.
+// Photos that haven't started are never processed, the ones in progress
+// finish, and only completed photos are billed (see cancelJob).
+export async function POST(request, { params }) {
+  let userId = null
+  try {
+    const jobId = parseInt(params?.id, 10)
+    if (!jobId || Number.isNaN(jobId)) {
+      return Response.json(
+        { error: 'Valid job ID is required' },
+        { status: 400 }
+      )
+    }
+
+    const session = await auth()
+    userId = session?.user?.id || null
+    if (!userId) {
+      return Response.json({ error: 'Not authenticated' }, { status: 401 })
+    }
+
+    const jobs = await sql`
+      SELECT id, user_id FROM photo_jobs WHERE id = ${jobId} LIMIT 1
+    `
+    if (jobs.length === 0) {
+      return Response.json({ error: 'Job not found' }, { status: 404 })
+    }
+    if (String(jobs[0].user_id) !== String(userId)) {
+      return Response.json({ error: 'Forbidden' }, { status: 403 })
+    }
+
+    const cancelled = await cancelJob({ id: jobId })
+    if (!cancelled) {
+      return Response.json(
+        { error: 'Only queued or processing jobs can be cancelled' },
+        { status: 409 }
+      )
+    }
+    logEvent('job_cancelled', request, { userId, jobId, ...cancelled })
+
+    const [rows, itemsByJob] = await Promise.all([
+      sql`
+        SELECT status, cost, download_url, settled_at
+        FROM photo_jobs WHERE id = ${jobId}
+      `,
+      loadJobItemsForResponse([jobId]),
+    ])
+    const items = itemsByJob.get(jobId) || []
+    return Response.json({
+      success: true,
+      job: {
+        id: jobId,
+        status: rows[0].status,
+        // Unknown until the photos still finishing are billed; poll the job
+        cost: rows[0].settled_at ? parseFloat(rows[0].cost) : null,
+        settled: Boolean(rows[0].settled_at),
+        downloadUrl: rows[0].download_url,
+        items,
+      },
+      stopped: cancelled.stopped,
+      finishing: items.filter(item => item.status === 'processing').length,
+    })
+  } catch (error) {
+    logError(error, request, {
+      apiRoute: 'cancel-job',
+      userId,
+      statusCode: 500,
+    })
+    return Response.json({ error: 'Internal server error' }, { status: 500 })
+  }
+}
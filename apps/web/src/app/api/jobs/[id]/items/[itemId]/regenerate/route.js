@@ -0,0 +1,221 @@
+import sql from '@/app/api/utils/sql'
+import { auth } from '@/auth'
+import { RegeneratePhotoSchema } from '@/schemas/api'
+import { logError, logEvent } from '@/app/api/utils/logger.js'
+import { getEnhancementProvider } from '@/app/api/utils/providers'
+import {
+  freeRegenerationsPerPhoto,
+  kickWorker,
+  loadJobItemsForResponse,
+} from '@/app/api/utils/queue'
+
+// Queues a re-run of one completed photo of a finished job and returns 202.
+// The worker adds the new output to the photo's version history, selects it
+// and rebuilds the job ZIP; the client polls the job until the photo is no
+// longer `regenerating`. The first FREE_REGENERATIONS_PER_PHOTO runs are free;
+// later ones cost the photo's price, reserved here and refunded if the run
+// fails. Re-running a photo whose selected output changed the structure (see
+// fidelity.js) is always free and doesn't use up a free run.
+export async function POST(request, { params }) {
+  let userId = null
+  try {
+    const jobId = parseInt(params?.id, 10)
+    const itemId = parseInt(params?.itemId, 10)
+    if (!jobId || Number.isNaN(jobId) || !itemId || Number.isNaN(itemId)) {
+      return Response.json(
+        { error: 'Valid job and item IDs are required' },
+        { status: 400 }
+      )
+    }
+
+    const session = await auth()
+    userId = session?.user?.id || null
+    if (!userId) {
+      return Response.json({ error: 'Not authenticated' }, { status: 401 })
+    }
+
+    const body = await request.json().catch(() => ({}))
+    const validation = RegeneratePhotoSchema.safeParse(body)
+    if (!validation.success) {
+      return Response.json(
+        {
+          error: 'Validation failed',
+          details: validation.error.issues.map(issue => ({
+            field: issue.path.join('.'),
+            message: issue.message,
+          })),
+        },
+        { status: 400 }
+      )
+    }
+    const extraPrompt = validation.data.prompt || null
+
+    // Fail fast if the enhancement provider (ENHANCEMENT_PROVIDER) is misconfigured
+    try {
+      getEnhancementProvider()
+    } catch (error) {
+      return Response.json({ error: error.message }, { status: 400 })
+    }
+
+    const jobs = await sql`
+      SELECT id, user_id, status, (preview AND unlocked_at IS NULL) AS locked
+      FROM photo_jobs WHERE id = ${jobId} LIMIT 1
+    `
+    if (jobs.length === 0) {
+      return Response.json({ error: 'Job not found' }, { status: 404 })
+    }
+    const job = jobs[0]
+    if (String(job.user_id) !== String(userId)) {
+      return Response.json({ error: 'Forbidden' }, { status: 403 })
+    }
+    if (!['completed', 'partial'].includes(job.status)) {
+      return Response.json(
+        { error: 'Photos can be regenerated once the job has finished' },
+        { status: 409 }
+      )
+    }
+    if (job.locked) {
+      return Response.json(
+        { error: 'Unlock the preview to change its photos' },
+        { status: 409 }
+      )
+    }
+
+    // Count the run and reserve its output variant up front, so concurrent
+    // requests can't share a free slot or a variant
+    const items = await sql`
+      WITH selected AS (
+        SELECT EXISTS (
+          SELECT 1 FROM photo_job_outputs o
+          JOIN photo_job_items i ON i.id = o.item_id
+          WHERE o.item_id = ${itemId} AND o.url = i.output_url AND o.structure_changed
+        ) AS structure_changed
+      )
+      UPDATE photo_job_items
+      SET regenerations = regenerations + 1,
+          structure_regenerations = structure_regenerations + CASE WHEN selected.structure_changed THEN 1 ELSE 0 END,
+          variant_count = GREATEST(
+            variant_count,
+            (SELECT COALESCE(MAX(variant), -1) + 1 FROM photo_job_outputs WHERE item_id = ${itemId})
+          ) + 1,
+          updated_at = CURRENT_TIMESTAMP
+      FROM selected
+      WHERE id = ${itemId} AND job_id = ${jobId} AND status = 'completed'
+      RETURNING price, regenerations, structure_regenerations,
+        selected.structure_changed AS structure_fix,
+        variant_count - 1 AS next_variant
+    `
+    if (items.length === 0) {
+      return Response.json(
+        { error: 'Only completed photos can be regenerated' },
+        { status: 409 }
+      )
+    }
+    const item = items[0]
+    const charge =
+      !item.structure_fix &&
+      item.regenerations - item.structure_regenerations >
+        freeRegenerationsPerPhoto()
+        ? parseFloat(item.price)
+        : 0
+
+    if (charge > 0) {
+      const reserved = await sql`
+        UPDATE user_credits
+        SET credits = credits - ${charge}, updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = ${userId} AND credits >= ${charge}
+        RETURNING credits
+      `
+      if (reserved.length === 0) {
+        await releaseRegeneration(itemId)
+        const balance =
+          await sql`SELECT credits FROM user_credits WHERE user_id = ${userId}`
+        const credits = parseFloat(balance[0]?.credits) || 0
+        return Response.json(
+          {
+            error: 'Not enough credits',
+            details: `Regenerating this photo costs ${charge} credits but you only have ${credits}.`,
+            needed: charge,
+            credits,
+          },
+          { status: 402 }
+        )
+      }
+    }
+
+    let regeneration
+    try {
+      ;[regeneration] = await sql`
+        INSERT INTO photo_regenerations (item_id, job_id, user_id, prompt, variant, version, charge, structure_fix)
+        VALUES (${itemId}, ${jobId}, ${userId}, ${extraPrompt}, ${item.next_variant}, ${item.regenerations},
+          ${charge}, ${item.structure_fix})
+        RETURNING id
+      `
+    } catch (error) {
+      await releaseRegeneration(itemId, {
+        userId,
+        charge,
+        structureFix: item.structure_fix,
+      })
+      throw error
+    }
+    kickWorker()
+
+    logEvent('photo_regeneration_queued', request, {
+      userId,
+      jobId,
+      itemId,
+      regenerationId: regeneration.id,
+      version: item.regenerations,
+      creditsReserved: charge,
+      structureFix: item.structure_fix,
+    })
+
+    const itemsByJob = await loadJobItemsForResponse([jobId])
+    return Response.json(
+      {
+        success: true,
+        job: { id: jobId, items: itemsByJob.get(jobId) || [] },
+        regeneration: {
+          id: regeneration.id,
+          status: 'queued',
+          version: item.regenerations,
+          charged: charge,
+        },
+        statusUrl: `/api/jobs/${jobId}`,
+      },
+      { status: 202 }
+    )
+  } catch (error) {
+    logError(error, request, {
+      apiRoute: 'regenerate-photo',
+      userId,
+      statusCode: 500,
+    })
+    return Response.json({ error: 'Internal server error' }, { status: 500 })
+  }
+}
+
+// Undoes a counted run that was never queued, returning any credits taken
+async function releaseRegeneration(
+  itemId,
+  { userId, charge = 0, structureFix = false } = {}
+) {
+  const queries = [
+    sql`
+      UPDATE photo_job_items
+      SET regenerations = GREATEST(0, regenerations - 1),
+          structure_regenerations = GREATEST(0, structure_regenerations - CASE WHEN ${structureFix} THEN 1 ELSE 0 END),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${itemId}
+    `,
+  ]
+  if (charge > 0) {
+    queries.push(sql`
+      UPDATE user_credits
+      SET credits = credits + ${charge}, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ${userId}
+    `)
+  }
+  await sql.transaction(queries)
+}
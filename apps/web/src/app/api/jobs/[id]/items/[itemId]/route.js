@@ -0,0 +1,110 @@
+import sql from '@/app/api/utils/sql'
+import { auth } from '@/auth'
+import { SelectVariationSchema } from '@/schemas/api'
+import {
+  loadJobItemsForResponse,
+  repackageJobSoon,
+} from '@/app/api/utils/queue'
+
+// Selects which variation of a photo is delivered, then rebuilds the job ZIP
+// so it contains the new choice. A slow or failed rebuild is finished by the
+// worker; the response then has `repackaging` set and the client polls the job.
+export async function PATCH(request, { params }) {
+  try {
+    const jobId = parseInt(params?.id, 10)
+    const itemId = parseInt(params?.itemId, 10)
+    if (!jobId || Number.isNaN(jobId) || !itemId || Number.isNaN(itemId)) {
+      return Response.json(
+        { error: 'Valid job and item IDs are required' },
+        { status: 400 }
+      )
+    }
+
+    const session = await auth()
+    const userId = session?.user?.id || null
+    if (!userId) {
+      return Response.json({ error: 'Not authenticated' }, { status: 401 })
+    }
+
+    const body = await request.json().catch(() => ({}))
+    const validation = SelectVariationSchema.safeParse(body)
+    if (!validation.success) {
+      return Response.json(
+        {
+          error: 'Validation failed',
+          details: validation.error.issues.map(issue => ({
+            field: issue.path.join('.'),
+            message: issue.message,
+          })),
+        },
+        { status: 400 }
+      )
+    }
+    const { outputId } = validation.data
+
+    // Ensure the job belongs to the current user and has been delivered
+    const jobs = await sql`
+      SELECT id, user_id, status, (preview AND unlocked_at IS NULL) AS locked
+      FROM photo_jobs WHERE id = ${jobId} LIMIT 1
+    `
+    if (jobs.length === 0) {
+      return Response.json({ error: 'Job not found' }, { status: 404 })
+    }
+    if (String(jobs[0].user_id) !== String(userId)) {
+      return Response.json({ error: 'Forbidden' }, { status: 403 })
+    }
+    if (!['completed', 'partial'].includes(jobs[0].status)) {
+      return Response.json(
+        { error: 'Variations can be chosen once the job has finished' },
+        { status: 409 }
+      )
+    }
+    if (jobs[0].locked) {
+      return Response.json(
+        { error: 'Unlock the preview to change its photos' },
+        { status: 409 }
+      )
+    }
+
+    const outputs = await sql`
+      SELECT o.url
+      FROM photo_job_outputs o
+      JOIN photo_job_items i ON i.id = o.item_id
+      WHERE o.id = ${outputId}
+        AND i.id = ${itemId}
+        AND i.job_id = ${jobId}
+        AND i.status = 'completed'
+      LIMIT 1
+    `
+    if (outputs.length === 0) {
+      return Response.json({ error: 'Output not found' }, { status: 404 })
+    }
+
+    await sql`
+      UPDATE photo_job_items
+      SET output_url = ${outputs[0].url}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${itemId}
+    `
+    await sql`
+      UPDATE photo_jobs SET repackage_requested_at = CURRENT_TIMESTAMP WHERE id = ${jobId}
+    `
+
+    const { downloadUrl, previewUrls, repackaging } =
+      await repackageJobSoon(jobId)
+
+    const itemsByJob = await loadJobItemsForResponse([jobId])
+    return Response.json({
+      success: true,
+      job: {
+        id: jobId,
+        downloadUrl,
+        previewUrls,
+        repackaging,
+        items: itemsByJob.get(jobId) || [],
+      },
+    })
+  } catch (error) {
+    console.error('Select variation error:', error)
+    return Response.json({ error: 'Internal server error' }, { status: 500 })
+  }
+}
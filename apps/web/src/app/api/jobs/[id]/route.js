@@ -1,6 +1,86 @@
 import sql from '@/app/api/utils/sql'
 import { auth } from '@/auth'
 import { validateGroupName } from '@/utils/validators'
+import {
+  loadJobItemsForResponse,
+  previewUnlockCharge,
+} from '@/app/api/utils/queue'
+
+export async function GET(request, { params }) {
+  try {
+    const { id } = params || {}
+    const jobId = parseInt(id, 10)
+    if (!jobId || Number.isNaN(jobId)) {
+      return Response.json(
+        { error: 'Valid job ID is required' },
+        { status: 400 }
+      )
+    }
+
+    const session = await auth()
+    const userId = session?.user?.id || null
+    if (!userId) {
+      return Response.json({ error: 'Not authenticated' }, { status: 401 })
+    }
+
+    const rows = await sql`
+      SELECT id, user_id, prompt, style_id, operation, comparison, output_profile, turnaround, disclosure, preview, charge_cache_hits, unlocked_at, photo_count, cost, status, download_url, preview_urls,
+        repackage_requested_at, error, created_at, updated_at, completed_at, group_name
+      FROM photo_jobs
+      WHERE id = ${jobId}
+      LIMIT 1
+    `
+    if (rows.length === 0) {
+      return Response.json({ error: 'Job not found' }, { status: 404 })
+    }
+    const j = rows[0]
+    if (String(j.user_id) !== String(userId)) {
+      return Response.json({ error: 'Forbidden' }, { status: 403 })
+    }
+
+    const itemsByJob = await loadJobItemsForResponse([jobId])
+    const items = itemsByJob.get(jobId) || []
+    const locked = j.preview && !j.unlocked_at
+
+    return Response.json({
+      success: true,
+      job: {
+        id: j.id,
+        prompt: j.prompt,
+        styleId: j.style_id || null,
+        operation: j.operation,
+        comparison: j.comparison || null,
+        outputProfile: j.output_profile || null,
+        turnaround: j.turnaround,
+        disclosure: j.disclosure || null,
+        preview: j.preview,
+        locked,
+        // List price of the completed photos' charged variations, before any free trial
+        unlockCost: locked
+          ? previewUnlockCharge(items, 0, {
+              chargeCacheHits: j.charge_cache_hits,
+            }).cost
+          : null,
+        photoCount: j.photo_count,
+        cost: parseFloat(j.cost),
+        status: j.status,
+        downloadUrl: j.download_url,
+        previewUrls: j.preview_urls || [],
+        // True while the ZIP is being rebuilt after a change to its photos
+        repackaging: Boolean(j.repackage_requested_at),
+        error: j.error || null,
+        createdAt: j.created_at,
+        updatedAt: j.updated_at,
+        completedAt: j.completed_at,
+        groupName: j.group_name || null,
+        items,
+      },
+    })
+  } catch (error) {
+    console.error('Get job error:', error)
+    return Response.json({ error: 'Internal server error' }, { status: 500 })
+  }
+}
 
 export async function PATCH(request, { params }) {
   try {
@@ -102,8 +182,29 @@ export async function DELETE(request, { params }) {
       return Response.json({ error: 'Forbidden' }, { status: 403 })
     }
 
-    // Delete the job
-    await sql`DELETE FROM photo_jobs WHERE id = ${jobId}`
+    // A job still being processed, or with a photo being regenerated, holds
+    // reserved credits, and a worker may be writing to it; those are released
+    // when it is settled, so only settled jobs can be deleted
+    const deleted = await sql`
+      DELETE FROM photo_jobs
+      WHERE id = ${jobId}
+        AND status NOT IN ('pending', 'queued', 'processing')
+        AND (status <> 'cancelled' OR settled_at IS NOT NULL)
+        AND NOT EXISTS (
+          SELECT 1 FROM photo_regenerations
+          WHERE job_id = ${jobId} AND status IN ('queued', 'processing')
+        )
+      RETURNING id
+    `
+    if (deleted.length === 0) {
+      return Response.json(
+        {
+          error:
+            'Jobs can be deleted once they have finished and no photo is being regenerated. Cancel the job first.',
+        },
+        { status: 409 }
+      )
+    }
 
     return Response.json({
       success: true,
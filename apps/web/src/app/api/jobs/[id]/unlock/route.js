@@ -0,0 +1,228 @@
+import sql from '@/app/api/utils/sql'
+import { auth } from '@/auth'
+import { logError, logEvent } from '@/app/api/utils/logger.js'
+import {
+  loadJobItemsForResponse,
+  previewUnlockCharge,
+  repackageJobSoon,
+} from '@/app/api/utils/queue'
+import { operationUsage } from '@/utils/operations'
+import { FREE_TRIAL_PHOTOS, freeTrialRemaining } from '@/utils/pricing'
+
+// Buys a finished preview job. Its completed photos are charged like a normal
+// job (free trial first, then credits) and the job ZIP is built from the
+// full-resolution outputs already stored, so nothing is regenerated. If the
+// ZIP isn't ready within a few seconds the worker finishes it and the
+// response has `repackaging` set.
+export async function POST(request, { params }) {
+  let userId = null
+  try {
+    const jobId = parseInt(params?.id, 10)
+    if (!jobId || Number.isNaN(jobId)) {
+      return Response.json(
+        { error: 'Valid job ID is required' },
+        { status: 400 }
+      )
+    }
+
+    const session = await auth()
+    userId = session?.user?.id || null
+    if (!userId) {
+      return Response.json({ error: 'Not authenticated' }, { status: 401 })
+    }
+
+    const jobs = await sql`
+      SELECT id, user_id, status, preview, charge_cache_hits, unlocked_at
+      FROM photo_jobs WHERE id = ${jobId} LIMIT 1
+    `
+    if (jobs.length === 0) {
+      return Response.json({ error: 'Job not found' }, { status: 404 })
+    }
+    const job = jobs[0]
+    if (String(job.user_id) !== String(userId)) {
+      return Response.json({ error: 'Forbidden' }, { status: 403 })
+    }
+    if (!job.preview || job.unlocked_at) {
+      return Response.json(
+        { error: 'Only locked previews can be unlocked' },
+        { status: 409 }
+      )
+    }
+    if (!['completed', 'partial'].includes(job.status)) {
+      return Response.json(
+        { error: 'Previews can be unlocked once they have finished' },
+        { status: 409 }
+      )
+    }
+
+    const [rows, balances] = await Promise.all([
+      sql`
+        SELECT position, operation, status, price, variations, cached_variations
+        FROM photo_job_items WHERE job_id = ${jobId} ORDER BY position
+      `,
+      sql`SELECT free_used, credits FROM user_credits WHERE user_id = ${userId}`,
+    ])
+    const items = rows.map(row => ({
+      operation: row.operation,
+      status: row.status,
+      price: parseFloat(row.price),
+      variations: row.variations,
+      cachedVariations: row.cached_variations,
+    }))
+    const chargeCacheHits = job.charge_cache_hits
+    const charge = previewUnlockCharge(
+      items,
+      freeTrialRemaining(balances[0]?.free_used),
+      { chargeCacheHits }
+    )
+
+    // Claim the unlock first so two requests can't both pay for it
+    const claimed = await sql`
+      UPDATE photo_jobs
+      SET unlocked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${jobId} AND preview AND unlocked_at IS NULL
+      RETURNING id
+    `
+    if (claimed.length === 0) {
+      return Response.json(
+        { error: 'Only locked previews can be unlocked' },
+        { status: 409 }
+      )
+    }
+
+    const reserved = await sql`
+      UPDATE user_credits
+      SET free_used = free_used + ${charge.free},
+          credits = credits - ${charge.credits},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ${userId}
+        AND credits >= ${charge.credits}
+        AND free_used + ${charge.free} <= ${FREE_TRIAL_PHOTOS}
+      RETURNING credits
+    `
+    if (reserved.length === 0) {
+      await sql`UPDATE photo_jobs SET unlocked_at = NULL WHERE id = ${jobId}`
+      const credits = parseFloat(balances[0]?.credits) || 0
+      return Response.json(
+        {
+          error: 'Not enough credits',
+          details: `Unlocking this preview costs ${charge.credits} credits but you only have ${credits}.`,
+          needed: charge.credits,
+          credits,
+        },
+        { status: 402 }
+      )
+    }
+
+    // Charge each completed photo; the first ones use the free trial
+    await sql.transaction([
+      sql`
+        UPDATE photo_job_items i
+        SET is_free = r.rn <= ${charge.free},
+            credits_charged = i.price * GREATEST(0, i.variations
+              - CASE WHEN ${chargeCacheHits} THEN 0 ELSE i.cached_variations END
+              - CASE WHEN r.rn <= ${charge.free} THEN 1 ELSE 0 END),
+            updated_at = CURRENT_TIMESTAMP
+        FROM (
+          SELECT id, ROW_NUMBER() OVER (ORDER BY position) AS rn
+          FROM photo_job_items
+          WHERE job_id = ${jobId} AND status = 'completed'
+        ) r
+        WHERE i.id = r.id
+      `,
+      sql`
+        UPDATE photo_jobs
+        SET cost = ${charge.cost},
+            free_applied = ${charge.free},
+            credits_applied = ${charge.credits},
+            repackage_requested_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${jobId}
+      `,
+    ])
+
+    // A rebuild that fails straight away undoes the unlock; one that fails
+    // after the response is retried by the worker
+    let packaged
+    try {
+      packaged = await repackageJobSoon(jobId, { throwOnFailure: true })
+    } catch (error) {
+      await releaseUnlock(jobId, { userId, charge })
+      logError(error, request, {
+        apiRoute: 'unlock-preview',
+        userId,
+        jobId,
+        statusCode: 502,
+        errorType: 'packaging_error',
+      })
+      return Response.json(
+        {
+          error: 'Failed to unlock preview',
+          details: error instanceof Error ? error.message : String(error),
+        },
+        { status: 502 }
+      )
+    }
+
+    // Bill each operation as its own line, as for a normal job
+    const billed = items.filter(item => item.status === 'completed')
+    for (const usage of operationUsage(
+      billed.map((item, i) => ({ ...item, isFree: i < charge.free })),
+      { chargeCacheHits }
+    )) {
+      logEvent('photo_operation_billed', request, { userId, jobId, ...usage })
+    }
+    logEvent('preview_unlocked', request, {
+      userId,
+      jobId,
+      cost: charge.cost,
+      freeUsed: charge.free,
+      creditsUsed: charge.credits,
+    })
+
+    const itemsByJob = await loadJobItemsForResponse([jobId])
+    return Response.json({
+      success: true,
+      job: {
+        id: jobId,
+        cost: charge.cost,
+        downloadUrl: packaged.downloadUrl,
+        previewUrls: packaged.previewUrls,
+        repackaging: packaged.repackaging,
+        items: itemsByJob.get(jobId) || [],
+      },
+      applied: { free: charge.free, credits: charge.credits },
+    })
+  } catch (error) {
+    logError(error, request, {
+      apiRoute: 'unlock-preview',
+      userId,
+      statusCode: 500,
+    })
+    return Response.json({ error: 'Internal server error' }, { status: 500 })
+  }
+}
+
+// Locks the preview again and refunds what unlocking it took
+async function releaseUnlock(jobId, { userId, charge }) {
+  await sql.transaction([
+    sql`
+      UPDATE photo_job_items
+      SET is_free = false, credits_charged = 0, updated_at = CURRENT_TIMESTAMP
+      WHERE job_id = ${jobId}
+    `,
+    sql`
+      UPDATE photo_jobs
+      SET unlocked_at = NULL, cost = 0, free_applied = 0, credits_applied = 0,
+          repackage_requested_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${jobId}
+    `,
+    sql`
+      UPDATE user_credits
+      SET free_used = GREATEST(0, free_used - ${charge.free}),
+          credits = credits + ${charge.credits},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ${userId}
+    `,
+  ])
+}
@@ -0,0 +1,133 @@
+import { auth } from '@/auth'
+import upload from '@/app/api/utils/upload'
+import { NormalizePhotoSchema } from '@/schemas/api'
+import { validateFileUrls } from '@/utils/validators'
+import { logError, logEvent } from '@/app/api/utils/logger.js'
+import { normalizeUpload, renderThumbnail } from '@/app/api/utils/heic'
+import { inspectImage, MAX_IMAGE_BYTES } from '@/app/api/utils/imageFile'
+
+// Prepares an uploaded photo for the upload list and for enhancement: HEIC
+// and HEIF are converted to a high-quality JPEG, which is used in their
+// place, and every photo gets a small JPEG thumbnail. The upload itself is
+// returned as `originalUrl` when converted, for submitting with the job so
+// it's kept for archival.
+
+// The upload is read while the user waits, so a stalled download gives up
+const DOWNLOAD_TIMEOUT_MS = 30 * 1000
+
+export async function POST(request) {
+  let userId = null
+  try {
+    const session = await auth()
+    userId = session?.user?.id || null
+    if (!userId) {
+      return Response.json({ error: 'Not authenticated' }, { status: 401 })
+    }
+
+    const body = await request.json().catch(() => ({}))
+    const validation = NormalizePhotoSchema.safeParse(body)
+    if (!validation.success) {
+      return Response.json(
+        {
+          error: 'Validation failed',
+          details: validation.error.issues.map(issue => ({
+            field: issue.path.join('.'),
+            message: issue.message,
+          })),
+        },
+        { status: 400 }
+      )
+    }
+    const { url } = validation.data
+    try {
+      validateFileUrls([url])
+    } catch (error) {
+      return Response.json({ error: error.message }, { status: 400 })
+    }
+
+    const tooLarge = () =>
+      Response.json(
+        { error: 'Photos must be 15 MB or smaller' },
+        { status: 413 }
+      )
+    let bytes
+    try {
+      const res = await fetch(url, {
+        signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS),
+      })
+      if (!res.ok) {
+        return Response.json(
+          { error: 'Could not fetch the uploaded photo' },
+          { status: 502 }
+        )
+      }
+      if (Number(res.headers.get('content-length') || 0) > MAX_IMAGE_BYTES) {
+        return tooLarge()
+      }
+      bytes = Buffer.from(await res.arrayBuffer())
+    } catch (error) {
+      if (error?.name !== 'TimeoutError') throw error
+      return Response.json(
+        { error: 'Timed out fetching the uploaded photo' },
+        { status: 504 }
+      )
+    }
+    if (bytes.length > MAX_IMAGE_BYTES) return tooLarge()
+    let mimeType
+    try {
+      mimeType = inspectImage(bytes).mimeType
+    } catch (error) {
+      return Response.json({ error: error.message }, { status: 415 })
+    }
+
+    let photo
+    let thumbnail
+    try {
+      photo = await normalizeUpload(bytes, mimeType)
+      thumbnail = await renderThumbnail(photo.bytes)
+    } catch (error) {
+      logError(error, request, {
+        apiRoute: 'photos/normalize',
+        userId,
+        statusCode: 415,
+      })
+      return Response.json(
+        { error: 'Unsupported or corrupt image' },
+        { status: 415 }
+      )
+    }
+
+    const [converted, thumb] = await Promise.all([
+      photo.converted ? upload({ buffer: photo.bytes }) : { url },
+      upload({ buffer: thumbnail }),
+    ])
+    if (!converted.url || !thumb.url) {
+      throw new Error('Upload of the normalized photo failed')
+    }
+
+    if (photo.converted) {
+      logEvent('photo_converted', request, {
+        userId,
+        fromBytes: bytes.length,
+        toBytes: photo.bytes.length,
+      })
+    }
+    return Response.json({
+      success: true,
+      photo: {
+        url: converted.url,
+        originalUrl: photo.converted ? url : null,
+        thumbnailUrl: thumb.url,
+        mimeType: photo.mimeType,
+        converted: photo.converted,
+      },
+    })
+  } catch (error) {
+    logError(error, request, {
+      apiRoute: 'photos/normalize',
+      userId,
+      statusCode: 500,
+    })
+    return Response.json({ error: 'Internal server error' }, { status: 500 })
+  }
+}
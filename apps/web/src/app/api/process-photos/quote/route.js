@@ -0,0 +1,64 @@
+import { auth } from '@/auth'
+import { QuotePhotosSchema } from '@/schemas/api'
+import { logError } from '@/app/api/utils/logger.js'
+import { quoteJob } from '@/app/api/utils/quote'
+
+// Prices a process-photos request without queueing it or touching the
+// user's balance, so the upload page can show what a job will cost, and
+// whether the user's credits cover it, before anything is uploaded. Takes the
+// process-photos body, or the same with `fileCount` in place of `fileUrls`.
+export async function POST(request) {
+  let userId = null
+  try {
+    const session = await auth()
+    userId = session?.user?.id || null
+    if (!userId) {
+      return Response.json({ error: 'Not authenticated' }, { status: 401 })
+    }
+
+    const body = await request.json().catch(() => ({}))
+    const validation = QuotePhotosSchema.safeParse(body)
+    if (!validation.success) {
+      return Response.json(
+        {
+          error: 'Validation failed',
+          details: validation.error.issues.map(issue => ({
+            field: issue.path.join('.'),
+            message: issue.message,
+          })),
+        },
+        { status: 400 }
+      )
+    }
+
+    const quote = await quoteJob({
+      userId,
+      data: validation.data,
+      photoCount: validation.data.fileUrls?.length ?? validation.data.fileCount,
+      hasDB: Boolean(process.env.DATABASE_URL),
+    })
+    return Response.json({
+      success: true,
+      quote: {
+        photoCount: quote.photoCount,
+        outputProfile: quote.outputProfile,
+        turnaround: quote.turnaround,
+        plan: quote.planId,
+        prices: quote.prices,
+        cost: quote.cost,
+        free: quote.free,
+        paid: quote.paid,
+        creditsNeeded: quote.creditsNeeded,
+        balance: quote.balance,
+        shortfall: quote.shortfall,
+      },
+    })
+  } catch (error) {
+    logError(error, request, {
+      apiRoute: 'process-photos/quote',
+      userId,
+      statusCode: 500,
+    })
+    return Response.json({ error: 'Internal server error' }, { status: 500 })
+  }
+}
@@ -1,8 +1,25 @@
 import sql from '@/app/api/utils/sql'
-import upload from '@/app/api/utils/upload' // NEW: use platform uploader to store generated files (zip)
 import { auth } from '@/auth' // Enforce sign-in and track credits
 import { ProcessPhotosSchema } from '@/schemas/api'
 import { logError, logEvent } from '@/app/api/utils/logger.js'
+import { runPhotoPipeline } from '@/app/api/utils/enhance'
+import { kickWorker } from '@/app/api/utils/queue'
+import { getEnhancementProvider } from '@/app/api/utils/providers'
+import {
+  DEFAULT_OPERATION,
+  buildOperationPrompt,
+  getOperation,
+  operationUsage,
+} from '@/utils/operations'
+import { getPlan } from '@/utils/plans'
+import { FREE_TRIAL_PHOTOS, chargePhotos } from '@/utils/pricing'
+import { quoteJob } from '@/app/api/utils/quote'
+import { resolveDisclosure } from '@/utils/disclosures'
+import { validateFileUrls } from '@/utils/validators'
+import { loadBrokerage } from '@/app/api/utils/brokerage'
+
+// Free previews a user may start in 24 hours
+const PREVIEWS_PER_DAY = 3
 
 export async function POST(request) {
   let session
@@ -24,8 +41,53 @@ export async function POST(request) {
       )
     }
 
-    const { fileUrls, prompt, groupName } = validation.data
+    const {
+      fileUrls,
+      groupName,
+      styleId,
+      photoOperations,
+      photoMasks,
+      fileNames,
+      originalUrls,
+      comparison,
+    } = validation.data
+    const preview = Boolean(validation.data.preview)
     const fileCount = fileUrls.length
+    const variations = validation.data.variations || 1
+    const operation = getOperation(
+      validation.data.operation || DEFAULT_OPERATION
+    )
+    // Build the prompt the model receives: the operation's own instructions,
+    // or for staging the user prompt expanded with any style preset
+    const prompt = buildOperationPrompt({
+      operation: operation.id,
+      prompt: validation.data.prompt,
+      styleId,
+    })
+    // Photos may override the job's operation; those get their own prompt
+    // and price
+    const photos = fileUrls.map((url, position) => {
+      const photoOperation =
+        getOperation(photoOperations?.[position]) || operation
+      return {
+        url,
+        originalName: fileNames?.[position] || null,
+        originalUrl: originalUrls?.[position] || null,
+        operation: photoOperation.id,
+        // Set once the job is priced, below
+        price: null,
+        variations,
+        maskUrl: photoMasks?.[position] || null,
+        prompt:
+          photoOperation === operation
+            ? null
+            : buildOperationPrompt({
+                operation: photoOperation.id,
+                prompt: validation.data.prompt,
+                styleId,
+              }),
+      }
+    })
 
     // Enforce authentication (trial requires sign-in)
     session = await auth()
@@ -37,185 +99,305 @@ export async function POST(request) {
       )
     }
 
-    // Calculate cost ($1 per photo)
-    const cost = fileCount * 1.0
+    // Fail fast if the enhancement provider (ENHANCEMENT_PROVIDER) is misconfigured
+    let provider
+    try {
+      provider = getEnhancementProvider()
+    } catch (error) {
+      return Response.json({ error: error.message }, { status: 400 })
+    }
 
-    const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY
-    if (!GOOGLE_API_KEY) {
-      return Response.json(
-        { error: 'Missing GOOGLE_API_KEY environment variable' },
-        { status: 400 }
-      )
+    // The schema only checks the URL's shape; refuse local and private
+    // addresses before the server requests any of them
+    try {
+      validateFileUrls(fileUrls)
+    } catch (error) {
+      return Response.json({ error: error.message }, { status: 400 })
     }
 
     // Allow running without a database configured
     const hasDB = Boolean(process.env.DATABASE_URL)
 
-    // Credits check: 3 free photos total per user, then consume purchased credits
-    const FREE_LIMIT = 3
-    let freeUsed = 0
-    let credits = 0
-    if (hasDB) {
-      const rows =
-        await sql`SELECT free_used, credits FROM user_credits WHERE user_id = ${userId}`
-      if (rows.length === 0) {
-        await sql`INSERT INTO user_credits (user_id, free_used, credits) VALUES (${userId}, 0, 0)`
-      } else {
-        freeUsed = rows[0].free_used || 0
-        credits = rows[0].credits || 0
+    if (preview) {
+      if (!hasDB) {
+        return Response.json(
+          { error: 'Previews need a database so they can be unlocked later' },
+          { status: 400 }
+        )
+      }
+      // Previews are free, so cap how many a user can start
+      const recent = await sql`
+        SELECT COUNT(*)::int AS count FROM photo_jobs
+        WHERE user_id = ${userId} AND preview
+          AND created_at > CURRENT_TIMESTAMP - INTERVAL '1 day'
+      `
+      if (recent[0].count >= PREVIEWS_PER_DAY) {
+        return Response.json(
+          {
+            error: 'Preview limit reached',
+            details: `You can create ${PREVIEWS_PER_DAY} free previews a day. Purchase credits to enhance more photos.`,
+          },
+          { status: 429 }
+        )
       }
     }
 
-    const freeRemaining = Math.max(0, FREE_LIMIT - freeUsed)
-    const willBeFree = Math.min(fileCount, freeRemaining)
-    const needsPaid = fileCount - willBeFree
+    // Brokerages can require every member's photos to be labeled
+    const brokerage = hasDB ? await loadBrokerage(userId) : null
+    const disclosure = resolveDisclosure(validation.data.disclosure, brokerage)
+
+    // Credits check: free trial photos first, then consume purchased credits
+    const quote = await quoteJob({
+      userId,
+      data: validation.data,
+      photoCount: fileCount,
+      hasDB,
+    })
+    const { outputProfile, turnaround, cost } = quote
+    const willBeFree = quote.free
+    const needsPaid = quote.paid
+    const creditsNeeded = quote.creditsNeeded
+    // Kept on the job, so photos are billed on the terms they were queued under
+    const { chargeCacheHits } = getPlan(quote.planId)
+    // Each photo keeps its price, which failed photos are refunded and
+    // regenerations charged at. Photos that fail are not charged.
+    photos.forEach((photo, i) => {
+      photo.price = quote.prices[i]
+    })
 
-    if (hasDB && needsPaid > credits) {
+    if (quote.shortfall > 0) {
       return Response.json(
         {
           error: 'Not enough credits',
-          details: `You need ${needsPaid} credits but only have ${credits}. Purchase a pack or use pay-as-you-go.`,
-          needed: needsPaid,
-          credits,
+          details: `You need ${creditsNeeded} credits but only have ${quote.balance}. Purchase a pack or use pay-as-you-go.`,
+          needed: creditsNeeded,
+          credits: quote.balance,
+          shortfall: quote.shortfall,
         },
         { status: 402 }
       )
     }
+    if (hasDB && !quote.hasAccount) {
+      await sql`INSERT INTO user_credits (user_id, free_used, credits) VALUES (${userId}, 0, 0)`
+    }
 
-    let job = null
     if (hasDB) {
-      // ADD: persist user_id with the job so dashboard can filter by user
-      const jobResult = await sql`
-        INSERT INTO photo_jobs (user_id, prompt, photo_count, cost, status, group_name)
-        VALUES (${userId}, ${prompt?.trim() || ''}, ${fileCount}, ${cost}, 'processing', ${groupName || null})
-        RETURNING id, prompt, photo_count, cost, status, created_at, group_name
+      // Reserve the trial photos and credits first, and only if the balance
+      // still covers them: the quote above locks nothing, so a concurrent
+      // submission may have spent it since. The worker refunds whatever the
+      // photos don't end up consuming.
+      const reserved = await sql`
+        UPDATE user_credits
+        SET free_used = free_used + ${willBeFree},
+            credits = credits - ${creditsNeeded},
+            updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = ${userId}
+          AND credits >= ${creditsNeeded}
+          AND free_used + ${willBeFree} <= ${FREE_TRIAL_PHOTOS}
+        RETURNING credits
       `
-      job = jobResult[0]
-    }
-
-    try {
-      // 1) Call Gemini to enhance each image using the provided prompt
-      const enhancedFiles = await generateEnhancedImagesWithGemini({
-        fileUrls,
-        prompt,
-        apiKey: GOOGLE_API_KEY,
-      })
-
-      if (enhancedFiles.length === 0) {
-        throw new Error('No images returned from Gemini')
+      if (reserved.length === 0) {
+        const balances =
+          await sql`SELECT credits FROM user_credits WHERE user_id = ${userId}`
+        const credits = parseFloat(balances[0]?.credits) || 0
+        return Response.json(
+          {
+            error: 'Not enough credits',
+            details: `You need ${creditsNeeded} credits but only have ${credits}. Purchase a pack or use pay-as-you-go.`,
+            needed: creditsNeeded,
+            credits,
+            shortfall: Math.max(
+              0,
+              Math.round((creditsNeeded - credits) * 100) / 100
+            ),
+          },
+          { status: 402 }
+        )
       }
 
-      // NEW: Upload up to two preview images for instant gratification on results page
-      const previewCandidates = enhancedFiles.slice(
-        0,
-        Math.min(2, enhancedFiles.length)
-      )
-      const previewUrls = []
-      for (const pf of previewCandidates) {
-        try {
-          const { url: purl } = await upload({ buffer: pf.buffer })
-          if (purl) previewUrls.push(purl)
-        } catch (e) {
-          // Non-fatal: continue without this preview
-          console.error('Preview upload failed:', e)
-        }
+      // Each photo becomes a photo_job_items row; the first `willBeFree` are
+      // covered by the trial
+      let jobRows
+      try {
+        jobRows = await sql`
+          WITH job AS (
+            INSERT INTO photo_jobs (user_id, prompt, style_id, operation, comparison, output_profile, turnaround, disclosure, preview, charge_cache_hits, photo_count, cost, status, group_name, free_applied, credits_applied)
+            VALUES (${userId}, ${prompt}, ${styleId || null}, ${operation.id}, ${comparison || null}, ${outputProfile}, ${turnaround}, ${disclosure ? JSON.stringify(disclosure) : null}::jsonb, ${preview}, ${chargeCacheHits}, ${fileCount}, ${cost}, 'queued', ${groupName || null}, ${willBeFree}, ${creditsNeeded})
+            RETURNING id, prompt, style_id, operation, comparison, output_profile, turnaround, disclosure, preview, photo_count, cost, status, created_at, group_name
+          ), items AS (
+            INSERT INTO photo_job_items (job_id, position, source_url, original_url, original_name, operation, prompt, mask_url, price, variations, is_free)
+            SELECT job.id, (u.ord - 1)::integer, u.photo->>'url', u.photo->>'originalUrl', u.photo->>'originalName', u.photo->>'operation', u.photo->>'prompt', u.photo->>'maskUrl',
+              (u.photo->>'price')::numeric, (u.photo->>'variations')::integer, u.ord <= ${willBeFree}
+            FROM job, jsonb_array_elements(${JSON.stringify(photos)}::jsonb) WITH ORDINALITY AS u(photo, ord)
+          )
+          SELECT * FROM job
+        `
+      } catch (error) {
+        await sql`
+          UPDATE user_credits
+          SET free_used = GREATEST(0, free_used - ${willBeFree}),
+              credits = credits + ${creditsNeeded},
+              updated_at = CURRENT_TIMESTAMP
+          WHERE user_id = ${userId}
+        `
+        throw error
       }
+      const job = jobRows[0]
 
-      // 2) Package all generated images into a ZIP buffer (no compression, store)
-      const zipBuffer = createZipFromFiles(enhancedFiles)
+      // Start draining in the background; the response does not wait for it
+      kickWorker()
 
-      // 3) Upload ZIP and get a public URL
-      const { url: downloadUrl } = await upload({ buffer: zipBuffer })
+      logEvent('photo_processing_queued', request, {
+        userId,
+        jobId: job.id,
+        operation: operation.id,
+        photoCount: fileCount,
+        preview,
+        turnaround,
+        cost,
+        freeUsed: willBeFree,
+        creditsUsed: creditsNeeded,
+      })
 
-      // 4) Update DB job (if present) and consume credits/trial
-      if (hasDB) {
-        // FIX: sql.transaction must receive an array of queries (or a function that RETURNS an array).
-        // We avoid dependent reads inside the transaction by using arithmetic based on precomputed
-        // willBeFree/needsPaid and clamping free_used with LEAST to the FREE_LIMIT.
-        const queries = []
-        if (job?.id) {
-          queries.push(sql`
-              UPDATE photo_jobs
-              SET status = 'completed', download_url = ${downloadUrl}, updated_at = CURRENT_TIMESTAMP
-              WHERE id = ${job.id}
-            `)
-        }
-        queries.push(sql`
-            UPDATE user_credits
-            SET 
-              free_used = LEAST(${FREE_LIMIT}, free_used + ${willBeFree}),
-              credits   = GREATEST(0, credits - ${needsPaid}),
-              updated_at = CURRENT_TIMESTAMP
-            WHERE user_id = ${userId}
-          `)
-        await sql.transaction(queries)
+      return Response.json(
+        {
+          success: true,
+          job: {
+            id: job.id,
+            prompt: job.prompt,
+            styleId: job.style_id,
+            operation: job.operation,
+            comparison: job.comparison,
+            outputProfile: job.output_profile,
+            turnaround: job.turnaround,
+            disclosure: job.disclosure,
+            preview: job.preview,
+            photoCount: job.photo_count,
+            cost: parseFloat(job.cost),
+            status: job.status,
+            createdAt: job.created_at,
+            items: photos.map((photo, position) => ({
+              position,
+              sourceUrl: photo.url,
+              originalUrl: photo.originalUrl,
+              originalName: photo.originalName,
+              operation: photo.operation,
+              price: photo.price,
+              variations: photo.variations,
+              masked: Boolean(photo.maskUrl),
+              status: 'pending',
+            })),
+          },
+          statusUrl: `/api/jobs/${job.id}`,
+          message: preview
+            ? 'Preview queued for processing.'
+            : 'Photos queued for processing.',
+          applied: { free: willBeFree, paid: needsPaid },
+        },
+        { status: 202 }
+      )
+    }
+
+    // Without a database there is no queue to hand off to, so process inline
+    try {
+      const { downloadUrl, previewUrls, items } = await runPhotoPipeline({
+        items: photos.map((photo, position) => ({
+          id: null,
+          position,
+          sourceUrl: photo.url,
+          originalUrl: photo.originalUrl,
+          originalName: photo.originalName,
+          operation: photo.operation,
+          prompt: photo.prompt,
+          roomPrompts: getOperation(photo.operation).staging,
+          price: photo.price,
+          variations: photo.variations,
+          maskUrl: photo.maskUrl,
+          isFree: position < willBeFree,
+        })),
+        prompt,
+        styleId: styleId || null,
+        comparison,
+        outputProfile,
+        disclosure,
+        provider,
+      })
+      const completed = items.filter(item => item.status === 'completed')
+      const chargedCost = chargePhotos(completed).cost
+
+      for (const usage of operationUsage(items)) {
+        logEvent('photo_operation_billed', request, { userId, ...usage })
       }
 
       logEvent('photo_processing_completed', request, {
         userId,
-        jobId: job?.id,
+        operation: operation.id,
         photoCount: fileCount,
-        cost,
-        freeUsed: willBeFree,
-        creditsUsed: needsPaid,
+        failedCount: fileCount - completed.length,
+        cost: chargedCost,
       })
 
       return Response.json({
         success: true,
-        job: job
-          ? {
-              id: job.id,
-              prompt: job.prompt,
-              photoCount: job.photo_count,
-              cost: job.cost,
-              status: 'completed',
-              createdAt: job.created_at,
-            }
-          : {
+        job: {
+          id: null,
+          prompt,
+          styleId: styleId || null,
+          operation: operation.id,
+          comparison: comparison || null,
+          outputProfile,
+          turnaround,
+          disclosure,
+          photoCount: fileCount,
+          cost: chargedCost,
+          status: completed.length === fileCount ? 'completed' : 'partial',
+          createdAt: new Date().toISOString(),
+          items: items.map(item => ({
+            position: item.position,
+            sourceUrl: item.sourceUrl,
+            originalUrl: item.originalUrl,
+            originalName: item.originalName,
+            operation: item.operation,
+            variations: item.variations,
+            masked: Boolean(item.maskUrl),
+            status: item.status,
+            error: item.error || null,
+            outputUrl: item.outputUrl || null,
+            roomType: item.roomType || null,
+            structureChanged: item.structure?.[0]?.changed ?? false,
+            // Not stored without a database, so they cannot be re-selected
+            outputs: (item.outputUrls || []).map((url, variant) => ({
               id: null,
-              prompt: prompt.trim(),
-              photoCount: fileCount,
-              cost,
-              status: 'completed',
-              createdAt: new Date().toISOString(),
-            },
+              variant,
+              url,
+              structureScore: item.structure?.[variant]?.score ?? null,
+              structureChanged: item.structure?.[variant]?.changed ?? false,
+              selected: variant === 0,
+            })),
+          })),
+        },
         downloadUrl,
-        previewUrls, // NEW: return preview image URLs for the results screen
-        message: 'Photos processed successfully.',
+        previewUrls,
+        message:
+          completed.length === fileCount
+            ? 'Photos processed successfully.'
+            : `${completed.length} of ${fileCount} photos processed. Failed photos were not charged.`,
         applied: { free: willBeFree, paid: needsPaid },
       })
     } catch (apiError) {
       logError(apiError, request, {
         apiRoute: 'process-photos',
         userId,
-        jobId: job?.id,
         photoCount: fileCount,
         statusCode: 502,
-        errorType: 'gemini_api_error',
+        errorType: 'enhancement_error',
       })
 
-      if (hasDB && job?.id) {
-        try {
-          await sql`
-            UPDATE photo_jobs
-            SET status = 'failed', updated_at = CURRENT_TIMESTAMP
-            WHERE id = ${job.id}
-          `
-        } catch (e) {
-          logError(e, request, {
-            apiRoute: 'process-photos',
-            userId,
-            jobId: job?.id,
-            errorType: 'job_status_update_failed',
-          })
-        }
-      }
-
       const message =
         apiError instanceof Error ? apiError.message : String(apiError)
       return Response.json(
         {
-          error: 'Failed to process images with Google Gemini',
+          error: 'Failed to process images',
           details: message,
         },
         { status: 502 }
@@ -236,395 +418,3 @@ export async function POST(request) {
     )
   }
 }
-
-// --- Helpers ---
-
-function sleep(ms) {
-  return new Promise(r => setTimeout(r, ms))
-}
-
-// SECURITY: SSRF protection now handled by centralized validators in @/utils/validators
-
-// Calls Google Gemini 2.5 Flash Image Preview to create enhanced images
-async function generateEnhancedImagesWithGemini({ fileUrls, prompt, apiKey }) {
-  // Import validators locally for use in this function
-  const { validateFileUrls } = await import('@/utils/validators.ts')
-  const modelPrimary = 'gemini-2.5-flash-image-preview'
-  const modelFallback = 'gemini-2.5-flash'
-  const results = []
-
-  for (let i = 0; i < fileUrls.length; i++) {
-    const srcUrl = fileUrls[i]
-
-    // SECURITY: validate again inside the generator for defense in depth
-    try {
-      validateFileUrls([srcUrl])
-    } catch (error) {
-      throw new Error(`Blocked source URL [${i + 1}]: ${error.message}`)
-    }
-
-    const imgResp = await fetch(srcUrl)
-    if (!imgResp.ok) {
-      throw new Error(
-        `Failed to fetch uploaded image [${i}]: ${imgResp.status} ${imgResp.statusText}`
-      )
-    }
-    const contentTypeHeader = (
-      imgResp.headers.get('content-type') || ''
-    ).toLowerCase()
-
-    // SECURITY: ensure the fetched content is an image
-    if (!contentTypeHeader.startsWith('image/')) {
-      throw new Error(
-        `Uploaded file is not an image [${i + 1}]: content-type=${contentTypeHeader}`
-      )
-    }
-
-    // SECURITY: optionally enforce a max size (15MB) if server returns the header
-    const contentLength = Number(imgResp.headers.get('content-length') || 0)
-    if (contentLength && contentLength > 15 * 1024 * 1024) {
-      throw new Error(
-        `Uploaded file too large [${i + 1}]: ${(contentLength / (1024 * 1024)).toFixed(1)} MB`
-      )
-    }
-
-    const arrayBuf = await imgResp.arrayBuffer()
-    const bytes = Buffer.from(arrayBuf)
-
-    // If content-length header missing, still enforce size on the bytes read
-    if (bytes.length > 15 * 1024 * 1024) {
-      throw new Error(
-        `Uploaded file too large after download [${i + 1}]: ${(bytes.length / (1024 * 1024)).toFixed(1)} MB`
-      )
-    }
-
-    const inputB64 = bytes.toString('base64')
-
-    let mimeType = 'image/jpeg'
-    if (contentTypeHeader.includes('image/png')) mimeType = 'image/png'
-    else if (contentTypeHeader.includes('image/webp')) mimeType = 'image/webp'
-    else if (contentTypeHeader.includes('image/heic')) mimeType = 'image/heic'
-    else if (contentTypeHeader.includes('image/heif')) mimeType = 'image/heif'
-    else if (
-      contentTypeHeader.includes('image/jpeg') ||
-      contentTypeHeader.includes('image/jpg')
-    )
-      mimeType = 'image/jpeg'
-
-    const displayName = `upload-${i + 1}`
-    const startRes = await fetch(
-      'https://generativelanguage.googleapis.com/upload/v1beta/files',
-      {
-        method: 'POST',
-        headers: {
-          'x-goog-api-key': apiKey,
-          'X-Goog-Upload-Protocol': 'resumable',
-          'X-Goog-Upload-Command': 'start',
-          'X-Goog-Upload-Header-Content-Length': String(bytes.length),
-          'X-Goog-Upload-Header-Content-Type': mimeType,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ file: { display_name: displayName } }),
-      }
-    )
-
-    if (!startRes.ok) {
-      const msg = await safeReadText(startRes)
-      throw new Error(`Gemini Files start error [${startRes.status}]: ${msg}`)
-    }
-
-    const uploadUrl = startRes.headers.get('x-goog-upload-url')
-    if (!uploadUrl) {
-      throw new Error('Gemini Files API did not return an upload URL')
-    }
-
-    const finalizeRes = await fetch(uploadUrl, {
-      method: 'POST',
-      headers: {
-        'x-goog-api-key': apiKey,
-        'Content-Length': String(bytes.length),
-        'X-Goog-Upload-Offset': '0',
-        'X-Goog-Upload-Command': 'upload, finalize',
-      },
-      body: bytes,
-    })
-
-    if (!finalizeRes.ok) {
-      const msg = await safeReadText(finalizeRes)
-      throw new Error(
-        `Gemini Files upload error [${finalizeRes.status}]: ${msg}`
-      )
-    }
-
-    const fileInfo = await finalizeRes.json()
-    const fileUri = fileInfo?.file?.uri || fileInfo?.file?.name
-    const fileMime = fileInfo?.file?.mimeType || mimeType
-    if (!fileUri) {
-      throw new Error('Gemini Files API response missing file uri/name')
-    }
-
-    const genOnce = async ({ useFile, model }) => {
-      const body = {
-        contents: [
-          {
-            role: 'user',
-            parts: [
-              {
-                text: `Enhance this real estate listing photo. ${prompt}. Preserve the original room layout and architecture. Return only enhanced image data and no text.`,
-              },
-              useFile
-                ? { fileData: { mimeType: fileMime, fileUri: fileUri } }
-                : { inlineData: { mimeType: fileMime, data: inputB64 } },
-            ],
-          },
-        ],
-        generationConfig: {
-          responseModalities: ['IMAGE'],
-        },
-      }
-
-      let last = { ok: false, status: 0, msg: '' }
-      for (let attempt = 0; attempt < 3; attempt++) {
-        const resp = await fetch(
-          `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
-          {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'x-goog-api-key': apiKey,
-            },
-            body: JSON.stringify(body),
-          }
-        )
-
-        if (resp.ok) {
-          const data = await resp.json()
-          return { ok: true, data }
-        }
-        const msg = await safeReadText(resp)
-        last = { ok: false, status: resp.status, msg }
-        if (resp.status !== 429 && resp.status !== 500) break
-        await sleep(300 * Math.pow(2, attempt))
-      }
-      return last
-    }
-
-    const attempts = [
-      { useFile: false, model: modelPrimary },
-      { useFile: true, model: modelPrimary },
-      { useFile: false, model: modelFallback },
-      { useFile: true, model: modelFallback },
-    ]
-
-    let lastErr = null
-    let data = null
-    for (const a of attempts) {
-      const r = await genOnce(a)
-      if (r.ok) {
-        data = r.data
-        lastErr = null
-        break
-      }
-      lastErr = `Gemini API error [${r.status}]: ${r.msg}`
-      if (r.status !== 404 && r.status !== 429 && r.status !== 500) {
-        break
-      }
-    }
-
-    if (!data) {
-      throw new Error(lastErr || 'Gemini generation failed')
-    }
-
-    const parts =
-      (data &&
-        data.candidates &&
-        data.candidates[0] &&
-        data.candidates[0].content &&
-        data.candidates[0].content.parts) ||
-      []
-
-    const imageParts = parts.filter(
-      p =>
-        (p.inlineData && p.inlineData.data) ||
-        (p.inline_data && p.inline_data.data)
-    )
-
-    if (imageParts.length === 0) {
-      const maybeText = parts
-        .map(p => p.text)
-        .filter(Boolean)
-        .join('\n')
-      throw new Error(
-        `Gemini returned no image data for input ${i}. ${maybeText ? `Notes: ${maybeText}` : ''}`
-      )
-    }
-
-    for (let j = 0; j < imageParts.length; j++) {
-      const part = imageParts[j]
-      const outB64 = part.inlineData?.data || part.inline_data?.data
-      const outMime =
-        part.inlineData?.mimeType || part.inline_data?.mime_type || 'image/png'
-      const buffer = Buffer.from(outB64, 'base64')
-      const ext = guessExtensionFromInlineMime(outMime)
-      const filename = `enhanced-${i + 1}${imageParts.length > 1 ? `-${j + 1}` : ''}.${ext}`
-      results.push({ filename, buffer })
-    }
-  }
-
-  return results
-}
-
-function guessExtensionFromInlineMime(mime) {
-  if (mime.includes('png')) return 'png'
-  if (mime.includes('webp')) return 'webp'
-  return 'jpg'
-}
-
-async function safeReadText(resp) {
-  try {
-    return await resp.text()
-  } catch {
-    return ''
-  }
-}
-
-// Build a minimal ZIP (store method) from an array of { filename, buffer }
-function createZipFromFiles(files) {
-  const encoder = new TextEncoder()
-
-  const localFileHeaders = []
-  const centralDirectory = []
-  let offset = 0
-  const fileDataSegments = []
-
-  for (const { filename, buffer } of files) {
-    const nameBytes = encoder.encode(filename)
-    const crc = crc32(buffer)
-    const size = buffer.length >>> 0
-
-    const dos = dosDateTime(new Date())
-    const modTime = dos.time
-    const modDate = dos.date
-
-    // Local file header
-    const lf = new Uint8Array(30 + nameBytes.length)
-    const dv = new DataView(lf.buffer)
-
-    writeUint32LE(dv, 0, 0x04034b50) // local file header signature
-    writeUint16LE(dv, 4, 20) // version needed to extract
-    writeUint16LE(dv, 6, 0) // general purpose bit flag
-    writeUint16LE(dv, 8, 0) // compression (0 = store)
-    writeUint16LE(dv, 10, modTime)
-    writeUint16LE(dv, 12, modDate)
-    writeUint32LE(dv, 14, crc >>> 0)
-    writeUint32LE(dv, 18, size)
-    writeUint32LE(dv, 22, size)
-    writeUint16LE(dv, 26, nameBytes.length)
-    writeUint16LE(dv, 28, 0) // extra length
-    lf.set(nameBytes, 30)
-
-    localFileHeaders.push(lf)
-    fileDataSegments.push(new Uint8Array(buffer))
-
-    // Central directory header
-    const cd = new Uint8Array(46 + nameBytes.length)
-    const cdv = new DataView(cd.buffer)
-    writeUint32LE(cdv, 0, 0x02014b50) // central dir signature
-    writeUint16LE(cdv, 4, 20) // version made by
-    writeUint16LE(cdv, 6, 20) // version needed
-    writeUint16LE(cdv, 8, 0) // flags
-    writeUint16LE(cdv, 10, 0) // compression
-    writeUint16LE(cdv, 12, modTime)
-    writeUint16LE(cdv, 14, modDate)
-    writeUint32LE(cdv, 16, crc >>> 0)
-    writeUint32LE(cdv, 20, size)
-    writeUint32LE(cdv, 24, size)
-    writeUint16LE(cdv, 28, nameBytes.length)
-    writeUint16LE(cdv, 30, 0) // extra len
-    writeUint16LE(cdv, 32, 0) // comment len
-    writeUint16LE(cdv, 34, 0) // disk number start
-    writeUint16LE(cdv, 36, 0) // internal attrs
-    writeUint32LE(cdv, 38, 0) // external attrs
-    writeUint32LE(cdv, 42, offset) // relative offset of local header
-    cd.set(nameBytes, 46)
-
-    centralDirectory.push(cd)
-
-    // Update offset by size of local header + file name + data
-    offset += lf.length + size
-  }
-
-  // Concatenate local file headers + data
-  const localAndData = concatUint8(localFileHeaders.concat(fileDataSegments))
-
-  // Concatenate central directory
-  const central = concatUint8(centralDirectory)
-
-  // End of central directory
-  const end = new Uint8Array(22)
-  const endv = new DataView(end.buffer)
-  writeUint32LE(endv, 0, 0x06054b50)
-  writeUint16LE(endv, 4, 0) // number of this disk
-  writeUint16LE(endv, 6, 0) // disk with start of central directory
-  writeUint16LE(endv, 8, files.length)
-  writeUint16LE(endv, 10, files.length)
-  writeUint32LE(endv, 12, central.length)
-  writeUint32LE(endv, 16, localAndData.length)
-  writeUint16LE(endv, 20, 0) // comment length
-
-  // Final ZIP buffer
-  const zip = concatUint8([localAndData, central, end])
-  return Buffer.from(zip.buffer, zip.byteOffset, zip.byteLength)
-}
-
-function concatUint8(chunks) {
-  let total = 0
-  for (const c of chunks) total += c.length
-  const out = new Uint8Array(total)
-  let offset = 0
-  for (const c of chunks) {
-    out.set(c, offset)
-    offset += c.length
-  }
-  return out
-}
-
-function writeUint16LE(dv, offset, value) {
-  dv.setUint16(offset, value & 0xffff, true)
-}
-function writeUint32LE(dv, offset, value) {
-  dv.setUint32(offset, value >>> 0, true)
-}
-
-function dosDateTime(date) {
-  const year = date.getUTCFullYear()
-  const month = date.getUTCMonth() + 1
-  const day = date.getUTCDate()
-  const hours = date.getUTCHours()
-  const minutes = date.getUTCMinutes()
-  const seconds = Math.floor(date.getUTCSeconds() / 2)
-  const dosTime = (hours << 11) | (minutes << 5) | seconds
-  const dosDate = ((year - 1980) << 9) | (month << 5) | day
-  return { time: dosTime & 0xffff, date: dosDate & 0xffff }
-}
-
-// CRC32 implementation (IEEE 802.3)
-const CRC_TABLE = (() => {
-  const table = new Uint32Array(256)
-  for (let n = 0; n < 256; n++) {
-    let c = n
-    for (let k = 0; k < 8; k++) {
-      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
-    }
-    table[n] = c >>> 0
-  }
-  return table
-})()
-
-function crc32(buf) {
-  let c = 0xffffffff
-  for (let i = 0; i < buf.length; i++) {
-    c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8)
-  }
-  return (c ^ 0xffffffff) >>> 0
-}
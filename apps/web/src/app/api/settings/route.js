@@ -0,0 +1,68 @@
+import sql from '@/app/api/utils/sql'
+import { auth } from '@/auth'
+import { UpdateSettingsSchema } from '@/schemas/api'
+import { logError } from '@/app/api/utils/logger.js'
+
+// The signed-in user's defaults for new jobs. Users without a settings row
+// get the built-in defaults.
+export async function GET(request) {
+  let userId = null
+  try {
+    const session = await auth()
+    userId = session?.user?.id || null
+    if (!userId) {
+      return Response.json({ error: 'Not authenticated' }, { status: 401 })
+    }
+
+    const rows =
+      await sql`SELECT output_profile FROM user_settings WHERE user_id = ${userId}`
+    return Response.json({
+      settings: { outputProfile: rows[0]?.output_profile || null },
+    })
+  } catch (error) {
+    logError(error, request, { apiRoute: 'settings', userId, statusCode: 500 })
+    return Response.json({ error: 'Internal server error' }, { status: 500 })
+  }
+}
+
+export async function PATCH(request) {
+  let userId = null
+  try {
+    const session = await auth()
+    userId = session?.user?.id || null
+    if (!userId) {
+      return Response.json({ error: 'Not authenticated' }, { status: 401 })
+    }
+
+    const body = await request.json().catch(() => ({}))
+    const validation = UpdateSettingsSchema.safeParse(body)
+    if (!validation.success) {
+      return Response.json(
+        {
+          error: 'Validation failed',
+          details: validation.error.issues.map(issue => ({
+            field: issue.path.join('.'),
+            message: issue.message,
+          })),
+        },
+        { status: 400 }
+      )
+    }
+    const { outputProfile } = validation.data
+
+    const rows = await sql`
+      INSERT INTO user_settings (user_id, output_profile)
+      VALUES (${userId}, ${outputProfile})
+      ON CONFLICT (user_id) DO UPDATE
+      SET output_profile = EXCLUDED.output_profile, updated_at = CURRENT_TIMESTAMP
+      RETURNING output_profile
+    `
+    return Response.json({
+      success: true,
+      settings: { outputProfile: rows[0].output_profile || null },
+    })
+  } catch (error) {
+    logError(error, request, { apiRoute: 'settings', userId, statusCode: 500 })
+    return Response.json({ error: 'Internal server error' }, { status: 500 })
+  }
+}
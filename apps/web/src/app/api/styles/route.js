@@ -0,0 +1,9 @@
+import { STYLES } from '@/utils/styles'
+
+// Public catalog of staging styles for the upload page style picker
+export async function GET() {
+  return Response.json(
+    { success: true, styles: STYLES },
+    { headers: { 'Cache-Control': 'public, max-age=3600' } }
+  )
+}
@@ -0,0 +1,30 @@
+import sql from '@/app/api/utils/sql'
+
+/**
+ * The brokerage a user belongs to, with their role in it and its disclosure
+ * rules, or null for independent users.
+ * @param {string} userId
+ * @returns {Promise<{ id: number, name: string, role: string, requireDisclosure: boolean, disclosure: Object|null }|null>}
+ */
+export async function loadBrokerage(userId) {
+  const rows = await sql`
+    SELECT b.id, b.name, b.require_disclosure, b.disclosure, m.role
+    FROM brokerage_members m
+    JOIN brokerages b ON b.id = m.brokerage_id
+    WHERE m.user_id = ${userId}
+  `
+  return rows[0] ? formatBrokerage(rows[0]) : null
+}
+
+/**
+ * Shapes a brokerages row (with the member's `role`) for API responses.
+ */
+export function formatBrokerage(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    requireDisclosure: row.require_disclosure,
+    disclosure: row.disclosure || null,
+  }
+}
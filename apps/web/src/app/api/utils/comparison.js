@@ -0,0 +1,105 @@
+import sharp from 'sharp'
+
+// Space between the two photos of a side-by-side composite
+const GAP = 16
+// Width of the divider line of a split composite
+const DIVIDER = 4
+
+/**
+ * Renders a "before | after" composite of a photo for sharing. The enhanced
+ * image sets the size; the original is scaled to match it.
+ *
+ * - `side_by_side`: the original and the enhanced photo next to each other,
+ *   both at the enhanced photo's height.
+ * - `split`: one frame, the left half from the original and the right half
+ *   from the enhanced photo, with a divider line between them.
+ *
+ * Both halves are labelled. The composite is a JPEG, since it is meant for
+ * posting rather than editing.
+ * @param {{ before: Buffer, after: Buffer, layout: 'side_by_side'|'split' }} images
+ * @returns {Promise<Buffer>}
+ */
+export async function renderComparison({ before, after, layout }) {
+  const { width, height } = (await sharp(after).metadata()).autoOrient
+  const label = Math.round(height / 30)
+
+  if (layout === 'split') {
+    const half = Math.floor(width / 2)
+    const left = await sharp(before)
+      .autoOrient()
+      .resize(width, height, { fit: 'cover' })
+      .extract({ left: 0, top: 0, width: half, height })
+      .toBuffer()
+    return sharp(after)
+      .autoOrient()
+      .composite([
+        { input: left, left: 0, top: 0 },
+        {
+          input: {
+            create: {
+              width: DIVIDER,
+              height,
+              channels: 3,
+              background: '#FFFFFF',
+            },
+          },
+          left: Math.max(0, half - DIVIDER / 2),
+          top: 0,
+        },
+        ...labels(label, half, [0, half + DIVIDER / 2]),
+      ])
+      .flatten({ background: '#FFFFFF' })
+      .jpeg({ quality: 90 })
+      .toBuffer()
+  }
+
+  if (layout === 'side_by_side') {
+    const left = await sharp(before)
+      .autoOrient()
+      .resize({ height })
+      .toBuffer({ resolveWithObject: true })
+    const right = await sharp(after).autoOrient().toBuffer()
+    const leftWidth = left.info.width
+    return sharp({
+      create: {
+        width: leftWidth + GAP + width,
+        height,
+        channels: 3,
+        background: '#FFFFFF',
+      },
+    })
+      .composite([
+        { input: left.data, left: 0, top: 0 },
+        { input: right, left: leftWidth + GAP, top: 0 },
+        ...labels(label, Math.min(leftWidth, width), [0, leftWidth + GAP]),
+      ])
+      .jpeg({ quality: 90 })
+      .toBuffer()
+  }
+
+  throw new Error(`Unknown comparison layout: ${layout}`)
+}
+
+// "BEFORE" and "AFTER" caption badges inset into the top-left corner of each
+// half. Left out when the photo is too small for them to fit.
+function labels(size, halfWidth, [beforeLeft, afterLeft]) {
+  const before = badge('BEFORE', size)
+  const after = badge('AFTER', size)
+  if (size < 10 || before.width + size * 2 > halfWidth) return []
+  return [
+    { input: before.svg, left: beforeLeft + size, top: size },
+    { input: after.svg, left: afterLeft + size, top: size },
+  ]
+}
+
+// A dark rounded badge with white text
+function badge(text, size) {
+  const padding = Math.round(size / 2)
+  const width = Math.round(text.length * size * 0.7) + padding * 2
+  const height = size + padding * 2
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <rect width="100%" height="100%" rx="${padding}" fill="#000000" fill-opacity="0.6"/>
+  <text x="50%" y="50%" dominant-baseline="central" text-anchor="middle" font-family="sans-serif" font-weight="bold" font-size="${size}" fill="#FFFFFF">${text}</text>
+</svg>`
+  return { svg: Buffer.from(svg), width }
+}
@@ -0,0 +1,84 @@
+import sharp from 'sharp'
+import { encodeAs } from '@/app/api/utils/metadata'
+
+// Gap between the label and the edges of the photo, in font sizes
+const MARGIN = 0.8
+
+/**
+ * Stamps a job's disclosure (src/utils/disclosures.ts), e.g. "Virtually
+ * Staged", into a corner of an enhanced photo. The label is a dark rounded
+ * badge scaled to the photo and drawn at the disclosure's opacity; text too
+ * long for the photo is squeezed to fit rather than cut off. The output
+ * keeps its format.
+ * @param {{ buffer: Buffer, mimeType: string }} output
+ * @param {{ text: string, corner: string, opacity: number }} disclosure
+ * @returns {Promise<{ buffer: Buffer, mimeType: string }>}
+ */
+export async function applyDisclosure(output, disclosure) {
+  // Dimensions as displayed, i.e. after EXIF orientation is applied
+  const { width, height } = (await sharp(output.buffer).metadata()).autoOrient
+  const label = labelSvg(disclosure, width, height)
+  const [vertical, horizontal] = disclosure.corner.split('_')
+  const buffer = await encodeAs(
+    sharp(output.buffer)
+      .autoOrient()
+      .composite([
+        {
+          input: label.svg,
+          left: Math.max(
+            0,
+            horizontal === 'left'
+              ? label.margin
+              : width - label.width - label.margin
+          ),
+          top: Math.max(
+            0,
+            vertical === 'top'
+              ? label.margin
+              : height - label.height - label.margin
+          ),
+        },
+      ]),
+    output.mimeType || ''
+  )
+  return { ...output, buffer }
+}
+
+function labelSvg({ text, opacity }, width, height) {
+  const size = Math.max(10, Math.round(Math.min(width, height) / 24))
+  const padding = Math.round(size / 2)
+  const margin = Math.round(size * MARGIN)
+  const textWidth = Math.round(text.length * size * 0.6)
+  const labelWidth = Math.min(
+    textWidth + padding * 2,
+    Math.max(1, width - margin * 2)
+  )
+  const labelHeight = Math.min(
+    size + padding * 2,
+    Math.max(1, height - margin * 2)
+  )
+  const fit =
+    textWidth + padding * 2 > labelWidth
+      ? ` textLength="${labelWidth - padding * 2}" lengthAdjust="spacingAndGlyphs"`
+      : ''
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${labelWidth}" height="${labelHeight}">
+  <g opacity="${opacity}">
+    <rect width="100%" height="100%" rx="${padding}" fill="#000000" fill-opacity="0.65"/>
+    <text x="50%" y="50%" dominant-baseline="central" text-anchor="middle" font-family="sans-serif" font-weight="bold" font-size="${size}" fill="#FFFFFF"${fit}>${escapeXml(text)}</text>
+  </g>
+</svg>`
+  return {
+    svg: Buffer.from(svg),
+    width: labelWidth,
+    height: labelHeight,
+    margin,
+  }
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
@@ -0,0 +1,887 @@
+import upload from '@/app/api/utils/upload'
+import { createZipStream } from '@/app/api/utils/zip'
+import { compositeMasked, isMaskEmpty } from '@/app/api/utils/mask'
+import { renderComparison } from '@/app/api/utils/comparison'
+import { renderWatermarkedPreview } from '@/app/api/utils/watermark'
+import { transcodeToProfile } from '@/app/api/utils/transcode'
+import { normalizeUpload } from '@/app/api/utils/heic'
+import {
+  fetchImage,
+  inspectImage,
+  MAX_IMAGE_BYTES,
+} from '@/app/api/utils/imageFile'
+import { applyDisclosure } from '@/app/api/utils/disclosure'
+import { describePhoto, manifestFiles } from '@/app/api/utils/manifest'
+import { resultCacheKey } from '@/app/api/utils/resultCache'
+import {
+  structureMinScore,
+  structureRetries,
+  structureScore,
+} from '@/app/api/utils/fidelity'
+import {
+  copyMetadata,
+  normalizeOrientation,
+  outputMetadataFields,
+  readPhotoMetadata,
+} from '@/app/api/utils/metadata'
+import { logError, logEvent } from '@/utils/logger'
+import { buildRoomPrompt } from '@/utils/rooms'
+import { getOperation } from '@/utils/operations'
+
+// Photos enhanced at the same time. Each one holds a source image and its
+// output in memory, and Gemini rate-limits bursts, so keep this modest.
+const DEFAULT_CONCURRENCY = 4
+// Overall budget for a job's photos
+const DEFAULT_DEADLINE_MS = 10 * 60 * 1000
+// Budget for packaging the ZIP once the photos are done. Together with the
+// photos' budget it stays under the queue's stale-lock window (15 minutes),
+// so a slow job is never reclaimed while still running.
+const ZIP_DEADLINE_MS = 4 * 60 * 1000
+
+/**
+ * Runs the enhancement pipeline for a job's photos. Each photo succeeds or
+ * fails on its own: a failed enhancement marks that item failed and the batch
+ * carries on. Completed photos are uploaded individually and packaged into the
+ * job ZIP.
+ *
+ * Up to `concurrency` photos are enhanced at once. Photos still unfinished when
+ * the job deadline passes are aborted and marked `timed_out`.
+ *
+ * `isCancelled` is asked before each photo starts. Once the job is cancelled
+ * the photos that haven't started are marked `cancelled` and skipped, while
+ * those already being enhanced finish. A cancelled job may complete no photos
+ * at all, in which case there is nothing to package.
+ *
+ * Items already `completed` (e.g. from an earlier, interrupted attempt) are
+ * not regenerated.
+ *
+ * Outputs aren't kept in memory: once every photo is done, the ZIP is built
+ * from the stored outputs as rebuildJobZip does, within its own deadline.
+ *
+ * When the provider can classify photos, each one is labelled with a room type
+ * first and, with `roomPrompts`, enhanced with that room's prompt template
+ * added to `prompt`. Items may carry their own `prompt` and `roomPrompts`
+ * when their operation differs from the job's.
+ *
+ * An item with `variations` > 1 gets that many alternatives, all uploaded and
+ * reported through `outputUrls`. The first is selected by default and is the
+ * one that goes into the ZIP; rebuildJobZip repackages after the user picks
+ * another.
+ *
+ * An item with a `maskUrl` is only edited inside the mask (see mask.js):
+ * everything outside it is pasted back from the source photo.
+ *
+ * Files in the ZIP are named after the item's `originalName` and operation,
+ * e.g. `kitchen-staged.jpg`, or `enhanced-N` for photos without a name.
+ *
+ * With a `comparison` layout, the ZIP also gets a "before | after" composite
+ * of each completed photo (see comparison.js). A composite that can't be
+ * rendered is left out; the photo itself still counts as completed.
+ *
+ * With an `outputProfile`, the photos in the ZIP are re-encoded to that
+ * profile (see transcode.js); the stored outputs stay as generated. A photo
+ * that can't be re-encoded fails like one that couldn't be enhanced.
+ *
+ * The ZIP ends with manifest.json and manifest.csv (see manifest.js), listing
+ * each photo's original and output names, operation, style, prompt, room
+ * type, dimensions and checksum under `jobId`.
+ *
+ * With a `disclosure` (src/utils/disclosures.ts), every output is labelled,
+ * e.g. "Virtually Staged", and carries the same text as its description (see
+ * disclosure.js). The label is part of the stored output, so previews,
+ * regenerations and the ZIP all show it.
+ *
+ * With a `cache` (see resultCache.js), a variation generated before from the
+ * same source, mask, prompt, operation and model is reused without calling
+ * the provider; `cachedVariations` reports how many were, for billing.
+ *
+ * Each new output is checked against its source for moved or missing
+ * architecture (see fidelity.js) and generated again, up to
+ * STRUCTURE_RETRIES times, if it fails. `structure` reports each output's
+ * score and whether it still `changed` the structure, so the photo can be
+ * regenerated for free.
+ *
+ * A `preview` run builds no ZIP. Each completed photo also gets a reduced,
+ * watermarked copy (`previewUrl`), and those copies are the previews; the
+ * full outputs are stored but only delivered once the job is unlocked.
+ *
+ * @param {Object} options
+ * @param {Array<{ id: number|null, position: number, sourceUrl: string, originalName?: string|null, operation?: string, status?: string, outputUrl?: string|null, roomType?: string|null, prompt?: string|null, roomPrompts?: boolean, variations?: number, maskUrl?: string|null }>} options.items
+ * @param {string} options.prompt
+ * @param {number|null} [options.jobId] - For the manifest
+ * @param {string|null} [options.styleId] - For the manifest
+ * @param {boolean} [options.roomPrompts] - Add room templates to the prompt; off for operations that do not stage
+ * @param {string|null} [options.comparison] - Comparison layout id (src/utils/comparisons.ts)
+ * @param {string|null} [options.outputProfile] - Output profile id (src/utils/outputProfiles.ts)
+ * @param {{ text: string, corner: string, opacity: number }|null} [options.disclosure] - Label stamped on every output
+ * @param {boolean} [options.preview] - Watermarked previews only, no ZIP
+ * @param {import('./providers/index.js').EnhancementProvider} options.provider
+ * @param {import('./resultCache.js').ResultCache|null} [options.cache]
+ * @param {(item: Object, update: { status: string, outputUrl?: string, outputUrls?: string[], structure?: Array<{ score: number|null, changed: boolean }>, cachedVariations?: number, previewUrl?: string, error?: string, roomType?: string }) => Promise<void>} [options.onItemUpdate]
+ *   Persists each item's state change as it happens
+ * @param {() => Promise<boolean>} [options.isCancelled] - Whether the job was cancelled
+ * @param {number} [options.concurrency] - Defaults to ENHANCE_CONCURRENCY, then 4
+ * @param {number} [options.deadlineMs] - Defaults to ENHANCE_JOB_TIMEOUT_SECONDS, then 10 minutes
+ * @returns {Promise<{ downloadUrl: string|null, previewUrls: string[], items: Array<Object> }>}
+ */
+export async function runPhotoPipeline({
+  items,
+  prompt,
+  jobId = null,
+  styleId = null,
+  roomPrompts = true,
+  comparison = null,
+  outputProfile = null,
+  disclosure = null,
+  preview = false,
+  provider,
+  cache = null,
+  onItemUpdate,
+  isCancelled = null,
+  concurrency = envNumber('ENHANCE_CONCURRENCY', DEFAULT_CONCURRENCY),
+  deadlineMs = envNumber(
+    'ENHANCE_JOB_TIMEOUT_SECONDS',
+    DEFAULT_DEADLINE_MS / 1000
+  ) * 1000,
+}) {
+  const signal = AbortSignal.timeout(deadlineMs)
+  const timeoutMessage = `Timed out: job exceeded its ${Math.round(deadlineMs / 1000)}s processing budget`
+
+  // Results are kept in item order so the ZIP matches the upload order
+  const results = await mapWithConcurrency(items, concurrency, async item => {
+    // Done in an earlier attempt. Its output (and any watermarked copy) is
+    // already stored, and the ZIP reads it back from there.
+    if (item.status === 'completed' && item.outputUrl) {
+      return { result: { ...item } }
+    }
+
+    if (signal.aborted) {
+      const update = { status: 'timed_out', error: timeoutMessage }
+      await onItemUpdate?.(item, update)
+      return { result: { ...item, ...update } }
+    }
+
+    if (item.status === 'cancelled' || (await isCancelled?.())) {
+      const update = { status: 'cancelled' }
+      await onItemUpdate?.(item, update)
+      return { result: { ...item, ...update } }
+    }
+
+    await onItemUpdate?.(item, { status: 'processing' })
+    try {
+      const { roomType, files, outputUrls, cachedVariations } =
+        await enhanceAndStore({
+          item,
+          prompt: item.prompt || prompt,
+          roomPrompts: item.roomPrompts ?? roomPrompts,
+          variations: item.variations,
+          disclosure,
+          provider,
+          cache,
+          signal,
+        })
+
+      const update = {
+        status: 'completed',
+        outputUrl: outputUrls[0],
+        outputUrls,
+        structure: files.map(file => file.structure),
+        cachedVariations,
+        error: null,
+        roomType,
+      }
+      const { buffer } = files[0]
+      if (preview) {
+        update.previewUrl = await uploadPreview(buffer)
+        await onItemUpdate?.(item, update)
+        return { result: { ...item, ...update } }
+      }
+      // Encoded before the photo is recorded as completed, so a failure
+      // here fails the photo rather than the ZIP, which encodes it again
+      await outputFile({ ...item, ...update }, buffer, outputProfile)
+      await onItemUpdate?.(item, update)
+      return { result: { ...item, ...update } }
+    } catch (error) {
+      const update = signal.aborted
+        ? { status: 'timed_out', error: timeoutMessage }
+        : {
+            status: 'failed',
+            error: error instanceof Error ? error.message : String(error),
+          }
+      await onItemUpdate?.(item, update)
+      return { result: { ...item, ...update } }
+    }
+  })
+
+  const completed = results
+    .map(r => r.result)
+    .filter(item => item.status === 'completed')
+  const cancelled = results.some(r => r.result.status === 'cancelled')
+  if (completed.length === 0 && cancelled) {
+    return {
+      downloadUrl: null,
+      previewUrls: [],
+      items: results.map(r => r.result),
+    }
+  }
+  if (completed.length === 0) {
+    const firstError = results.find(r => r.result.error)?.result.error
+    throw new Error(
+      firstError || 'No images returned from the enhancement provider'
+    )
+  }
+
+  if (preview) {
+    return {
+      downloadUrl: null,
+      previewUrls: completed.map(item => item.previewUrl),
+      items: results.map(r => r.result),
+    }
+  }
+
+  // Package the selected images into a ZIP and upload it
+  const { downloadUrl, previewUrls } = await rebuildJobZip(completed, {
+    comparison,
+    outputProfile,
+    jobId,
+    styleId,
+    prompt,
+    signal: AbortSignal.timeout(ZIP_DEADLINE_MS),
+  })
+  return { downloadUrl, previewUrls, items: results.map(r => r.result) }
+}
+
+/**
+ * Re-runs a single completed photo outside the queue, producing one new
+ * output. The stored room type is reused rather than classified again.
+ * @param {Object} options
+ * @param {{ position: number, sourceUrl: string, roomType?: string|null, roomPrompts?: boolean, maskUrl?: string|null }} options.item
+ * @param {string} options.prompt
+ * @param {number} options.variant - Variation number of the new output, so providers can vary it
+ * @param {{ text: string, corner: string, opacity: number }|null} [options.disclosure] - The job's disclosure label
+ * @param {import('./providers/index.js').EnhancementProvider} options.provider
+ * @param {number} [options.deadlineMs] - Defaults to ENHANCE_JOB_TIMEOUT_SECONDS, then 10 minutes
+ * @returns {Promise<{ outputUrl: string, roomType: string|null, structure: { score: number|null, changed: boolean } }>}
+ */
+export async function regeneratePhoto({
+  item,
+  prompt,
+  variant,
+  disclosure = null,
+  provider,
+  deadlineMs = envNumber(
+    'ENHANCE_JOB_TIMEOUT_SECONDS',
+    DEFAULT_DEADLINE_MS / 1000
+  ) * 1000,
+}) {
+  const { outputUrls, roomType, files } = await enhanceAndStore({
+    item,
+    prompt,
+    roomPrompts: item.roomPrompts ?? true,
+    firstVariant: variant,
+    disclosure,
+    provider,
+    signal: AbortSignal.timeout(deadlineMs),
+  })
+  return {
+    outputUrl: outputUrls[0],
+    roomType,
+    structure: files[0].structure,
+  }
+}
+
+// Classifies the room, enhances the photo with the room-specific prompt, then
+// uploads every variation so the user can pick between them later. Cached
+// variations keep their stored URL; new ones are added to the cache unless
+// they changed the structure, so a repeat request tries again.
+async function enhanceAndStore({
+  item,
+  prompt,
+  roomPrompts,
+  variations,
+  firstVariant,
+  disclosure = null,
+  provider,
+  cache = null,
+  signal,
+}) {
+  const { roomType, files } = await enhanceImage({
+    srcUrl: item.sourceUrl,
+    maskUrl: item.maskUrl,
+    index: item.position,
+    prompt,
+    operation: item.operation,
+    roomType: item.roomType,
+    roomPrompts,
+    variations,
+    firstVariant,
+    disclosure,
+    provider,
+    cache,
+    signal,
+  })
+
+  const outputUrls = []
+  for (const file of files) {
+    if (file.cachedUrl) {
+      outputUrls.push(file.cachedUrl)
+      continue
+    }
+    const { url } = await upload({ buffer: file.buffer })
+    if (!url) {
+      throw new Error('Output upload did not return a URL')
+    }
+    outputUrls.push(url)
+    if (cache && file.cacheKey && !file.structure.changed) {
+      await writeCache(cache, file.cacheKey, { outputUrl: url, roomType })
+    }
+  }
+  const cachedVariations = files.filter(file => file.cachedUrl).length
+  return { roomType, files, outputUrls, cachedVariations }
+}
+
+async function writeCache(cache, key, result) {
+  try {
+    await cache.set(key, result)
+  } catch (error) {
+    logError(error, {
+      component: 'photo-pipeline',
+      errorType: 'result_cache_error',
+    })
+  }
+}
+
+/**
+ * Repackages a job's ZIP from the stored outputs of its completed items, e.g.
+ * after the user selects a different variation. Comparison composites are
+ * rendered again from the selected outputs, and photos re-encoded to the
+ * output profile, and the manifest written again.
+ * @param {Array<{ position: number, sourceUrl?: string, originalName?: string|null, operation?: string, prompt?: string|null, roomType?: string|null, outputUrl: string }>} items - Completed items in photo order
+ * @param {{ comparison?: string|null, outputProfile?: string|null, jobId?: number|null, styleId?: string|null, prompt?: string|null, signal?: AbortSignal }} [options] - `signal` abandons the downloads and the upload
+ * @returns {Promise<{ downloadUrl: string, previewUrls: string[] }>}
+ */
+export async function rebuildJobZip(
+  items,
+  {
+    comparison = null,
+    outputProfile = null,
+    jobId = null,
+    styleId = null,
+    prompt = null,
+    signal,
+  } = {}
+) {
+  // Outputs are downloaded as the ZIP streams, one photo at a time
+  async function* files() {
+    for (const item of items) {
+      const buffer = await downloadOutput(item.outputUrl, { signal })
+      yield await outputFile(item, buffer, outputProfile)
+      yield* await comparisonFiles({ item, after: buffer, comparison, signal })
+    }
+  }
+  const downloadUrl = await uploadZip(files(), {
+    jobId,
+    styleId,
+    prompt,
+    signal,
+  })
+  return { downloadUrl, previewUrls: previewUrlsFor(items) }
+}
+
+// Streams the ZIP to upload storage as it is written, for a public URL. The
+// photos' entries (those with an `item`) are described in the manifest.
+async function uploadZip(files, { jobId, styleId, prompt, signal }) {
+  const rename = filenameDeduplicator()
+  async function* named() {
+    const photos = []
+    for await (const file of files) {
+      const { filename, buffer, item } = rename(file)
+      if (item) {
+        photos.push(
+          await describePhoto({ item, filename, buffer, prompt, styleId })
+        )
+      }
+      yield { filename, buffer }
+    }
+    yield* manifestFiles({ jobId, generatedAt: new Date(), photos }).map(rename)
+  }
+  // fetch reports a failed body only as "fetch failed", so keep the cause
+  let failure = null
+  const stream = createZipStream(named()).on('error', error => {
+    failure = error
+  })
+  let url
+  try {
+    ;({ url } = await upload({ stream, signal }))
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new Error('Timed out: the job ZIP took too long to package')
+    }
+    throw failure || error
+  }
+  if (!url) {
+    throw new Error('ZIP upload did not return a URL')
+  }
+  return url
+}
+
+// The watermarked stand-in for an output that hasn't been paid for
+async function uploadPreview(buffer) {
+  const { url } = await upload({
+    buffer: await renderWatermarkedPreview(buffer),
+  })
+  if (!url) {
+    throw new Error('Preview upload did not return a URL')
+  }
+  return url
+}
+
+// Uploads may share a name, so repeats get a number: `kitchen-staged (2).jpg`
+export function uniqueFilenames(files) {
+  return files.map(filenameDeduplicator())
+}
+
+// Renames each file it's given whose name was seen before
+function filenameDeduplicator() {
+  const taken = new Set()
+  return file => {
+    let { filename } = file
+    const dot = filename.lastIndexOf('.')
+    const [stem, ext] =
+      dot > 0 ? [filename.slice(0, dot), filename.slice(dot)] : [filename, '']
+    for (let n = 2; taken.has(filename.toLowerCase()); n++) {
+      filename = `${stem} (${n})${ext}`
+    }
+    taken.add(filename.toLowerCase())
+    return { ...file, filename }
+  }
+}
+
+// Up to two outputs double as previews for the results page
+function previewUrlsFor(completedItems) {
+  return completedItems.slice(0, 2).map(item => item.outputUrl)
+}
+
+/**
+ * Maps `fn` over `list` with at most `limit` calls in flight, preserving order.
+ */
+export async function mapWithConcurrency(list, limit, fn) {
+  const out = new Array(list.length)
+  let next = 0
+  const worker = async () => {
+    while (next < list.length) {
+      const i = next++
+      out[i] = await fn(list[i], i)
+    }
+  }
+  const size = Math.max(1, Math.min(limit || 1, list.length))
+  await Promise.all(Array.from({ length: size }, worker))
+  return out
+}
+
+// The "before | after" composite of one photo, as a list of zero or one ZIP
+// entries. The "before" half is fetched from the item's source.
+async function comparisonFiles({ item, after, comparison, signal }) {
+  if (!comparison) return []
+  try {
+    const buffer = await renderComparison({
+      before: await downloadSource(item.sourceUrl, { signal }),
+      after,
+      layout: comparison,
+    })
+    const stem = fileStem(item.originalName)
+    const filename = stem
+      ? `${stem}-before-after.jpg`
+      : `before-after-${item.position + 1}.jpg`
+    return [{ filename, buffer }]
+  } catch (error) {
+    logError(error, {
+      component: 'photo-pipeline',
+      errorType: 'comparison_error',
+      position: item.position,
+      comparison,
+    })
+    return []
+  }
+}
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name])
+  return Number.isFinite(value) && value > 0 ? value : fallback
+}
+
+// Outputs are capped like uploads, so a bad URL can't exhaust memory
+async function downloadOutput(url, { signal } = {}) {
+  const res = await fetch(url, { signal })
+  if (!res.ok) {
+    throw new Error(`Failed to fetch stored output: ${res.status}`)
+  }
+  const tooLarge = bytes =>
+    new Error(
+      `Stored output too large: ${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    )
+  const contentLength = Number(res.headers.get('content-length') || 0)
+  if (contentLength > MAX_IMAGE_BYTES) throw tooLarge(contentLength)
+  const buffer = Buffer.from(await res.arrayBuffer())
+  if (buffer.length > MAX_IMAGE_BYTES) throw tooLarge(buffer.length)
+  return buffer
+}
+
+// Sources are user-supplied URLs, so they get the same checks as in enhanceImage
+async function downloadSource(url, { signal } = {}) {
+  const { validateFileUrls } = await import('@/utils/validators.ts')
+  validateFileUrls([url])
+  const { bytes, mimeType } = await fetchImage(url, { signal })
+  return (await normalizeUpload(bytes, mimeType)).bytes
+}
+
+// The ZIP entry for a photo's selected output, in the job's output profile.
+// The item goes along for the manifest.
+async function outputFile(item, buffer, outputProfile) {
+  if (!outputProfile) {
+    return { filename: outputFilename(item, buffer), buffer, item }
+  }
+  const transcoded = await transcodeToProfile(buffer, outputProfile)
+  return {
+    filename: `${outputBasename(item)}.${transcoded.extension}`,
+    buffer: transcoded.buffer,
+    item,
+  }
+}
+
+// Stored outputs are re-read by content, since upload URLs carry no extension
+function outputFilename(item, buffer) {
+  return `${outputBasename(item)}.${sniffExtension(buffer)}`
+}
+
+function sniffExtension(buffer) {
+  if (buffer[0] === 0x89 && buffer[1] === 0x50) return 'png'
+  if (buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'webp'
+  return 'jpg'
+}
+
+// Outputs are named after the uploaded file and what was done to it, so they
+// can be matched to the originals
+function outputBasename(item) {
+  const stem = fileStem(item.originalName)
+  if (!stem) return `enhanced-${item.position + 1}`
+  const suffix = getOperation(item.operation)?.fileSuffix || 'enhanced'
+  return `${stem}-${suffix}`
+}
+
+// An uploaded file name without its folder or extension, reduced to
+// characters that are safe in any ZIP tool
+function fileStem(name) {
+  if (!name) return null
+  const stem = name
+    .split(/[\\/]/)
+    .pop()
+    .replace(/\.[^.]*$/, '')
+    .replace(/[^\p{L}\p{N} ._()-]+/gu, '_')
+    .replace(/^[. ]+/, '')
+    .trim()
+    .slice(0, 100)
+  return stem || null
+}
+
+// SECURITY: SSRF protection now handled by centralized validators in @/utils/validators
+
+// Fetches a single source image and runs it through the enhancement provider.
+// `index` is the photo's zero-based position in the job, used in error messages
+// and output file names. `signal` aborts both the fetch and the provider calls.
+// A known `roomType` skips classification; the one used is returned, along
+// with the fetched `source` bytes.
+// `variations` alternatives are generated one after another from the same
+// source and prompt, numbered from `firstVariant`. With `maskUrl`, only the
+// masked region of each output is kept. The source is rotated upright before
+// enhancement, and the metadata in OUTPUT_METADATA is copied into each output
+// (see metadata.js).
+// With a `cache` (see resultCache.js), variations already generated for the
+// same photo and request are downloaded instead of generated, and come back
+// with their stored `cachedUrl`; the others carry the `cacheKey` to store
+// them under. A photo whose every variation is cached skips classification.
+// A `disclosure` is stamped on each output and written as its description.
+// Each new output carries its `structure` check (see fidelity.js); one that
+// moved the architecture is generated again, up to STRUCTURE_RETRIES times,
+// and the best attempt is kept. Cached outputs passed when they were made.
+export async function enhanceImage({
+  srcUrl,
+  maskUrl,
+  index: i,
+  prompt,
+  operation = null,
+  roomType,
+  roomPrompts = true,
+  variations = 1,
+  firstVariant = 0,
+  disclosure = null,
+  provider,
+  cache = null,
+  signal,
+}) {
+  // Import validators locally for use in this function
+  const { validateFileUrls } = await import('@/utils/validators.ts')
+
+  // SECURITY: validate again inside the generator for defense in depth
+  try {
+    validateFileUrls([srcUrl])
+  } catch (error) {
+    throw new Error(`Blocked source URL [${i + 1}]: ${error.message}`)
+  }
+
+  const imgResp = await fetch(srcUrl, { signal })
+  if (!imgResp.ok) {
+    throw new Error(
+      `Failed to fetch uploaded image [${i + 1}]: ${imgResp.status} ${imgResp.statusText}`
+    )
+  }
+  // SECURITY: optionally enforce a max size (15MB) if server returns the header
+  const contentLength = Number(imgResp.headers.get('content-length') || 0)
+  if (contentLength && contentLength > MAX_IMAGE_BYTES) {
+    throw new Error(
+      `Uploaded file too large [${i + 1}]: ${(contentLength / (1024 * 1024)).toFixed(1)} MB`
+    )
+  }
+
+  const arrayBuf = await imgResp.arrayBuffer()
+  const downloaded = Buffer.from(arrayBuf)
+
+  // If content-length header missing, still enforce size on the bytes read
+  if (downloaded.length > MAX_IMAGE_BYTES) {
+    throw new Error(
+      `Uploaded file too large after download [${i + 1}]: ${(downloaded.length / (1024 * 1024)).toFixed(1)} MB`
+    )
+  }
+
+  // SECURITY: the type comes from the bytes, not the content-type header, and
+  // the header dimensions are checked before anything decodes the photo
+  let mimeType
+  try {
+    mimeType = inspectImage(downloaded).mimeType
+  } catch (error) {
+    throw new Error(`Invalid image [${i + 1}]: ${error.message}`)
+  }
+
+  // Metadata is read before converting and rotating, which drop it
+  const metadata = await readPhotoMetadata(downloaded)
+  const metadataFields = outputMetadataFields()
+  // Providers can't read HEIC, so it is enhanced as a JPEG
+  const normalized = await normalizeUpload(downloaded, mimeType)
+  mimeType = normalized.mimeType
+  const bytes = await normalizeOrientation(normalized.bytes, mimeType)
+
+  const mask = maskUrl ? await fetchMask(maskUrl, i, signal) : null
+
+  // Keyed on the bytes as downloaded, metadata included, so a cached output
+  // never carries another photo's metadata
+  const variants = Array.from(
+    { length: variations },
+    (_, n) => firstVariant + n
+  )
+  const keys = cache
+    ? variants.map(variant =>
+        resultCacheKey({
+          source: downloaded,
+          mask,
+          prompt,
+          operation,
+          model: providerModel(provider),
+          variant,
+          roomPrompts,
+          roomType,
+          metadataFields,
+          disclosure,
+        })
+      )
+    : []
+  const hits = []
+  for (const key of keys) hits.push(await readCache(cache, key, signal))
+  const minScore = structureMinScore()
+  const retries = structureRetries()
+  const cachedCount = hits.filter(Boolean).length
+
+  const room =
+    roomType ||
+    hits.find(hit => hit?.roomType)?.roomType ||
+    (cachedCount === variations
+      ? null
+      : await classifyRoom({ bytes, mimeType, provider, signal }))
+
+  const files = []
+  for (const [n, variant] of variants.entries()) {
+    const suffix = variations > 1 ? `-${variant + 1}` : ''
+    if (hits[n]) {
+      files.push({
+        filename: `enhanced-${i + 1}${suffix}.${sniffExtension(hits[n].buffer)}`,
+        buffer: hits[n].buffer,
+        cachedUrl: hits[n].outputUrl,
+        structure: { score: null, changed: false },
+      })
+      continue
+    }
+
+    const generate = async () => {
+      const output = await provider.enhance({
+        bytes,
+        mimeType,
+        prompt: roomPrompts
+          ? buildRoomPrompt({ prompt, roomType: room })
+          : prompt,
+        mask,
+        index: i,
+        variant,
+        variations,
+        signal,
+      })
+      // Providers may stray outside the mask, so enforce it on the pixels
+      if (!mask) return output
+      return compositeMasked({ original: bytes, output: output.buffer, mask })
+    }
+    const changed = score => score != null && score < minScore
+    let output = await generate()
+    let score = await checkStructure(bytes, output, minScore, provider)
+    for (let retry = 1; changed(score) && retry <= retries; retry++) {
+      const candidate = await generate()
+      const candidateScore = await checkStructure(
+        bytes,
+        candidate,
+        minScore,
+        provider
+      )
+      if (candidateScore > score) {
+        output = candidate
+        score = candidateScore
+      }
+    }
+    const structure = { score, changed: changed(score) }
+    if (structure.changed) {
+      logEvent('structure_changed', {
+        component: 'photo-pipeline',
+        provider: provider.name,
+        score,
+        attempts: retries + 1,
+      })
+    }
+
+    if (disclosure) output = await applyDisclosure(output, disclosure)
+    output = await copyMetadata(output, metadata, metadataFields, {
+      description: disclosure?.text,
+    })
+    const ext = guessExtensionFromMime(output.mimeType || '')
+    files.push({
+      filename: `enhanced-${i + 1}${suffix}.${ext}`,
+      buffer: output.buffer,
+      cacheKey: keys[n],
+      structure,
+    })
+  }
+  return { files, roomType: room, source: bytes }
+}
+
+// Masks come from the same upload storage as photos and get the same checks
+async function fetchMask(maskUrl, i, signal) {
+  const { validateFileUrls } = await import('@/utils/validators.ts')
+  try {
+    validateFileUrls([maskUrl])
+  } catch (error) {
+    throw new Error(`Blocked mask URL [${i + 1}]: ${error.message}`)
+  }
+
+  const res = await fetch(maskUrl, { signal })
+  if (!res.ok) {
+    throw new Error(
+      `Failed to fetch mask [${i + 1}]: ${res.status} ${res.statusText}`
+    )
+  }
+  const contentLength = Number(res.headers.get('content-length') || 0)
+  if (contentLength > MAX_IMAGE_BYTES) {
+    throw new Error(
+      `Mask too large [${i + 1}]: ${(contentLength / (1024 * 1024)).toFixed(1)} MB`
+    )
+  }
+  const bytes = Buffer.from(await res.arrayBuffer())
+  if (bytes.length > MAX_IMAGE_BYTES) {
+    throw new Error(
+      `Mask too large [${i + 1}]: ${(bytes.length / (1024 * 1024)).toFixed(1)} MB`
+    )
+  }
+  let mimeType
+  try {
+    mimeType = inspectImage(bytes).mimeType
+  } catch (error) {
+    throw new Error(`Invalid mask [${i + 1}]: ${error.message}`)
+  }
+  if (mimeType !== 'image/png') {
+    throw new Error(`Mask must be a PNG [${i + 1}]: got ${mimeType}`)
+  }
+  if (await isMaskEmpty(bytes)) {
+    throw new Error(`Mask is empty [${i + 1}]: paint the area to change`)
+  }
+  return bytes
+}
+
+// Classification only refines the prompt, so a failed call falls back to the
+// generic `other` template instead of failing the photo. Deadline aborts still
+// propagate.
+async function classifyRoom({ bytes, mimeType, provider, signal }) {
+  if (!provider.classify) return null
+  try {
+    return await provider.classify({ bytes, mimeType, signal })
+  } catch (error) {
+    if (signal?.aborted) throw error
+    logError(error, {
+      component: 'photo-pipeline',
+      errorType: 'classification_error',
+      provider: provider.name,
+    })
+    return 'other'
+  }
+}
+
+// The output's structure score, or null when the check is off or the images
+// can't be compared. The check only flags photos, so it never fails one.
+async function checkStructure(source, output, minScore, provider) {
+  if (minScore === 0) return null
+  try {
+    return await structureScore(source, output.buffer)
+  } catch (error) {
+    logError(error, {
+      component: 'photo-pipeline',
+      errorType: 'structure_check_error',
+      provider: provider.name,
+    })
+    return null
+  }
+}
+
+// A cache hit along with its stored output. The cache only saves work, so a
+// lookup or download that fails is a miss rather than a failed photo.
+async function readCache(cache, key, signal) {
+  try {
+    const hit = await cache.get(key)
+    if (!hit) return null
+    const res = await fetch(hit.outputUrl, { signal })
+    if (!res.ok) {
+      throw new Error(`Failed to fetch cached output: ${res.status}`)
+    }
+    return { ...hit, buffer: Buffer.from(await res.arrayBuffer()) }
+  } catch (error) {
+    if (signal?.aborted) throw error
+    logError(error, {
+      component: 'photo-pipeline',
+      errorType: 'result_cache_error',
+    })
+    return null
+  }
+}
+
+// Outputs of one model are not interchangeable with another's
+function providerModel(provider) {
+  return provider.model ? `${provider.name}:${provider.model}` : provider.name
+}
+
+function guessExtensionFromMime(mime) {
+  if (mime.includes('png')) return 'png'
+  if (mime.includes('webp')) return 'webp'
+  return 'jpg'
+}
@@ -0,0 +1,158 @@
+import sharp from 'sharp'
+
+/**
+ * Structural-fidelity check. Enhancements are meant to keep the room's
+ * architecture (walls, windows, doorways) where it was, but models sometimes
+ * move or remove it. Source and output are compared as edge maps of small
+ * copies: for each region of the source with structure in it, the score
+ * counts the source edges the output kept, or the output edges the source
+ * already had, whichever is more. Added furniture leaves the first high and
+ * removed clutter the second, while a moved window lowers both.
+ */
+
+// Longest side of the copies compared
+const SIZE = 128
+// Regions per side; a change is judged against its region, not the photo
+const GRID = 4
+// Sobel gradient magnitude, on 0-255 greyscale, that counts as an edge
+const EDGE_THRESHOLD = 60
+// How far, in pixels of the copies, an edge may shift and still match
+const TOLERANCE = 2
+// Regions with fewer source edge pixels have no structure to keep
+const MIN_REGION_EDGES = 10
+
+const DEFAULT_MIN_SCORE = 0.7
+const DEFAULT_RETRIES = 1
+
+/**
+ * Score below which an output counts as having changed the structure, from
+ * STRUCTURE_MIN_SCORE (default 0.7). 0 turns the check off.
+ * @returns {number}
+ */
+export function structureMinScore(env = process.env) {
+  const raw = env.STRUCTURE_MIN_SCORE
+  if (raw == null || raw.trim() === '') return DEFAULT_MIN_SCORE
+  const value = Number(raw)
+  return value >= 0 && value <= 1 ? value : DEFAULT_MIN_SCORE
+}
+
+/**
+ * Extra provider calls made for an output that changed the structure, from
+ * STRUCTURE_RETRIES (default 1).
+ * @returns {number}
+ */
+export function structureRetries(env = process.env) {
+  const value = Number(env.STRUCTURE_RETRIES)
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_RETRIES
+}
+
+/**
+ * How well `output` keeps the structure of `source`, from 0 (nothing in
+ * place) to 1. Sources without visible structure score 1. The output is
+ * compared at the source's aspect ratio, so a resized output still matches.
+ * @param {Buffer} source - As sent to the provider, upright
+ * @param {Buffer} output
+ * @returns {Promise<number>}
+ */
+export async function structureScore(source, output) {
+  const { width, height } = (await sharp(source).metadata()).autoOrient
+  const scale = SIZE / Math.max(width, height)
+  const size = {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  }
+  const [before, after] = await Promise.all([
+    edgeMap(source, size),
+    edgeMap(output, size),
+  ])
+  const nearBefore = dilate(before, size)
+  const nearAfter = dilate(after, size)
+
+  let total = 0
+  let regions = 0
+  for (let gy = 0; gy < GRID; gy++) {
+    for (let gx = 0; gx < GRID; gx++) {
+      let edges = 0
+      let kept = 0
+      let outputEdges = 0
+      let known = 0
+      const x0 = Math.floor((gx * size.width) / GRID)
+      const x1 = Math.floor(((gx + 1) * size.width) / GRID)
+      const y0 = Math.floor((gy * size.height) / GRID)
+      const y1 = Math.floor(((gy + 1) * size.height) / GRID)
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = y * size.width + x
+          if (before[i]) {
+            edges++
+            if (nearAfter[i]) kept++
+          }
+          if (after[i]) {
+            outputEdges++
+            if (nearBefore[i]) known++
+          }
+        }
+      }
+      if (edges < MIN_REGION_EDGES) continue
+      regions++
+      total += Math.max(kept / edges, outputEdges ? known / outputEdges : 0)
+    }
+  }
+  return regions === 0 ? 1 : total / regions
+}
+
+// 1 where the greyscale copy has an edge, else 0
+async function edgeMap(buffer, { width, height }) {
+  const data = await sharp(buffer)
+    .autoOrient()
+    .resize(width, height, { fit: 'fill' })
+    .greyscale()
+    .raw()
+    .toBuffer()
+  const edges = new Uint8Array(width * height)
+  const at = (x, y) => data[y * width + x]
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const gx =
+        at(x + 1, y - 1) +
+        2 * at(x + 1, y) +
+        at(x + 1, y + 1) -
+        at(x - 1, y - 1) -
+        2 * at(x - 1, y) -
+        at(x - 1, y + 1)
+      const gy =
+        at(x - 1, y + 1) +
+        2 * at(x, y + 1) +
+        at(x + 1, y + 1) -
+        at(x - 1, y - 1) -
+        2 * at(x, y - 1) -
+        at(x + 1, y - 1)
+      if (Math.hypot(gx, gy) > EDGE_THRESHOLD) edges[y * width + x] = 1
+    }
+  }
+  return edges
+}
+
+// The edge map grown by TOLERANCE pixels in every direction
+function dilate(edges, { width, height }) {
+  const grown = new Uint8Array(width * height)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!edges[y * width + x]) continue
+      for (
+        let ny = Math.max(0, y - TOLERANCE);
+        ny <= Math.min(height - 1, y + TOLERANCE);
+        ny++
+      ) {
+        for (
+          let nx = Math.max(0, x - TOLERANCE);
+          nx <= Math.min(width - 1, x + TOLERANCE);
+          nx++
+        ) {
+          grown[ny * width + nx] = 1
+        }
+      }
+    }
+  }
+  return grown
+}
@@ -0,0 +1,91 @@
+import sharp from 'sharp'
+import decodeHeic from 'heic-decode'
+
+/**
+ * HEIC/HEIF support. iPhones shoot HEIC, which neither the providers nor
+ * sharp's prebuilt binaries (AVIF only) can read, so it's decoded here and
+ * re-encoded as a high-quality JPEG before anything else touches the photo.
+ */
+
+export const HEIC_JPEG_QUALITY = 92
+export const THUMBNAIL_SIZE = 320
+
+// `ftyp` major brands of HEIC/HEIF stills and sequences. AVIF shares the
+// container but sharp decodes it natively.
+const HEIF_BRANDS = new Set([
+  'heic',
+  'heix',
+  'heim',
+  'heis',
+  'hevc',
+  'hevx',
+  'hevm',
+  'hevs',
+  'mif1',
+  'msf1',
+])
+
+/**
+ * Whether `bytes` is a HEIC/HEIF file, judged by its `ftyp` box since upload
+ * storage doesn't always report the right content type for it.
+ * @param {Buffer} bytes
+ * @returns {boolean}
+ */
+export function isHeic(bytes) {
+  if (!bytes || bytes.length < 12) return false
+  if (bytes.subarray(4, 8).toString('latin1') !== 'ftyp') return false
+  return HEIF_BRANDS.has(bytes.subarray(8, 12).toString('latin1'))
+}
+
+/**
+ * Decodes the primary image of a HEIC/HEIF file into a JPEG. The decoder
+ * applies the file's rotation, so the JPEG is upright.
+ * @param {Buffer} bytes
+ * @returns {Promise<Buffer>}
+ */
+export async function heicToJpeg(bytes) {
+  const { width, height, data } = await decodeHeic({ buffer: bytes })
+  return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+    raw: { width, height, channels: 4 },
+  })
+    .flatten({ background: '#FFFFFF' })
+    .jpeg({ quality: HEIC_JPEG_QUALITY, chromaSubsampling: '4:4:4' })
+    .toBuffer()
+}
+
+/**
+ * Converts HEIC/HEIF photos to JPEG and passes anything else through.
+ * @param {Buffer} bytes
+ * @param {string} mimeType
+ * @returns {Promise<{ bytes: Buffer, mimeType: string, converted: boolean }>}
+ */
+export async function normalizeUpload(bytes, mimeType) {
+  if (!isHeic(bytes) && !/heic|heif/.test(mimeType)) {
+    return { bytes, mimeType, converted: false }
+  }
+  try {
+    return {
+      bytes: await heicToJpeg(bytes),
+      mimeType: 'image/jpeg',
+      converted: true,
+    }
+  } catch (error) {
+    throw new Error(`Could not decode HEIC photo: ${error.message}`)
+  }
+}
+
+/**
+ * A small upright JPEG for the upload list.
+ * @param {Buffer} bytes - Any format sharp reads, so convert HEIC first
+ * @returns {Promise<Buffer>}
+ */
+export function renderThumbnail(bytes) {
+  return sharp(bytes)
+    .autoOrient()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+      fit: 'inside',
+      withoutEnlargement: true,
+    })
+    .jpeg({ quality: 80 })
+    .toBuffer()
+}
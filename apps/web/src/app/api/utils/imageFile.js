@@ -0,0 +1,305 @@
+import { isHeic } from '@/app/api/utils/heic'
+
+/**
+ * Upload checks by content rather than by the content type storage reports.
+ * A photo must be a complete JPEG, PNG, WebP or HEIC file, judged by its
+ * magic bytes and a walk of its structure, with nothing appended after the
+ * image and no other format's header near its start (polyglots). Its header
+ * dimensions are checked before anything decodes it, so a small file can't
+ * expand into a huge bitmap (decompression bombs).
+ *
+ * Errors thrown here have messages fit to show the user.
+ */
+
+export const MAX_IMAGE_BYTES = 15 * 1024 * 1024
+// A 48 MP phone photo fits; a bitmap of this size is about 256 MB decoded
+export const MAX_IMAGE_PIXELS = 64_000_000
+export const MAX_IMAGE_SIDE = 16_384
+
+// Where a PDF reader, browser or interpreter looks for its own header
+const FOREIGN_HEADER_WINDOW = 1024
+const FOREIGN_HEADERS = [
+  '%PDF-',
+  '<!doctype',
+  '<html',
+  '<script',
+  '<svg',
+  '<?php',
+]
+
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+])
+
+/**
+ * The image type of `bytes` by its magic bytes, or null for anything other
+ * than JPEG, PNG, WebP and HEIC/HEIF.
+ * @param {Buffer} bytes
+ * @returns {'image/jpeg'|'image/png'|'image/webp'|'image/heic'|null}
+ */
+export function sniffImageType(bytes) {
+  if (!bytes || bytes.length < 12) return null
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+    return 'image/jpeg'
+  }
+  if (bytes.subarray(0, 8).equals(PNG_SIGNATURE)) return 'image/png'
+  if (
+    bytes.toString('latin1', 0, 4) === 'RIFF' &&
+    bytes.toString('latin1', 8, 12) === 'WEBP'
+  ) {
+    return 'image/webp'
+  }
+  if (isHeic(bytes)) return 'image/heic'
+  return null
+}
+
+/**
+ * Checks that `bytes` is one whole image of a supported type and of
+ * acceptable dimensions, without decoding it.
+ * @param {Buffer} bytes
+ * @returns {{ mimeType: string, width: number, height: number }}
+ * @throws {Error} if the file is not a supported image, is truncated, has
+ *   other data in it, or is too large
+ */
+export function inspectImage(bytes) {
+  const mimeType = sniffImageType(bytes)
+  if (!mimeType) {
+    throw new Error('Not a JPEG, PNG, WebP or HEIC image')
+  }
+  const head = bytes
+    .toString('latin1', 0, Math.min(bytes.length, FOREIGN_HEADER_WINDOW))
+    .toLowerCase()
+  const foreign = FOREIGN_HEADERS.find(header =>
+    head.includes(header.toLowerCase())
+  )
+  if (foreign) {
+    throw new Error(`File also contains ${foreign} content`)
+  }
+
+  const { width, height, end } = PARSERS[mimeType](bytes)
+  if (end < bytes.length && bytes.subarray(end).some(byte => byte !== 0)) {
+    throw new Error('File has extra data after the end of the image')
+  }
+  if (!width || !height) {
+    throw new Error('Could not read the image dimensions')
+  }
+  if (
+    width > MAX_IMAGE_SIDE ||
+    height > MAX_IMAGE_SIDE ||
+    width * height > MAX_IMAGE_PIXELS
+  ) {
+    throw new Error(
+      `Image is ${width}x${height} pixels; the maximum is ${MAX_IMAGE_SIDE} on a side and ${MAX_IMAGE_PIXELS / 1_000_000} megapixels`
+    )
+  }
+  return { mimeType, width, height }
+}
+
+/**
+ * Downloads an uploaded photo and inspects it (see inspectImage). Callers
+ * must check `url` with validateFileUrls first.
+ * @param {string} url
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ bytes: Buffer, mimeType: string, width: number, height: number }>}
+ */
+export async function fetchImage(url, { signal } = {}) {
+  let res
+  try {
+    res = await fetch(url, { signal })
+  } catch (error) {
+    if (signal?.aborted) throw new Error('Timed out downloading the photo')
+    throw error
+  }
+  if (!res.ok) {
+    throw new Error(`Could not download the photo: ${res.status}`)
+  }
+  const tooLarge = `Photos must be ${MAX_IMAGE_BYTES / (1024 * 1024)} MB or smaller`
+  if (Number(res.headers.get('content-length') || 0) > MAX_IMAGE_BYTES) {
+    throw new Error(tooLarge)
+  }
+  const bytes = Buffer.from(await res.arrayBuffer())
+  if (bytes.length > MAX_IMAGE_BYTES) throw new Error(tooLarge)
+  return { bytes, ...inspectImage(bytes) }
+}
+
+const truncated = () => new Error('File is truncated')
+
+const PARSERS = {
+  'image/jpeg': parseJpeg,
+  'image/png': parsePng,
+  'image/webp': parseWebp,
+  'image/heic': parseHeic,
+}
+
+// Walks the marker segments to the end-of-image marker. Phones append
+// further JPEGs after it (MPF: depth maps, HDR gain maps), which are walked
+// the same way; the dimensions are those of the first image.
+function parseJpeg(bytes) {
+  let size = null
+  let pos = 0
+  while (pos < bytes.length && bytes[pos] === 0xff && bytes[pos + 1] === 0xd8) {
+    const image = parseJpegImage(bytes, pos)
+    size ??= image
+    pos = image.end
+  }
+  return { ...size, end: pos }
+}
+
+function parseJpegImage(bytes, start) {
+  let width = 0
+  let height = 0
+  let pos = start + 2
+  for (;;) {
+    if (pos + 1 >= bytes.length) throw truncated()
+    if (bytes[pos] !== 0xff) throw new Error('JPEG structure is corrupt')
+    const marker = bytes[pos + 1]
+    if (marker === 0xff) {
+      pos++
+      continue
+    }
+    if (marker === 0xd9) return { width, height, end: pos + 2 }
+    if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      pos += 2
+      continue
+    }
+    if (pos + 4 > bytes.length) throw truncated()
+    const length = bytes.readUInt16BE(pos + 2)
+    if (length < 2 || pos + 2 + length > bytes.length) throw truncated()
+    // Start of frame, other than DHT, JPG and DAC which share the range
+    if (
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      ![0xc4, 0xc8, 0xcc].includes(marker) &&
+      !width &&
+      length >= 7
+    ) {
+      height = bytes.readUInt16BE(pos + 5)
+      width = bytes.readUInt16BE(pos + 7)
+    }
+    pos += 2 + length
+    if (marker === 0xda) {
+      // Entropy-coded data runs to the next marker that isn't a stuffed
+      // 0xFF00 or a restart marker
+      while (
+        pos + 1 < bytes.length &&
+        !(
+          bytes[pos] === 0xff &&
+          bytes[pos + 1] !== 0 &&
+          !(bytes[pos + 1] >= 0xd0 && bytes[pos + 1] <= 0xd7)
+        )
+      ) {
+        pos++
+      }
+    }
+  }
+}
+
+// Walks the chunks to IEND; the dimensions are in IHDR, the first chunk
+function parsePng(bytes) {
+  let pos = PNG_SIGNATURE.length
+  if (pos + 24 > bytes.length) throw truncated()
+  if (bytes.toString('latin1', pos + 4, pos + 8) !== 'IHDR') {
+    throw new Error('PNG structure is corrupt')
+  }
+  const width = bytes.readUInt32BE(pos + 8)
+  const height = bytes.readUInt32BE(pos + 12)
+  for (;;) {
+    if (pos + 12 > bytes.length) throw truncated()
+    const length = bytes.readUInt32BE(pos)
+    const type = bytes.toString('latin1', pos + 4, pos + 8)
+    pos += 12 + length
+    if (pos > bytes.length) throw truncated()
+    if (type === 'IEND') return { width, height, end: pos }
+  }
+}
+
+// The RIFF header gives the file's length; the dimensions are in the first
+// chunk, whose layout depends on the encoding
+function parseWebp(bytes) {
+  const end = 8 + bytes.readUInt32LE(4)
+  if (end > bytes.length) throw truncated()
+  if (bytes.length < 30) throw truncated()
+  const chunk = bytes.toString('latin1', 12, 16)
+  const data = 20
+  if (chunk === 'VP8 ') {
+    return {
+      width: bytes.readUInt16LE(data + 6) & 0x3fff,
+      height: bytes.readUInt16LE(data + 8) & 0x3fff,
+      end,
+    }
+  }
+  if (chunk === 'VP8L') {
+    const bits = bytes.readUInt32LE(data + 1)
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >> 14) & 0x3fff) + 1,
+      end,
+    }
+  }
+  if (chunk === 'VP8X') {
+    return {
+      width: bytes.readUIntLE(data + 4, 3) + 1,
+      height: bytes.readUIntLE(data + 7, 3) + 1,
+      end,
+    }
+  }
+  throw new Error('WebP structure is corrupt')
+}
+
+// ISO base media boxes must account for the whole file. The dimensions are
+// in the `ispe` properties under meta/iprp/ipco; of several (a grid and its
+// tiles, thumbnails) the largest is the full image.
+function parseHeic(bytes) {
+  let width = 0
+  let height = 0
+  for (const box of boxes(bytes, 0, bytes.length)) {
+    if (box.type !== 'meta') continue
+    for (const ispe of findBoxes(bytes, box.start + 4, box.end, 'ispe')) {
+      if (ispe.start + 12 > ispe.end) throw truncated()
+      const w = bytes.readUInt32BE(ispe.start + 4)
+      const h = bytes.readUInt32BE(ispe.start + 8)
+      if (w * h > width * height) {
+        width = w
+        height = h
+      }
+    }
+  }
+  return { width, height, end: bytes.length }
+}
+
+// The boxes in [start, end), each with its payload's range
+function boxes(bytes, start, end) {
+  const found = []
+  let pos = start
+  while (pos < end) {
+    if (pos + 8 > end) throw truncated()
+    let size = bytes.readUInt32BE(pos)
+    const type = bytes.toString('latin1', pos + 4, pos + 8)
+    if (!/^[\x20-\x7e]{4}$/.test(type)) {
+      throw new Error('File has extra data after the end of the image')
+    }
+    let header = 8
+    if (size === 1) {
+      if (pos + 16 > end) throw truncated()
+      size = Number(bytes.readBigUInt64BE(pos + 8))
+      header = 16
+    } else if (size === 0) {
+      size = end - pos
+    }
+    if (size < header || pos + size > end) throw truncated()
+    found.push({ type, start: pos + header, end: pos + size })
+    pos += size
+  }
+  return found
+}
+
+const CONTAINERS = new Set(['iprp', 'ipco'])
+
+function findBoxes(bytes, start, end, type) {
+  return boxes(bytes, start, end).flatMap(box => {
+    if (box.type === type) return [box]
+    return CONTAINERS.has(box.type)
+      ? findBoxes(bytes, box.start, box.end, type)
+      : []
+  })
+}
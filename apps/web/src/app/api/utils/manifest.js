@@ -0,0 +1,110 @@
+import { createHash } from 'node:crypto'
+import sharp from 'sharp'
+import { getOperation } from '@/utils/operations'
+
+/**
+ * manifest.json and manifest.csv, added to every job ZIP so whoever receives
+ * it can tell what was done to each photo. Rows describe the files as they
+ * are in the ZIP: the dimensions and SHA-256 are of the delivered bytes.
+ */
+
+export const MANIFEST_COLUMNS = [
+  'job_id',
+  'generated_at',
+  'original_filename',
+  'output_filename',
+  'operation',
+  'style',
+  'prompt',
+  'room_type',
+  'width',
+  'height',
+  'sha256',
+]
+
+/**
+ * Describes one photo's ZIP entry.
+ * @param {Object} options
+ * @param {{ originalName?: string|null, operation?: string, prompt?: string|null, roomType?: string|null }} options.item
+ * @param {string} options.filename - Name of the entry in the ZIP
+ * @param {Buffer} options.buffer - Contents of the entry
+ * @param {string|null} options.prompt - The job's prompt, for items without their own
+ * @param {string|null} options.styleId - The job's style, which only applies to staging
+ */
+export async function describePhoto({
+  item,
+  filename,
+  buffer,
+  prompt,
+  styleId,
+}) {
+  const { width, height } = await imageSize(buffer)
+  return {
+    originalFilename: item.originalName || null,
+    outputFilename: filename,
+    operation: item.operation || null,
+    style: getOperation(item.operation)?.staging ? styleId || null : null,
+    prompt: item.prompt || prompt || null,
+    roomType: item.roomType || null,
+    width,
+    height,
+    sha256: createHash('sha256').update(buffer).digest('hex'),
+  }
+}
+
+/**
+ * The manifest entries for a job ZIP.
+ * @param {{ jobId: number|null, generatedAt: Date, photos: Array<Object> }} manifest - Photos from describePhoto
+ * @returns {Array<{ filename: string, buffer: Buffer }>}
+ */
+export function manifestFiles({ jobId, generatedAt, photos }) {
+  const json = {
+    jobId: jobId ?? null,
+    generatedAt: generatedAt.toISOString(),
+    photos,
+  }
+  const rows = photos.map(photo => [
+    json.jobId,
+    json.generatedAt,
+    photo.originalFilename,
+    photo.outputFilename,
+    photo.operation,
+    photo.style,
+    photo.prompt,
+    photo.roomType,
+    photo.width,
+    photo.height,
+    photo.sha256,
+  ])
+  const csv = [MANIFEST_COLUMNS, ...rows]
+    .map(row => row.map(csvField).join(','))
+    .join('\r\n')
+  return [
+    {
+      filename: 'manifest.json',
+      buffer: Buffer.from(`${JSON.stringify(json, null, 2)}\n`),
+    },
+    { filename: 'manifest.csv', buffer: Buffer.from(`${csv}\r\n`) },
+  ]
+}
+
+async function imageSize(buffer) {
+  try {
+    const meta = await sharp(buffer).metadata()
+    const size = meta.autoOrient || meta
+    return { width: size.width ?? null, height: size.height ?? null }
+  } catch {
+    return { width: null, height: null }
+  }
+}
+
+// RFC 4180 quoting. Text that spreadsheets would run as a formula (file names
+// and prompts are user input) is prefixed with an apostrophe.
+function csvField(value) {
+  if (value == null) return ''
+  let text = String(value)
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
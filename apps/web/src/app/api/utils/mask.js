@@ -0,0 +1,77 @@
+import sharp from 'sharp'
+
+/**
+ * Brush masks for regional edits.
+ *
+ * A mask is an image the size of the photo (it is stretched to fit otherwise)
+ * whose painted pixels mark the region the model may change. Painted means
+ * bright and opaque: white strokes on a transparent or black background both
+ * work, and soft brush edges blend partially.
+ */
+
+/**
+ * Reduces a mask image to one 8-bit channel at the given size, where 255 is
+ * fully editable and 0 is untouched.
+ * @param {Buffer} maskBytes
+ * @param {{ width: number, height: number }} size
+ * @returns {Promise<Buffer>} raw single-channel pixels
+ */
+export async function readMask(maskBytes, { width, height }) {
+  return (
+    sharp(maskBytes)
+      .autoOrient()
+      // Transparent areas count as unpainted
+      .flatten({ background: '#000000' })
+      .greyscale()
+      .resize(width, height, { fit: 'fill' })
+      .extractChannel(0)
+      .raw()
+      .toBuffer()
+  )
+}
+
+/**
+ * Whether a mask marks any pixel as editable.
+ * @param {Buffer} maskBytes
+ */
+export async function isMaskEmpty(maskBytes) {
+  const { width, height } = await sharp(maskBytes).metadata()
+  const pixels = await readMask(maskBytes, { width, height })
+  return pixels.every(value => value === 0)
+}
+
+/**
+ * Pastes the masked region of `output` onto `original`, so everything outside
+ * the mask is exactly the original photo. The output is resized to the
+ * original's dimensions first. The result is a PNG, since re-encoding as JPEG
+ * would alter the untouched pixels.
+ * @param {{ original: Buffer, output: Buffer, mask: Buffer }} images
+ * @returns {Promise<{ buffer: Buffer, mimeType: string }>}
+ */
+export async function compositeMasked({ original, output, mask }) {
+  // Dimensions as displayed, i.e. after EXIF orientation is applied
+  const { autoOrient, hasAlpha } = await sharp(original).metadata()
+  const { width, height } = autoOrient
+
+  const alpha = await readMask(mask, { width, height })
+  // Resized in its own pass: sharp drops alpha after joining channels, so
+  // removeAlpha in the same pipeline would strip the mask again
+  const rgb = await sharp(output)
+    .autoOrient()
+    .resize(width, height, { fit: 'fill' })
+    .removeAlpha()
+    .raw()
+    .toBuffer()
+  const region = await sharp(rgb, { raw: { width, height, channels: 3 } })
+    .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+    .png()
+    .toBuffer()
+
+  let result = sharp(original)
+    .autoOrient()
+    .composite([{ input: region, top: 0, left: 0 }])
+  // Compositing adds an alpha channel the photo didn't have
+  if (!hasAlpha) result = result.removeAlpha()
+  const buffer = await result.png().toBuffer()
+  return { buffer, mimeType: 'image/png' }
+}
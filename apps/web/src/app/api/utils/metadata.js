@@ -0,0 +1,186 @@
+import sharp from 'sharp'
+
+/**
+ * Photo metadata carried from uploads to outputs.
+ *
+ * Phones store portrait shots sideways with an EXIF orientation tag, which
+ * models ignore, so sources are rotated upright before enhancement. Outputs
+ * come back from the provider without metadata; the fields listed in
+ * OUTPUT_METADATA (default: capture_date,camera, or `none`) are copied over
+ * from the source. Nothing else is copied, location in particular.
+ */
+
+export const OUTPUT_METADATA_FIELDS = ['capture_date', 'camera']
+
+// EXIF tags read from the source, by IFD
+const TAGS = {
+  IFD0: { 0x010f: 'Make', 0x0110: 'Model', 0x0132: 'DateTime' },
+  IFD2: { 0x9003: 'DateTimeOriginal', 0x9004: 'DateTimeDigitized' },
+}
+const FIELD_TAGS = {
+  capture_date: {
+    IFD0: ['DateTime'],
+    IFD2: ['DateTimeOriginal', 'DateTimeDigitized'],
+  },
+  camera: { IFD0: ['Make', 'Model'] },
+}
+const EXIF_IFD_POINTER = 0x8769
+// IPTC NewsCodes: a photo edited with generative AI
+const DIGITAL_SOURCE_TYPE =
+  'http://cv.iptc.org/newscodes/digitalsourcetype/compositeWithTrainedAlgorithmicMedia'
+const ASCII = 2
+
+/**
+ * Metadata fields copied into outputs, from OUTPUT_METADATA.
+ * @returns {string[]}
+ */
+export function outputMetadataFields(env = process.env) {
+  const value = env.OUTPUT_METADATA
+  if (value == null || value.trim() === '') return OUTPUT_METADATA_FIELDS
+  return value
+    .split(',')
+    .map(field => field.trim())
+    .filter(field => OUTPUT_METADATA_FIELDS.includes(field))
+}
+
+/**
+ * Rotates a photo upright according to its EXIF orientation, re-encoding it
+ * in its own format. Photos already upright, and formats other than JPEG, PNG
+ * and WebP (e.g. HEIC), are returned unchanged.
+ * @param {Buffer} bytes
+ * @param {string} mimeType
+ * @returns {Promise<Buffer>}
+ */
+export async function normalizeOrientation(bytes, mimeType) {
+  if (!/jpeg|png|webp/.test(mimeType)) return bytes
+  try {
+    const { orientation } = await sharp(bytes).metadata()
+    if (!orientation || orientation === 1) return bytes
+    return await encodeAs(sharp(bytes).autoOrient(), mimeType)
+  } catch {
+    return bytes
+  }
+}
+
+/**
+ * Reads the EXIF tags that outputs may inherit.
+ * @param {Buffer} bytes - Source photo
+ * @returns {Promise<{ IFD0: Object<string, string>, IFD2: Object<string, string> }>}
+ */
+export async function readPhotoMetadata(bytes) {
+  const tags = { IFD0: {}, IFD2: {} }
+  try {
+    const { exif } = await sharp(bytes).metadata()
+    if (exif) parseExif(exif, tags)
+  } catch {
+    // Unreadable metadata just isn't copied
+  }
+  return tags
+}
+
+/**
+ * Writes the source's metadata `fields` into an output image.
+ *
+ * A `description`, such as a "Virtually Staged" disclosure, is written as the
+ * XMP/IPTC description, along with the IPTC digital source type for photos
+ * edited by AI. It also goes into the EXIF ImageDescription when it is plain
+ * ASCII, the only text that tag holds.
+ * @param {{ buffer: Buffer, mimeType: string }} output
+ * @param {{ IFD0: Object<string, string>, IFD2: Object<string, string> }} metadata - From readPhotoMetadata
+ * @param {string[]} fields - From outputMetadataFields
+ * @param {{ description?: string|null }} [options]
+ * @returns {Promise<{ buffer: Buffer, mimeType: string }>}
+ */
+export async function copyMetadata(
+  output,
+  metadata,
+  fields,
+  { description = null } = {}
+) {
+  const exif = {}
+  for (const field of fields) {
+    for (const [ifd, names] of Object.entries(FIELD_TAGS[field] || {})) {
+      for (const name of names) {
+        if (!metadata[ifd]?.[name]) continue
+        exif[ifd] = { ...exif[ifd], [name]: metadata[ifd][name] }
+      }
+    }
+  }
+  if (description && /^[\x20-\x7e]*$/.test(description)) {
+    exif.IFD0 = { ...exif.IFD0, ImageDescription: description }
+  }
+  if (Object.keys(exif).length === 0 && !description) return output
+
+  let image = sharp(output.buffer)
+  if (Object.keys(exif).length > 0) image = image.withExif(exif)
+  if (description) image = image.withXmp(descriptionXmp(description))
+  const buffer = await encodeAs(image, output.mimeType || '')
+  return { ...output, buffer }
+}
+
+// IPTC Photo Metadata in XMP: the description, and the digital source type
+// that marks the photo as edited with generative AI
+function descriptionXmp(description) {
+  const text = description
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+  return `<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:Iptc4xmpExt="http://iptc.org/std/Iptc4xmpExt/2008-02-29/">
+      <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${text}</rdf:li></rdf:Alt></dc:description>
+      <Iptc4xmpExt:DigitalSourceType>${DIGITAL_SOURCE_TYPE}</Iptc4xmpExt:DigitalSourceType>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>`
+}
+
+/**
+ * Encodes `image` in the format of `mimeType`: PNG, WebP, or JPEG for anything
+ * else, at a quality that doesn't visibly degrade outputs.
+ * @param {import('sharp').Sharp} image
+ * @param {string} mimeType
+ * @returns {Promise<Buffer>}
+ */
+export function encodeAs(image, mimeType) {
+  if (mimeType.includes('png')) return image.png().toBuffer()
+  if (mimeType.includes('webp')) return image.webp({ quality: 95 }).toBuffer()
+  return image.jpeg({ quality: 95 }).toBuffer()
+}
+
+// Reads the ASCII tags in TAGS from a raw EXIF block ("Exif\0\0" and a TIFF
+// structure) into `tags`
+function parseExif(exif, tags) {
+  const tiff = exif.subarray(0, 6).toString('latin1') === 'Exif\0\0' ? 6 : 0
+  const little = exif.subarray(tiff, tiff + 2).toString('latin1') === 'II'
+  const u16 = at => (little ? exif.readUInt16LE(at) : exif.readUInt16BE(at))
+  const u32 = at => (little ? exif.readUInt32LE(at) : exif.readUInt32BE(at))
+
+  // Reads one IFD's tags, returning the offset of the EXIF IFD if it has one
+  const readIfd = (offset, ifd) => {
+    const start = tiff + offset
+    let exifOffset = null
+    for (let i = 0; i < u16(start); i++) {
+      const entry = start + 2 + i * 12
+      const tag = u16(entry)
+      if (tag === EXIF_IFD_POINTER) exifOffset = u32(entry + 8)
+      const name = TAGS[ifd][tag]
+      if (!name || u16(entry + 2) !== ASCII) continue
+      const length = u32(entry + 4)
+      // Values of up to 4 bytes are stored in the entry itself
+      const value = length <= 4 ? entry + 8 : tiff + u32(entry + 8)
+      const text = exif
+        .subarray(value, value + length)
+        .toString('latin1')
+        .replace(/\0+$/, '')
+        .trim()
+      if (text) tags[ifd][name] = text
+    }
+    return exifOffset
+  }
+
+  const exifOffset = readIfd(u32(tiff + 4), 'IFD0')
+  if (exifOffset) readIfd(exifOffset, 'IFD2')
+}
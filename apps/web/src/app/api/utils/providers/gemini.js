@@ -0,0 +1,313 @@
+import { ROOM_TYPE_IDS, parseRoomType } from '@/utils/rooms'
+
+const MODEL_PRIMARY = 'gemini-2.5-flash-image-preview'
+const MODEL_FALLBACK = 'gemini-2.5-flash'
+const BACKOFF_BASE_MS = 300
+const BACKOFF_MAX_MS = 30 * 1000
+
+/**
+ * Google Gemini 2.5 Flash Image Preview. Each photo is sent both inline and via
+ * the Files API, falling back to the non-preview model when the primary one is
+ * unavailable.
+ *
+ * Room classification uses the text model with the photo inline.
+ *
+ * Photos enhanced concurrently through the same provider share one backoff:
+ * a 429 on any of them pauses every generate call until the pause elapses.
+ * @param {{ apiKey: string }} options
+ * @returns {import('./index.js').EnhancementProvider}
+ */
+export function createGeminiProvider({ apiKey }) {
+  const backoff = createSharedBackoff()
+  return {
+    name: 'gemini',
+    model: MODEL_PRIMARY,
+    enhance: input => enhanceWithGemini({ ...input, apiKey, backoff }),
+    classify: input => classifyWithGemini({ ...input, apiKey, backoff }),
+  }
+}
+
+// Rate-limit pause shared by concurrent requests. Each 429 doubles the pause
+// (capped); a successful call resets it.
+function createSharedBackoff() {
+  let delay = BACKOFF_BASE_MS
+  let pausedUntil = 0
+  return {
+    async wait(signal) {
+      while (Date.now() < pausedUntil) {
+        await sleep(pausedUntil - Date.now(), signal)
+      }
+    },
+    rateLimited() {
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay)
+      delay = Math.min(delay * 2, BACKOFF_MAX_MS)
+    },
+    succeeded() {
+      delay = BACKOFF_BASE_MS
+    },
+  }
+}
+
+async function enhanceWithGemini({
+  bytes,
+  mimeType,
+  prompt,
+  index: i,
+  variant = 0,
+  variations = 1,
+  mask,
+  signal,
+  apiKey,
+  backoff,
+}) {
+  // Identical requests tend to come back near-identical, so ask outright for
+  // a different take on each variation
+  const variationHint =
+    variations > 1
+      ? ` This is alternative ${variant + 1} of ${variations}: choose furniture, decor and colors that clearly differ from the other alternatives.`
+      : ''
+  const inputB64 = bytes.toString('base64')
+  // The mask follows the photo as a second image
+  const maskParts = mask
+    ? [
+        {
+          text: 'The next image is a mask of the photo. Change only the areas that are white in the mask and leave everything else exactly as it is.',
+        },
+        {
+          inlineData: { mimeType: 'image/png', data: mask.toString('base64') },
+        },
+      ]
+    : []
+
+  const displayName = `upload-${i + 1}-${variant + 1}`
+  const startRes = await fetch(
+    'https://generativelanguage.googleapis.com/upload/v1beta/files',
+    {
+      method: 'POST',
+      headers: {
+        'x-goog-api-key': apiKey,
+        'X-Goog-Upload-Protocol': 'resumable',
+        'X-Goog-Upload-Command': 'start',
+        'X-Goog-Upload-Header-Content-Length': String(bytes.length),
+        'X-Goog-Upload-Header-Content-Type': mimeType,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ file: { display_name: displayName } }),
+      signal,
+    }
+  )
+
+  if (!startRes.ok) {
+    const msg = await safeReadText(startRes)
+    throw new Error(`Gemini Files start error [${startRes.status}]: ${msg}`)
+  }
+
+  const uploadUrl = startRes.headers.get('x-goog-upload-url')
+  if (!uploadUrl) {
+    throw new Error('Gemini Files API did not return an upload URL')
+  }
+
+  const finalizeRes = await fetch(uploadUrl, {
+    method: 'POST',
+    headers: {
+      'x-goog-api-key': apiKey,
+      'Content-Length': String(bytes.length),
+      'X-Goog-Upload-Offset': '0',
+      'X-Goog-Upload-Command': 'upload, finalize',
+    },
+    body: bytes,
+    signal,
+  })
+
+  if (!finalizeRes.ok) {
+    const msg = await safeReadText(finalizeRes)
+    throw new Error(`Gemini Files upload error [${finalizeRes.status}]: ${msg}`)
+  }
+
+  const fileInfo = await finalizeRes.json()
+  const fileUri = fileInfo?.file?.uri || fileInfo?.file?.name
+  const fileMime = fileInfo?.file?.mimeType || mimeType
+  if (!fileUri) {
+    throw new Error('Gemini Files API response missing file uri/name')
+  }
+
+  const genOnce = async ({ useFile, model }) => {
+    const body = {
+      contents: [
+        {
+          role: 'user',
+          parts: [
+            {
+              text: `Enhance this real estate listing photo. ${prompt}. Preserve the original room layout and architecture. Return only enhanced image data and no text.${variationHint}`,
+            },
+            useFile
+              ? { fileData: { mimeType: fileMime, fileUri: fileUri } }
+              : { inlineData: { mimeType: fileMime, data: inputB64 } },
+            ...maskParts,
+          ],
+        },
+      ],
+      generationConfig: {
+        responseModalities: ['IMAGE'],
+      },
+    }
+
+    return generateContent({ model, body, apiKey, backoff, signal })
+  }
+
+  const attempts = [
+    { useFile: false, model: MODEL_PRIMARY },
+    { useFile: true, model: MODEL_PRIMARY },
+    { useFile: false, model: MODEL_FALLBACK },
+    { useFile: true, model: MODEL_FALLBACK },
+  ]
+
+  let lastErr = null
+  let data = null
+  for (const a of attempts) {
+    const r = await genOnce(a)
+    if (r.ok) {
+      data = r.data
+      lastErr = null
+      break
+    }
+    lastErr = `Gemini API error [${r.status}]: ${r.msg}`
+    if (r.status !== 404 && r.status !== 429 && r.status !== 500) {
+      break
+    }
+  }
+
+  if (!data) {
+    throw new Error(lastErr || 'Gemini generation failed')
+  }
+
+  const parts =
+    (data &&
+      data.candidates &&
+      data.candidates[0] &&
+      data.candidates[0].content &&
+      data.candidates[0].content.parts) ||
+    []
+
+  const imageParts = parts.filter(
+    p =>
+      (p.inlineData && p.inlineData.data) ||
+      (p.inline_data && p.inline_data.data)
+  )
+
+  if (imageParts.length === 0) {
+    const maybeText = parts
+      .map(p => p.text)
+      .filter(Boolean)
+      .join('\n')
+    throw new Error(
+      `Gemini returned no image data for input [${i + 1}]. ${maybeText ? `Notes: ${maybeText}` : ''}`
+    )
+  }
+
+  // Gemini occasionally returns more than one image; the first is the enhancement
+  const part = imageParts[0]
+  const outB64 = part.inlineData?.data || part.inline_data?.data
+  const outMime =
+    part.inlineData?.mimeType || part.inline_data?.mime_type || 'image/png'
+  return { buffer: Buffer.from(outB64, 'base64'), mimeType: outMime }
+}
+
+// One generateContent call with up to three tries: 429s wait on the shared
+// backoff, 500s retry with a local exponential delay, anything else gives up.
+async function generateContent({ model, body, apiKey, backoff, signal }) {
+  let last = { ok: false, status: 0, msg: '' }
+  for (let attempt = 0; attempt < 3; attempt++) {
+    await backoff.wait(signal)
+    const resp = await fetch(
+      `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': apiKey,
+        },
+        body: JSON.stringify(body),
+        signal,
+      }
+    )
+
+    if (resp.ok) {
+      backoff.succeeded()
+      const data = await resp.json()
+      return { ok: true, data }
+    }
+    const msg = await safeReadText(resp)
+    last = { ok: false, status: resp.status, msg }
+    if (resp.status === 429) {
+      backoff.rateLimited()
+      continue
+    }
+    if (resp.status !== 500) break
+    await sleep(BACKOFF_BASE_MS * Math.pow(2, attempt), signal)
+  }
+  return last
+}
+
+// Asks the text model which room the photo shows. Answers are free-form, so
+// they go through parseRoomType, which falls back to `other`.
+async function classifyWithGemini({
+  bytes,
+  mimeType,
+  signal,
+  apiKey,
+  backoff,
+}) {
+  const body = {
+    contents: [
+      {
+        role: 'user',
+        parts: [
+          {
+            text: `Classify this real estate listing photo. Answer with exactly one of: ${ROOM_TYPE_IDS.join(', ')}.`,
+          },
+          { inlineData: { mimeType, data: bytes.toString('base64') } },
+        ],
+      },
+    ],
+  }
+  const r = await generateContent({
+    model: MODEL_FALLBACK,
+    body,
+    apiKey,
+    backoff,
+    signal,
+  })
+  if (!r.ok) {
+    throw new Error(`Gemini classification error [${r.status}]: ${r.msg}`)
+  }
+  const text = (r.data?.candidates?.[0]?.content?.parts || [])
+    .map(p => p.text)
+    .filter(Boolean)
+    .join(' ')
+  return parseRoomType(text)
+}
+
+// Resolves after `ms`, or rejects as soon as `signal` aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason)
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+async function safeReadText(resp) {
+  try {
+    return await resp.text()
+  } catch {
+    return ''
+  }
+}
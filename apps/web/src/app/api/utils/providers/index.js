@@ -0,0 +1,68 @@
+import { createGeminiProvider } from '@/app/api/utils/providers/gemini'
+import { createLocalProvider } from '@/app/api/utils/providers/local'
+
+/**
+ * Image enhancement providers.
+ *
+ * The pipeline (enhance.js) fetches and validates each source photo, then hands
+ * the bytes to a provider. Select one with ENHANCEMENT_PROVIDER:
+ * - `gemini` (default) - Google Gemini, requires GOOGLE_API_KEY
+ * - `local` - deterministic offline fake for development and tests
+ *
+ * @typedef {Object} EnhanceInput
+ * @property {Buffer} bytes - Source image
+ * @property {string} mimeType - Source image MIME type
+ * @property {string} prompt - User prompt
+ * @property {Buffer} [mask] - Image whose white areas are the only region the
+ *   user wants changed. Providers should confine edits to it; the pipeline
+ *   pastes everything outside it back from the source either way
+ * @property {number} index - Zero-based position of the photo in its job
+ * @property {number} [variant] - Zero-based alternative being generated
+ * @property {number} [variations] - Alternatives requested for the photo; each
+ *   call should give a visibly different result
+ * @property {AbortSignal} [signal] - Aborts the call when the job deadline passes
+ *
+ * @typedef {Object} EnhanceOutput
+ * @property {Buffer} buffer - Enhanced image
+ * @property {string} mimeType - Enhanced image MIME type
+ *
+ * @typedef {Object} ClassifyInput
+ * @property {Buffer} bytes - Source image
+ * @property {string} mimeType - Source image MIME type
+ * @property {AbortSignal} [signal]
+ *
+ * @typedef {Object} EnhancementProvider
+ * @property {string} name
+ * @property {string} [model] - Model that generates outputs; part of the
+ *   result cache key, so outputs are regenerated when it changes
+ * @property {(input: EnhanceInput) => Promise<EnhanceOutput>} enhance
+ * @property {(input: ClassifyInput) => Promise<string>} [classify] - Returns a
+ *   room type id from src/utils/rooms.ts; photos are not classified without it
+ */
+
+export const PROVIDERS = {
+  gemini: env => {
+    if (!env.GOOGLE_API_KEY) {
+      throw new Error('Missing GOOGLE_API_KEY environment variable')
+    }
+    return createGeminiProvider({ apiKey: env.GOOGLE_API_KEY })
+  },
+  local: () => createLocalProvider(),
+}
+
+/**
+ * Builds the provider selected by ENHANCEMENT_PROVIDER.
+ * Throws if the provider is unknown or missing its configuration.
+ * @param {Record<string, string|undefined>} [env]
+ * @returns {EnhancementProvider}
+ */
+export function getEnhancementProvider(env = process.env) {
+  const name = (env.ENHANCEMENT_PROVIDER || 'gemini').trim().toLowerCase()
+  const create = PROVIDERS[name]
+  if (!create) {
+    throw new Error(
+      `Unknown ENHANCEMENT_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`
+    )
+  }
+  return create(env)
+}
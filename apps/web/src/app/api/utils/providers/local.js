@@ -0,0 +1,102 @@
+import { createHash } from 'node:crypto'
+import sharp from 'sharp'
+import { ROOM_TYPES } from '@/utils/rooms'
+
+// Warm tint so fake output is easy to tell apart from the source; later
+// variations cycle through other colors so they differ from each other
+const TINTS = [
+  { r: 255, g: 170, b: 60, alpha: 0.25 },
+  { r: 60, g: 200, b: 120, alpha: 0.25 },
+  { r: 90, g: 120, b: 255, alpha: 0.25 },
+  { r: 230, g: 80, b: 200, alpha: 0.25 },
+]
+const MAX_PROMPT_CHARS = 120
+const INTERIOR_ROOMS = ROOM_TYPES.map(room => room.id).filter(
+  id => id !== 'exterior' && id !== 'other'
+)
+
+/**
+ * Offline stand-in for a real enhancement model. It tints the photo and stamps
+ * the prompt across the bottom, so the output is deterministic for a given
+ * input, prompt and variation and needs neither network access nor an API key.
+ *
+ * Classification is just as fake: a mostly blue top third reads as sky, so
+ * `exterior`; anything else gets an interior room picked by content hash.
+ * @returns {import('./index.js').EnhancementProvider}
+ */
+export function createLocalProvider() {
+  return {
+    name: 'local',
+    async enhance({ bytes, prompt, variant = 0, signal }) {
+      signal?.throwIfAborted()
+      // Dimensions as displayed, i.e. after EXIF orientation is applied
+      const { autoOrient } = await sharp(bytes).metadata()
+      const { width, height } = autoOrient
+
+      const buffer = await sharp(bytes)
+        .autoOrient()
+        .composite([
+          {
+            input: {
+              create: {
+                width,
+                height,
+                channels: 4,
+                background: TINTS[variant % TINTS.length],
+              },
+            },
+          },
+          { input: promptBanner(prompt, width, height), top: 0, left: 0 },
+        ])
+        .jpeg({ quality: 90 })
+        .toBuffer()
+
+      return { buffer, mimeType: 'image/jpeg' }
+    },
+    async classify({ bytes, signal }) {
+      signal?.throwIfAborted()
+      if (await hasSkyOnTop(bytes)) return 'exterior'
+      const digest = createHash('sha256').update(bytes).digest()
+      return INTERIOR_ROOMS[digest[0] % INTERIOR_ROOMS.length]
+    },
+  }
+}
+
+async function hasSkyOnTop(bytes) {
+  const image = sharp(bytes).autoOrient()
+  const { autoOrient } = await image.metadata()
+  const { width, height } = autoOrient
+  const { channels } = await image
+    .extract({
+      left: 0,
+      top: 0,
+      width,
+      height: Math.max(1, Math.floor(height / 3)),
+    })
+    .stats()
+  const [r, g, b] = channels.map(c => c.mean)
+  return b > 120 && b > r + 30 && b >= g
+}
+
+function promptBanner(prompt, width, height) {
+  const bannerHeight = Math.max(16, Math.round(height * 0.12))
+  const fontSize = Math.max(8, Math.round(bannerHeight * 0.45))
+  let text = (prompt || '').trim() || 'enhanced'
+  if (text.length > MAX_PROMPT_CHARS) {
+    text = `${text.slice(0, MAX_PROMPT_CHARS - 1)}…`
+  }
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <rect x="0" y="${height - bannerHeight}" width="${width}" height="${bannerHeight}" fill="black" fill-opacity="0.55"/>
+  <text x="${width / 2}" y="${height - bannerHeight / 2}" font-family="sans-serif" font-size="${fontSize}" fill="white" text-anchor="middle" dominant-baseline="middle">${escapeXml(text)}</text>
+</svg>`
+  return Buffer.from(svg)
+}
+
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
@@ -0,0 +1,1053 @@
+import sql from '@/app/api/utils/sql'
+import {
+  rebuildJobZip,
+  regeneratePhoto,
+  runPhotoPipeline,
+} from '@/app/api/utils/enhance'
+import { getEnhancementProvider } from '@/app/api/utils/providers'
+import { resultCache } from '@/app/api/utils/resultCache'
+import { logError, logEvent } from '@/utils/logger'
+import { getOperation, operationUsage } from '@/utils/operations'
+import { chargePhotos } from '@/utils/pricing'
+
+/**
+ * Postgres-backed photo job queue.
+ *
+ * POST /api/process-photos inserts a `queued` row into photo_jobs and calls
+ * kickWorker(). Workers claim jobs with FOR UPDATE SKIP LOCKED, so any number
+ * of processes (the web server itself, or `npm run worker`) can drain the same
+ * queue without double-processing a job. POST /api/jobs/:id/cancel stops a
+ * job's remaining photos with cancelJob().
+ *
+ * Regenerations of single photos (photo_regenerations) are queued and claimed
+ * the same way, ahead of jobs. A job whose ZIP is out of date keeps a
+ * repackage request until it is rebuilt (see repackageJob).
+ */
+
+// A job still marked `processing` after this long is assumed orphaned
+// (crashed or redeployed worker) and becomes claimable again.
+const STALE_LOCK_MINUTES = 15
+const MAX_ATTEMPTS = 3
+const POLL_INTERVAL_MS = 2000
+const DEFAULT_FREE_REGENERATIONS = 2
+// How long a rebuild of a job's ZIP may take, and how long a request waits
+// for one before answering without it (see repackageJobSoon)
+const REPACKAGE_TIMEOUT_MS = 4 * 60 * 1000
+const REPACKAGE_WAIT_MS = 20 * 1000
+// A repackage request older than this was abandoned (e.g. its rebuild failed
+// or its process died), so the worker rebuilds the ZIP
+const REPACKAGE_RETRY_MINUTES = 5
+
+let draining = null
+
+/**
+ * Atomically claims the oldest runnable job, marking it `processing`. Rush
+ * jobs (see src/utils/pricing.ts) are claimed ahead of standard ones.
+ * @returns {Promise<Object|null>} the claimed photo_jobs row, or null if the queue is empty
+ */
+export async function claimNextJob() {
+  const rows = await sql`
+    UPDATE photo_jobs
+    SET status = 'processing',
+        attempts = attempts + 1,
+        locked_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM photo_jobs
+      WHERE attempts < ${MAX_ATTEMPTS}
+        AND (
+          status = 'queued'
+          OR (
+            status = 'processing'
+            AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => ${STALE_LOCK_MINUTES})
+          )
+        )
+      ORDER BY turnaround = 'rush' DESC, created_at
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING id, user_id, prompt, style_id, operation, comparison, output_profile, disclosure, preview, charge_cache_hits, photo_count, free_applied, credits_applied, attempts
+  `
+  return rows[0] || null
+}
+
+/**
+ * Regenerations of a completed photo that are not charged, from
+ * FREE_REGENERATIONS_PER_PHOTO (default 2). Later ones cost the photo's price.
+ */
+export function freeRegenerationsPerPhoto(env = process.env) {
+  const value = Number(env.FREE_REGENERATIONS_PER_PHOTO)
+  return Number.isInteger(value) && value >= 0
+    ? value
+    : DEFAULT_FREE_REGENERATIONS
+}
+
+/**
+ * What unlocking a preview costs: each completed photo at its price, with
+ * the first ones covered by whatever free trial the user has left. Cached
+ * variations are free unless the job's plan charges for them.
+ * @param {Array<{ status: string, price: number, variations?: number, cachedVariations?: number }>} items - In photo order
+ * @param {number} [freeRemaining]
+ * @param {{ chargeCacheHits?: boolean }} [options]
+ * @returns {{ cost: number, free: number, credits: number }}
+ */
+export function previewUnlockCharge(
+  items,
+  freeRemaining = 0,
+  { chargeCacheHits = true } = {}
+) {
+  return chargePhotos(
+    items
+      .filter(item => item.status === 'completed')
+      .map(item => ({
+        price: item.price,
+        variations:
+          (item.variations ?? 1) -
+          (chargeCacheHits ? 0 : (item.cachedVariations ?? 0)),
+      })),
+    freeRemaining
+  )
+}
+
+/**
+ * Shapes a photo_job_items row, and its photo_job_outputs rows, for API
+ * responses. The output whose URL the item points at is the selected one,
+ * and the item's `structureChanged` is that output's.
+ * `regenerations` are the photo_regenerations rows still queued or running,
+ * and the latest one, in order; they give `regenerating` and
+ * `lastRegeneration`.
+ * While the job is a locked preview (`row.locked`), only the watermarked
+ * copy is exposed.
+ */
+export function formatJobItem(row, outputs = [], regenerations = []) {
+  const structureChanged = outputs.some(
+    output => output.url === row.output_url && output.structure_changed
+  )
+  if (row.locked) {
+    return {
+      id: row.id,
+      position: row.position,
+      sourceUrl: row.source_url,
+      originalUrl: row.original_url || null,
+      originalName: row.original_name || null,
+      status: row.status,
+      error: row.error || null,
+      outputUrl: row.preview_url || null,
+      operation: row.operation,
+      roomType: row.room_type || null,
+      price: parseFloat(row.price),
+      variations: row.variations,
+      cachedVariations: row.cached_variations ?? 0,
+      structureChanged,
+      masked: Boolean(row.mask_url),
+      outputs: [],
+      creditsCharged: 0,
+    }
+  }
+  return {
+    id: row.id,
+    position: row.position,
+    sourceUrl: row.source_url,
+    originalUrl: row.original_url || null,
+    originalName: row.original_name || null,
+    status: row.status,
+    error: row.error || null,
+    outputUrl: row.output_url || null,
+    operation: row.operation,
+    roomType: row.room_type || null,
+    price: parseFloat(row.price),
+    variations: row.variations,
+    cachedVariations: row.cached_variations ?? 0,
+    structureChanged,
+    masked: Boolean(row.mask_url),
+    regenerations: row.regenerations,
+    // Runs to fix a changed structure don't use up the free ones
+    freeRegenerationsLeft: Math.max(
+      0,
+      freeRegenerationsPerPhoto() -
+        (row.regenerations - (row.structure_regenerations ?? 0))
+    ),
+    outputs: outputs.map(output => ({
+      id: output.id,
+      variant: output.variant,
+      version: output.version,
+      prompt: output.prompt || null,
+      url: output.url,
+      structureScore: output.structure_score ?? null,
+      structureChanged: Boolean(output.structure_changed),
+      selected: output.url === row.output_url,
+    })),
+    regenerating: regenerations.some(run =>
+      ['queued', 'processing'].includes(run.status)
+    ),
+    lastRegeneration: lastRegeneration(regenerations),
+    creditsCharged: parseFloat(row.credits_charged),
+  }
+}
+
+function lastRegeneration(regenerations) {
+  const run = regenerations[regenerations.length - 1]
+  return run
+    ? { id: run.id, status: run.status, error: run.error || null }
+    : null
+}
+
+/**
+ * Loads the items of several jobs with their outputs, formatted for API
+ * responses.
+ * @param {number[]} jobIds
+ * @returns {Promise<Map<number, Array<Object>>>} items by job id, in photo order
+ */
+export async function loadJobItemsForResponse(jobIds) {
+  const itemsByJob = new Map()
+  if (jobIds.length === 0) return itemsByJob
+
+  const [items, outputs, regenerations] = await sql.transaction([
+    sql`
+      SELECT i.id, i.job_id, i.position, i.source_url, i.original_url, i.original_name, i.operation, i.status, i.error,
+             i.output_url, i.preview_url, i.room_type, i.mask_url, i.price, i.variations,
+             i.cached_variations, i.regenerations, i.structure_regenerations, i.credits_charged,
+             (j.preview AND j.unlocked_at IS NULL) AS locked
+      FROM photo_job_items i
+      JOIN photo_jobs j ON j.id = i.job_id
+      WHERE i.job_id = ANY(${jobIds})
+      ORDER BY i.job_id, i.position
+    `,
+    sql`
+      SELECT o.id, o.item_id, o.variant, o.version, o.prompt, o.url, o.structure_score, o.structure_changed
+      FROM photo_job_outputs o
+      JOIN photo_job_items i ON i.id = o.item_id
+      WHERE i.job_id = ANY(${jobIds})
+      ORDER BY o.item_id, o.variant
+    `,
+    sql`
+      SELECT r.id, r.item_id, r.status, r.error
+      FROM photo_regenerations r
+      WHERE r.job_id = ANY(${jobIds})
+        AND (
+          r.status IN ('queued', 'processing')
+          OR r.id = (SELECT MAX(id) FROM photo_regenerations WHERE item_id = r.item_id)
+        )
+      ORDER BY r.item_id, r.id
+    `,
+  ])
+  const outputsByItem = new Map()
+  for (const output of outputs) {
+    if (!outputsByItem.has(output.item_id)) {
+      outputsByItem.set(output.item_id, [])
+    }
+    outputsByItem.get(output.item_id).push(output)
+  }
+  const regenerationsByItem = new Map()
+  for (const run of regenerations) {
+    if (!regenerationsByItem.has(run.item_id)) {
+      regenerationsByItem.set(run.item_id, [])
+    }
+    regenerationsByItem.get(run.item_id).push(run)
+  }
+  for (const item of items) {
+    if (!itemsByJob.has(item.job_id)) itemsByJob.set(item.job_id, [])
+    itemsByJob
+      .get(item.job_id)
+      .push(
+        formatJobItem(
+          item,
+          outputsByItem.get(item.id),
+          regenerationsByItem.get(item.id)
+        )
+      )
+  }
+  return itemsByJob
+}
+
+/**
+ * Rebuilds a finished job's ZIP and previews from its completed items'
+ * selected outputs, e.g. after the user picks or regenerates a photo. The
+ * job's repackage request is cleared, unless it was made again while the ZIP
+ * was being built.
+ * @param {number} jobId
+ * @param {{ signal?: AbortSignal }} [options] - Defaults to a REPACKAGE_TIMEOUT_MS deadline
+ * @returns {Promise<{ downloadUrl: string, previewUrls: string[] }>}
+ */
+export async function repackageJob(
+  jobId,
+  { signal = AbortSignal.timeout(REPACKAGE_TIMEOUT_MS) } = {}
+) {
+  const [jobs, completed] = await Promise.all([
+    sql`
+      SELECT prompt, style_id, comparison, output_profile, repackage_requested_at::text AS requested
+      FROM photo_jobs WHERE id = ${jobId}
+    `,
+    sql`
+      SELECT position, source_url, original_name, operation, prompt, room_type, output_url
+      FROM photo_job_items
+      WHERE job_id = ${jobId} AND status = 'completed'
+      ORDER BY position
+    `,
+  ])
+  const { downloadUrl, previewUrls } = await rebuildJobZip(
+    completed.map(item => ({
+      position: item.position,
+      sourceUrl: item.source_url,
+      originalName: item.original_name,
+      operation: item.operation,
+      prompt: item.prompt,
+      roomType: item.room_type,
+      outputUrl: item.output_url,
+    })),
+    {
+      comparison: jobs[0]?.comparison,
+      outputProfile: jobs[0]?.output_profile,
+      jobId,
+      styleId: jobs[0]?.style_id,
+      prompt: jobs[0]?.prompt,
+      signal,
+    }
+  )
+  await sql`
+    UPDATE photo_jobs
+    SET download_url = ${downloadUrl},
+        preview_urls = ${JSON.stringify(previewUrls)}::jsonb,
+        repackage_requested_at = CASE
+          WHEN repackage_requested_at <= ${jobs[0]?.requested ?? null}::timestamp THEN NULL
+          ELSE repackage_requested_at
+        END,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ${jobId}
+  `
+  return { downloadUrl, previewUrls }
+}
+
+/**
+ * Rebuilds a job's ZIP for a request that changed its photos. The caller
+ * sets the job's repackage request along with the change. A rebuild still
+ * running after REPACKAGE_WAIT_MS carries on in the background, and the job's
+ * current URLs are returned with `repackaging` set, so the client polls the
+ * job for the new ZIP. A failed rebuild is left for the worker to try again,
+ * unless `throwOnFailure` is set and it failed within the wait.
+ * @param {number} jobId
+ * @param {{ throwOnFailure?: boolean }} [options]
+ * @returns {Promise<{ downloadUrl: string|null, previewUrls: string[], repackaging: boolean }>}
+ */
+export async function repackageJobSoon(jobId, { throwOnFailure = false } = {}) {
+  const logFailure = error => {
+    logError(error, {
+      component: 'photo-queue',
+      jobId,
+      errorType: 'repackage_failed',
+    })
+  }
+  const rebuild = repackageJob(jobId)
+  let timer
+  const waited = new Promise(resolve => {
+    timer = setTimeout(resolve, REPACKAGE_WAIT_MS, null)
+  })
+  try {
+    const packaged = await Promise.race([rebuild, waited])
+    if (packaged) return { ...packaged, repackaging: false }
+    rebuild.catch(logFailure)
+  } catch (error) {
+    if (throwOnFailure) throw error
+    logFailure(error)
+  } finally {
+    clearTimeout(timer)
+  }
+
+  const rows = await sql`
+    SELECT download_url, preview_urls FROM photo_jobs WHERE id = ${jobId}
+  `
+  return {
+    downloadUrl: rows[0]?.download_url || null,
+    previewUrls: rows[0]?.preview_urls || [],
+    repackaging: true,
+  }
+}
+
+/**
+ * Loads a job's items in photo order, shaped for runPhotoPipeline.
+ */
+export async function loadJobItems(jobId) {
+  const rows = await sql`
+    SELECT id, position, source_url, original_name, operation, prompt, mask_url, status,
+           output_url, preview_url, room_type, variations, price, is_free
+    FROM photo_job_items
+    WHERE job_id = ${jobId}
+    ORDER BY position
+  `
+  return rows.map(r => ({
+    id: r.id,
+    position: r.position,
+    sourceUrl: r.source_url,
+    originalName: r.original_name,
+    operation: r.operation,
+    prompt: r.prompt,
+    roomPrompts: getOperation(r.operation)?.staging ?? true,
+    maskUrl: r.mask_url,
+    status: r.status,
+    outputUrl: r.output_url,
+    previewUrl: r.preview_url,
+    roomType: r.room_type,
+    variations: r.variations,
+    price: parseFloat(r.price),
+    isFree: r.is_free,
+  }))
+}
+
+// Records an item's progress. Completed items store every variation, with its
+// structure check, and are charged their price per variation; the free trial
+// covers one variation, and variations served from the result cache are free
+// unless the job's plan charges for them. Preview items are not charged until
+// the job is unlocked. A cancelled item stays cancelled, so a worker that
+// outlived its job's cancellation can't charge for it.
+async function updateItem(
+  item,
+  {
+    status,
+    outputUrl = null,
+    outputUrls = [outputUrl],
+    structure = [],
+    cachedVariations = 0,
+    previewUrl = null,
+    error = null,
+    roomType = null,
+  },
+  { preview = false, chargeCacheHits = true } = {}
+) {
+  if (status === 'completed') {
+    const uncharged = chargeCacheHits ? 0 : cachedVariations
+    await sql.transaction([
+      sql`
+        UPDATE photo_job_items
+        SET status = 'completed',
+            output_url = ${outputUrl},
+            preview_url = ${previewUrl},
+            room_type = COALESCE(${roomType}, room_type),
+            cached_variations = ${cachedVariations},
+            error = NULL,
+            credits_charged = CASE WHEN ${preview} THEN 0
+              ELSE price * GREATEST(0, variations - ${uncharged} - CASE WHEN is_free THEN 1 ELSE 0 END) END,
+            completed_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${item.id} AND status <> 'cancelled'
+      `,
+      // A retried item replaces the outputs of its earlier attempt
+      sql`
+        INSERT INTO photo_job_outputs (item_id, variant, url, structure_score, structure_changed)
+        SELECT ${item.id}, (u.ord - 1)::integer, u.output->>'url', (u.output->>'score')::real, COALESCE((u.output->>'changed')::boolean, false)
+        FROM jsonb_array_elements(${JSON.stringify(
+          outputUrls.map((url, n) => ({ url, ...structure[n] }))
+        )}::jsonb) WITH ORDINALITY AS u(output, ord)
+        WHERE EXISTS (SELECT 1 FROM photo_job_items WHERE id = ${item.id} AND status = 'completed')
+        ON CONFLICT (item_id, variant)
+        DO UPDATE SET url = EXCLUDED.url, structure_score = EXCLUDED.structure_score,
+          structure_changed = EXCLUDED.structure_changed, created_at = CURRENT_TIMESTAMP
+      `,
+    ])
+  } else {
+    await sql`
+      UPDATE photo_job_items
+      SET status = ${status},
+          error = ${error},
+          credits_charged = 0,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${item.id} AND status <> 'cancelled'
+    `
+  }
+}
+
+/**
+ * Runs the enhancement pipeline for a claimed job and records the outcome.
+ * Never throws: failures are written to the job row and reserved credits are refunded.
+ */
+export async function processJob(job) {
+  try {
+    const provider = getEnhancementProvider()
+    const items = await loadJobItems(job.id)
+    const {
+      downloadUrl,
+      previewUrls,
+      items: results,
+    } = await runPhotoPipeline({
+      items,
+      prompt: job.prompt,
+      jobId: job.id,
+      styleId: job.style_id,
+      comparison: job.comparison,
+      outputProfile: job.output_profile,
+      disclosure: job.disclosure,
+      preview: job.preview,
+      provider,
+      cache: resultCache,
+      onItemUpdate: (item, update) =>
+        updateItem(item, update, {
+          preview: job.preview,
+          chargeCacheHits: job.charge_cache_hits,
+        }),
+      isCancelled: () => isJobCancelled(job.id),
+    })
+
+    const status = await settleJob(job, { downloadUrl, previewUrls })
+    if (!status) {
+      // Settled without this worker, e.g. cancelled while its lock was stale
+      logEvent('photo_processing_superseded', {
+        userId: job.user_id,
+        jobId: job.id,
+        attempt: job.attempts,
+      })
+      return
+    }
+
+    // Each operation is billed as its own line; previews when unlocked
+    const usages = job.preview
+      ? []
+      : operationUsage(results, { chargeCacheHits: job.charge_cache_hits })
+    for (const usage of usages) {
+      logEvent('photo_operation_billed', {
+        userId: job.user_id,
+        jobId: job.id,
+        ...usage,
+      })
+    }
+
+    logEvent('photo_processing_completed', {
+      userId: job.user_id,
+      jobId: job.id,
+      photoCount: job.photo_count,
+      status,
+      attempt: job.attempts,
+    })
+  } catch (error) {
+    logError(error, {
+      component: 'photo-queue',
+      userId: job.user_id,
+      jobId: job.id,
+      errorType: 'enhancement_error',
+    })
+    await failJob(job, error)
+  }
+}
+
+/**
+ * Finalizes a job whose pipeline produced a ZIP. The job is `completed` when
+ * every photo succeeded and `partial` otherwise, and a cancelled job stays
+ * `cancelled`. Its cost becomes the price of the completed photos' charged
+ * variations (nothing yet for a preview), and the reservation for the other
+ * photos is refunded.
+ * @returns {Promise<string|undefined>} the final job status, or undefined if
+ *   the job had already been settled (e.g. by a cancellation)
+ */
+async function settleJob(job, { downloadUrl, previewUrls }) {
+  const rows = await settleJobQuery(job, { downloadUrl, previewUrls })
+  return rows[0]?.status
+}
+
+// Settles a job once: only the first caller marks it `settled_at`, and only
+// that caller refunds whatever part of the reservation its items did not
+// consume (free-trial slots of uncompleted free items, and credits not
+// charged). A slow worker finishing after a cancellation, or after its job
+// was reclaimed, changes nothing.
+function settleJobQuery(job, { downloadUrl, previewUrls }) {
+  return sql`
+    WITH settled AS (
+      UPDATE photo_jobs j
+      SET status = CASE
+            WHEN j.status = 'cancelled' THEN 'cancelled'
+            WHEN t.failed = 0 THEN 'completed'
+            ELSE 'partial'
+          END,
+          download_url = ${downloadUrl},
+          preview_urls = ${JSON.stringify(previewUrls)}::jsonb,
+          cost = CASE WHEN j.preview THEN 0 ELSE t.cost END,
+          error = NULL,
+          locked_at = NULL,
+          settled_at = CURRENT_TIMESTAMP,
+          completed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      FROM (
+        SELECT
+          COUNT(*) FILTER (WHERE status <> 'completed') AS failed,
+          COALESCE(SUM(price * (variations - CASE WHEN ${job.charge_cache_hits ?? true} THEN 0 ELSE cached_variations END)) FILTER (WHERE status = 'completed'), 0) AS cost
+        FROM photo_job_items
+        WHERE job_id = ${job.id}
+      ) t
+      WHERE j.id = ${job.id} AND j.settled_at IS NULL
+      RETURNING j.status
+    ),
+    refunded AS (
+      UPDATE user_credits
+      SET
+        free_used = GREATEST(0, free_used - (
+          SELECT COUNT(*) FROM photo_job_items
+          WHERE job_id = ${job.id} AND is_free AND status <> 'completed'
+        )),
+        credits = credits + GREATEST(0, ${job.credits_applied || 0} - (
+          SELECT COALESCE(SUM(credits_charged), 0) FROM photo_job_items
+          WHERE job_id = ${job.id}
+        )),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ${job.user_id} AND EXISTS (SELECT 1 FROM settled)
+    )
+    SELECT status FROM settled
+  `
+}
+
+/**
+ * Marks a job failed and returns its reserved free-trial uses and credits.
+ * Nothing was delivered, so no item stays charged. Like settleJob, this
+ * happens at most once per job.
+ */
+export async function failJob(job, error) {
+  const message = error instanceof Error ? error.message : String(error)
+  try {
+    await sql`
+      WITH settled AS (
+        UPDATE photo_jobs
+        SET status = 'failed',
+            error = ${message},
+            cost = 0,
+            locked_at = NULL,
+            settled_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${job.id} AND settled_at IS NULL
+        RETURNING id
+      ),
+      items AS (
+        UPDATE photo_job_items
+        SET status = CASE WHEN status IN ('completed', 'timed_out', 'cancelled') THEN status ELSE 'failed' END,
+            error = CASE WHEN status = 'completed' THEN error ELSE COALESCE(error, ${message}) END,
+            credits_charged = 0,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE job_id = ${job.id} AND EXISTS (SELECT 1 FROM settled)
+      ),
+      refunded AS (
+        UPDATE user_credits
+        SET
+          free_used = GREATEST(0, free_used - ${job.free_applied || 0}),
+          credits   = credits + ${job.credits_applied || 0},
+          updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = ${job.user_id} AND EXISTS (SELECT 1 FROM settled)
+      )
+      SELECT id FROM settled
+    `
+  } catch (e) {
+    logError(e, {
+      component: 'photo-queue',
+      userId: job.user_id,
+      jobId: job.id,
+      errorType: 'job_status_update_failed',
+    })
+  }
+}
+
+/**
+ * Atomically claims the oldest runnable regeneration, marking it
+ * `processing`, like claimNextJob.
+ * @returns {Promise<Object|null>} the claimed photo_regenerations row, or null if none is waiting
+ */
+export async function claimNextRegeneration() {
+  const rows = await sql`
+    UPDATE photo_regenerations
+    SET status = 'processing',
+        attempts = attempts + 1,
+        locked_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM photo_regenerations
+      WHERE attempts < ${MAX_ATTEMPTS}
+        AND (
+          status = 'queued'
+          OR (
+            status = 'processing'
+            AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => ${STALE_LOCK_MINUTES})
+          )
+        )
+      ORDER BY created_at
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING id, item_id, job_id, user_id, prompt, variant, version, charge, structure_fix, attempts
+  `
+  return rows[0] || null
+}
+
+/**
+ * Re-runs the photo of a claimed regeneration, adds the new output to the
+ * photo's history and selects it, then rebuilds the job ZIP. Never throws: a
+ * run that fails is refunded, and a ZIP that can't be rebuilt keeps its
+ * repackage request so the worker tries again later.
+ */
+export async function processRegeneration(regeneration) {
+  const context = {
+    userId: regeneration.user_id,
+    jobId: regeneration.job_id,
+    itemId: regeneration.item_id,
+    regenerationId: regeneration.id,
+  }
+  try {
+    const provider = getEnhancementProvider()
+    const [item] = await sql`
+      SELECT i.position, i.source_url, i.operation, i.prompt, i.mask_url, i.room_type,
+             j.prompt AS job_prompt, j.disclosure
+      FROM photo_job_items i
+      JOIN photo_jobs j ON j.id = i.job_id
+      WHERE i.id = ${regeneration.item_id}
+    `
+    const output = await regeneratePhoto({
+      item: {
+        position: item.position,
+        sourceUrl: item.source_url,
+        roomType: item.room_type,
+        maskUrl: item.mask_url,
+        roomPrompts: getOperation(item.operation)?.staging ?? true,
+      },
+      // The extra instructions refine the photo's original prompt
+      prompt: [item.prompt || item.job_prompt, regeneration.prompt]
+        .filter(Boolean)
+        .join('. '),
+      variant: regeneration.variant,
+      // Regenerated photos carry the same label as the rest of the job
+      disclosure: item.disclosure,
+      provider,
+    })
+
+    const recorded = await recordRegeneration(regeneration, output)
+    if (recorded.length === 0) {
+      // Failed or reclaimed while this worker was still running it
+      logEvent('photo_regeneration_superseded', {
+        ...context,
+        attempt: regeneration.attempts,
+      })
+      return
+    }
+    logEvent('photo_regenerated', {
+      ...context,
+      version: regeneration.version,
+      creditsUsed: parseFloat(regeneration.charge),
+      structureFix: regeneration.structure_fix,
+      structureChanged: output.structure.changed,
+    })
+  } catch (error) {
+    logError(error, {
+      component: 'photo-queue',
+      ...context,
+      errorType: 'enhancement_error',
+    })
+    await failRegeneration(regeneration, error)
+    return
+  }
+
+  try {
+    await repackageJob(regeneration.job_id)
+  } catch (error) {
+    logError(error, {
+      component: 'photo-queue',
+      ...context,
+      errorType: 'repackage_failed',
+    })
+  }
+}
+
+// Keeps the new output as history and selects it, adds the run's charge to
+// the photo and the job, and asks for the job ZIP to be rebuilt. Only the
+// worker holding the regeneration's current claim records it.
+function recordRegeneration(regeneration, output) {
+  return sql`
+    WITH done AS (
+      UPDATE photo_regenerations
+      SET status = 'completed',
+          error = NULL,
+          locked_at = NULL,
+          completed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${regeneration.id} AND status = 'processing' AND attempts = ${regeneration.attempts}
+      RETURNING item_id, job_id, charge
+    ),
+    outputs AS (
+      INSERT INTO photo_job_outputs (item_id, variant, version, prompt, url, structure_score, structure_changed)
+      SELECT item_id, ${regeneration.variant}::integer, ${regeneration.version}::integer, ${regeneration.prompt}::text,
+        ${output.outputUrl}::text, ${output.structure.score}::real, ${output.structure.changed}::boolean
+      FROM done
+    ),
+    items AS (
+      UPDATE photo_job_items i
+      SET output_url = ${output.outputUrl},
+          room_type = COALESCE(${output.roomType}, i.room_type),
+          credits_charged = i.credits_charged + done.charge,
+          updated_at = CURRENT_TIMESTAMP
+      FROM done
+      WHERE i.id = done.item_id
+    ),
+    jobs AS (
+      UPDATE photo_jobs j
+      SET cost = j.cost + done.charge,
+          credits_applied = j.credits_applied + done.charge,
+          repackage_requested_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      FROM done
+      WHERE j.id = done.job_id
+    )
+    SELECT item_id FROM done
+  `
+}
+
+/**
+ * Marks a regeneration failed, uncounts the run and refunds its charge. Only
+ * the worker holding the regeneration's current claim, or the sweep of
+ * exhausted ones, can fail it, so it is refunded at most once.
+ */
+async function failRegeneration(regeneration, error) {
+  const message = error instanceof Error ? error.message : String(error)
+  try {
+    await sql`
+      WITH failed AS (
+        UPDATE photo_regenerations
+        SET status = 'failed',
+            error = ${message},
+            locked_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${regeneration.id} AND status = 'processing' AND attempts = ${regeneration.attempts}
+        RETURNING item_id, user_id, charge, structure_fix
+      ),
+      released AS (
+        UPDATE photo_job_items i
+        SET regenerations = GREATEST(0, i.regenerations - 1),
+            structure_regenerations = GREATEST(0, i.structure_regenerations - CASE WHEN failed.structure_fix THEN 1 ELSE 0 END),
+            updated_at = CURRENT_TIMESTAMP
+        FROM failed
+        WHERE i.id = failed.item_id
+      ),
+      refunded AS (
+        UPDATE user_credits u
+        SET credits = u.credits + failed.charge,
+            updated_at = CURRENT_TIMESTAMP
+        FROM failed
+        WHERE u.user_id = failed.user_id AND failed.charge > 0
+      )
+      SELECT item_id FROM failed
+    `
+  } catch (e) {
+    logError(e, {
+      component: 'photo-queue',
+      userId: regeneration.user_id,
+      jobId: regeneration.job_id,
+      regenerationId: regeneration.id,
+      errorType: 'regeneration_status_update_failed',
+    })
+  }
+}
+
+async function isJobCancelled(jobId) {
+  const rows = await sql`SELECT status FROM photo_jobs WHERE id = ${jobId}`
+  return rows[0]?.status === 'cancelled'
+}
+
+/**
+ * Cancels a job that hasn't finished. Its photos that haven't started are
+ * marked `cancelled` and never processed; photos already being enhanced
+ * finish and are charged as usual. A job no worker holds (still queued, or
+ * left by a crashed worker) is settled at once, so only its completed photos
+ * are billed and the rest of its reservation is released. A job a worker
+ * holds is settled by that worker once its photos in progress finish, or by
+ * failExhaustedJobs() if that worker dies.
+ * @param {{ id: number }} job
+ * @returns {Promise<{ stopped: number, settled: boolean }|null>} null when the
+ *   job had already finished
+ */
+export async function cancelJob(job) {
+  const [jobs, stopped] = await sql.transaction([
+    sql`
+      UPDATE photo_jobs
+      SET status = 'cancelled',
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${job.id} AND status IN ('pending', 'queued', 'processing')
+      RETURNING id, user_id, preview, charge_cache_hits, credits_applied,
+        locked_at IS NULL
+          OR locked_at < CURRENT_TIMESTAMP - make_interval(mins => ${STALE_LOCK_MINUTES}) AS unclaimed
+    `,
+    sql`
+      UPDATE photo_job_items
+      SET status = 'cancelled',
+          credits_charged = 0,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE job_id = ${job.id} AND status = 'pending'
+        AND EXISTS (SELECT 1 FROM photo_jobs WHERE id = ${job.id} AND status = 'cancelled')
+      RETURNING id
+    `,
+  ])
+  const cancelled = jobs[0]
+  if (!cancelled) return null
+  if (!cancelled.unclaimed) return { stopped: stopped.length, settled: false }
+
+  const abandoned = await settleCancelledJob(cancelled)
+  return {
+    stopped: stopped.length + (abandoned ?? 0),
+    settled: abandoned !== null,
+  }
+}
+
+// Settles a cancelled job no live worker holds. Photos a crashed worker left
+// `processing` will never finish, so they are cancelled too; the ones it
+// completed are still delivered.
+// Returns how many photos it cancelled, or null if the job was already settled.
+async function settleCancelledJob(job) {
+  const [abandoned, settled] = await sql.transaction([
+    sql`
+      UPDATE photo_job_items
+      SET status = 'cancelled',
+          credits_charged = 0,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE job_id = ${job.id} AND status IN ('pending', 'processing')
+        AND EXISTS (SELECT 1 FROM photo_jobs WHERE id = ${job.id} AND settled_at IS NULL)
+      RETURNING id
+    `,
+    settleJobQuery(job, { downloadUrl: null, previewUrls: [] }),
+  ])
+  if (settled.length === 0) return null
+
+  const [{ completed }] = await sql`
+    SELECT COUNT(*)::integer AS completed FROM photo_job_items
+    WHERE job_id = ${job.id} AND status = 'completed'
+  `
+  if (completed > 0 && !job.preview) await repackageJob(job.id)
+  return abandoned.length
+}
+
+/**
+ * Fails jobs whose lock went stale after their last allowed attempt, so they
+ * don't sit in `processing` forever with credits still reserved. Cancelled
+ * jobs whose worker died before settling them are settled the same way, and
+ * exhausted regenerations are failed and refunded.
+ */
+async function failExhaustedJobs() {
+  const [exhausted, cancelled, regenerations] = await Promise.all([
+    sql`
+      SELECT id, user_id, free_applied, credits_applied
+      FROM photo_jobs
+      WHERE status = 'processing'
+        AND attempts >= ${MAX_ATTEMPTS}
+        AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => ${STALE_LOCK_MINUTES})
+    `,
+    sql`
+      SELECT id, user_id, preview, charge_cache_hits, credits_applied
+      FROM photo_jobs
+      WHERE status = 'cancelled'
+        AND settled_at IS NULL
+        AND (
+          locked_at IS NULL
+          OR locked_at < CURRENT_TIMESTAMP - make_interval(mins => ${STALE_LOCK_MINUTES})
+        )
+    `,
+    sql`
+      SELECT id, item_id, job_id, user_id, attempts
+      FROM photo_regenerations
+      WHERE status = 'processing'
+        AND attempts >= ${MAX_ATTEMPTS}
+        AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => ${STALE_LOCK_MINUTES})
+    `,
+  ])
+  for (const job of exhausted) {
+    await failJob(
+      job,
+      new Error(`Processing did not finish after ${MAX_ATTEMPTS} attempts`)
+    )
+  }
+  for (const job of cancelled) {
+    try {
+      await settleCancelledJob(job)
+    } catch (error) {
+      logError(error, {
+        component: 'photo-queue',
+        userId: job.user_id,
+        jobId: job.id,
+        errorType: 'job_status_update_failed',
+      })
+    }
+  }
+  for (const regeneration of regenerations) {
+    await failRegeneration(
+      regeneration,
+      new Error(`Regeneration did not finish after ${MAX_ATTEMPTS} attempts`)
+    )
+  }
+}
+
+// Rebuilds the ZIPs of jobs whose repackage request was abandoned. One that
+// fails again is retried REPACKAGE_RETRY_MINUTES later.
+async function repackageRequestedJobs() {
+  const jobs = await sql`
+    SELECT id, user_id FROM photo_jobs
+    WHERE repackage_requested_at < CURRENT_TIMESTAMP - make_interval(mins => ${REPACKAGE_RETRY_MINUTES})
+  `
+  for (const job of jobs) {
+    try {
+      await repackageJob(job.id)
+    } catch (error) {
+      logError(error, {
+        component: 'photo-queue',
+        userId: job.user_id,
+        jobId: job.id,
+        errorType: 'repackage_failed',
+      })
+      await sql`
+        UPDATE photo_jobs SET repackage_requested_at = CURRENT_TIMESTAMP
+        WHERE id = ${job.id} AND repackage_requested_at IS NOT NULL
+      `
+    }
+  }
+}
+
+/**
+ * Processes queued regenerations and jobs one at a time until the queue is
+ * empty. Regenerations go first, as the user is waiting on a single photo.
+ * Concurrent calls in the same process share a single drain loop.
+ */
+export function drainQueue() {
+  if (!draining) {
+    draining = (async () => {
+      try {
+        await failExhaustedJobs()
+        await repackageRequestedJobs()
+        for (;;) {
+          const regeneration = await claimNextRegeneration()
+          if (regeneration) {
+            await processRegeneration(regeneration)
+            continue
+          }
+          const job = await claimNextJob()
+          if (!job) break
+          await processJob(job)
+        }
+      } finally {
+        draining = null
+      }
+    })()
+  }
+  return draining
+}
+
+/**
+ * Starts draining the queue in the background without blocking the caller.
+ */
+export function kickWorker() {
+  drainQueue().catch(error => {
+    logError(error, { component: 'photo-queue', errorType: 'worker_failed' })
+  })
+}
+
+/**
+ * Long-running worker loop used by `npm run worker`.
+ * @param {{ signal?: AbortSignal, pollInterval?: number }} [options]
+ */
+export async function runWorker({
+  signal,
+  pollInterval = POLL_INTERVAL_MS,
+} = {}) {
+  while (!signal?.aborted) {
+    try {
+      await drainQueue()
+    } catch (error) {
+      logError(error, { component: 'photo-queue', errorType: 'worker_failed' })
+    }
+    await new Promise(r => setTimeout(r, pollInterval))
+  }
+}
@@ -0,0 +1,92 @@
+import sql from '@/app/api/utils/sql'
+import { DEFAULT_OPERATION, getOperation } from '@/utils/operations'
+import { DEFAULT_PLAN_ID } from '@/utils/plans'
+import {
+  freeTrialRemaining,
+  getTurnaround,
+  priceJob,
+  roundCents,
+} from '@/utils/pricing'
+
+/**
+ * What a process-photos request would cost the user, on their plan and with
+ * the free trial and credits they have. POST /api/process-photos prices and
+ * reserves jobs with this, and POST /api/process-photos/quote returns it
+ * without queueing anything, so the two can't disagree. Only reads.
+ * @param {Object} input
+ * @param {string} input.userId
+ * @param {Object} input.data - Validated job settings (see ProcessPhotosSchema)
+ * @param {number} input.photoCount
+ * @param {boolean} input.hasDB - Without a database nothing is reserved, so
+ *   the balance is never short
+ * @returns {Promise<{
+ *   photoCount: number,
+ *   operations: string[],
+ *   outputProfile: string|null,
+ *   turnaround: string,
+ *   planId: string,
+ *   hasAccount: boolean,
+ *   prices: number[],
+ *   cost: number,
+ *   free: number,
+ *   paid: number,
+ *   creditsNeeded: number,
+ *   balance: number,
+ *   shortfall: number,
+ * }>}
+ */
+export async function quoteJob({ userId, data, photoCount, hasDB }) {
+  const operation = getOperation(data.operation || DEFAULT_OPERATION)
+  // Photos may override the job's operation
+  const operations = Array.from(
+    { length: photoCount },
+    (_, position) =>
+      (getOperation(data.photoOperations?.[position]) || operation).id
+  )
+  const variations = data.variations || 1
+  const preview = Boolean(data.preview)
+  const turnaround = getTurnaround(data.turnaround).id
+
+  // Jobs that don't name an output profile use the user's default
+  let outputProfile = data.outputProfile
+  let account = null
+  if (hasDB) {
+    const [settings, balances] = await Promise.all([
+      outputProfile === undefined
+        ? sql`SELECT output_profile FROM user_settings WHERE user_id = ${userId}`
+        : [],
+      sql`SELECT free_used, credits, plan FROM user_credits WHERE user_id = ${userId}`,
+    ])
+    if (outputProfile === undefined) {
+      outputProfile = settings[0]?.output_profile
+    }
+    account = balances[0] || null
+  }
+  outputProfile = outputProfile || null
+
+  const planId = account?.plan || DEFAULT_PLAN_ID
+  const balance = parseFloat(account?.credits) || 0
+  const { prices, cost, free, credits } = priceJob({
+    photos: operations.map(id => ({ operation: id, variations })),
+    outputProfile,
+    turnaround,
+    plan: planId,
+    freeRemaining: freeTrialRemaining(account?.free_used),
+    preview,
+  })
+  return {
+    photoCount,
+    operations,
+    outputProfile,
+    turnaround,
+    planId,
+    hasAccount: Boolean(account),
+    prices,
+    cost,
+    free,
+    paid: preview ? 0 : photoCount - free,
+    creditsNeeded: credits,
+    balance,
+    shortfall: hasDB ? Math.max(0, roundCents(credits - balance)) : 0,
+  }
+}
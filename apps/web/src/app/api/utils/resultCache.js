@@ -0,0 +1,111 @@
+import { createHash } from 'node:crypto'
+import sql from '@/app/api/utils/sql'
+
+/**
+ * Enhancement result cache. Users often submit the same photos again, e.g.
+ * a new job for a listing they already staged, and a repeat of the same
+ * request would otherwise pay for another provider call. Outputs are stored
+ * under a hash of everything that determines them, and a repeat request
+ * reuses the stored output instead (see enhanceImage).
+ *
+ * @typedef {Object} CachedResult
+ * @property {string} outputUrl - The stored output
+ * @property {string|null} roomType - Room type the photo was classified as
+ *
+ * @typedef {Object} ResultCache
+ * @property {(key: string) => Promise<CachedResult|null>} get
+ * @property {(key: string, result: CachedResult) => Promise<void>} set
+ */
+
+// Bumped when what goes into the key changes, so old entries stop matching
+const KEY_VERSION = 1
+
+/**
+ * Prompts that differ only in spacing or Unicode normalization give the same
+ * result, so they share cache entries.
+ * @param {string|null|undefined} prompt
+ * @returns {string}
+ */
+export function normalizePrompt(prompt) {
+  return (prompt || '').normalize('NFC').replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * The cache key of one output: a SHA-256 over the source photo as uploaded,
+ * the mask, the normalized prompt, the operation, the model and anything else
+ * that changes what the provider is asked for.
+ * @param {Object} input
+ * @param {Buffer} input.source - Source bytes as downloaded, metadata included
+ * @param {Buffer|null} [input.mask]
+ * @param {string} input.prompt - Before any room template is added
+ * @param {string|null} [input.operation]
+ * @param {string} input.model - Provider and model that generate the output
+ * @param {number} input.variant
+ * @param {boolean} input.roomPrompts
+ * @param {string|null} [input.roomType] - A room type given up front rather than classified
+ * @param {string[]} [input.metadataFields] - Metadata copied into the output
+ * @param {{ text: string, corner: string, opacity: number }|null} [input.disclosure] - Label stamped on the output
+ * @returns {string} 64 hex characters
+ */
+export function resultCacheKey({
+  source,
+  mask = null,
+  prompt,
+  operation = null,
+  model,
+  variant,
+  roomPrompts,
+  roomType = null,
+  metadataFields = [],
+  disclosure = null,
+}) {
+  const hash = createHash('sha256')
+  const part = value => {
+    const bytes = Buffer.isBuffer(value) ? value : Buffer.from(String(value))
+    // Length-prefixed so no two different inputs run together the same way
+    const length = Buffer.alloc(8)
+    length.writeBigUInt64BE(BigInt(bytes.length))
+    hash.update(length).update(bytes)
+  }
+  part(KEY_VERSION)
+  part(source)
+  part(mask || '')
+  part(normalizePrompt(prompt))
+  part(operation || '')
+  part(model)
+  part(variant)
+  part(roomPrompts ? 1 : 0)
+  part(roomType || '')
+  part([...metadataFields].sort().join(','))
+  part(
+    disclosure
+      ? JSON.stringify([disclosure.text, disclosure.corner, disclosure.opacity])
+      : ''
+  )
+  return hash.digest('hex')
+}
+
+/**
+ * The cache in the enhancement_cache table. Each hit is counted, and the
+ * first output stored under a key is kept.
+ * @type {ResultCache}
+ */
+export const resultCache = {
+  async get(key) {
+    const rows = await sql`
+      UPDATE enhancement_cache
+      SET hits = hits + 1, last_hit_at = CURRENT_TIMESTAMP
+      WHERE cache_key = ${key}
+      RETURNING output_url, room_type
+    `
+    if (rows.length === 0) return null
+    return { outputUrl: rows[0].output_url, roomType: rows[0].room_type }
+  },
+  async set(key, { outputUrl, roomType }) {
+    await sql`
+      INSERT INTO enhancement_cache (cache_key, output_url, room_type)
+      VALUES (${key}, ${outputUrl}, ${roomType})
+      ON CONFLICT (cache_key) DO NOTHING
+    `
+  },
+}
@@ -0,0 +1,70 @@
+import sharp from 'sharp'
+import { getOutputProfile } from '@/utils/outputProfiles'
+
+// Lowest quality tried before a size-capped image is scaled down instead
+const MIN_QUALITY = 60
+const QUALITY_STEP = 10
+// Each scale-down keeps this share of the dimensions
+const SCALE_STEP = 0.8
+const MIN_DIMENSION = 256
+
+const EXTENSIONS = { jpeg: 'jpg', webp: 'webp', tiff: 'tif' }
+
+/**
+ * Re-encodes an enhanced photo to an output profile (src/utils/outputProfiles.ts):
+ * oriented upright, scaled down to the profile's longest side (never up) and
+ * written in its format. A profile with `maxBytes` is encoded at lower
+ * quality, down to MIN_QUALITY, and then at smaller sizes until it fits.
+ * JPEGs have no transparency, so any is flattened onto white.
+ * @param {Buffer} buffer - Enhanced image
+ * @param {string} profileId
+ * @returns {Promise<{ buffer: Buffer, extension: string }>}
+ */
+export async function transcodeToProfile(buffer, profileId) {
+  const profile = getOutputProfile(profileId)
+  if (!profile) {
+    throw new Error(`Unknown output profile: ${profileId}`)
+  }
+
+  const { width, height } = (await sharp(buffer).metadata()).autoOrient
+  let longest = Math.min(
+    Math.max(width, height),
+    profile.maxDimension || Infinity
+  )
+  let quality = profile.quality
+  for (;;) {
+    const output = await encode(buffer, profile, longest, quality)
+    if (!profile.maxBytes || output.length <= profile.maxBytes) {
+      return { buffer: output, extension: EXTENSIONS[profile.format] }
+    }
+    if (quality && quality - QUALITY_STEP >= MIN_QUALITY) {
+      quality -= QUALITY_STEP
+    } else if (longest * SCALE_STEP >= MIN_DIMENSION) {
+      longest = Math.round(longest * SCALE_STEP)
+    } else {
+      throw new Error(
+        `Image does not fit the ${(profile.maxBytes / (1024 * 1024)).toFixed(0)} MB limit of output profile ${profile.id}`
+      )
+    }
+  }
+}
+
+function encode(buffer, profile, longest, quality) {
+  const image = sharp(buffer)
+    .autoOrient()
+    .resize(longest, longest, { fit: 'inside', withoutEnlargement: true })
+    // Capture date and camera copied from the source, and any disclosure
+    // description (see metadata.js)
+    .keepExif()
+    .keepXmp()
+  if (profile.format === 'jpeg') {
+    return image
+      .flatten({ background: '#FFFFFF' })
+      .jpeg({ quality, mozjpeg: true })
+      .toBuffer()
+  }
+  if (profile.format === 'webp') {
+    return image.webp({ quality }).toBuffer()
+  }
+  return image.tiff({ compression: 'lzw' }).toBuffer()
+}
@@ -1,10 +1,22 @@
-async function upload({ url, buffer, base64 }) {
+import { Readable } from 'node:stream'
+
+// `stream` (a Node Readable) is sent as it is produced, without buffering.
+// `signal` aborts the request.
+async function upload({ url, buffer, base64, stream, signal }) {
+  const binary = buffer || stream
   const response = await fetch(`https://api.createanything.com/v0/upload`, {
     method: 'POST',
     headers: {
-      'Content-Type': buffer ? 'application/octet-stream' : 'application/json',
+      'Content-Type': binary ? 'application/octet-stream' : 'application/json',
     },
-    body: buffer ? buffer : JSON.stringify({ base64, url }),
+    body: stream
+      ? Readable.toWeb(stream)
+      : buffer
+        ? buffer
+        : JSON.stringify({ base64, url }),
+    // Required by fetch for streamed request bodies
+    ...(stream ? { duplex: 'half' } : {}),
+    signal,
   })
   const data = await response.json()
   return {
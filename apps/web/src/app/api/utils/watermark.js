@@ -0,0 +1,48 @@
+import sharp from 'sharp'
+
+// Longest side of a preview image, in pixels
+export const PREVIEW_MAX_SIZE = 768
+const WATERMARK_TEXT = 'StageInSeconds Preview'
+
+/**
+ * Renders the copy of an enhanced photo shown before it is paid for: scaled
+ * down to PREVIEW_MAX_SIZE and stamped with a repeated diagonal watermark.
+ * The full-resolution output is kept as-is for when the preview is unlocked.
+ * @param {Buffer} buffer - Enhanced image
+ * @returns {Promise<Buffer>} JPEG
+ */
+export async function renderWatermarkedPreview(buffer) {
+  const { data, info } = await sharp(buffer)
+    .autoOrient()
+    .resize(PREVIEW_MAX_SIZE, PREVIEW_MAX_SIZE, {
+      fit: 'inside',
+      withoutEnlargement: true,
+    })
+    .toBuffer({ resolveWithObject: true })
+
+  return sharp(data)
+    .composite([{ input: watermarkSvg(info.width, info.height) }])
+    .flatten({ background: '#FFFFFF' })
+    .jpeg({ quality: 80 })
+    .toBuffer()
+}
+
+// Rows of the watermark text rotated across the whole image, so it can't be
+// cropped out
+function watermarkSvg(width, height) {
+  const size = Math.max(12, Math.round(Math.min(width, height) / 14))
+  const step = size * 4
+  const rows = []
+  for (let y = -height; y < height * 2; y += step) {
+    rows.push(
+      `<text x="${-width}" y="${y}" font-size="${size}">${`${WATERMARK_TEXT}   `.repeat(
+        Math.ceil((width * 3) / (size * WATERMARK_TEXT.length * 0.6))
+      )}</text>`
+    )
+  }
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <g transform="rotate(-30 ${width / 2} ${height / 2})" font-family="sans-serif" font-weight="bold" fill="#FFFFFF" fill-opacity="0.45" stroke="#000000" stroke-opacity="0.25" stroke-width="1" xml:space="preserve">
+    ${rows.join('\n    ')}
+  </g>
+</svg>`)
+}
@@ -0,0 +1,251 @@
+import { Readable } from 'node:stream'
+import { promisify } from 'node:util'
+import { deflateRaw as deflateRawCallback } from 'node:zlib'
+
+const deflateRaw = promisify(deflateRawCallback)
+
+// General purpose flag bit 11: file names are UTF-8 (uploads keep their names)
+const UTF8_NAMES = 0x0800
+const STORE = 0
+const DEFLATE = 8
+// Version needed to extract: 2.0 for deflate, 4.5 for ZIP64 records
+const VERSION_DEFLATE = 20
+const VERSION_ZIP64 = 45
+// 16- and 32-bit fields at their maximum mean "see the ZIP64 record"
+const MAX_UINT16 = 0xffff
+const MAX_UINT32 = 0xffffffff
+const ZIP64_EXTRA = 0x0001
+// "Made by" Unix with regular-file permissions (rw-r--r--). unzip reads names
+// from MS-DOS 2.0 writers as code page 437 despite the UTF-8 flag.
+const MADE_BY_UNIX = 3 << 8
+const REGULAR_FILE = (0o100644 << 16) >>> 0
+
+// Already-compressed formats gain nothing from deflate, so they are stored
+const STORED_EXTENSIONS = new Set([
+  'jpg',
+  'jpeg',
+  'png',
+  'webp',
+  'gif',
+  'heic',
+  'heif',
+  'avif',
+  'zip',
+])
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} filename - Path inside the archive, UTF-8
+ * @property {Buffer} buffer - File contents
+ */
+
+/**
+ * Streams a ZIP archive of `files`. Entries are read one at a time, so an
+ * async generator can produce them as the archive is written and only one
+ * photo is in memory at once. Photos are stored and other files deflated.
+ * ZIP64 records are added where sizes, offsets or the entry count outgrow
+ * the classic format, so archives past 4 GB or 65,535 files still open.
+ * @param {Iterable<ZipEntry>|AsyncIterable<ZipEntry>} files
+ * @param {{ forceZip64?: boolean }} [options] - Write ZIP64 records even when not needed
+ * @returns {Readable}
+ */
+export function createZipStream(files, { forceZip64 = false } = {}) {
+  return Readable.from(writeZip(files, forceZip64), { objectMode: false })
+}
+
+async function* writeZip(files, forceZip64) {
+  const encoder = new TextEncoder()
+  const { time, date } = dosDateTime(new Date())
+  const central = []
+  let offset = 0
+
+  for await (const { filename, buffer } of files) {
+    const name = encoder.encode(filename)
+    const crc = crc32(buffer)
+    const stored = STORED_EXTENSIONS.has(extensionOf(filename))
+    const data = stored ? buffer : await deflateRaw(buffer)
+    const entry = {
+      name,
+      crc,
+      method: stored ? STORE : DEFLATE,
+      size: buffer.length,
+      compressedSize: data.length,
+      offset,
+      time,
+      date,
+    }
+    entry.zip64 =
+      forceZip64 ||
+      entry.size >= MAX_UINT32 ||
+      entry.compressedSize >= MAX_UINT32
+
+    const header = localFileHeader(entry)
+    yield header
+    yield data
+    offset += header.length + data.length
+    central.push(entry)
+  }
+
+  const centralStart = offset
+  for (const entry of central) {
+    const header = centralDirectoryHeader(entry, forceZip64)
+    yield header
+    offset += header.length
+  }
+  const centralSize = offset - centralStart
+
+  const zip64 =
+    forceZip64 ||
+    central.length >= MAX_UINT16 ||
+    centralSize >= MAX_UINT32 ||
+    centralStart >= MAX_UINT32
+  if (zip64) {
+    yield zip64EndOfCentralDirectory(central.length, centralSize, centralStart)
+    yield zip64EndLocator(offset)
+  }
+  yield endOfCentralDirectory(central.length, centralSize, centralStart, zip64)
+}
+
+function localFileHeader(entry) {
+  // ZIP64 entries carry both sizes in the extra field
+  const extra = entry.zip64
+    ? zip64Extra([entry.size, entry.compressedSize])
+    : Buffer.alloc(0)
+  const header = Buffer.alloc(30 + entry.name.length + extra.length)
+  header.writeUInt32LE(0x04034b50, 0) // local file header signature
+  header.writeUInt16LE(entry.zip64 ? VERSION_ZIP64 : VERSION_DEFLATE, 4)
+  header.writeUInt16LE(UTF8_NAMES, 6)
+  header.writeUInt16LE(entry.method, 8)
+  header.writeUInt16LE(entry.time, 10)
+  header.writeUInt16LE(entry.date, 12)
+  header.writeUInt32LE(entry.crc, 14)
+  header.writeUInt32LE(entry.zip64 ? MAX_UINT32 : entry.compressedSize, 18)
+  header.writeUInt32LE(entry.zip64 ? MAX_UINT32 : entry.size, 22)
+  header.writeUInt16LE(entry.name.length, 26)
+  header.writeUInt16LE(extra.length, 28)
+  header.set(entry.name, 30)
+  header.set(extra, 30 + entry.name.length)
+  return header
+}
+
+function centralDirectoryHeader(entry, forceZip64) {
+  // Only the fields that overflow go in the extra field, in this order
+  const overflow = value => forceZip64 || value >= MAX_UINT32
+  const large = [entry.size, entry.compressedSize, entry.offset].filter(
+    overflow
+  )
+  const extra = large.length > 0 ? zip64Extra(large) : Buffer.alloc(0)
+  const version =
+    large.length > 0 || entry.zip64 ? VERSION_ZIP64 : VERSION_DEFLATE
+
+  const header = Buffer.alloc(46 + entry.name.length + extra.length)
+  header.writeUInt32LE(0x02014b50, 0) // central directory header signature
+  header.writeUInt16LE(MADE_BY_UNIX | version, 4) // version made by
+  header.writeUInt16LE(version, 6) // version needed to extract
+  header.writeUInt16LE(UTF8_NAMES, 8)
+  header.writeUInt16LE(entry.method, 10)
+  header.writeUInt16LE(entry.time, 12)
+  header.writeUInt16LE(entry.date, 14)
+  header.writeUInt32LE(entry.crc, 16)
+  header.writeUInt32LE(
+    overflow(entry.compressedSize) ? MAX_UINT32 : entry.compressedSize,
+    20
+  )
+  header.writeUInt32LE(overflow(entry.size) ? MAX_UINT32 : entry.size, 24)
+  header.writeUInt16LE(entry.name.length, 28)
+  header.writeUInt16LE(extra.length, 30)
+  header.writeUInt16LE(0, 32) // comment length
+  header.writeUInt16LE(0, 34) // disk number start
+  header.writeUInt16LE(0, 36) // internal attributes
+  header.writeUInt32LE(REGULAR_FILE, 38) // external attributes
+  header.writeUInt32LE(overflow(entry.offset) ? MAX_UINT32 : entry.offset, 42)
+  header.set(entry.name, 46)
+  header.set(extra, 46 + entry.name.length)
+  return header
+}
+
+function zip64Extra(values) {
+  const extra = Buffer.alloc(4 + values.length * 8)
+  extra.writeUInt16LE(ZIP64_EXTRA, 0)
+  extra.writeUInt16LE(values.length * 8, 2)
+  values.forEach((value, i) => extra.writeBigUInt64LE(BigInt(value), 4 + i * 8))
+  return extra
+}
+
+function zip64EndOfCentralDirectory(count, size, start) {
+  const record = Buffer.alloc(56)
+  record.writeUInt32LE(0x06064b50, 0) // ZIP64 end of central dir signature
+  record.writeBigUInt64LE(44n, 4) // size of the rest of this record
+  record.writeUInt16LE(MADE_BY_UNIX | VERSION_ZIP64, 12) // version made by
+  record.writeUInt16LE(VERSION_ZIP64, 14) // version needed to extract
+  record.writeUInt32LE(0, 16) // number of this disk
+  record.writeUInt32LE(0, 20) // disk with start of central directory
+  record.writeBigUInt64LE(BigInt(count), 24) // entries on this disk
+  record.writeBigUInt64LE(BigInt(count), 32) // total entries
+  record.writeBigUInt64LE(BigInt(size), 40)
+  record.writeBigUInt64LE(BigInt(start), 48)
+  return record
+}
+
+function zip64EndLocator(recordOffset) {
+  const locator = Buffer.alloc(20)
+  locator.writeUInt32LE(0x07064b50, 0) // ZIP64 end of central dir locator
+  locator.writeUInt32LE(0, 4) // disk with the ZIP64 end record
+  locator.writeBigUInt64LE(BigInt(recordOffset), 8)
+  locator.writeUInt32LE(1, 16) // total number of disks
+  return locator
+}
+
+// With a ZIP64 record, every field points readers to it
+function endOfCentralDirectory(count, size, start, zip64) {
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(0, 4) // number of this disk
+  end.writeUInt16LE(0, 6) // disk with start of central directory
+  end.writeUInt16LE(zip64 ? MAX_UINT16 : count, 8)
+  end.writeUInt16LE(zip64 ? MAX_UINT16 : count, 10)
+  end.writeUInt32LE(zip64 ? MAX_UINT32 : size, 12)
+  end.writeUInt32LE(zip64 ? MAX_UINT32 : start, 16)
+  end.writeUInt16LE(0, 20) // comment length
+  return end
+}
+
+function extensionOf(filename) {
+  const dot = filename.lastIndexOf('.')
+  return dot > 0 ? filename.slice(dot + 1).toLowerCase() : ''
+}
+
+function dosDateTime(date) {
+  const year = date.getUTCFullYear()
+  const month = date.getUTCMonth() + 1
+  const day = date.getUTCDate()
+  const hours = date.getUTCHours()
+  const minutes = date.getUTCMinutes()
+  const seconds = Math.floor(date.getUTCSeconds() / 2)
+  const dosTime = (hours << 11) | (minutes << 5) | seconds
+  const dosDate = ((year - 1980) << 9) | (month << 5) | day
+  return { time: dosTime & 0xffff, date: dosDate & 0xffff }
+}
+
+// CRC32 implementation (IEEE 802.3)
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+function crc32(buf) {
+  let c = 0xffffffff
+  for (let i = 0; i < buf.length; i++) {
+    c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8)
+  }
+  return (c ^ 0xffffffff) >>> 0
+}
+
+export default createZipStream
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query' // UPDATED: include mutation + client
 import useUser from '@/utils/useUser'
+import VariantChooser from '@/components/Upload/VariantChooser'
 import {
   Wand2,
   ArrowLeft,
@@ -13,6 +14,7 @@ import {
   Pencil, // ADD: edit icon
   Check, // ADD: save icon
   X, // ADD: cancel icon
+  Lock,
 } from 'lucide-react'
 
 export default function DashboardPage() {
@@ -39,6 +41,19 @@ export default function DashboardPage() {
       if (err?.status === 401) return false
       return failureCount < 1
     },
+    // Keep polling while any job is still waiting on the worker, including
+    // cancelled jobs whose photos in progress are finishing
+    refetchInterval: query =>
+      (query.state.data?.jobs || []).some(
+        j =>
+          ['queued', 'processing'].includes(j.status) ||
+          (j.status === 'cancelled' && !j.settled) ||
+          // A photo is being regenerated or the ZIP rebuilt
+          j.repackaging ||
+          (j.items || []).some(item => item.regenerating)
+      )
+        ? 5000
+        : false,
   })
 
   const jobs = data?.jobs || []
@@ -76,8 +91,14 @@ export default function DashboardPage() {
         return 'bg-green-100 text-green-600'
       case 'processing':
         return 'bg-blue-100 text-blue-600'
+      case 'queued':
+        return 'bg-yellow-100 text-yellow-700'
+      case 'partial':
+        return 'bg-orange-100 text-orange-700'
       case 'failed':
         return 'bg-red-100 text-red-600'
+      case 'cancelled':
+        return 'bg-gray-100 text-gray-500'
       default:
         return 'bg-gray-100 text-gray-600'
     }
@@ -271,6 +292,7 @@ export default function DashboardPage() {
     const [editing, setEditing] = useState(false)
     const [value, setValue] = useState(job.groupName || '')
     const [errorMsg, setErrorMsg] = useState(null)
+    const [showPhotos, setShowPhotos] = useState(false)
 
     const mutation = useMutation({
       mutationFn: async newName => {
@@ -310,8 +332,99 @@ export default function DashboardPage() {
       },
     })
 
+    // Choosing another version of a photo, or regenerating it, rebuilds the
+    // job's ZIP on the server
+    const updatePhoto = useMutation({
+      mutationFn: async ({ item, path = '', method, body }) => {
+        const res = await fetch(`/api/jobs/${job.id}/items/${item.id}${path}`, {
+          method,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        })
+        if (!res.ok) {
+          const data = await res.json().catch(() => ({}))
+          const err = new Error(
+            data.error || `Failed to update photo: ${res.status}`
+          )
+          err.status = res.status
+          throw err
+        }
+        return res.json()
+      },
+      onMutate: () => setErrorMsg(null),
+      onError: err => {
+        console.error(err)
+        setErrorMsg(
+          err.status === 402
+            ? 'Not enough credits to regenerate this photo'
+            : 'Could not update photo'
+        )
+      },
+      onSettled: () => {
+        queryClient.invalidateQueries({ queryKey: ['dashboard'] })
+      },
+    })
+
+    // Pays for a free preview so its full-resolution ZIP is built
+    const unlock = useMutation({
+      mutationFn: async () => {
+        const res = await fetch(`/api/jobs/${job.id}/unlock`, {
+          method: 'POST',
+        })
+        if (!res.ok) {
+          const data = await res.json().catch(() => ({}))
+          const err = new Error(
+            data.error || `Failed to unlock preview: ${res.status}`
+          )
+          err.status = res.status
+          throw err
+        }
+        return res.json()
+      },
+      onMutate: () => setErrorMsg(null),
+      onError: err => {
+        console.error(err)
+        setErrorMsg(
+          err.status === 402
+            ? 'Not enough credits to unlock this preview'
+            : 'Could not unlock preview'
+        )
+      },
+      onSettled: () => {
+        queryClient.invalidateQueries({ queryKey: ['dashboard'] })
+      },
+    })
+
+    // Stops the photos that haven't started; only finished ones are billed
+    const cancel = useMutation({
+      mutationFn: async () => {
+        const res = await fetch(`/api/jobs/${job.id}/cancel`, {
+          method: 'POST',
+        })
+        if (!res.ok) {
+          const data = await res.json().catch(() => ({}))
+          throw new Error(data.error || `Failed to cancel job: ${res.status}`)
+        }
+        return res.json()
+      },
+      onMutate: () => setErrorMsg(null),
+      onError: err => {
+        console.error(err)
+        setErrorMsg('Could not cancel job')
+      },
+      onSettled: () => {
+        queryClient.invalidateQueries({ queryKey: ['dashboard'] })
+      },
+    })
+
     const displayName = job.groupName || 'Untitled project'
     const canDownload = !!job.downloadUrl // allow redownload when a URL exists
+    const failedCount = (job.items || []).filter(i =>
+      ['failed', 'timed_out'].includes(i.status)
+    ).length
+    const cancelledCount = (job.items || []).filter(
+      i => i.status === 'cancelled'
+    ).length
 
     return (
       <div className="bg-white rounded-xl p-4 border border-[#E6E6EA]">
@@ -371,57 +484,129 @@ export default function DashboardPage() {
             <div className="flex flex-wrap items-center gap-4 text-xs text-[#6B7280]">
               <span>{formatDate(job.createdAt)}</span>
               <span>{job.photoCount} photos</span>
-              <span>
-                $
-                {job.cost.toFixed
-                  ? job.cost.toFixed(2)
-                  : Number(job.cost || 0).toFixed(2)}
-              </span>
+              {/* Photos still finishing haven't been billed yet */}
+              {job.status === 'cancelled' && !job.settled ? (
+                <span>Cost pending</span>
+              ) : (
+                <span>
+                  $
+                  {job.cost.toFixed
+                    ? job.cost.toFixed(2)
+                    : Number(job.cost || 0).toFixed(2)}
+                </span>
+              )}
               <span
                 className={`px-2 py-1 rounded-full ${getStatusColor(job.status)}`}
               >
                 {job.status}
               </span>
+              {failedCount > 0 && (
+                <span className="text-red-600">
+                  {failedCount} failed (not charged)
+                </span>
+              )}
+              {cancelledCount > 0 && (
+                <span>{cancelledCount} cancelled (not charged)</span>
+              )}
+              {job.locked && (
+                <span className="px-2 py-1 rounded-full bg-[#F0EDFF] text-[#6F5EF7]">
+                  free preview
+                </span>
+              )}
             </div>
+            {!job.locked && ['completed', 'partial'].includes(job.status) && (
+              <button
+                onClick={() => setShowPhotos(v => !v)}
+                className="text-xs text-[#6F5EF7] hover:opacity-80 mt-1"
+              >
+                {showPhotos ? 'Hide photos' : 'Choose or regenerate photos'}
+              </button>
+            )}
+            {['pending', 'queued', 'processing'].includes(job.status) && (
+              <button
+                onClick={() => cancel.mutate()}
+                disabled={cancel.isPending}
+                className="text-xs text-red-600 hover:opacity-80 mt-1 disabled:opacity-50"
+                title="Stop the photos that haven't started"
+              >
+                Cancel job
+              </button>
+            )}
             {errorMsg && (
               <div className="text-xs text-red-600 mt-1">{errorMsg}</div>
             )}
           </div>
 
           {/* UPDATED: Always show a Redownload button on the right; enable only when URL exists */}
-          <button
-            onClick={() => {
-              if (!canDownload) return
-              try {
-                const qs = job.downloadUrl.includes('?') ? '&' : '?'
-                const url = `${job.downloadUrl}${qs}r=${Date.now()}` // cache-bust
-                const a = document.createElement('a')
-                a.href = url
-                a.download = ''
-                document.body.appendChild(a)
-                a.click()
-                a.remove()
-              } catch (err) {
-                console.error(err)
-                setErrorMsg('Could not start download')
+          {job.locked && ['completed', 'partial'].includes(job.status) ? (
+            <button
+              onClick={() => unlock.mutate()}
+              disabled={unlock.isPending}
+              className="flex items-center gap-2 px-4 py-2 text-white text-sm font-medium rounded-xl transition disabled:opacity-50"
+              style={{ background: 'linear-gradient(180deg,#6F5EF7,#8B70F6)' }}
+              title="Pay for this preview and download the full-resolution photos"
+            >
+              <Lock size={16} />
+              <span>Unlock</span>
+            </button>
+          ) : (
+            <button
+              onClick={() => {
+                if (!canDownload) return
+                try {
+                  const qs = job.downloadUrl.includes('?') ? '&' : '?'
+                  const url = `${job.downloadUrl}${qs}r=${Date.now()}` // cache-bust
+                  const a = document.createElement('a')
+                  a.href = url
+                  a.download = ''
+                  document.body.appendChild(a)
+                  a.click()
+                  a.remove()
+                } catch (err) {
+                  console.error(err)
+                  setErrorMsg('Could not start download')
+                }
+              }}
+              disabled={!canDownload}
+              className={`flex items-center gap-2 px-4 py-2 text-white text-sm font-medium rounded-xl transition ${
+                canDownload ? '' : 'bg-[#D1D5DB] cursor-not-allowed'
+              }`}
+              style={
+                canDownload
+                  ? { background: 'linear-gradient(180deg,#6F5EF7,#8B70F6)' }
+                  : {}
               }
-            }}
-            disabled={!canDownload}
-            className={`flex items-center gap-2 px-4 py-2 text-white text-sm font-medium rounded-xl transition ${
-              canDownload ? '' : 'bg-[#D1D5DB] cursor-not-allowed'
-            }`}
-            style={
-              canDownload
-                ? { background: 'linear-gradient(180deg,#6F5EF7,#8B70F6)' }
-                : {}
-            }
-            title={canDownload ? 'Redownload ZIP' : 'ZIP not available yet'}
-          >
-            <Download size={16} />
-            <span className="hidden sm:inline">Redownload ZIP</span>
-            <span className="sm:hidden">Redownload</span>
-          </button>
+              title={canDownload ? 'Redownload ZIP' : 'ZIP not available yet'}
+            >
+              <Download size={16} />
+              <span className="hidden sm:inline">Redownload ZIP</span>
+              <span className="sm:hidden">Redownload</span>
+            </button>
+          )}
         </div>
+        {showPhotos && (
+          <div className="mt-4">
+            <VariantChooser
+              items={job.items}
+              onSelect={(item, output) =>
+                updatePhoto.mutate({
+                  item,
+                  method: 'PATCH',
+                  body: { outputId: output.id },
+                })
+              }
+              onRegenerate={(item, prompt) =>
+                updatePhoto.mutate({
+                  item,
+                  method: 'POST',
+                  path: '/regenerate',
+                  body: prompt ? { prompt } : {},
+                })
+              }
+              disabled={updatePhoto.isPending}
+            />
+          </div>
+        )}
       </div>
     )
   }
@@ -28,21 +28,74 @@ export default function UploadPage() {
     handleFileInput,
     removeFile,
     handleProcess,
+    handlePreview,
+    previewOffered,
+    unlockPreview,
+    unlocking,
     startOver,
     closeNoCredits,
     // NEW: progress props
     progress,
     stage,
     uploadedCount,
+    styles,
+    styleId,
+    setStyleId,
+    operation,
+    setOperation,
+    photoOperations,
+    setPhotoOperation,
+    variations,
+    setVariations,
+    turnaround,
+    setTurnaround,
+    quote,
+    comparison,
+    setComparison,
+    outputProfile,
+    setOutputProfile,
+    defaultOutputProfile,
+    saveDefaultOutputProfile,
+    disclosure,
+    setDisclosure,
+    disclosureRequired,
+    photoMasks,
+    setPhotoMask,
+    normalizedPhotos,
+    selectVariation,
+    regeneratePhoto,
+    updatingPhoto,
   } = useUploadPage()
 
+  const noCreditsModal = (
+    <NoCreditsModal
+      show={showNoCredits}
+      onClose={closeNoCredits}
+      creditsNeeded={creditsNeeded}
+      me={me}
+      products={products}
+      createCheckout={createCheckout}
+      noCreditsMessage={noCreditsMessage}
+      onPreview={previewOffered ? handlePreview : null}
+    />
+  )
+
   if (results) {
     return (
-      <ResultsDisplay
-        results={results}
-        fileCount={files.length}
-        startOver={startOver}
-      />
+      <>
+        <ResultsDisplay
+          results={results}
+          fileCount={results.photoCount ?? files.length}
+          startOver={startOver}
+          selectVariation={selectVariation}
+          regeneratePhoto={regeneratePhoto}
+          updatingPhoto={updatingPhoto}
+          unlockPreview={unlockPreview}
+          unlocking={unlocking}
+          error={error}
+        />
+        {noCreditsModal}
+      </>
     )
   }
 
@@ -77,16 +130,32 @@ export default function UploadPage() {
           progress={progress}
           stage={stage}
           uploadedCount={uploadedCount}
+          styles={styles}
+          styleId={styleId}
+          setStyleId={setStyleId}
+          operation={operation}
+          setOperation={setOperation}
+          photoOperations={photoOperations}
+          setPhotoOperation={setPhotoOperation}
+          variations={variations}
+          setVariations={setVariations}
+          turnaround={turnaround}
+          setTurnaround={setTurnaround}
+          quote={quote}
+          comparison={comparison}
+          setComparison={setComparison}
+          outputProfile={outputProfile}
+          setOutputProfile={setOutputProfile}
+          defaultOutputProfile={defaultOutputProfile}
+          saveDefaultOutputProfile={saveDefaultOutputProfile}
+          disclosure={disclosure}
+          setDisclosure={setDisclosure}
+          disclosureRequired={disclosureRequired}
+          photoMasks={photoMasks}
+          setPhotoMask={setPhotoMask}
+          normalizedPhotos={normalizedPhotos}
         />
-        <NoCreditsModal
-          show={showNoCredits}
-          onClose={closeNoCredits}
-          creditsNeeded={creditsNeeded}
-          me={me}
-          products={products}
-          createCheckout={createCheckout}
-          noCreditsMessage={noCreditsMessage}
-        />
+        {noCreditsModal}
       </div>
     </>
   )
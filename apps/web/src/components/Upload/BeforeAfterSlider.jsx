@@ -0,0 +1,70 @@
+import { useRef, useState } from 'react'
+
+// Original and enhanced photo stacked on top of each other; dragging the
+// handle (or using the arrow keys) reveals more of one or the other.
+export default function BeforeAfterSlider({ beforeUrl, afterUrl, label }) {
+  const frame = useRef(null)
+  const dragging = useRef(false)
+  const [position, setPosition] = useState(50)
+
+  const moveTo = e => {
+    const rect = frame.current.getBoundingClientRect()
+    const percent = ((e.clientX - rect.left) / rect.width) * 100
+    setPosition(Math.min(100, Math.max(0, percent)))
+  }
+
+  return (
+    <div
+      ref={frame}
+      className="relative w-full overflow-hidden rounded-xl select-none touch-none cursor-ew-resize"
+      onPointerDown={e => {
+        dragging.current = true
+        e.currentTarget.setPointerCapture(e.pointerId)
+        moveTo(e)
+      }}
+      onPointerMove={e => dragging.current && moveTo(e)}
+      onPointerUp={() => (dragging.current = false)}
+      onPointerCancel={() => (dragging.current = false)}
+    >
+      <img
+        src={afterUrl}
+        alt={`${label} after`}
+        className="block w-full h-auto"
+        draggable={false}
+        loading="lazy"
+      />
+      <img
+        src={beforeUrl}
+        alt={`${label} before`}
+        className="absolute inset-0 w-full h-full object-cover"
+        style={{ clipPath: `inset(0 ${100 - position}% 0 0)` }}
+        draggable={false}
+        loading="lazy"
+      />
+      <span className="absolute top-2 left-2 px-2 py-0.5 rounded bg-black/60 text-white text-[11px] font-semibold">
+        BEFORE
+      </span>
+      <span className="absolute top-2 right-2 px-2 py-0.5 rounded bg-black/60 text-white text-[11px] font-semibold">
+        AFTER
+      </span>
+      <div
+        role="slider"
+        tabIndex={0}
+        aria-label={`${label}: before and after`}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(position)}
+        onKeyDown={e => {
+          if (e.key === 'ArrowLeft') setPosition(p => Math.max(0, p - 5))
+          if (e.key === 'ArrowRight') setPosition(p => Math.min(100, p + 5))
+        }}
+        className="absolute inset-y-0 w-1 -ml-0.5 bg-white shadow outline-none focus:ring-2 focus:ring-[#8B70F6]"
+        style={{ left: `${position}%` }}
+      >
+        <span className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 w-8 h-8 rounded-full bg-white shadow flex items-center justify-center text-[#8B70F6] text-xs font-bold">
+          ↔
+        </span>
+      </div>
+    </div>
+  )
+}
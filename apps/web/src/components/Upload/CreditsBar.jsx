@@ -1,4 +1,5 @@
 import { CreditCard } from 'lucide-react'
+import { FREE_TRIAL_PHOTOS } from '@/utils/pricing'
 
 export default function CreditsBar({ me, products, createCheckout, files }) {
   return (
@@ -6,7 +7,10 @@ export default function CreditsBar({ me, products, createCheckout, files }) {
       <div className="flex items-center gap-3 text-[#0D0D0D]">
         <CreditCard size={18} className="text-[#8B70F6]" />
         <span className="text-sm">
-          Free trial used: <strong>{me?.freeUsed || 0}/3</strong>
+          Free trial used:{' '}
+          <strong>
+            {me?.freeUsed || 0}/{FREE_TRIAL_PHOTOS}
+          </strong>
         </span>
         <span className="text-sm">
           • Credits: <strong>{me?.credits || 0}</strong>
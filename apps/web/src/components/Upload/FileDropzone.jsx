@@ -28,7 +28,7 @@ export default function FileDropzone({
         ref={fileInputRef}
         type="file"
         multiple
-        accept=".jpg,.jpeg,.png,.heic"
+        accept=".jpg,.jpeg,.png,.heic,.heif"
         onChange={handleFileInput}
         className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
       />
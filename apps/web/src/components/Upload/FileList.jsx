@@ -1,30 +1,24 @@
 import { useEffect, useState } from 'react'
-import { FileImage, X } from 'lucide-react'
+import { Brush, FileImage, X } from 'lucide-react'
+import { OPERATIONS, getOperation } from '@/utils/operations'
 
-export default function FileList({ files, removeFile, setFiles }) {
-  // NEW: build preview URLs for image files (hooks must run unconditionally)
-  const [previews, setPreviews] = useState([])
-  useEffect(() => {
-    const urls = files.map(file => {
-      try {
-        if (typeof window !== 'undefined' && file?.type?.startsWith('image/')) {
-          return URL.createObjectURL(file)
-        }
-      } catch {}
-      return null
-    })
-    setPreviews(urls)
-    return () => {
-      urls.forEach(u => {
-        if (u) {
-          try {
-            URL.revokeObjectURL(u)
-          } catch {}
-        }
-      })
-    }
-  }, [files])
+const CATEGORIES = [
+  { id: 'interior', label: 'Interior' },
+  { id: 'exterior', label: 'Exterior' },
+]
 
+export default function FileList({
+  files,
+  removeFile,
+  setFiles,
+  operation,
+  photoOperations,
+  setPhotoOperation,
+  photoMasks,
+  onEditMask,
+  normalizedPhotos,
+  disabled,
+}) {
   if (files.length === 0) return null
 
   return (
@@ -44,7 +38,10 @@ export default function FileList({ files, removeFile, setFiles }) {
       {/* NEW: thumbnail grid */}
       <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
         {files.map((file, index) => {
-          const preview = previews[index]
+          const heic =
+            /heic|heif/i.test(file.type) || /\.(heic|heif)$/i.test(file.name)
+          // Browsers can't draw HEIC, so those show the server's thumbnail
+          const drawable = !heic && file.type.startsWith('image/')
           return (
             <div
               key={index}
@@ -58,16 +55,13 @@ export default function FileList({ files, removeFile, setFiles }) {
                 <X size={14} className="text-[#666666]" />
               </button>
 
-              {preview ? (
-                <img
-                  src={preview}
+              {drawable ? (
+                <LocalThumbnail file={file} />
+              ) : (
+                <Thumbnail
+                  src={normalizedPhotos?.get(file)?.thumbnailUrl}
                   alt={file.name}
-                  className="w-full h-[120px] object-cover rounded-md"
                 />
-              ) : (
-                <div className="w-full h-[120px] bg-[#F3F4F6] rounded-md flex items-center justify-center">
-                  <FileImage size={24} className="text-[#8B70F6]" />
-                </div>
               )}
 
               <div className="mt-2 flex items-center gap-2">
@@ -79,6 +73,54 @@ export default function FileList({ files, removeFile, setFiles }) {
                   {file.name}
                 </span>
               </div>
+              {heic && normalizedPhotos?.get(file)?.error && (
+                <p className="mt-1 text-[11px] text-[#B45309]">
+                  {normalizedPhotos.get(file).error}
+                </p>
+              )}
+
+              {/* Per-photo operation; empty keeps the job's */}
+              <select
+                value={photoOperations?.get(file) || ''}
+                onChange={e => setPhotoOperation(file, e.target.value || null)}
+                disabled={disabled}
+                aria-label={`Operation for ${file.name}`}
+                className="mt-2 w-full text-xs border border-[#E6E6EA] rounded-md px-2 py-1 bg-white text-[#333333]"
+              >
+                <option value="">
+                  Same as batch ({getOperation(operation)?.label})
+                </option>
+                {CATEGORIES.map(category => (
+                  <optgroup key={category.id} label={category.label}>
+                    {OPERATIONS.filter(op => op.category === category.id).map(
+                      op => (
+                        <option key={op.id} value={op.id}>
+                          {op.label} (${op.price.toFixed(2)})
+                        </option>
+                      )
+                    )}
+                  </optgroup>
+                ))}
+              </select>
+
+              {/* Browsers can't draw HEIC photos, so they can't be masked */}
+              {drawable && (
+                <button
+                  type="button"
+                  onClick={() => onEditMask(file)}
+                  disabled={disabled}
+                  className={`mt-2 w-full flex items-center justify-center gap-1 text-xs rounded-md px-2 py-1 border ${
+                    photoMasks?.has(file)
+                      ? 'border-[#8B70F6] text-[#6F5EF7] bg-[#F4F2FF]'
+                      : 'border-[#E6E6EA] text-[#333333] bg-white'
+                  }`}
+                >
+                  <Brush size={12} />
+                  {photoMasks?.has(file)
+                    ? 'Edit area (masked)'
+                    : 'Limit to an area'}
+                </button>
+              )}
             </div>
           )
         })}
@@ -86,3 +128,38 @@ export default function FileList({ files, removeFile, setFiles }) {
     </div>
   )
 }
+
+function Thumbnail({ src, alt }) {
+  return src ? (
+    <img
+      src={src}
+      alt={alt}
+      className="w-full h-[120px] object-cover rounded-md"
+    />
+  ) : (
+    <div className="w-full h-[120px] bg-[#F3F4F6] rounded-md flex items-center justify-center">
+      <FileImage size={24} className="text-[#8B70F6]" />
+    </div>
+  )
+}
+
+// Shows a photo straight from the user's disk. The object URL is kept while
+// the file is listed and shown once it has loaded; a file the browser can't
+// decode keeps the placeholder.
+function LocalThumbnail({ file }) {
+  const [loaded, setLoaded] = useState(null)
+  useEffect(() => {
+    const url = URL.createObjectURL(file)
+    const img = new Image()
+    img.onload = () => setLoaded({ file, url })
+    img.src = url
+    return () => {
+      img.onload = null
+      URL.revokeObjectURL(url)
+    }
+  }, [file])
+
+  // Entries are keyed by position, so a different file may reuse this one
+  const src = loaded?.file === file ? loaded.url : null
+  return <Thumbnail src={src} alt={file.name} />
+}
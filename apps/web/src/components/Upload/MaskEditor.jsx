@@ -0,0 +1,169 @@
+import { useEffect, useRef, useState } from 'react'
+import { X } from 'lucide-react'
+
+// Paints the area of a photo that may change. The mask is drawn at the photo's
+// full resolution as white strokes on transparency and saved as a PNG file;
+// the server only keeps edits inside the painted area.
+export default function MaskEditor({ file, mask, onSave, onClose }) {
+  const canvasRef = useRef(null)
+  const drawing = useRef(false)
+  const painted = useRef(Boolean(mask))
+  // The photo's URL and full size, once it has loaded
+  const [photo, setPhoto] = useState(null)
+  const [brush, setBrush] = useState(40)
+
+  useEffect(() => {
+    const url = URL.createObjectURL(file)
+    const img = new Image()
+    img.onload = () =>
+      setPhoto({ url, width: img.naturalWidth, height: img.naturalHeight })
+    img.src = url
+    return () => {
+      img.onload = null
+      URL.revokeObjectURL(url)
+    }
+  }, [file])
+
+  // Reopening a photo continues from its saved mask
+  useEffect(() => {
+    if (!photo || !mask) return
+    const url = URL.createObjectURL(mask)
+    const img = new Image()
+    img.onload = () => {
+      canvasRef.current
+        ?.getContext('2d')
+        .drawImage(img, 0, 0, photo.width, photo.height)
+      URL.revokeObjectURL(url)
+    }
+    img.src = url
+  }, [photo, mask])
+
+  // Pointer position in canvas pixels; the canvas is scaled down by CSS
+  const pointFor = e => {
+    const canvas = canvasRef.current
+    const rect = canvas.getBoundingClientRect()
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * canvas.width,
+      y: ((e.clientY - rect.top) / rect.height) * canvas.height,
+      scale: canvas.width / rect.width,
+    }
+  }
+
+  const paint = e => {
+    const { x, y, scale } = pointFor(e)
+    const ctx = canvasRef.current.getContext('2d')
+    ctx.fillStyle = '#FFFFFF'
+    ctx.beginPath()
+    ctx.arc(x, y, (brush / 2) * scale, 0, Math.PI * 2)
+    ctx.fill()
+    painted.current = true
+  }
+
+  const clear = () => {
+    const canvas = canvasRef.current
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height)
+    painted.current = false
+  }
+
+  const save = () => {
+    // An empty mask would leave the photo unchanged, so save none instead
+    if (!painted.current) {
+      onSave(null)
+      onClose()
+      return
+    }
+    canvasRef.current.toBlob(blob => {
+      if (blob) {
+        onSave(new window.File([blob], 'mask.png', { type: 'image/png' }))
+      }
+      onClose()
+    }, 'image/png')
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl p-4 w-full max-w-[900px] max-h-full overflow-auto">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-sm font-semibold text-[#0D0D0D]">
+            Paint the area to change
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded hover:bg-[#F3F4F6]"
+            aria-label="Close"
+          >
+            <X size={16} className="text-[#6B7280]" />
+          </button>
+        </div>
+        <p className="text-xs text-[#6B7280] mb-3">
+          Only the painted area is edited; the rest of the photo stays exactly
+          as it is.
+        </p>
+
+        <div className="relative select-none touch-none">
+          {photo && (
+            <img
+              src={photo.url}
+              alt={file.name}
+              className="w-full h-auto rounded-lg"
+            />
+          )}
+          {photo && (
+            <canvas
+              ref={canvasRef}
+              width={photo.width}
+              height={photo.height}
+              className="absolute inset-0 w-full h-full rounded-lg opacity-60 cursor-crosshair"
+              onPointerDown={e => {
+                drawing.current = true
+                e.currentTarget.setPointerCapture(e.pointerId)
+                paint(e)
+              }}
+              onPointerMove={e => drawing.current && paint(e)}
+              onPointerUp={() => (drawing.current = false)}
+              onPointerCancel={() => (drawing.current = false)}
+            />
+          )}
+        </div>
+
+        <div className="mt-3 flex flex-wrap items-center gap-3">
+          <label className="flex items-center gap-2 text-xs text-[#555555]">
+            Brush
+            <input
+              type="range"
+              min={10}
+              max={120}
+              value={brush}
+              onChange={e => setBrush(Number(e.target.value))}
+            />
+          </label>
+          <button
+            onClick={clear}
+            className="px-3 py-2 border border-[#E6E6EA] rounded-lg text-sm"
+          >
+            Clear
+          </button>
+          <div className="flex-1" />
+          {mask && (
+            <button
+              onClick={() => {
+                onSave(null)
+                onClose()
+              }}
+              className="px-3 py-2 border border-[#E6E6EA] rounded-lg text-sm"
+            >
+              Remove mask
+            </button>
+          )}
+          <button
+            onClick={save}
+            className="px-4 py-2 rounded-lg text-sm text-white"
+            style={{ background: 'linear-gradient(180deg,#6F5EF7,#8B70F6)' }}
+          >
+            Save mask
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
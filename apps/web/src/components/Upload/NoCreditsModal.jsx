@@ -1,4 +1,6 @@
-import { X, CreditCard } from 'lucide-react'
+import { X, CreditCard, Eye } from 'lucide-react'
+import { MAX_PREVIEW_PHOTOS } from '@/utils/operations'
+import { FREE_TRIAL_PHOTOS } from '@/utils/pricing'
 
 export default function NoCreditsModal({
   show,
@@ -8,6 +10,8 @@ export default function NoCreditsModal({
   products,
   createCheckout,
   noCreditsMessage,
+  // Starts a free watermarked preview instead; hidden when not given
+  onPreview,
 }) {
   if (!show) return null
 
@@ -50,7 +54,10 @@ export default function NoCreditsModal({
               Your credits: <strong>{me?.credits || 0}</strong>
             </span>
             <span>
-              Free trial used: <strong>{me?.freeUsed || 0}/3</strong>
+              Free trial used:{' '}
+              <strong>
+                {me?.freeUsed || 0}/{FREE_TRIAL_PHOTOS}
+              </strong>
             </span>
           </div>
         </div>
@@ -78,6 +85,20 @@ export default function NoCreditsModal({
           </button>
         </div>
 
+        {onPreview && (
+          <button
+            onClick={onPreview}
+            className="w-full mb-3 px-4 py-3 rounded-xl border border-[#C9C2F8] bg-[#F7F5FF] text-[#0D0D0D] font-semibold flex items-center justify-center gap-2 hover:bg-[#F0EDFF]"
+          >
+            <Eye size={16} className="text-[#8B70F6]" />
+            Preview{' '}
+            {MAX_PREVIEW_PHOTOS === 1
+              ? 'a photo'
+              : `up to ${MAX_PREVIEW_PHOTOS} photos`}{' '}
+            free first
+          </button>
+        )}
+
         <div className="border-t border-[#EDEDED] pt-3">
           <p className="text-sm text-[#6B7280] mb-2">
             Or choose a pack and save
@@ -0,0 +1,43 @@
+import { OPERATIONS } from '@/utils/operations'
+
+// Chooses what happens to the batch; FileList can override it per photo
+export default function OperationPicker({ operation, setOperation, disabled }) {
+  return (
+    <div className="mt-6">
+      <h2 className="text-sm font-semibold text-[#0D0D0D] mb-3">
+        What should we do?
+      </h2>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        {OPERATIONS.map(op => {
+          const selected = op.id === operation
+          return (
+            <button
+              key={op.id}
+              type="button"
+              disabled={disabled}
+              onClick={() => setOperation(op.id)}
+              aria-pressed={selected}
+              className={`text-left rounded-xl border p-3 transition disabled:opacity-50 ${
+                selected
+                  ? 'border-[#8B70F6] ring-2 ring-[#8B70F6]/30'
+                  : 'border-[#E6E6EA] hover:border-[#C9C2F8]'
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-[#0D0D0D]">
+                  {op.label}
+                </span>
+                <span className="text-xs text-[#6B7280]">
+                  ${op.price.toFixed(2)}/photo
+                </span>
+              </div>
+              <div className="text-xs text-[#6B7280] mt-1">
+                {op.description}
+              </div>
+            </button>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
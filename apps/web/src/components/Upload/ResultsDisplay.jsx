@@ -1,7 +1,30 @@
-import { Download } from 'lucide-react'
+import { Download, Lock } from 'lucide-react'
 import UploadHeader from '@/components/Upload/UploadHeader'
+import VariantChooser from '@/components/Upload/VariantChooser'
+import BeforeAfterSlider from '@/components/Upload/BeforeAfterSlider'
+import { getRoomType } from '@/utils/rooms'
+
+export default function ResultsDisplay({
+  results,
+  fileCount,
+  startOver,
+  selectVariation,
+  regeneratePhoto,
+  updatingPhoto,
+  unlockPreview,
+  unlocking,
+  error,
+}) {
+  // Photos that failed on their own are left out of the ZIP and not charged
+  const failedCount = results?.failedCount || 0
+  const processedCount = fileCount - failedCount
+  const items = results?.job?.items || []
+  // A free preview shows watermarked photos until it is paid for
+  const locked = Boolean(results?.job?.locked)
+  const compared = items.filter(
+    item => item.status === 'completed' && item.sourceUrl && item.outputUrl
+  )
 
-export default function ResultsDisplay({ results, fileCount, startOver }) {
   const downloadResults = () => {
     if (results?.downloadUrl) {
       const link = document.createElement('a')
@@ -25,17 +48,26 @@ export default function ResultsDisplay({ results, fileCount, startOver }) {
           <div className="max-w-[800px] mx-auto text-center">
             <div className="mb-8">
               <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4">
-                <Download size={24} className="text-green-600" />
+                {locked ? (
+                  <Lock size={24} className="text-green-600" />
+                ) : (
+                  <Download size={24} className="text-green-600" />
+                )}
               </div>
               <h1
                 className="text-3xl md:text-4xl font-bold text-[#0D0D0D] mb-4"
                 style={{ fontFamily: 'Instrument Serif, serif' }}
               >
-                Photos Enhanced Successfully!
+                {locked
+                  ? 'Your Free Preview Is Ready'
+                  : 'Photos Enhanced Successfully!'}
               </h1>
               <p className="text-lg text-[#555555] mb-8">
-                Your {fileCount} photos have been professionally enhanced and
-                are ready for download.
+                {locked
+                  ? 'These previews are watermarked and reduced in size. Unlock them to download the full-resolution photos without a watermark; they are not generated again.'
+                  : failedCount > 0
+                    ? `${processedCount} of your ${fileCount} photos have been professionally enhanced and are ready for download. ${failedCount} could not be processed and ${failedCount === 1 ? 'was' : 'were'} not charged.`
+                    : `Your ${fileCount} photos have been professionally enhanced and are ready for download.`}
               </p>
             </div>
 
@@ -43,15 +75,21 @@ export default function ResultsDisplay({ results, fileCount, startOver }) {
               <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-center">
                 <div>
                   <div className="text-2xl font-bold text-[#8B70F6] mb-1">
-                    {fileCount}
+                    {processedCount}
                   </div>
                   <div className="text-sm text-[#666666]">Photos Processed</div>
                 </div>
                 <div>
                   <div className="text-2xl font-bold text-[#8B70F6] mb-1">
-                    ${(fileCount * 1).toFixed(2)}
+                    $
+                    {(locked
+                      ? results.job.unlockCost || 0
+                      : (results?.cost ?? processedCount)
+                    ).toFixed(2)}
+                  </div>
+                  <div className="text-sm text-[#666666]">
+                    {locked ? 'To Unlock' : 'Total Cost'}
                   </div>
-                  <div className="text-sm text-[#666666]">Total Cost</div>
                 </div>
                 <div>
                   <div className="text-2xl font-bold text-[#8B70F6] mb-1">
@@ -62,17 +100,92 @@ export default function ResultsDisplay({ results, fileCount, startOver }) {
               </div>
             </div>
 
-            <button
-              onClick={downloadResults}
-              className="px-8 py-4 rounded-2xl text-white font-semibold text-lg mb-6 transition-all duration-150 hover:bg-[#7E64F2]"
-              style={{
-                background: 'linear-gradient(to top, #8B70F6, #9D7DFF)',
-              }}
-            >
-              Download Enhanced Photos
-            </button>
+            {items.some(item => item.roomType) && (
+              <div className="mb-8 text-left">
+                <h2 className="text-sm font-semibold text-[#0D0D0D] mb-3">
+                  Detected rooms
+                </h2>
+                <ul className="divide-y divide-[#E6E6EA] border border-[#E6E6EA] rounded-2xl">
+                  {items.map(item => (
+                    <li
+                      key={item.position}
+                      className="flex items-center justify-between px-4 py-2 text-sm"
+                    >
+                      <span className="text-[#555555] truncate">
+                        {item.originalName || `Photo ${item.position + 1}`}
+                      </span>
+                      <span className="font-medium text-[#0D0D0D]">
+                        {getRoomType(item.roomType)?.label || 'Not detected'}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {error && (
+              <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-2xl">
+                <p className="text-red-600 text-sm">{error}</p>
+              </div>
+            )}
+
+            {locked ? (
+              <button
+                onClick={unlockPreview}
+                disabled={unlocking}
+                className="px-8 py-4 rounded-2xl text-white font-semibold text-lg mb-6 transition-all duration-150 hover:bg-[#7E64F2] disabled:opacity-50"
+                style={{
+                  background: 'linear-gradient(to top, #8B70F6, #9D7DFF)',
+                }}
+              >
+                {unlocking ? 'Unlocking...' : 'Unlock Full Resolution'}
+              </button>
+            ) : (
+              <>
+                <VariantChooser
+                  items={items}
+                  onSelect={selectVariation}
+                  // Photos processed without a database can't be changed later
+                  onRegenerate={results?.job?.id ? regeneratePhoto : null}
+                  disabled={updatingPhoto}
+                />
+
+                <button
+                  onClick={downloadResults}
+                  disabled={updatingPhoto}
+                  className="px-8 py-4 rounded-2xl text-white font-semibold text-lg mb-6 transition-all duration-150 hover:bg-[#7E64F2] disabled:opacity-50"
+                  style={{
+                    background: 'linear-gradient(to top, #8B70F6, #9D7DFF)',
+                  }}
+                >
+                  Download Enhanced Photos
+                </button>
+              </>
+            )}
+
+            {compared.length > 0 && (
+              <div className="mb-10 text-left">
+                <h2 className="text-sm font-semibold text-[#0D0D0D] mb-1">
+                  Before and after
+                </h2>
+                <p className="text-xs text-[#6B7280] mb-3">
+                  Drag the handle to compare each photo with the original.
+                </p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  {compared.map(item => (
+                    <BeforeAfterSlider
+                      key={item.position}
+                      beforeUrl={item.sourceUrl}
+                      afterUrl={item.outputUrl}
+                      label={item.originalName || `Photo ${item.position + 1}`}
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
 
-            {Array.isArray(results?.previewUrls) &&
+            {compared.length === 0 &&
+              Array.isArray(results?.previewUrls) &&
               results.previewUrls.length > 0 && (
                 <div className="mb-10">
                   <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 place-items-center">
@@ -0,0 +1,58 @@
+import { Check } from 'lucide-react'
+
+// Style presets from GET /api/styles. `null` keeps the default look.
+export default function StylePicker({ styles, styleId, setStyleId, disabled }) {
+  if (!styles?.length) return null
+
+  const options = [
+    { id: null, label: 'Default', description: 'Our standard staging' },
+    ...styles,
+  ]
+
+  return (
+    <div className="mt-6">
+      <h2 className="text-sm font-semibold text-[#0D0D0D] mb-3">
+        Staging style
+      </h2>
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+        {options.map(style => {
+          const selected = style.id === styleId
+          return (
+            <button
+              key={style.id || 'default'}
+              type="button"
+              disabled={disabled}
+              onClick={() => setStyleId(style.id)}
+              aria-pressed={selected}
+              className={`relative text-left rounded-xl border p-2 transition disabled:opacity-50 ${
+                selected
+                  ? 'border-[#8B70F6] ring-2 ring-[#8B70F6]/30'
+                  : 'border-[#E6E6EA] hover:border-[#C9C2F8]'
+              }`}
+            >
+              {style.thumbnail ? (
+                <img
+                  src={style.thumbnail}
+                  alt=""
+                  className="w-full h-16 object-cover rounded-lg mb-2"
+                />
+              ) : (
+                <div className="w-full h-16 rounded-lg mb-2 bg-[#F3F4F6]" />
+              )}
+              <div className="text-sm font-medium text-[#0D0D0D]">
+                {style.label}
+              </div>
+              <div className="text-xs text-[#6B7280]">{style.description}</div>
+              {selected && (
+                <Check
+                  size={16}
+                  className="absolute top-3 right-3 text-white bg-[#8B70F6] rounded-full p-0.5"
+                />
+              )}
+            </button>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -1,7 +1,28 @@
 import FileDropzone from '@/components/Upload/FileDropzone'
 import FileList from '@/components/Upload/FileList'
 import CreditsBar from '@/components/Upload/CreditsBar'
+import StylePicker from '@/components/Upload/StylePicker'
+import OperationPicker from '@/components/Upload/OperationPicker'
+import MaskEditor from '@/components/Upload/MaskEditor'
+import { getOperation } from '@/utils/operations'
+import { COMPARISON_LAYOUTS } from '@/utils/comparisons'
+import { OUTPUT_PROFILES } from '@/utils/outputProfiles'
+import { TURNAROUNDS } from '@/utils/pricing'
+import {
+  DEFAULT_DISCLOSURE,
+  DISCLOSURE_CORNERS,
+  MAX_DISCLOSURE_TEXT,
+  MIN_DISCLOSURE_OPACITY,
+} from '@/utils/disclosures'
 import { Loader2, CheckCircle } from 'lucide-react'
+import { useState } from 'react'
+
+const CORNER_LABELS = {
+  top_left: 'Top left',
+  top_right: 'Top right',
+  bottom_left: 'Bottom left',
+  bottom_right: 'Bottom right',
+}
 
 export default function UploadArea({
   error,
@@ -21,7 +42,36 @@ export default function UploadArea({
   progress,
   stage,
   uploadedCount,
+  styles,
+  styleId,
+  setStyleId,
+  operation,
+  setOperation,
+  photoOperations,
+  setPhotoOperation,
+  variations,
+  setVariations,
+  turnaround,
+  setTurnaround,
+  quote,
+  comparison,
+  setComparison,
+  outputProfile,
+  setOutputProfile,
+  defaultOutputProfile,
+  saveDefaultOutputProfile,
+  disclosure,
+  setDisclosure,
+  disclosureRequired,
+  photoMasks,
+  setPhotoMask,
+  normalizedPhotos,
 }) {
+  // Photo whose mask is being painted
+  const [maskFile, setMaskFile] = useState(null)
+  const { staging } = getOperation(operation)
+  // Pay-as-you-go credits are bought whole
+  const shortfallCredits = Math.ceil(quote?.shortfall || 0)
   const isReadyToEnhance = files.length > 0 && !processing
 
   const buttonLabel = (() => {
@@ -74,7 +124,233 @@ export default function UploadArea({
           handleFileInput={handleFileInput}
         />
 
-        <FileList files={files} removeFile={removeFile} setFiles={setFiles} />
+        <FileList
+          files={files}
+          removeFile={removeFile}
+          setFiles={setFiles}
+          operation={operation}
+          photoOperations={photoOperations}
+          setPhotoOperation={setPhotoOperation}
+          photoMasks={photoMasks}
+          onEditMask={setMaskFile}
+          normalizedPhotos={normalizedPhotos}
+          disabled={processing}
+        />
+
+        {maskFile && (
+          <MaskEditor
+            file={maskFile}
+            mask={photoMasks.get(maskFile)}
+            onSave={mask => setPhotoMask(maskFile, mask)}
+            onClose={() => setMaskFile(null)}
+          />
+        )}
+
+        <OperationPicker
+          operation={operation}
+          setOperation={setOperation}
+          disabled={processing}
+        />
+
+        {staging && (
+          <StylePicker
+            styles={styles}
+            styleId={styleId}
+            setStyleId={setStyleId}
+            disabled={processing}
+          />
+        )}
+
+        <div className="mt-6 flex items-center justify-between">
+          <label
+            htmlFor="variations"
+            className="text-sm font-semibold text-[#0D0D0D]"
+          >
+            Variations per photo
+          </label>
+          <select
+            id="variations"
+            value={variations}
+            onChange={e => setVariations(Number(e.target.value))}
+            disabled={processing}
+            className="px-3 py-2 border border-[#E6E6EA] rounded-lg text-sm bg-white disabled:opacity-50"
+          >
+            {[1, 2, 3, 4].map(n => (
+              <option key={n} value={n}>
+                {n === 1 ? '1 (no alternatives)' : `${n} to choose from`}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="mt-3 flex items-center justify-between">
+          <label
+            htmlFor="comparison"
+            className="text-sm font-semibold text-[#0D0D0D]"
+          >
+            Before/after images in ZIP
+          </label>
+          <select
+            id="comparison"
+            value={comparison || ''}
+            onChange={e => setComparison(e.target.value || null)}
+            disabled={processing}
+            className="px-3 py-2 border border-[#E6E6EA] rounded-lg text-sm bg-white disabled:opacity-50"
+          >
+            <option value="">None</option>
+            {COMPARISON_LAYOUTS.map(layout => (
+              <option
+                key={layout.id}
+                value={layout.id}
+                title={layout.description}
+              >
+                {layout.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="mt-3 flex items-center justify-between">
+          <label
+            htmlFor="turnaround"
+            className="text-sm font-semibold text-[#0D0D0D]"
+          >
+            Turnaround
+          </label>
+          <select
+            id="turnaround"
+            value={turnaround}
+            onChange={e => setTurnaround(e.target.value)}
+            disabled={processing}
+            className="px-3 py-2 border border-[#E6E6EA] rounded-lg text-sm bg-white disabled:opacity-50"
+          >
+            {TURNAROUNDS.map(option => (
+              <option
+                key={option.id}
+                value={option.id}
+                title={option.description}
+              >
+                {option.multiplier === 1
+                  ? option.label
+                  : `${option.label} (×${option.multiplier} price)`}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="mt-3 flex items-center justify-between gap-3">
+          <label
+            htmlFor="outputProfile"
+            className="text-sm font-semibold text-[#0D0D0D]"
+          >
+            Output format
+          </label>
+          <div className="flex items-center gap-2">
+            {outputProfile !== defaultOutputProfile && (
+              <button
+                type="button"
+                onClick={saveDefaultOutputProfile}
+                disabled={processing}
+                className="text-xs text-[#6F5EF7] hover:underline disabled:opacity-50"
+              >
+                Make default
+              </button>
+            )}
+            <select
+              id="outputProfile"
+              value={outputProfile || ''}
+              onChange={e => setOutputProfile(e.target.value || null)}
+              disabled={processing}
+              className="px-3 py-2 border border-[#E6E6EA] rounded-lg text-sm bg-white disabled:opacity-50"
+            >
+              <option value="">As generated</option>
+              {OUTPUT_PROFILES.map(profile => (
+                <option
+                  key={profile.id}
+                  value={profile.id}
+                  title={profile.description}
+                >
+                  {profile.surcharge
+                    ? `${profile.label} (+$${profile.surcharge.toFixed(2)}/photo)`
+                    : profile.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="mt-3">
+          <div className="flex items-center justify-between">
+            <label
+              htmlFor="disclosure"
+              className="text-sm font-semibold text-[#0D0D0D]"
+            >
+              Virtually Staged label
+            </label>
+            <input
+              id="disclosure"
+              type="checkbox"
+              checked={Boolean(disclosure)}
+              onChange={e =>
+                setDisclosure(e.target.checked ? DEFAULT_DISCLOSURE : null)
+              }
+              disabled={processing || disclosureRequired}
+              className="h-4 w-4 disabled:opacity-50"
+            />
+          </div>
+          {disclosureRequired && (
+            <p className="mt-1 text-xs text-[#6B7280]">
+              Required by your brokerage
+            </p>
+          )}
+          {disclosure && (
+            <div className="mt-2 flex items-center gap-2">
+              <input
+                type="text"
+                aria-label="Label text"
+                value={disclosure.text}
+                placeholder={DEFAULT_DISCLOSURE.text}
+                maxLength={MAX_DISCLOSURE_TEXT}
+                onChange={e =>
+                  setDisclosure({ ...disclosure, text: e.target.value })
+                }
+                disabled={processing || disclosureRequired}
+                className="flex-1 min-w-0 px-3 py-2 border border-[#E6E6EA] rounded-lg text-sm bg-white disabled:opacity-50"
+              />
+              <select
+                aria-label="Label corner"
+                value={disclosure.corner}
+                onChange={e =>
+                  setDisclosure({ ...disclosure, corner: e.target.value })
+                }
+                disabled={processing}
+                className="px-3 py-2 border border-[#E6E6EA] rounded-lg text-sm bg-white disabled:opacity-50"
+              >
+                {DISCLOSURE_CORNERS.map(corner => (
+                  <option key={corner} value={corner}>
+                    {CORNER_LABELS[corner]}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="range"
+                aria-label="Label opacity"
+                min={MIN_DISCLOSURE_OPACITY}
+                max={1}
+                step={0.05}
+                value={disclosure.opacity}
+                onChange={e =>
+                  setDisclosure({
+                    ...disclosure,
+                    opacity: Number(e.target.value),
+                  })
+                }
+                disabled={processing}
+                className="w-20 disabled:opacity-50"
+              />
+            </div>
+          )}
+        </div>
 
         {/* NEW: Ready hint */}
         {isReadyToEnhance && (
@@ -130,11 +406,42 @@ export default function UploadArea({
             )}
           </button>
 
-          {files.length > 0 && (
+          {quote && (
             <p className="text-sm text-[#666666] mt-3">
-              Cost: $1 per photo • Total: ${(files.length * 1).toFixed(2)}
+              {new Set(quote.prices).size === 1 &&
+                `Cost: $${quote.prices[0].toFixed(2)} per photo • `}
+              {variations > 1 && `${variations} variations each • `}
+              Total: ${quote.cost.toFixed(2)}
+              {quote.free > 0 &&
+                ` • Free trial covers ${quote.free} photo${quote.free !== 1 ? 's' : ''}`}
+              {` • Credits needed: ${quote.creditsNeeded.toFixed(2)} of ${quote.balance.toFixed(2)}`}
             </p>
           )}
+
+          {quote?.shortfall > 0 && !processing && (
+            <div className="mt-3 flex flex-col sm:flex-row items-center justify-center gap-3 text-sm">
+              <span className="text-orange-700">
+                You’re {quote.shortfall.toFixed(2)} credits short for these
+                photos.
+              </span>
+              <button
+                type="button"
+                onClick={() =>
+                  createCheckout.mutate({
+                    lookupKey: 'PAYG_IMAGE_CREDIT',
+                    quantity: shortfallCredits,
+                  })
+                }
+                disabled={createCheckout.isPending}
+                className="px-4 py-2 rounded-xl text-white font-semibold disabled:opacity-50"
+                style={{
+                  background: 'linear-gradient(180deg,#6F5EF7,#8B70F6)',
+                }}
+              >
+                Buy {shortfallCredits} credit{shortfallCredits !== 1 ? 's' : ''}
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </section>
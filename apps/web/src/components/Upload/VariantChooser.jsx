@@ -0,0 +1,157 @@
+import { useState } from 'react'
+import { Check, RefreshCw } from 'lucide-react'
+
+// Lets the user pick which output of each photo goes into the ZIP: one of its
+// variations or a later regeneration. With `onRegenerate`, every completed
+// photo can also be re-run; otherwise only photos with a choice are listed.
+// Photos whose selected output moved the architecture are flagged, and
+// re-running them is free. A photo being regenerated can't be changed until
+// its run finishes.
+export default function VariantChooser({
+  items,
+  onSelect,
+  onRegenerate,
+  disabled,
+}) {
+  const choosable = (items || []).filter(
+    item =>
+      item.status === 'completed' &&
+      (onRegenerate || (item.outputs || []).length > 1)
+  )
+  if (choosable.length === 0) return null
+
+  return (
+    <div className="mb-8 text-left">
+      <h2 className="text-sm font-semibold text-[#0D0D0D] mb-1">
+        {onRegenerate ? 'Your photos' : 'Pick your favorites'}
+      </h2>
+      <p className="text-xs text-[#6B7280] mb-3">
+        The selected version of each photo is the one in your download.
+      </p>
+      <div className="space-y-4">
+        {choosable.map(item => (
+          <div key={item.position}>
+            <div className="text-xs text-[#555555] mb-2 truncate">
+              {item.originalName || `Photo ${item.position + 1}`}
+            </div>
+            {item.structureChanged && (
+              <p className="text-xs text-orange-700 mb-2">
+                Windows or doorways may have moved in this photo.
+                {onRegenerate && ' Regenerate it for free.'}
+              </p>
+            )}
+            {(item.outputs || []).length > 1 && (
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                {item.outputs.map(output => (
+                  <button
+                    key={output.variant}
+                    type="button"
+                    // Outputs without an id were not stored and can't be chosen
+                    disabled={
+                      disabled ||
+                      item.regenerating ||
+                      output.selected ||
+                      output.id == null
+                    }
+                    onClick={() => onSelect(item, output)}
+                    aria-pressed={output.selected}
+                    title={output.prompt || versionLabel(output)}
+                    className={`relative rounded-xl border p-1 transition disabled:cursor-default ${
+                      output.selected
+                        ? 'border-[#8B70F6] ring-2 ring-[#8B70F6]/30'
+                        : 'border-[#E6E6EA] hover:border-[#C9C2F8]'
+                    }`}
+                  >
+                    <img
+                      src={output.url}
+                      alt={`${versionLabel(output)} of #${item.position + 1}`}
+                      className="w-full h-auto rounded-lg object-cover"
+                      loading="lazy"
+                    />
+                    <span className="block text-[11px] text-[#6B7280] mt-1">
+                      {versionLabel(output)}
+                      {output.structureChanged && ' · layout changed'}
+                    </span>
+                    {output.selected && (
+                      <span className="absolute top-2 right-2 w-5 h-5 rounded-full bg-[#8B70F6] flex items-center justify-center">
+                        <Check size={12} className="text-white" />
+                      </span>
+                    )}
+                  </button>
+                ))}
+              </div>
+            )}
+            {onRegenerate && (
+              <RegenerateControl
+                item={item}
+                onRegenerate={onRegenerate}
+                disabled={disabled || item.regenerating}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function versionLabel(output) {
+  return output.version > 0
+    ? `Regeneration ${output.version}`
+    : `Variation ${output.variant + 1}`
+}
+
+// Re-runs one photo, optionally with extra instructions
+function RegenerateControl({ item, onRegenerate, disabled }) {
+  const [prompt, setPrompt] = useState('')
+  const free = item.freeRegenerationsLeft > 0
+  const cost = item.structureChanged
+    ? 'free'
+    : free
+      ? `free, ${item.freeRegenerationsLeft} left`
+      : `$${Number(item.price || 0).toFixed(2)}`
+
+  if (item.regenerating) {
+    return (
+      <div className="mt-2 flex items-center gap-2 text-sm text-[#6B7280]">
+        <RefreshCw size={14} className="animate-spin" />
+        Regenerating…
+      </div>
+    )
+  }
+
+  const failed = item.lastRegeneration?.status === 'failed'
+  return (
+    <>
+      {failed && (
+        <p className="mt-2 text-xs text-red-600">
+          The last regeneration failed
+          {item.lastRegeneration.error && `: ${item.lastRegeneration.error}`}.
+          You weren’t charged for it.
+        </p>
+      )}
+      <div className="mt-2 flex items-center gap-2">
+        <input
+          value={prompt}
+          onChange={e => setPrompt(e.target.value)}
+          maxLength={500}
+          disabled={disabled}
+          placeholder="What should change? (optional)"
+          className="flex-1 min-w-0 px-3 py-2 border border-[#E6E6EA] rounded-lg text-sm outline-none focus:ring-2 focus:ring-[#E6E2FF] disabled:opacity-50"
+        />
+        <button
+          type="button"
+          disabled={disabled}
+          onClick={() => {
+            onRegenerate(item, prompt.trim())
+            setPrompt('')
+          }}
+          className="flex items-center gap-1 px-3 py-2 border border-[#D9D9DE] rounded-lg text-sm text-[#121212] hover:bg-[#F5F4F3] disabled:opacity-50 whitespace-nowrap"
+        >
+          <RefreshCw size={14} />
+          Regenerate ({cost})
+        </button>
+      </div>
+    </>
+  )
+}
@@ -10,6 +10,9 @@ import {
   uniqueIndex,
   index,
   primaryKey,
+  jsonb,
+  boolean,
+  real,
 } from 'drizzle-orm/pg-core'
 
 // ==================================
@@ -126,6 +129,9 @@ export const authVerificationToken = pgTable(
 
 /**
  * Photo jobs table - stores photo processing jobs
+ *
+ * Jobs are queued by POST /api/process-photos and picked up by the worker in
+ * src/app/api/utils/queue.js, which claims rows with FOR UPDATE SKIP LOCKED.
  */
 export const photoJobs = pgTable(
   'photo_jobs',
@@ -134,7 +140,26 @@ export const photoJobs = pgTable(
     userId: uuid('user_id').references(() => authUsers.id, {
       onDelete: 'cascade',
     }),
+    // Final prompt sent to the model, with any style preset already applied
     prompt: text('prompt').notNull(),
+    styleId: varchar('style_id', { length: 50 }),
+    // What was done to the photos (see src/utils/operations.ts)
+    operation: varchar('operation', { length: 50 }).notNull().default('stage'),
+    // Before/after composite layout added to the ZIP (src/utils/comparisons.ts)
+    comparison: varchar('comparison', { length: 20 }),
+    // Encoding of the photos in the ZIP (src/utils/outputProfiles.ts)
+    outputProfile: varchar('output_profile', { length: 20 }),
+    // How soon the job is processed; rush jobs are claimed first and cost
+    // more (src/utils/pricing.ts)
+    turnaround: varchar('turnaround', { length: 20 })
+      .notNull()
+      .default('standard'),
+    // "Virtually Staged" label on every output (src/utils/disclosures.ts)
+    disclosure: jsonb('disclosure').$type<{
+      text: string
+      corner: string
+      opacity: number
+    }>(),
     photoCount: integer('photo_count').notNull(),
     cost: decimal('cost', { precision: 10, scale: 2 })
       .notNull()
@@ -142,6 +167,28 @@ export const photoJobs = pgTable(
     status: varchar('status', { length: 50 }).notNull().default('pending'),
     downloadUrl: text('download_url'),
     groupName: varchar('group_name', { length: 140 }),
+    previewUrls: jsonb('preview_urls').$type<string[]>(),
+    error: text('error'),
+    // Credits reserved when the job was queued; refunded if it fails
+    freeApplied: integer('free_applied').notNull().default(0),
+    creditsApplied: decimal('credits_applied', { precision: 10, scale: 2 })
+      .notNull()
+      .default('0.00'),
+    attempts: integer('attempts').notNull().default(0),
+    lockedAt: timestamp('locked_at'),
+    // Free watermarked preview; the full outputs are delivered once unlocked
+    preview: boolean('preview').notNull().default(false),
+    // Whether photos served from the result cache are charged, from the
+    // user's plan when the job was queued (src/utils/plans.ts)
+    chargeCacheHits: boolean('charge_cache_hits').notNull().default(true),
+    unlockedAt: timestamp('unlocked_at'),
+    // When the job's reservation was settled (unused credits refunded), which
+    // happens once however many workers or cancellations finish it
+    settledAt: timestamp('settled_at'),
+    // Set while the ZIP is out of date with the selected outputs, e.g. after a
+    // regeneration whose rebuild failed; the worker rebuilds it and clears this
+    repackageRequestedAt: timestamp('repackage_requested_at'),
+    completedAt: timestamp('completed_at'),
     createdAt: timestamp('created_at').defaultNow(),
     updatedAt: timestamp('updated_at').defaultNow(),
   },
@@ -154,6 +201,164 @@ export const photoJobs = pgTable(
   }
 )
 
+/**
+ * Photo job items table - one row per source photo in a job
+ *
+ * Each photo is enhanced and billed on its own: completed items are delivered
+ * and charged `credits_charged`, failed items are never charged.
+ */
+export const photoJobItems = pgTable(
+  'photo_job_items',
+  {
+    id: serial('id').primaryKey(),
+    jobId: integer('job_id')
+      .notNull()
+      .references(() => photoJobs.id, { onDelete: 'cascade' }),
+    position: integer('position').notNull(),
+    sourceUrl: text('source_url').notNull(),
+    // Name of the uploaded file, which the output files are named after
+    originalName: varchar('original_name', { length: 255 }),
+    // The upload as received (e.g. HEIC) when source_url is a converted copy
+    originalUrl: text('original_url'),
+    // Per-photo operation; defaults to the job's
+    operation: varchar('operation', { length: 50 }).notNull().default('stage'),
+    // Set when the photo's operation differs from the job's, replacing the job prompt
+    prompt: text('prompt'),
+    // PNG brush mask; only its painted area may change
+    maskUrl: text('mask_url'),
+    status: varchar('status', { length: 50 }).notNull().default('pending'),
+    error: text('error'),
+    // The selected output, i.e. what goes into the job ZIP
+    outputUrl: text('output_url'),
+    // Reduced, watermarked copy shown while the job is a locked preview
+    previewUrl: text('preview_url'),
+    // Alternatives generated for this photo; each is billed at `price`
+    variations: integer('variations').notNull().default(1),
+    // Variations served from the result cache instead of the provider
+    cachedVariations: integer('cached_variations').notNull().default(0),
+    // Times the user has re-run this photo after it completed
+    regenerations: integer('regenerations').notNull().default(0),
+    // Regenerations given free because the selected output changed the structure
+    structureRegenerations: integer('structure_regenerations')
+      .notNull()
+      .default(0),
+    // Output variants numbered so far, counting regenerations still running,
+    // so concurrent regenerations never take the same variant
+    variantCount: integer('variant_count').notNull().default(0),
+    // Detected room type (see src/utils/rooms.ts), which picks the prompt template
+    roomType: varchar('room_type', { length: 50 }),
+    // List price of one variation of this photo
+    price: decimal('price', { precision: 10, scale: 2 })
+      .notNull()
+      .default('1.00'),
+    // Covered by the free trial rather than purchased credits
+    isFree: boolean('is_free').notNull().default(false),
+    creditsCharged: decimal('credits_charged', { precision: 10, scale: 2 })
+      .notNull()
+      .default('0.00'),
+    completedAt: timestamp('completed_at'),
+    createdAt: timestamp('created_at').defaultNow(),
+    updatedAt: timestamp('updated_at').defaultNow(),
+  },
+  table => {
+    return {
+      jobIdIdx: index('idx_photo_job_items_job_id').on(table.jobId),
+      jobPositionIdx: uniqueIndex('idx_photo_job_items_job_position').on(
+        table.jobId,
+        table.position
+      ),
+    }
+  }
+)
+
+/**
+ * Photo job outputs table - every image generated for a job item
+ *
+ * A photo with several variations has one row per variation, and each
+ * regeneration adds another. Nothing is deleted, so the rows double as the
+ * photo's version history; the item's `output_url` points at the one the
+ * user picked.
+ */
+export const photoJobOutputs = pgTable(
+  'photo_job_outputs',
+  {
+    id: serial('id').primaryKey(),
+    itemId: integer('item_id')
+      .notNull()
+      .references(() => photoJobItems.id, { onDelete: 'cascade' }),
+    // Zero-based variation number, unique per item across all versions
+    variant: integer('variant').notNull(),
+    // 0 for the original run, then one per regeneration
+    version: integer('version').notNull().default(0),
+    // Extra instructions given when regenerating
+    prompt: text('prompt'),
+    url: text('url').notNull(),
+    // Structural-fidelity score against the source (src/app/api/utils/fidelity.js);
+    // null when not checked, e.g. for cached outputs
+    structureScore: real('structure_score'),
+    // Scored below STRUCTURE_MIN_SCORE: windows or doorways may have moved
+    structureChanged: boolean('structure_changed').notNull().default(false),
+    createdAt: timestamp('created_at').defaultNow(),
+  },
+  table => {
+    return {
+      itemVariantIdx: uniqueIndex('idx_photo_job_outputs_item_variant').on(
+        table.itemId,
+        table.variant
+      ),
+    }
+  }
+)
+
+/**
+ * Photo regenerations table - re-runs of completed photos, queued for the worker
+ *
+ * POST /api/jobs/:id/items/:itemId/regenerate counts the run, reserves its
+ * output variant and any charge, and inserts a `queued` row. The worker in
+ * src/app/api/utils/queue.js claims it like a job, adds the new output to the
+ * item's history and rebuilds the job ZIP. A run that fails is refunded.
+ */
+export const photoRegenerations = pgTable(
+  'photo_regenerations',
+  {
+    id: serial('id').primaryKey(),
+    itemId: integer('item_id')
+      .notNull()
+      .references(() => photoJobItems.id, { onDelete: 'cascade' }),
+    jobId: integer('job_id')
+      .notNull()
+      .references(() => photoJobs.id, { onDelete: 'cascade' }),
+    userId: uuid('user_id').references(() => authUsers.id, {
+      onDelete: 'cascade',
+    }),
+    // Extra instructions, added to the photo's original prompt
+    prompt: text('prompt'),
+    // Output variant reserved for the run, and its version in the history
+    variant: integer('variant').notNull(),
+    version: integer('version').notNull(),
+    // Credits reserved for the run; refunded if it fails
+    charge: decimal('charge', { precision: 10, scale: 2 })
+      .notNull()
+      .default('0.00'),
+    // Free re-run of a photo whose selected output changed the structure
+    structureFix: boolean('structure_fix').notNull().default(false),
+    // queued | processing | completed | failed
+    status: varchar('status', { length: 50 }).notNull().default('queued'),
+    error: text('error'),
+    attempts: integer('attempts').notNull().default(0),
+    lockedAt: timestamp('locked_at'),
+    completedAt: timestamp('completed_at'),
+    createdAt: timestamp('created_at').defaultNow(),
+    updatedAt: timestamp('updated_at').defaultNow(),
+  },
+  table => {
+    return {
+      itemIdIdx: index('idx_photo_regenerations_item_id').on(table.itemId),
+      statusIdx: index('idx_photo_regenerations_status').on(table.status),
+    }
+  }
+)
+
 /**
  * User credits table - stores credit balances
  */
@@ -169,6 +374,8 @@ export const userCredits = pgTable(
       .notNull()
       .default('0.00'),
     freeUsed: integer('free_used').notNull().default(0),
+    // Billing plan (src/utils/plans.ts); buying a credit pack sets `pack`
+    plan: varchar('plan', { length: 20 }).notNull().default('payg'),
     createdAt: timestamp('created_at').defaultNow(),
     updatedAt: timestamp('updated_at').defaultNow(),
   },
@@ -179,6 +386,88 @@ export const userCredits = pgTable(
   }
 )
 
+/**
+ * Brokerages table - offices whose agents share disclosure rules
+ *
+ * Admins of a brokerage can require every member's photos to carry a
+ * "Virtually Staged" label (PATCH /api/brokerage).
+ */
+export const brokerages = pgTable('brokerages', {
+  id: serial('id').primaryKey(),
+  name: varchar('name', { length: 255 }).notNull(),
+  requireDisclosure: boolean('require_disclosure').notNull().default(false),
+  // Label settings used for members' jobs (src/utils/disclosures.ts)
+  disclosure: jsonb('disclosure').$type<{
+    text?: string
+    corner?: string
+    opacity?: number
+  }>(),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+})
+
+/**
+ * Brokerage members table - which brokerage a user belongs to, and whether
+ * they administer it. A user belongs to at most one brokerage.
+ */
+export const brokerageMembers = pgTable(
+  'brokerage_members',
+  {
+    id: serial('id').primaryKey(),
+    brokerageId: integer('brokerage_id')
+      .notNull()
+      .references(() => brokerages.id, { onDelete: 'cascade' }),
+    userId: uuid('user_id')
+      .notNull()
+      .unique()
+      .references(() => authUsers.id, { onDelete: 'cascade' }),
+    // `admin` or `member`
+    role: varchar('role', { length: 20 }).notNull().default('member'),
+    createdAt: timestamp('created_at').defaultNow(),
+  },
+  table => {
+    return {
+      brokerageIdIdx: index('idx_brokerage_members_brokerage_id').on(
+        table.brokerageId
+      ),
+    }
+  }
+)
+
+/**
+ * Enhancement cache table - outputs reused for repeat requests
+ *
+ * Keyed by a SHA-256 of the source bytes, mask, normalized prompt, operation,
+ * model and variation (see src/app/api/utils/resultCache.js), so a photo
+ * submitted again with the same settings gets the stored output without a
+ * provider call.
+ */
+export const enhancementCache = pgTable('enhancement_cache', {
+  id: serial('id').primaryKey(),
+  cacheKey: varchar('cache_key', { length: 64 }).notNull().unique(),
+  outputUrl: text('output_url').notNull(),
+  // Room type the photo was classified as, so hits skip classification too
+  roomType: varchar('room_type', { length: 50 }),
+  hits: integer('hits').notNull().default(0),
+  createdAt: timestamp('created_at').defaultNow(),
+  lastHitAt: timestamp('last_hit_at'),
+})
+
+/**
+ * User settings table - per-user defaults for new jobs
+ */
+export const userSettings = pgTable('user_settings', {
+  id: serial('id').primaryKey(),
+  userId: uuid('user_id')
+    .notNull()
+    .unique()
+    .references(() => authUsers.id, { onDelete: 'cascade' }),
+  // Output profile used when a job doesn't name one (src/utils/outputProfiles.ts)
+  outputProfile: varchar('output_profile', { length: 20 }),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+})
+
 /**
  * Purchases table - stores Stripe purchase transactions
  */
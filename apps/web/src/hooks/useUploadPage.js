@@ -1,11 +1,78 @@
 import { useState, useEffect } from 'react'
+import { keepPreviousData, useQuery } from '@tanstack/react-query'
 import useUpload from '@/utils/useUpload'
 import useUser from '@/utils/useUser'
+import { DEFAULT_DISCLOSURE, resolveDisclosure } from '@/utils/disclosures'
 import useBilling from '@/hooks/useBilling'
+import { DEFAULT_TURNAROUND } from '@/utils/pricing'
+import {
+  DEFAULT_OPERATION,
+  MAX_PREVIEW_PHOTOS,
+  getOperation,
+} from '@/utils/operations'
 
 const DEFAULT_PROMPT =
   'make this into a professionally staged house for posting for sale as if taken by a dslr camera. make sure all structure stays the same'
 
+const JOB_POLL_INTERVAL_MS = 2000
+const JOB_POLL_TIMEOUT_MS = 20 * 60 * 1000
+
+const sleep = ms => new Promise(r => setTimeout(r, ms))
+
+const isHeicFile = file =>
+  /heic|heif/i.test(file.type) || /\.(heic|heif)$/i.test(file.name)
+
+// Polls GET /api/jobs/:id until the queued job finishes. Calls onTick with
+// each snapshot so the caller can update progress.
+async function waitForJob(jobId, onTick) {
+  const deadline = Date.now() + JOB_POLL_TIMEOUT_MS
+  while (Date.now() < deadline) {
+    await sleep(JOB_POLL_INTERVAL_MS)
+    const res = await fetch(`/api/jobs/${jobId}`)
+    if (!res.ok) {
+      // Transient errors (e.g. a redeploy) shouldn't abandon the job
+      if (res.status >= 500) continue
+      throw new Error(`Could not check job status: ${res.status}`)
+    }
+    const { job } = await res.json()
+    onTick?.(job)
+    if (job.status === 'completed' || job.status === 'partial') return job
+    if (job.status === 'failed') {
+      throw new Error(job.error || 'Processing failed')
+    }
+    if (job.status === 'cancelled') {
+      throw new Error(
+        'Processing was cancelled. Photos already being enhanced will still appear on your dashboard.'
+      )
+    }
+  }
+  throw new Error(
+    'Processing is taking longer than expected. Check your dashboard for results.'
+  )
+}
+
+// Polls GET /api/jobs/:id after a change to a finished job's photos, until
+// no photo is being regenerated and the ZIP has been rebuilt
+async function waitForPhotoUpdate(jobId, onTick) {
+  const deadline = Date.now() + JOB_POLL_TIMEOUT_MS
+  while (Date.now() < deadline) {
+    await sleep(JOB_POLL_INTERVAL_MS)
+    const res = await fetch(`/api/jobs/${jobId}`)
+    if (!res.ok) {
+      if (res.status >= 500) continue
+      throw new Error(`Could not check job status: ${res.status}`)
+    }
+    const { job } = await res.json()
+    onTick?.(job)
+    if (!job.repackaging && !job.items.some(item => item.regenerating)) {
+      return job
+    }
+  }
+  throw new Error(
+    'Updating the photo is taking longer than expected. Check your dashboard for results.'
+  )
+}
+
 export default function useUploadPage() {
   const [files, setFiles] = useState([])
   const [processing, setProcessing] = useState(false)
@@ -17,14 +84,170 @@ export default function useUploadPage() {
   const [showNoCredits, setShowNoCredits] = useState(false)
   const [creditsNeeded, setCreditsNeeded] = useState(1)
   const [noCreditsMessage, setNoCreditsMessage] = useState('')
+  // Whether the out-of-credits prompt may offer a free preview instead
+  const [previewOffered, setPreviewOffered] = useState(false)
+  const [unlocking, setUnlocking] = useState(false)
 
   // --- NEW: lightweight progress + stage UX ---
   const [progress, setProgress] = useState(0) // 0-100
   const [stage, setStage] = useState('idle') // idle | uploading | enhancing | done
   const [uploadedCount, setUploadedCount] = useState(0)
 
+  // What to do with the photos; styles only apply to staging
+  const [operation, setOperation] = useState(DEFAULT_OPERATION)
+  const { staging } = getOperation(operation)
+  // Per-photo overrides of `operation`, keyed by File
+  const [photoOperations, setPhotoOperations] = useState(() => new Map())
+  const setPhotoOperation = (file, id) =>
+    setPhotoOperations(prev => {
+      const next = new Map(prev)
+      if (id) next.set(file, id)
+      else next.delete(file)
+      return next
+    })
+  const operationFor = file => photoOperations.get(file) || operation
+  // Brush masks (PNG files) limiting edits to part of a photo, keyed by File
+  const [photoMasks, setPhotoMasks] = useState(() => new Map())
+  const setPhotoMask = (file, mask) =>
+    setPhotoMasks(prev => {
+      const next = new Map(prev)
+      if (mask) next.set(file, mask)
+      else next.delete(file)
+      return next
+    })
+  // HEIC photos converted by the server as soon as they're added, keyed by
+  // File: the JPEG to enhance, the upload kept as the original, and a
+  // thumbnail browsers can show. A photo that wasn't converted has an `error`
+  // instead, shown on its entry.
+  const [normalizedPhotos, setNormalizedPhotos] = useState(() => new Map())
+  const setNormalized = (file, photo) =>
+    setNormalizedPhotos(prev => new Map(prev).set(file, photo))
+  const normalizeFile = async file => {
+    // Photos that couldn't be converted here are uploaded again with the job
+    // and converted by the worker instead, unless they aren't valid photos
+    const later =
+      'No preview yet; it is converted when the photos are processed'
+    const { url, error: uploadError } = await upload({ file })
+    if (uploadError) {
+      setNormalized(file, { error: later })
+      return
+    }
+    const res = await fetch('/api/photos/normalize', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url }),
+    }).catch(() => null)
+    const data = await res?.json().catch(() => ({}))
+    if (res?.ok) {
+      setNormalized(file, data.photo)
+    } else if (res?.status === 413 || res?.status === 415) {
+      setNormalized(file, { error: data.error || 'This photo cannot be used' })
+    } else {
+      setNormalized(file, { error: later })
+    }
+  }
+  // Alternatives generated per photo; each one is charged
+  const [variations, setVariations] = useState(1)
+  // Rush jobs are processed first and cost more
+  const [turnaround, setTurnaround] = useState(DEFAULT_TURNAROUND)
+  // Before/after composite layout added to the ZIP; null adds none
+  const [comparison, setComparison] = useState(null)
+  // Encoding of the photos in the ZIP; until the user picks one (null keeps
+  // them as generated), their saved default applies
+  const [pickedOutputProfile, setOutputProfile] = useState(undefined)
+  const { data: settingsData, refetch: refetchSettings } = useQuery({
+    queryKey: ['settings'],
+    queryFn: async () => {
+      const res = await fetch('/api/settings')
+      if (!res.ok) throw new Error('Failed to load settings')
+      return res.json()
+    },
+  })
+  const defaultOutputProfile = settingsData?.settings?.outputProfile ?? null
+  const outputProfile =
+    pickedOutputProfile === undefined
+      ? defaultOutputProfile
+      : pickedOutputProfile
+  const saveDefaultOutputProfile = async () => {
+    const res = await fetch('/api/settings', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ outputProfile }),
+    })
+    if (!res.ok) {
+      setError('Could not save your default output format')
+      return
+    }
+    await refetchSettings()
+  }
+  // "Virtually Staged" label stamped on the outputs; null adds none unless
+  // the user's brokerage requires one, in which case only its corner and
+  // opacity can be changed
+  const [pickedDisclosure, setDisclosure] = useState(null)
+  const { data: brokerageData } = useQuery({
+    queryKey: ['brokerage'],
+    queryFn: async () => {
+      const res = await fetch('/api/brokerage')
+      if (!res.ok) throw new Error('Failed to load brokerage')
+      return res.json()
+    },
+  })
+  const disclosureRequired = Boolean(
+    brokerageData?.brokerage?.requireDisclosure
+  )
+  const disclosure = resolveDisclosure(
+    pickedDisclosure,
+    brokerageData?.brokerage
+  )
+  // A photo of the finished job is being re-selected or regenerated
+  const [updatingPhoto, setUpdatingPhoto] = useState(false)
+
+  // Staging style preset; null sends the default prompt alone
+  const [styleId, setStyleId] = useState(null)
+  const { data: stylesData } = useQuery({
+    queryKey: ['styles'],
+    queryFn: async () => {
+      const res = await fetch('/api/styles')
+      if (!res.ok) throw new Error('Failed to load styles')
+      return res.json()
+    },
+    staleTime: 60 * 60 * 1000,
+  })
+
   const { data: user, loading: userLoading } = useUser()
   const { me, products, createCheckout, refetchMe } = useBilling()
+  // The request fields that decide what a job costs, shared by the job and
+  // its quote
+  const pricingFields = batch => ({
+    operation,
+    ...(batch.some(file => photoOperations.has(file))
+      ? { photoOperations: batch.map(operationFor) }
+      : {}),
+    outputProfile,
+    ...(turnaround !== DEFAULT_TURNAROUND ? { turnaround } : {}),
+  })
+  // Shown before anything is uploaded, so a shortfall can be bought first.
+  // Refetched whenever the photos, the options or the balance change.
+  const quoteBody = {
+    ...pricingFields(files),
+    ...(variations > 1 ? { variations } : {}),
+    fileCount: files.length,
+  }
+  const { data: quoteData } = useQuery({
+    queryKey: ['quote', quoteBody, me?.credits, me?.freeUsed],
+    queryFn: async () => {
+      const res = await fetch('/api/process-photos/quote', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(quoteBody),
+      })
+      if (!res.ok) throw new Error('Failed to load quote')
+      return res.json()
+    },
+    enabled: Boolean(user) && files.length > 0,
+    placeholderData: keepPreviousData,
+  })
+  const quote = files.length > 0 ? quoteData?.quote || null : null
 
   useEffect(() => {
     if (error) {
@@ -58,11 +281,8 @@ export default function useUploadPage() {
 
   const addFiles = newFiles => {
     const validFiles = newFiles.filter(file => {
-      const validTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/heic']
-      return (
-        validTypes.includes(file.type.toLowerCase()) ||
-        file.name.toLowerCase().includes('.heic')
-      )
+      const validTypes = ['image/jpeg', 'image/jpg', 'image/png']
+      return validTypes.includes(file.type.toLowerCase()) || isHeicFile(file)
     })
 
     if (validFiles.length !== newFiles.length) {
@@ -70,6 +290,17 @@ export default function useUploadPage() {
         'Some files were skipped. Only JPG, PNG, and HEIC files are supported.'
       )
     }
+    // Converting needs an account; signing in reloads the page anyway
+    const heicFiles = validFiles.filter(isHeicFile)
+    if (user) {
+      heicFiles.forEach(normalizeFile)
+    } else {
+      heicFiles.forEach(file =>
+        setNormalized(file, {
+          error: 'Sign in to see a preview of this HEIC photo',
+        })
+      )
+    }
 
     setFiles(prev => {
       const combined = [...prev, ...validFiles]
@@ -85,7 +316,9 @@ export default function useUploadPage() {
     setFiles(prev => prev.filter((_, i) => i !== index))
   }
 
-  const handleProcess = async () => {
+  // Uploads the photos and runs a job. A preview covers only the first few
+  // photos, free, watermarked and unlocked later.
+  const runJob = async ({ preview = false } = {}) => {
     if (files.length === 0) {
       setError('Please add files to proceed')
       return
@@ -95,6 +328,8 @@ export default function useUploadPage() {
       return
     }
 
+    const batch = preview ? files.slice(0, MAX_PREVIEW_PHOTOS) : files
+    setShowNoCredits(false)
     setProcessing(true)
     setError(null)
     setStage('uploading')
@@ -103,17 +338,40 @@ export default function useUploadPage() {
 
     try {
       const uploadedUrls = []
-      for (let i = 0; i < files.length; i++) {
-        const file = files[i]
-        const { url, error: uploadError } = await upload({ file })
+      const uploadedNames = []
+      const originalUrls = []
+      for (let i = 0; i < batch.length; i++) {
+        const file = batch[i]
+        // Converted HEIC photos are already uploaded
+        const converted = normalizedPhotos.get(file)
+        const normalized = converted?.url ? converted : null
+        const {
+          url,
+          name,
+          error: uploadError,
+        } = normalized
+          ? { url: normalized.url, name: file.name }
+          : await upload({ file })
         if (uploadError) throw new Error(uploadError)
         uploadedUrls.push(url)
+        uploadedNames.push(name)
+        originalUrls.push(normalized?.originalUrl || null)
         // basic stepped progress during upload (70% allocated)
-        const pct = Math.max(5, Math.round(((i + 1) / files.length) * 70))
+        const pct = Math.max(5, Math.round(((i + 1) / batch.length) * 70))
         setUploadedCount(i + 1)
         setProgress(pct)
       }
 
+      // Masks are uploaded like photos and sent as URLs
+      const maskUrls = new Map()
+      for (const file of batch) {
+        const mask = photoMasks.get(file)
+        if (!mask) continue
+        const { url, error: uploadError } = await upload({ file: mask })
+        if (uploadError) throw new Error(uploadError)
+        maskUrls.set(file, url)
+      }
+
       setStage('enhancing')
       // bump progress into the enhancing phase
       setProgress(p => (p < 80 ? 80 : p))
@@ -123,8 +381,30 @@ export default function useUploadPage() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           fileUrls: uploadedUrls,
-          prompt: DEFAULT_PROMPT,
-          fileCount: files.length,
+          fileNames: uploadedNames,
+          ...(originalUrls.some(Boolean) ? { originalUrls } : {}),
+          ...pricingFields(batch),
+          // Other operations bring their own prompt
+          ...(staging ? { prompt: DEFAULT_PROMPT } : {}),
+          ...(staging && styleId ? { styleId } : {}),
+          ...(maskUrls.size > 0
+            ? { photoMasks: batch.map(file => maskUrls.get(file) || null) }
+            : {}),
+          ...(comparison ? { comparison } : {}),
+          ...(disclosure
+            ? {
+                disclosure: {
+                  ...disclosure,
+                  text: disclosure.text.trim() || DEFAULT_DISCLOSURE.text,
+                },
+              }
+            : {}),
+          // Previews generate one variation; more can't be chosen before unlocking
+          ...(preview
+            ? { preview: true }
+            : variations > 1
+              ? { variations }
+              : {}),
         }),
       })
 
@@ -133,7 +413,9 @@ export default function useUploadPage() {
         let detailsJson = null
         try {
           detailsJson = await response.json()
-        } catch {}
+        } catch {
+          // No JSON body; the status line is the message
+        }
 
         if (
           response.status === 402 ||
@@ -141,13 +423,14 @@ export default function useUploadPage() {
         ) {
           const needed = Math.max(
             1,
-            Number(detailsJson?.needed || files.length)
+            Number(detailsJson?.needed || batch.length)
           )
           setCreditsNeeded(needed)
           setNoCreditsMessage(
             detailsJson?.details ||
               "You don't have enough credits to process these photos."
           )
+          setPreviewOffered(!preview)
           setShowNoCredits(true)
           return
         }
@@ -160,11 +443,38 @@ export default function useUploadPage() {
         throw new Error(message)
       }
 
-      const result = await response.json()
+      let result = await response.json()
+      // 202 Accepted: the job is queued, wait for the worker to finish it
+      if (response.status === 202 && result?.job?.id) {
+        const job = await waitForJob(result.job.id, snapshot => {
+          const items = snapshot.items || []
+          const done = items.filter(i =>
+            ['completed', 'failed', 'timed_out'].includes(i.status)
+          ).length
+          // Enhancing spans 80-95%, advanced per finished photo
+          const pct = items.length
+            ? 80 + Math.round((done / items.length) * 15)
+            : 0
+          setProgress(p => Math.min(95, Math.max(p + 1, pct)))
+        })
+        result = {
+          ...result,
+          job,
+          downloadUrl: job.downloadUrl,
+          previewUrls: job.previewUrls,
+        }
+      }
+      // Failed and timed-out photos are left out of the ZIP and not charged
+      const failedCount = (result.job?.items || []).filter(i =>
+        ['failed', 'timed_out'].includes(i.status)
+      ).length
       setResults({
         ...result,
-        photoCount: files.length,
-        cost: files.length * 1.0,
+        photoCount: batch.length,
+        failedCount,
+        // What the server charged, after the free trial and cache hits.
+        // Previews are free until they are unlocked.
+        cost: result.job?.cost ?? 0,
       })
       setProgress(100)
       setStage('done')
@@ -178,8 +488,133 @@ export default function useUploadPage() {
     }
   }
 
+  const handleProcess = () => runJob()
+  const handlePreview = () => runJob({ preview: true })
+
+  // Pays for a finished preview; the server delivers its full outputs
+  const unlockPreview = async () => {
+    if (!results?.job?.id) return
+    setUnlocking(true)
+    setError(null)
+    try {
+      const res = await fetch(`/api/jobs/${results.job.id}/unlock`, {
+        method: 'POST',
+      })
+      const data = await res.json().catch(() => ({}))
+      if (res.status === 402) {
+        setCreditsNeeded(Math.max(1, Math.ceil(Number(data.needed) || 1)))
+        setNoCreditsMessage(
+          data.details ||
+            "You don't have enough credits to unlock this preview."
+        )
+        setPreviewOffered(false)
+        setShowNoCredits(true)
+        return
+      }
+      if (!res.ok) {
+        throw new Error(
+          data.details ||
+            data.error ||
+            `Could not unlock preview: ${res.status}`
+        )
+      }
+      const showUnlocked = job =>
+        setResults(prev => ({
+          ...prev,
+          job: { ...prev.job, locked: false, items: job.items },
+          downloadUrl: job.downloadUrl,
+          previewUrls: job.previewUrls,
+          cost: data.job.cost,
+        }))
+      showUnlocked(data.job)
+      refetchMe()
+      // The full-resolution ZIP is still being built
+      if (data.job.repackaging) {
+        showUnlocked(await waitForPhotoUpdate(data.job.id))
+      }
+    } catch (err) {
+      setError(err.message || 'Could not unlock preview')
+    } finally {
+      setUnlocking(false)
+    }
+  }
+
+  // Sends a change to one photo of the finished job. The server returns the
+  // job's updated photos, or queues the change (202) or the ZIP rebuild
+  // (`repackaging`) and the job is polled until it is done.
+  const updatePhoto = async (item, { method, path = '', body, failure }) => {
+    setUpdatingPhoto(true)
+    setError(null)
+    try {
+      const res = await fetch(
+        `/api/jobs/${results.job.id}/items/${item.id}${path}`,
+        {
+          method,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        }
+      )
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(
+          data.details || data.error || `${failure}: ${res.status}`
+        )
+      }
+      const showUpdate = (job, charged = 0) =>
+        setResults(prev => ({
+          ...prev,
+          job: { ...prev.job, items: job.items },
+          downloadUrl: job.downloadUrl ?? prev.downloadUrl,
+          previewUrls: job.previewUrls ?? prev.previewUrls,
+          cost: (prev.cost || 0) + charged,
+        }))
+      showUpdate(data.job)
+      if (res.status !== 202 && !data.job.repackaging) return
+
+      const job = await waitForPhotoUpdate(data.job.id, showUpdate)
+      const { regeneration } = data
+      if (!regeneration) return
+      // A failed run is refunded, so only a finished one adds to the cost
+      const run = job.items.find(i => i.id === item.id)?.lastRegeneration
+      const failed = run?.id === regeneration.id && run.status === 'failed'
+      if (regeneration.charged > 0) refetchMe()
+      if (failed) {
+        throw new Error(run.error || failure)
+      }
+      showUpdate(job, regeneration.charged)
+    } catch (err) {
+      setError(err.message || failure)
+    } finally {
+      setUpdatingPhoto(false)
+    }
+  }
+
+  // Picks which variation of a photo goes into the ZIP
+  const selectVariation = (item, output) => {
+    if (!results?.job?.id || output.id == null) return
+    return updatePhoto(item, {
+      method: 'PATCH',
+      body: { outputId: output.id },
+      failure: 'Could not select variation',
+    })
+  }
+
+  // Re-runs one photo, optionally with extra instructions
+  const regeneratePhoto = (item, prompt) => {
+    if (!results?.job?.id) return
+    return updatePhoto(item, {
+      method: 'POST',
+      path: '/regenerate',
+      body: prompt ? { prompt } : {},
+      failure: 'Could not regenerate photo',
+    })
+  }
+
   const startOver = () => {
     setFiles([])
+    setPhotoOperations(new Map())
+    setPhotoMasks(new Map())
+    setNormalizedPhotos(new Map())
     setResults(null)
     setError(null)
     setProcessing(false)
@@ -212,11 +647,42 @@ export default function useUploadPage() {
     handleFileInput,
     removeFile,
     handleProcess,
+    handlePreview,
+    previewOffered,
+    unlockPreview,
+    unlocking,
     startOver,
     closeNoCredits,
     // NEW exports for UX
     progress,
     stage,
     uploadedCount,
+    styles: stylesData?.styles || [],
+    styleId,
+    setStyleId,
+    operation,
+    setOperation,
+    photoOperations,
+    setPhotoOperation,
+    variations,
+    setVariations,
+    turnaround,
+    setTurnaround,
+    quote,
+    comparison,
+    setComparison,
+    outputProfile,
+    setOutputProfile,
+    defaultOutputProfile,
+    saveDefaultOutputProfile,
+    disclosure,
+    setDisclosure,
+    disclosureRequired,
+    photoMasks,
+    setPhotoMask,
+    normalizedPhotos,
+    selectVariation,
+    regeneratePhoto,
+    updatingPhoto,
   }
 }
@@ -1,4 +1,19 @@
 import { z } from 'zod'
+import { STYLE_IDS } from '@/utils/styles'
+import {
+  DEFAULT_OPERATION,
+  MAX_PREVIEW_PHOTOS,
+  OPERATION_IDS,
+  getOperation,
+} from '@/utils/operations'
+import { COMPARISON_LAYOUT_IDS } from '@/utils/comparisons'
+import { OUTPUT_PROFILE_IDS } from '@/utils/outputProfiles'
+import { TURNAROUND_IDS } from '@/utils/pricing'
+import {
+  DISCLOSURE_CORNERS,
+  MAX_DISCLOSURE_TEXT,
+  MIN_DISCLOSURE_OPACITY,
+} from '@/utils/disclosures'
 
 /**
  * Validation schemas for API endpoints
@@ -58,27 +73,193 @@ const httpsUrlSchema = z
   )
 
 /**
- * Process Photos Endpoint Schema
- * POST /api/process-photos
+ * Helper: Settings of a disclosure label; any left out come from the
+ * brokerage or the defaults (see src/utils/disclosures.ts)
  */
-export const ProcessPhotosSchema = z.object({
-  fileUrls: z
-    .array(httpsUrlSchema)
-    .min(1, 'At least one file URL is required')
-    .max(30, 'Maximum 30 files allowed'),
+const disclosureSchema = z.object({
+  text: z
+    .string()
+    .trim()
+    .min(1, 'Disclosure text is required')
+    .max(
+      MAX_DISCLOSURE_TEXT,
+      `Disclosure text must be ${MAX_DISCLOSURE_TEXT} characters or less`
+    )
+    .regex(/^\P{Cc}*$/u, 'Disclosure text cannot contain control characters')
+    .optional(),
+  corner: z
+    .enum(DISCLOSURE_CORNERS, { message: 'Unknown disclosure corner' })
+    .optional(),
+  opacity: z
+    .number()
+    .min(
+      MIN_DISCLOSURE_OPACITY,
+      `Disclosure opacity must be at least ${MIN_DISCLOSURE_OPACITY}`
+    )
+    .max(1, 'Disclosure opacity must be at most 1')
+    .optional(),
+})
+
+const fileUrlsSchema = z
+  .array(httpsUrlSchema)
+  .min(1, 'At least one file URL is required')
+  .max(30, 'Maximum 30 files allowed')
+
+// Everything about a job but its photos, shared by POST /api/process-photos
+// and POST /api/process-photos/quote
+const jobSettingsSchema = z.object({
   prompt: z
     .string()
     .min(1, 'Prompt is required')
     .max(500, 'Prompt must be 500 characters or less')
     .optional(),
+  styleId: z.enum(STYLE_IDS, { message: 'Unknown style' }).optional(),
+  operation: z.enum(OPERATION_IDS, { message: 'Unknown operation' }).optional(),
+  // Per-photo overrides of `operation`, one entry per file URL
+  photoOperations: z
+    .array(z.enum(OPERATION_IDS, { message: 'Unknown operation' }).nullable())
+    .optional(),
+  // Uploaded file names, one entry per file URL; outputs are named after them
+  fileNames: z
+    .array(
+      z
+        .string()
+        .max(255, 'File names must be 255 characters or less')
+        .nullable()
+    )
+    .optional(),
+  // Per-photo uploads the file URL was converted from (e.g. HEIC by
+  // /api/photos/normalize), kept for archival
+  originalUrls: z.array(httpsUrlSchema.nullable()).optional(),
+  // Per-photo PNG brush masks; edits are confined to the painted area
+  photoMasks: z.array(httpsUrlSchema.nullable()).optional(),
+  // Alternatives generated per photo, each billed at the photo's price
+  variations: z
+    .number()
+    .int('Variations must be an integer')
+    .min(1, 'At least 1 variation is required')
+    .max(4, 'Maximum 4 variations per photo')
+    .optional(),
+  // Adds a "before | after" composite of each photo to the ZIP
+  comparison: z
+    .enum(COMPARISON_LAYOUT_IDS, { message: 'Unknown comparison layout' })
+    .optional(),
+  // Encoding of the photos in the ZIP; null keeps them as generated, and
+  // leaving it out uses the user's default
+  outputProfile: z
+    .enum(OUTPUT_PROFILE_IDS, { message: 'Unknown output profile' })
+    .nullable()
+    .optional(),
+  // "Virtually Staged" label stamped on every output and written into its
+  // metadata; brokerages may require one even when left out
+  disclosure: disclosureSchema.nullable().optional(),
+  // How soon the job is processed, priced accordingly; standard by default
+  turnaround: z
+    .enum(TURNAROUND_IDS, { message: 'Unknown turnaround' })
+    .optional(),
+  // Free, watermarked and reduced in size; unlocked later with credits
+  preview: z.boolean().optional(),
   groupName: z
     .string()
     .max(140, 'Group name must be 140 characters or less')
     .optional(),
 })
 
+type JobSettings = z.infer<typeof jobSettingsSchema>
+
+// Checks that need the number of photos in the job
+function refineJob<T extends JobSettings>(
+  schema: z.ZodType<T>,
+  photoCount: (data: T) => number
+) {
+  return schema
+    .refine(
+      data =>
+        !data.styleId ||
+        getOperation(data.operation || DEFAULT_OPERATION)?.staging,
+      {
+        message: 'Styles only apply to staging',
+        path: ['styleId'],
+      }
+    )
+    .refine(
+      data =>
+        !data.photoOperations ||
+        data.photoOperations.length === photoCount(data),
+      {
+        message: 'photoOperations must have one entry per file URL',
+        path: ['photoOperations'],
+      }
+    )
+    .refine(
+      data => !data.fileNames || data.fileNames.length === photoCount(data),
+      {
+        message: 'fileNames must have one entry per file URL',
+        path: ['fileNames'],
+      }
+    )
+    .refine(
+      data =>
+        !data.originalUrls || data.originalUrls.length === photoCount(data),
+      {
+        message: 'originalUrls must have one entry per file URL',
+        path: ['originalUrls'],
+      }
+    )
+    .refine(
+      data => !data.photoMasks || data.photoMasks.length === photoCount(data),
+      {
+        message: 'photoMasks must have one entry per file URL',
+        path: ['photoMasks'],
+      }
+    )
+    .refine(data => !data.preview || photoCount(data) <= MAX_PREVIEW_PHOTOS, {
+      message: `Previews cover at most ${MAX_PREVIEW_PHOTOS} photos`,
+      path: ['fileUrls'],
+    })
+    .refine(data => !data.preview || (data.variations ?? 1) === 1, {
+      message: 'Previews generate a single variation',
+      path: ['variations'],
+    })
+}
+
+/**
+ * Process Photos Endpoint Schema
+ * POST /api/process-photos
+ */
+export const ProcessPhotosSchema = refineJob(
+  jobSettingsSchema.extend({ fileUrls: fileUrlsSchema }),
+  data => data.fileUrls.length
+)
+
 export type ProcessPhotosInput = z.infer<typeof ProcessPhotosSchema>
 
+/**
+ * Quote Photos Endpoint Schema
+ * POST /api/process-photos/quote
+ * The process-photos body, or the same without `fileUrls` and with the
+ * number of photos as `fileCount`, for quoting before anything is uploaded.
+ */
+export const QuotePhotosSchema = refineJob(
+  jobSettingsSchema
+    .extend({
+      fileUrls: fileUrlsSchema.optional(),
+      fileCount: z
+        .number()
+        .int('File count must be an integer')
+        .min(1, 'At least one file is required')
+        .max(30, 'Maximum 30 files allowed')
+        .optional(),
+    })
+    .refine(data => data.fileUrls || data.fileCount, {
+      message: 'fileUrls or fileCount is required',
+      path: ['fileCount'],
+    }),
+  data => data.fileUrls?.length ?? data.fileCount ?? 0
+)
+
+export type QuotePhotosInput = z.infer<typeof QuotePhotosSchema>
+
 /**
  * Update Job Endpoint Schema
  * PATCH /api/jobs/:id
@@ -88,11 +269,94 @@ export const UpdateJobSchema = z.object({
     .string()
     .max(140, 'Group name must be 140 characters or less')
     .optional(),
-  status: z.enum(['pending', 'processing', 'completed', 'failed']).optional(),
+  status: z
+    .enum([
+      'pending',
+      'queued',
+      'processing',
+      'completed',
+      'partial',
+      'failed',
+      'cancelled',
+    ])
+    .optional(),
 })
 
 export type UpdateJobInput = z.infer<typeof UpdateJobSchema>
 
+/**
+ * Select Variation Schema
+ * PATCH /api/jobs/:id/items/:itemId
+ */
+export const SelectVariationSchema = z.object({
+  outputId: z
+    .number()
+    .int('Output ID must be an integer')
+    .positive('Output ID must be positive'),
+})
+
+export type SelectVariationInput = z.infer<typeof SelectVariationSchema>
+
+/**
+ * Regenerate Photo Schema
+ * POST /api/jobs/:id/items/:itemId/regenerate
+ */
+export const RegeneratePhotoSchema = z.object({
+  // Added to the photo's original prompt for this run only
+  prompt: z
+    .string()
+    .trim()
+    .min(1, 'Prompt cannot be empty')
+    .max(500, 'Prompt must be 500 characters or less')
+    .optional(),
+})
+
+export type RegeneratePhotoInput = z.infer<typeof RegeneratePhotoSchema>
+
+/**
+ * Update Settings Schema
+ * PATCH /api/settings
+ */
+export const UpdateSettingsSchema = z.object({
+  // Default output profile for new jobs; null keeps photos as generated
+  outputProfile: z
+    .enum(OUTPUT_PROFILE_IDS, { message: 'Unknown output profile' })
+    .nullable(),
+})
+
+export type UpdateSettingsInput = z.infer<typeof UpdateSettingsSchema>
+
+/**
+ * Update Brokerage Schema
+ * PATCH /api/brokerage
+ */
+export const UpdateBrokerageSchema = z
+  .object({
+    // Labels every member's photos, whatever they ask for
+    requireDisclosure: z.boolean().optional(),
+    // The brokerage's label, filling in whatever members leave out. While
+    // required, its text can't be changed by members
+    disclosure: disclosureSchema.nullable().optional(),
+  })
+  .refine(
+    data =>
+      data.requireDisclosure !== undefined || data.disclosure !== undefined,
+    { message: 'Nothing to update' }
+  )
+
+export type UpdateBrokerageInput = z.infer<typeof UpdateBrokerageSchema>
+
+/**
+ * Normalize Photo Schema
+ * POST /api/photos/normalize
+ */
+export const NormalizePhotoSchema = z.object({
+  // A photo already in upload storage
+  url: httpsUrlSchema,
+})
+
+export type NormalizePhotoInput = z.infer<typeof NormalizePhotoSchema>
+
 /**
  * Create Checkout Session Schema
  * POST /api/billing/create-checkout
@@ -0,0 +1,34 @@
+/**
+ * Before/after comparison layouts
+ * A job may ask for a composite of each photo's original and enhanced image,
+ * added to the ZIP next to the enhanced photo for posting on social media.
+ */
+
+export interface ComparisonLayout {
+  id: string
+  label: string
+  description: string
+}
+
+export const COMPARISON_LAYOUTS: readonly ComparisonLayout[] = [
+  {
+    id: 'side_by_side',
+    label: 'Side by side',
+    description: 'Original on the left, enhanced on the right',
+  },
+  {
+    id: 'split',
+    label: 'Split',
+    description: 'Left half original, right half enhanced, in one frame',
+  },
+]
+
+export const COMPARISON_LAYOUT_IDS = COMPARISON_LAYOUTS.map(
+  layout => layout.id
+) as [string, ...string[]]
+
+export function getComparisonLayout(
+  id: string | null | undefined
+): ComparisonLayout | null {
+  return COMPARISON_LAYOUTS.find(layout => layout.id === id) || null
+}
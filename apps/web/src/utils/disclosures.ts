@@ -0,0 +1,66 @@
+/**
+ * "Virtually Staged" disclosures
+ * Many MLSs require edited listing photos to say so. A job can stamp a
+ * label on every output and write the same text into its metadata (see
+ * src/app/api/utils/disclosure.js). Brokerages can make the label mandatory
+ * for their members.
+ */
+
+export const DISCLOSURE_CORNERS = [
+  'top_left',
+  'top_right',
+  'bottom_left',
+  'bottom_right',
+] as const
+
+export type DisclosureCorner = (typeof DISCLOSURE_CORNERS)[number]
+
+export interface Disclosure {
+  text: string
+  corner: DisclosureCorner
+  // Opacity of the whole label, from MIN_DISCLOSURE_OPACITY to 1
+  opacity: number
+}
+
+export const MAX_DISCLOSURE_TEXT = 60
+// Below this the label is too faint to count as a disclosure
+export const MIN_DISCLOSURE_OPACITY = 0.3
+
+export const DEFAULT_DISCLOSURE: Disclosure = {
+  text: 'Virtually Staged',
+  corner: 'bottom_right',
+  opacity: 0.8,
+}
+
+/**
+ * The disclosure a job gets: the one requested, if any, with its missing
+ * settings taken from the brokerage's and then the defaults. When the
+ * brokerage requires disclosures, every job gets one and its text is the
+ * brokerage's; members can only move the label or change its opacity.
+ */
+export function resolveDisclosure(
+  requested: Partial<Disclosure> | null | undefined,
+  brokerage?: {
+    requireDisclosure: boolean
+    disclosure?: Partial<Disclosure> | null
+  } | null
+): Disclosure | null {
+  if (!requested && !brokerage?.requireDisclosure) return null
+  const disclosure = {
+    ...DEFAULT_DISCLOSURE,
+    ...withoutUnset(brokerage?.disclosure),
+    ...withoutUnset(requested),
+  }
+  if (brokerage?.requireDisclosure) {
+    disclosure.text = brokerage.disclosure?.text || DEFAULT_DISCLOSURE.text
+  }
+  return disclosure
+}
+
+function withoutUnset(
+  settings: Partial<Disclosure> | null | undefined
+): Partial<Disclosure> {
+  return Object.fromEntries(
+    Object.entries(settings || {}).filter(([, value]) => value != null)
+  )
+}
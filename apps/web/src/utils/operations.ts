@@ -0,0 +1,158 @@
+/**
+ * Photo operations
+ * `stage` furnishes a room; `declutter` and `empty_room` do the opposite and
+ * remove belongings. Exterior operations touch up the outside of the house.
+ * Each operation has its own per-photo price and builds its own prompt, and
+ * only staging takes a style preset or room templates. A job has a default
+ * operation that each photo may override.
+ */
+
+import { buildStagingPrompt } from '@/utils/styles'
+
+export interface Operation {
+  id: string
+  label: string
+  description: string
+  category: 'interior' | 'exterior'
+  /** Credits charged per completed photo */
+  price: number
+  /** Instructions sent to the model; staging uses the user prompt instead */
+  prompt: string
+  /** Whether style presets and room templates (src/utils/rooms.ts) apply */
+  staging: boolean
+  /** Added to the original file name of each output, e.g. `kitchen-staged.jpg` */
+  fileSuffix: string
+}
+
+export const DEFAULT_OPERATION = 'stage'
+
+/** Photos a free watermarked preview may cover */
+export const MAX_PREVIEW_PHOTOS = 2
+
+export const OPERATIONS: readonly Operation[] = [
+  {
+    id: 'stage',
+    category: 'interior',
+    label: 'Virtual staging',
+    description: 'Furnish and decorate the room',
+    price: 1.0,
+    prompt: '',
+    staging: true,
+    fileSuffix: 'staged',
+  },
+  {
+    id: 'declutter',
+    category: 'interior',
+    label: 'Declutter',
+    description: 'Remove personal items and mess, keep the furniture',
+    price: 1.0,
+    prompt:
+      'Declutter this room: remove personal belongings, loose items, papers, cables, toiletries, toys and clutter from every surface and the floor. Keep the furniture, fixtures, walls, floors and windows exactly as they are',
+    staging: false,
+    fileSuffix: 'decluttered',
+  },
+  {
+    id: 'empty_room',
+    category: 'interior',
+    label: 'Empty room',
+    description: 'Remove all furniture and belongings',
+    price: 1.5,
+    prompt:
+      'Empty this room: remove all furniture, rugs, decor and personal belongings, leaving a clean, empty room. Keep walls, floors, windows, doors, built-in cabinets and fixed fixtures exactly as they are, and fill in the uncovered floor and walls to match their surroundings',
+    staging: false,
+    fileSuffix: 'empty',
+  },
+  {
+    id: 'sky_replacement',
+    category: 'exterior',
+    label: 'Blue sky',
+    description: 'Replace a grey or blown-out sky with a clear blue one',
+    price: 1.0,
+    prompt:
+      'Replace the sky with a clear, natural blue sky with a few soft white clouds. Match the lighting and reflections on the house, windows and landscape to the new sky, and keep the house, roofline, trees and all other structures exactly as they are',
+    staging: false,
+    fileSuffix: 'blue-sky',
+  },
+  {
+    id: 'twilight',
+    category: 'exterior',
+    label: 'Twilight',
+    description: 'Turn a daytime shot into dusk with warmly lit windows',
+    price: 1.5,
+    prompt:
+      'Convert this daytime exterior photo into a twilight photo: a deep blue and orange dusk sky, warm yellow light glowing from every window, and exterior and landscape lights switched on. Keep the house, roofline, landscaping and all other structures exactly as they are',
+    staging: false,
+    fileSuffix: 'twilight',
+  },
+  {
+    id: 'lawn_greening',
+    category: 'exterior',
+    label: 'Green lawn',
+    description: 'Green patchy or brown grass and clear seasonal snow',
+    price: 1.0,
+    prompt:
+      'Make the lawn lush, healthy and evenly green, fill in bare or brown patches, and remove any snow, ice or fallen leaves from the lawn, driveway, paths and roof. Keep the house, trees, hardscaping and all other structures exactly as they are',
+    staging: false,
+    fileSuffix: 'green-lawn',
+  },
+]
+
+export const OPERATION_IDS = OPERATIONS.map(op => op.id) as [
+  string,
+  ...string[],
+]
+
+export function getOperation(id: string | null | undefined): Operation | null {
+  return OPERATIONS.find(op => op.id === id) || null
+}
+
+/**
+ * Builds the prompt for a job. Staging keeps the user prompt and style preset;
+ * other operations lead with their own instructions and treat the user prompt
+ * as extra detail.
+ */
+export function buildOperationPrompt({
+  operation,
+  prompt,
+  styleId,
+}: {
+  operation?: string | null
+  prompt?: string | null
+  styleId?: string | null
+}): string {
+  const op = getOperation(operation) || getOperation(DEFAULT_OPERATION)!
+  if (op.staging) return buildStagingPrompt({ prompt, styleId })
+  return [op.prompt, (prompt || '').trim()].filter(Boolean).join('. ')
+}
+
+/**
+ * Totals completed photos per operation, for billing logs. Each variation of
+ * a photo is charged its price; the free trial covers one variation, and
+ * variations served from the result cache are free unless `chargeCacheHits`.
+ */
+export function operationUsage(
+  items: Array<{
+    operation?: string | null
+    status?: string
+    price?: number
+    isFree?: boolean
+    variations?: number
+    cachedVariations?: number
+  }>,
+  { chargeCacheHits = true }: { chargeCacheHits?: boolean } = {}
+): Array<{ operation: string; photoCount: number; credits: number }> {
+  const usage = new Map<string, { photoCount: number; credits: number }>()
+  for (const item of items) {
+    if (item.status !== 'completed') continue
+    const operation = item.operation || DEFAULT_OPERATION
+    const entry = usage.get(operation) || { photoCount: 0, credits: 0 }
+    entry.photoCount += 1
+    const charged =
+      (item.variations ?? 1) -
+      (chargeCacheHits ? 0 : (item.cachedVariations ?? 0))
+    const paidVariations = charged - (item.isFree ? 1 : 0)
+    entry.credits += (item.price ?? 0) * Math.max(0, paidVariations)
+    usage.set(operation, entry)
+  }
+  return [...usage].map(([operation, entry]) => ({ operation, ...entry }))
+}
@@ -0,0 +1,65 @@
+/**
+ * Output profiles
+ * How the enhanced photos in a job's ZIP are encoded. Providers return
+ * whatever format they like (usually PNG), while listing sites want specific
+ * formats, dimensions and file sizes. Without a profile the ZIP holds the
+ * outputs as generated.
+ */
+
+export interface OutputProfile {
+  id: string
+  label: string
+  description: string
+  format: 'jpeg' | 'webp' | 'tiff'
+  // Longest side in pixels; null keeps the full resolution
+  maxDimension: number | null
+  // Encoder quality (1-100); lossless formats ignore it
+  quality: number | null
+  // Largest file allowed; quality, then size, is reduced to fit
+  maxBytes: number | null
+  // Credits added to the price of each photo (see src/utils/pricing.ts)
+  surcharge: number
+}
+
+export const OUTPUT_PROFILES: readonly OutputProfile[] = [
+  {
+    id: 'mls',
+    label: 'MLS 2048px JPEG <5MB',
+    description: 'JPEG up to 2048px on the long side and under 5 MB',
+    format: 'jpeg',
+    maxDimension: 2048,
+    quality: 90,
+    maxBytes: 5 * 1024 * 1024,
+    surcharge: 0,
+  },
+  {
+    id: 'web',
+    label: 'Web WebP 1600px',
+    description: 'WebP up to 1600px on the long side, for websites',
+    format: 'webp',
+    maxDimension: 1600,
+    quality: 82,
+    maxBytes: null,
+    surcharge: 0,
+  },
+  {
+    id: 'print',
+    label: 'Print full-res TIFF',
+    description: 'Lossless TIFF at full resolution, for print',
+    format: 'tiff',
+    maxDimension: null,
+    quality: null,
+    maxBytes: null,
+    surcharge: 0.5,
+  },
+]
+
+export const OUTPUT_PROFILE_IDS = OUTPUT_PROFILES.map(
+  profile => profile.id
+) as [string, ...string[]]
+
+export function getOutputProfile(
+  id: string | null | undefined
+): OutputProfile | null {
+  return OUTPUT_PROFILES.find(profile => profile.id === id) || null
+}
@@ -0,0 +1,52 @@
+/**
+ * Billing plans
+ * What a user's purchases entitle them to beyond their credit balance. Every
+ * user starts on pay as you go; buying a credit pack moves them to the pack
+ * plan (see the billing confirm route).
+ */
+
+export interface Plan {
+  id: string
+  label: string
+  // Whether photos served from the result cache, which skip the provider,
+  // cost credits like freshly enhanced ones
+  chargeCacheHits: boolean
+  // Taken off the price of each photo, from 0 to 1 (see src/utils/pricing.ts)
+  discount: number
+}
+
+export const PLANS: readonly Plan[] = [
+  {
+    id: 'payg',
+    label: 'Pay as you go',
+    chargeCacheHits: true,
+    discount: 0,
+  },
+  {
+    id: 'pack',
+    label: 'Credit pack',
+    chargeCacheHits: false,
+    discount: 0.1,
+  },
+]
+
+export const DEFAULT_PLAN_ID = 'payg'
+
+export const PLAN_IDS = PLANS.map(plan => plan.id) as [string, ...string[]]
+
+/**
+ * The plan with `id`, falling back to the default plan for unknown ids.
+ */
+export function getPlan(id: string | null | undefined): Plan {
+  return (
+    PLANS.find(plan => plan.id === id) ||
+    (PLANS.find(plan => plan.id === DEFAULT_PLAN_ID) as Plan)
+  )
+}
+
+/**
+ * The plan a purchase puts the buyer on, from its Stripe price lookup key.
+ */
+export function planForPurchase(lookupKey: string | null | undefined): string {
+  return lookupKey?.startsWith('PACK_') ? 'pack' : DEFAULT_PLAN_ID
+}
@@ -0,0 +1,160 @@
+/**
+ * Pricing
+ * What a job costs, worked out in one place so the total on the upload page,
+ * the credits reserved for a job and its stored `cost` can't disagree. A
+ * photo's price is its operation's price plus its output profile's
+ * surcharge, times its turnaround's multiplier, less its plan's discount,
+ * rounded to the cent. Every variation is billed at that price, and the free
+ * trial covers one variation of each of a user's first photos.
+ */
+
+import { getOperation, type Operation } from '@/utils/operations'
+import { getOutputProfile } from '@/utils/outputProfiles'
+import { getPlan } from '@/utils/plans'
+
+// Photos per user covered by the free trial
+export const FREE_TRIAL_PHOTOS = 3
+
+export interface Turnaround {
+  id: string
+  label: string
+  description: string
+  // Applied to the photo price
+  multiplier: number
+}
+
+export const TURNAROUNDS: readonly Turnaround[] = [
+  {
+    id: 'standard',
+    label: 'Standard',
+    description: 'Processed in the order submitted',
+    multiplier: 1,
+  },
+  {
+    id: 'rush',
+    label: 'Rush',
+    description: 'Processed ahead of standard jobs',
+    multiplier: 1.5,
+  },
+]
+
+export const DEFAULT_TURNAROUND = 'standard'
+
+export const TURNAROUND_IDS = TURNAROUNDS.map(turnaround => turnaround.id) as [
+  string,
+  ...string[],
+]
+
+/**
+ * The turnaround with `id`, falling back to the default for unknown ids.
+ */
+export function getTurnaround(id: string | null | undefined): Turnaround {
+  return (
+    TURNAROUNDS.find(turnaround => turnaround.id === id) ||
+    (TURNAROUNDS.find(
+      turnaround => turnaround.id === DEFAULT_TURNAROUND
+    ) as Turnaround)
+  )
+}
+
+/**
+ * Photos of the free trial a user has left after using `freeUsed`.
+ */
+export function freeTrialRemaining(freeUsed: number | null | undefined) {
+  return Math.max(0, FREE_TRIAL_PHOTOS - (freeUsed || 0))
+}
+
+/**
+ * Price of one variation of a photo.
+ */
+export function photoPrice({
+  operation,
+  outputProfile = null,
+  turnaround = null,
+  plan = null,
+}: {
+  operation: string | Operation
+  outputProfile?: string | null
+  turnaround?: string | null
+  plan?: string | null
+}): number {
+  const op = typeof operation === 'string' ? getOperation(operation) : operation
+  if (!op) throw new Error(`Unknown operation: ${operation}`)
+  const surcharge = getOutputProfile(outputProfile)?.surcharge || 0
+  const { multiplier } = getTurnaround(turnaround)
+  const { discount } = getPlan(plan)
+  return roundCents((op.price + surcharge) * multiplier * (1 - discount))
+}
+
+/**
+ * What a set of photos costs and how much of it the free trial covers: one
+ * variation of each of the first `freeRemaining` photos. Credits pay for the
+ * rest.
+ * @param photos - In photo order, each with the variations it's charged for
+ */
+export function chargePhotos(
+  photos: { price: number; variations?: number }[],
+  freeRemaining = 0
+): { cost: number; free: number; credits: number } {
+  const free = Math.min(photos.length, Math.max(0, freeRemaining))
+  let cost = 0
+  let credits = 0
+  photos.forEach((photo, i) => {
+    const variations = photo.variations ?? 1
+    cost += photo.price * variations
+    credits += photo.price * Math.max(0, variations - (i < free ? 1 : 0))
+  })
+  return { cost: roundCents(cost), free, credits: roundCents(credits) }
+}
+
+export interface JobPrice {
+  // Price of one variation of each photo, in photo order
+  prices: number[]
+  // Stored as the job's cost; previews cost nothing until unlocked
+  cost: number
+  // Photos covered by the free trial
+  free: number
+  // Credits the job needs
+  credits: number
+}
+
+/**
+ * Prices a job of `photos`, each with its operation and variations, on the
+ * user's plan and with the free trial they have left.
+ */
+export function priceJob({
+  photos,
+  outputProfile = null,
+  turnaround = null,
+  plan = null,
+  freeRemaining = 0,
+  preview = false,
+}: {
+  photos: { operation: string; variations?: number }[]
+  outputProfile?: string | null
+  turnaround?: string | null
+  plan?: string | null
+  freeRemaining?: number
+  preview?: boolean
+}): JobPrice {
+  const prices = photos.map(photo =>
+    photoPrice({ operation: photo.operation, outputProfile, turnaround, plan })
+  )
+  // Previews reserve nothing; the trial and credits apply when unlocked
+  if (preview) return { prices, cost: 0, free: 0, credits: 0 }
+  return {
+    prices,
+    ...chargePhotos(
+      photos.map((photo, i) => ({
+        price: prices[i],
+        variations: photo.variations,
+      })),
+      freeRemaining
+    ),
+  }
+}
+
+/** Rounds a dollar amount to whole cents. */
+export function roundCents(amount: number): number {
+  return Math.round(amount * 100) / 100
+}
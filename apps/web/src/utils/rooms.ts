@@ -0,0 +1,113 @@
+/**
+ * Room types
+ * Each photo is classified into one of these before enhancement, and the
+ * room's template is added to the job prompt so e.g. a bathroom is not staged
+ * with a sofa.
+ */
+
+export interface RoomType {
+  id: string
+  label: string
+  /** Room-specific staging instructions appended to the job prompt */
+  prompt: string
+}
+
+export const ROOM_TYPES: readonly RoomType[] = [
+  {
+    id: 'living_room',
+    label: 'Living room',
+    prompt:
+      'This is a living room: furnish it with a sofa, coffee table, area rug, accent chairs and soft lamp lighting',
+  },
+  {
+    id: 'bedroom',
+    label: 'Bedroom',
+    prompt:
+      'This is a bedroom: furnish it with a made bed with layered bedding, matching nightstands with lamps and a dresser',
+  },
+  {
+    id: 'kitchen',
+    label: 'Kitchen',
+    prompt:
+      'This is a kitchen: keep cabinets, counters and appliances exactly as they are; add bar stools if there is an island and minimal countertop decor such as a fruit bowl',
+  },
+  {
+    id: 'bathroom',
+    label: 'Bathroom',
+    prompt:
+      'This is a bathroom: do not add furniture; add folded towels, a small plant and minimal toiletries, and make fixtures and mirrors look clean',
+  },
+  {
+    id: 'dining_room',
+    label: 'Dining room',
+    prompt:
+      'This is a dining room: furnish it with a dining table and chairs sized to the room, a simple centerpiece and a rug',
+  },
+  {
+    id: 'office',
+    label: 'Office',
+    prompt:
+      'This is a home office: furnish it with a desk, an office chair, a bookshelf and a desk lamp',
+  },
+  {
+    id: 'exterior',
+    label: 'Exterior',
+    prompt:
+      'This is an exterior view: do not add indoor furniture; tidy the landscaping, green the lawn and brighten the sky, with outdoor seating only on patios or decks',
+  },
+  {
+    id: 'other',
+    label: 'Other',
+    prompt:
+      'Stage this space with furniture and decor suited to its apparent purpose',
+  },
+]
+
+export const ROOM_TYPE_IDS = ROOM_TYPES.map(room => room.id) as [
+  string,
+  ...string[],
+]
+
+export function getRoomType(id: string | null | undefined): RoomType | null {
+  return ROOM_TYPES.find(room => room.id === id) || null
+}
+
+/**
+ * Reads a room type out of free-form classifier output, e.g. "Kitchen." or
+ * "dining room". Falls back to `other` when nothing matches.
+ */
+export function parseRoomType(text: string | null | undefined): string {
+  const normalized = (text || '')
+    .toLowerCase()
+    .replace(/[^a-z]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+  const match = ROOM_TYPES.find(
+    room =>
+      normalized === room.id ||
+      normalized.split('_').join('') === room.id.split('_').join('')
+  )
+  if (match) return match.id
+  // Longer answers: take the first room id mentioned
+  const mentioned = ROOM_TYPES.filter(room => room.id !== 'other')
+    .map(room => ({ id: room.id, at: normalized.indexOf(room.id) }))
+    .filter(({ at }) => at >= 0)
+    .sort((a, b) => a.at - b.at)[0]
+  return mentioned?.id || 'other'
+}
+
+/**
+ * Appends the room template to the job prompt. Unknown rooms leave the prompt
+ * unchanged.
+ */
+export function buildRoomPrompt({
+  prompt,
+  roomType,
+}: {
+  prompt?: string | null
+  roomType?: string | null
+}): string {
+  const base = (prompt || '').trim()
+  const room = getRoomType(roomType)
+  if (!room) return base
+  return [base, room.prompt].filter(Boolean).join('. ')
+}
@@ -0,0 +1,104 @@
+/**
+ * Staging style presets
+ * Each style expands into a prompt fragment plus things the model must avoid.
+ * Served to the upload page by GET /api/styles and applied server-side by
+ * POST /api/process-photos when a request carries a `styleId`.
+ */
+
+export interface StagingStyle {
+  id: string
+  label: string
+  description: string
+  /** Small SVG swatch of the style's palette, as a data URI */
+  thumbnail: string
+  /** Appended to the user prompt */
+  prompt: string
+  /** Rendered as an "Avoid: ..." clause */
+  negative: string[]
+}
+
+function swatch(colors: string[]): string {
+  const width = 120 / colors.length
+  const rects = colors
+    .map(
+      (color, i) =>
+        `<rect x="${i * width}" y="0" width="${width}" height="80" fill="${color}"/>`
+    )
+    .join('')
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="120" height="80" viewBox="0 0 120 80">${rects}</svg>`
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`
+}
+
+export const STYLES: readonly StagingStyle[] = [
+  {
+    id: 'modern',
+    label: 'Modern',
+    description: 'Clean lines, neutral palette, low-profile furniture',
+    thumbnail: swatch(['#F5F5F4', '#A8A29E', '#44403C', '#1C1917']),
+    prompt:
+      'Stage in a modern style: clean-lined low-profile furniture, neutral whites and greys with black accents, minimal decor, abstract art',
+    negative: ['clutter', 'ornate or antique furniture', 'busy patterns'],
+  },
+  {
+    id: 'scandinavian',
+    label: 'Scandinavian',
+    description: 'Light woods, soft textiles, airy and bright',
+    thumbnail: swatch(['#FFFFFF', '#E7DCCB', '#C9A97E', '#8FA3A0']),
+    prompt:
+      'Stage in a Scandinavian style: light oak furniture, white and soft grey textiles, wool throws, simple ceramics and a few green plants',
+    negative: ['dark heavy furniture', 'saturated colors', 'clutter'],
+  },
+  {
+    id: 'farmhouse',
+    label: 'Farmhouse',
+    description: 'Warm rustic wood, cozy fabrics, vintage touches',
+    thumbnail: swatch(['#F4EFE6', '#B08968', '#7F5539', '#4A5D4A']),
+    prompt:
+      'Stage in a modern farmhouse style: reclaimed wood tables, linen upholstery, woven baskets, black iron fixtures and warm cream tones',
+    negative: ['glossy or chrome finishes', 'neon colors', 'clutter'],
+  },
+  {
+    id: 'luxury',
+    label: 'Luxury',
+    description: 'Rich materials, statement lighting, hotel polish',
+    thumbnail: swatch(['#F8F4EC', '#C9A227', '#3D3B40', '#0F0E12']),
+    prompt:
+      'Stage in a luxury style: velvet and leather upholstery, marble and brass accents, statement lighting, layered rugs and curated art',
+    negative: ['cheap-looking materials', 'clutter', 'cartoonish decor'],
+  },
+  {
+    id: 'coastal',
+    label: 'Coastal',
+    description: 'Breezy whites and blues, natural fibers',
+    thumbnail: swatch(['#FFFFFF', '#DCEFF5', '#6FA8C7', '#D8C3A5']),
+    prompt:
+      'Stage in a coastal style: white slipcovered sofas, soft blue and sand accents, rattan and jute textures, light sheer curtains',
+    negative: ['nautical kitsch', 'dark heavy furniture', 'clutter'],
+  },
+]
+
+export const STYLE_IDS = STYLES.map(style => style.id) as [string, ...string[]]
+
+export function getStyle(id: string | null | undefined): StagingStyle | null {
+  return STYLES.find(style => style.id === id) || null
+}
+
+/**
+ * Combines the user's prompt with a style's fragment and negative constraints.
+ * Without a known style the user prompt is returned unchanged (trimmed).
+ */
+export function buildStagingPrompt({
+  prompt,
+  styleId,
+}: {
+  prompt?: string | null
+  styleId?: string | null
+}): string {
+  const base = (prompt || '').trim()
+  const style = getStyle(styleId)
+  if (!style) return base
+
+  return [base, style.prompt, `Avoid: ${style.negative.join(', ')}`]
+    .filter(Boolean)
+    .join('. ')
+}
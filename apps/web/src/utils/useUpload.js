@@ -45,7 +45,12 @@ function useUpload() {
         throw new Error('Upload failed')
       }
       const data = await response.json()
-      return { url: data.url, mimeType: data.mimeType || null }
+      // The original name travels with the upload so outputs can keep it
+      return {
+        url: data.url,
+        mimeType: data.mimeType || null,
+        name: input.file?.name || null,
+      }
     } catch (uploadError) {
       if (uploadError instanceof Error) {
         return { error: uploadError.message }
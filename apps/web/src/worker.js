@@ -0,0 +1,24 @@
+/**
+ * Standalone photo job worker.
+ *
+ * The web server drains the queue in-process after each submission, but on
+ * hosts that freeze or recycle request handlers run this alongside it:
+ *   npm run worker
+ */
+import { config } from 'dotenv'
+
+config()
+
+// Imported after dotenv so the SQL client sees DATABASE_URL and the logger
+// its LOG_LEVEL
+const { runWorker } = await import('./app/api/utils/queue.js')
+const { logEvent } = await import('./utils/logger')
+
+const controller = new AbortController()
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => controller.abort())
+}
+
+logEvent('photo_worker_started', { component: 'photo-worker' })
+await runWorker({ signal: controller.signal })
+logEvent('photo_worker_stopped', { component: 'photo-worker' })
@@ -3,16 +3,21 @@ import {
   createTestUser,
   createTestSession,
   createTestJob,
+  createTestJobItem,
   grantCredits,
+  getUserCredits,
   teardownTestDb,
   testDb,
 } from '../helpers/db'
 import {
   authenticatedRequest,
+  authenticatedPostJson,
   authenticatedPatchJson,
   authenticatedDeleteRequest,
   getJsonResponse,
 } from '../helpers/api'
+import * as schema from '../../src/db/schema'
+import { eq } from 'drizzle-orm'
 
 /**
  * NOTE: These tests are currently skipped due to dev server route import issues.
@@ -107,18 +112,29 @@ describe.skip('Job Management API Integration Tests', () => {
         photoCount: 5,
         cost: '5.00',
         createdAt: thisMonth,
+        settledAt: now,
       })
       await createTestJob(user.id, {
         prompt: 'This month job 2',
         photoCount: 10,
         cost: '10.00',
         createdAt: thisMonth,
+        settledAt: now,
       })
       await createTestJob(user.id, {
         prompt: 'Last month job',
         photoCount: 20,
         cost: '20.00',
         createdAt: lastMonth,
+        settledAt: now,
+      })
+      // Still running: its cost is only a reservation
+      await createTestJob(user.id, {
+        prompt: 'Running job',
+        photoCount: 4,
+        cost: '4.00',
+        status: 'processing',
+        createdAt: thisMonth,
       })
 
       const response = await authenticatedRequest(
@@ -139,9 +155,9 @@ describe.skip('Job Management API Integration Tests', () => {
       }>(response)
 
       expect(data.stats).toBeDefined()
-      expect(data.stats.totalJobs).toBe(3)
-      expect(data.stats.totalPhotos).toBe(35) // 5 + 10 + 20
-      expect(data.stats.totalSpent).toBe(35.0) // 5 + 10 + 20
+      expect(data.stats.totalJobs).toBe(4)
+      expect(data.stats.totalPhotos).toBe(39) // 5 + 10 + 20 + 4
+      expect(data.stats.totalSpent).toBe(35.0) // 5 + 10 + 20 (settled only)
       expect(data.stats.thisMonth).toBe(15.0) // 5 + 10 (only this month)
     })
 
@@ -315,6 +331,162 @@ describe.skip('Job Management API Integration Tests', () => {
     })
   })
 
+  describe('GET /api/jobs/[id] (job status)', () => {
+    it('should return the job status and download URL', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+
+      const job = await createTestJob(user.id, {
+        status: 'completed',
+        downloadUrl: 'https://example.com/job.zip',
+        previewUrls: ['https://example.com/preview-1.png'],
+      })
+
+      const response = await authenticatedRequest(
+        session.sessionToken,
+        `/api/jobs/${job.id}`
+      )
+
+      expect(response.status).toBe(200)
+      const data = await getJsonResponse<{
+        success: boolean
+        job: {
+          id: number
+          status: string
+          downloadUrl: string | null
+          previewUrls: string[]
+        }
+      }>(response)
+
+      expect(data.success).toBe(true)
+      expect(data.job.id).toBe(job.id)
+      expect(data.job.status).toBe('completed')
+      expect(data.job.downloadUrl).toBe('https://example.com/job.zip')
+      expect(data.job.previewUrls).toEqual([
+        'https://example.com/preview-1.png',
+      ])
+    })
+
+    it('should expose the failure reason for failed jobs', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+
+      const job = await createTestJob(user.id, {
+        status: 'failed',
+        error: 'Gemini API error [500]: boom',
+      })
+
+      const response = await authenticatedRequest(
+        session.sessionToken,
+        `/api/jobs/${job.id}`
+      )
+
+      expect(response.status).toBe(200)
+      const data = await getJsonResponse<{
+        job: { status: string; error: string | null }
+      }>(response)
+      expect(data.job.status).toBe('failed')
+      expect(data.job.error).toContain('Gemini')
+    })
+
+    it('should return a per-photo breakdown for partial jobs', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+
+      const job = await createTestJob(user.id, {
+        status: 'partial',
+        photoCount: 2,
+        cost: '1.00',
+      })
+      await createTestJobItem(job.id, {
+        position: 0,
+        status: 'completed',
+        outputUrl: 'https://example.com/enhanced-1.png',
+        creditsCharged: '1.00',
+      })
+      await createTestJobItem(job.id, {
+        position: 1,
+        status: 'failed',
+        error: 'Gemini API error [500]: boom',
+      })
+
+      const response = await authenticatedRequest(
+        session.sessionToken,
+        `/api/jobs/${job.id}`
+      )
+
+      expect(response.status).toBe(200)
+      const data = await getJsonResponse<{
+        job: {
+          status: string
+          cost: number
+          items: Array<{
+            position: number
+            status: string
+            error: string | null
+            outputUrl: string | null
+            creditsCharged: number
+          }>
+        }
+      }>(response)
+
+      expect(data.job.status).toBe('partial')
+      expect(data.job.cost).toBe(1)
+      expect(data.job.items).toHaveLength(2)
+      expect(data.job.items[0]).toMatchObject({
+        position: 0,
+        status: 'completed',
+        outputUrl: 'https://example.com/enhanced-1.png',
+        creditsCharged: 1,
+      })
+      expect(data.job.items[1]).toMatchObject({
+        position: 1,
+        status: 'failed',
+        outputUrl: null,
+        creditsCharged: 0,
+      })
+      expect(data.job.items[1].error).toContain('Gemini')
+    })
+
+    it('should return 404 if job not found', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+
+      const response = await authenticatedRequest(
+        session.sessionToken,
+        '/api/jobs/99999'
+      )
+
+      expect(response.status).toBe(404)
+    })
+
+    it('should return 403 if job belongs to different user (CRITICAL security test)', async () => {
+      const { user: user1 } = await createTestUser('user1@example.com')
+      const { user: user2 } = await createTestUser('user2@example.com')
+      const session1 = await createTestSession(user1.id)
+
+      const job = await createTestJob(user2.id, { status: 'queued' })
+
+      const response = await authenticatedRequest(
+        session1.sessionToken,
+        `/api/jobs/${job.id}`
+      )
+
+      expect(response.status).toBe(403)
+      const data = await getJsonResponse<{ error: string }>(response)
+      expect(data.error).toMatch(/forbidden/i)
+    })
+
+    it('should require authentication (401)', async () => {
+      const response = await authenticatedRequest(
+        'invalid-token',
+        '/api/jobs/1'
+      )
+
+      expect(response.status).toBe(401)
+    })
+  })
+
   describe('PATCH /api/jobs/[id] (update job)', () => {
     it('should update group_name (max 140 chars)', async () => {
       const { user } = await createTestUser()
@@ -488,6 +660,383 @@ describe.skip('Job Management API Integration Tests', () => {
     })
   })
 
+  describe('PATCH /api/jobs/[id]/items/[itemId] (select variation)', () => {
+    it('should return 409 while the job is still processing', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+      const job = await createTestJob(user.id, { status: 'processing' })
+      const item = await createTestJobItem(job.id, { variations: 2 })
+
+      const response = await authenticatedPatchJson(
+        session.sessionToken,
+        `/api/jobs/${job.id}/items/${item.id}`,
+        { outputId: 1 }
+      )
+
+      expect(response.status).toBe(409)
+    })
+
+    it('should return 404 for an output of another item', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+      const job = await createTestJob(user.id, { status: 'completed' })
+      const item = await createTestJobItem(job.id, {
+        status: 'completed',
+        variations: 2,
+      })
+
+      const response = await authenticatedPatchJson(
+        session.sessionToken,
+        `/api/jobs/${job.id}/items/${item.id}`,
+        { outputId: 99999 }
+      )
+
+      expect(response.status).toBe(404)
+    })
+
+    it('should return 403 if job belongs to different user (CRITICAL security test)', async () => {
+      const { user: user1 } = await createTestUser('user1@example.com')
+      const { user: user2 } = await createTestUser('user2@example.com')
+      const session1 = await createTestSession(user1.id)
+      const job = await createTestJob(user2.id, { status: 'completed' })
+      const item = await createTestJobItem(job.id, { status: 'completed' })
+
+      const response = await authenticatedPatchJson(
+        session1.sessionToken,
+        `/api/jobs/${job.id}/items/${item.id}`,
+        { outputId: 1 }
+      )
+
+      expect(response.status).toBe(403)
+    })
+  })
+
+  describe('POST /api/jobs/[id]/items/[itemId]/regenerate', () => {
+    it('should return 409 while the job is still processing', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+      const job = await createTestJob(user.id, { status: 'processing' })
+      const item = await createTestJobItem(job.id)
+
+      const response = await authenticatedPostJson(
+        session.sessionToken,
+        `/api/jobs/${job.id}/items/${item.id}/regenerate`,
+        {}
+      )
+
+      expect(response.status).toBe(409)
+    })
+
+    it('should return 409 for a photo that failed', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+      const job = await createTestJob(user.id, { status: 'partial' })
+      const item = await createTestJobItem(job.id, { status: 'failed' })
+
+      const response = await authenticatedPostJson(
+        session.sessionToken,
+        `/api/jobs/${job.id}/items/${item.id}/regenerate`,
+        {}
+      )
+
+      expect(response.status).toBe(409)
+    })
+
+    it('should give concurrent regenerations their own variants', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+      const job = await createTestJob(user.id, { status: 'completed' })
+      const item = await createTestJobItem(job.id, {
+        status: 'completed',
+        outputUrl: 'https://example.com/test-image.jpg',
+      })
+      await testDb.insert(schema.photoJobOutputs).values({
+        itemId: item.id,
+        variant: 0,
+        url: 'https://example.com/test-image.jpg',
+      })
+
+      const responses = await Promise.all(
+        [0, 1].map(() =>
+          authenticatedPostJson(
+            session.sessionToken,
+            `/api/jobs/${job.id}/items/${item.id}/regenerate`,
+            {}
+          )
+        )
+      )
+
+      expect(responses.map(r => r.status)).toEqual([202, 202])
+      const runs = await testDb.query.photoRegenerations.findMany({
+        where: eq(schema.photoRegenerations.itemId, item.id),
+      })
+      expect(runs.map(run => run.variant).sort()).toEqual([1, 2])
+      expect(runs.map(run => run.version).sort()).toEqual([1, 2])
+    })
+
+    it('should return 403 if job belongs to different user (CRITICAL security test)', async () => {
+      const { user: user1 } = await createTestUser('user1@example.com')
+      const { user: user2 } = await createTestUser('user2@example.com')
+      const session1 = await createTestSession(user1.id)
+      const job = await createTestJob(user2.id, { status: 'completed' })
+      const item = await createTestJobItem(job.id, { status: 'completed' })
+
+      const response = await authenticatedPostJson(
+        session1.sessionToken,
+        `/api/jobs/${job.id}/items/${item.id}/regenerate`,
+        {}
+      )
+
+      expect(response.status).toBe(403)
+    })
+  })
+
+  describe('POST /api/jobs/[id]/unlock', () => {
+    it('should hide the full output of a locked preview', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+      const job = await createTestJob(user.id, {
+        status: 'completed',
+        preview: true,
+        cost: '0.00',
+      })
+      await createTestJobItem(job.id, {
+        status: 'completed',
+        outputUrl: 'https://example.com/full.png',
+        previewUrl: 'https://example.com/preview.jpg',
+      })
+
+      const response = await authenticatedRequest(
+        session.sessionToken,
+        `/api/jobs/${job.id}`
+      )
+
+      expect(response.status).toBe(200)
+      const data = await getJsonResponse<{
+        job: {
+          locked: boolean
+          unlockCost: number
+          items: Array<{ outputUrl: string }>
+        }
+      }>(response)
+      expect(data.job.locked).toBe(true)
+      expect(data.job.unlockCost).toBe(1)
+      expect(data.job.items[0].outputUrl).toBe(
+        'https://example.com/preview.jpg'
+      )
+    })
+
+    it('should return 402 without credits or free trial left', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+      await grantCredits(user.id, 0)
+      await testDb
+        .update(schema.userCredits)
+        .set({ freeUsed: 3 })
+        .where(eq(schema.userCredits.userId, user.id))
+      const job = await createTestJob(user.id, {
+        status: 'completed',
+        preview: true,
+      })
+      await createTestJobItem(job.id, {
+        status: 'completed',
+        outputUrl: 'https://example.com/full.png',
+      })
+
+      const response = await authenticatedPostJson(
+        session.sessionToken,
+        `/api/jobs/${job.id}/unlock`,
+        {}
+      )
+
+      expect(response.status).toBe(402)
+      const reloaded = await testDb.query.photoJobs.findFirst({
+        where: (jobs, { eq }) => eq(jobs.id, job.id),
+      })
+      expect(reloaded?.unlockedAt).toBeNull()
+    })
+
+    it('should return 409 for a job that is not a preview', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+      const job = await createTestJob(user.id, { status: 'completed' })
+
+      const response = await authenticatedPostJson(
+        session.sessionToken,
+        `/api/jobs/${job.id}/unlock`,
+        {}
+      )
+
+      expect(response.status).toBe(409)
+    })
+
+    it('should return 403 if job belongs to different user (CRITICAL security test)', async () => {
+      const { user: user1 } = await createTestUser('user1@example.com')
+      const { user: user2 } = await createTestUser('user2@example.com')
+      const session1 = await createTestSession(user1.id)
+      const job = await createTestJob(user2.id, {
+        status: 'completed',
+        preview: true,
+      })
+
+      const response = await authenticatedPostJson(
+        session1.sessionToken,
+        `/api/jobs/${job.id}/unlock`,
+        {}
+      )
+
+      expect(response.status).toBe(403)
+    })
+  })
+
+  describe('POST /api/jobs/[id]/cancel', () => {
+    it('should cancel a queued job and release its credits', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+      await grantCredits(user.id, 7)
+      const job = await createTestJob(user.id, {
+        status: 'queued',
+        photoCount: 3,
+        cost: '3.00',
+        creditsApplied: '3.00',
+      })
+      for (const position of [0, 1, 2]) {
+        await createTestJobItem(job.id, { position, price: '1.00' })
+      }
+
+      const response = await authenticatedPostJson(
+        session.sessionToken,
+        `/api/jobs/${job.id}/cancel`,
+        {}
+      )
+
+      expect(response.status).toBe(200)
+      const data = await getJsonResponse<{
+        job: { status: string; cost: number; items: Array<{ status: string }> }
+        stopped: number
+        finishing: number
+      }>(response)
+      expect(data.job.status).toBe('cancelled')
+      expect(data.job.cost).toBe(0)
+      expect(data.job.items.map(item => item.status)).toEqual([
+        'cancelled',
+        'cancelled',
+        'cancelled',
+      ])
+      expect(data.stopped).toBe(3)
+      expect(data.finishing).toBe(0)
+      const userCredits = await getUserCredits(user.id)
+      expect(Number(userCredits!.credits)).toBe(10)
+    })
+
+    it('should let photos in progress finish and hold their credits', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+      await grantCredits(user.id, 0)
+      const job = await createTestJob(user.id, {
+        status: 'processing',
+        photoCount: 2,
+        creditsApplied: '2.00',
+        lockedAt: new Date(),
+      })
+      await createTestJobItem(job.id, { position: 0, status: 'processing' })
+      await createTestJobItem(job.id, { position: 1 })
+
+      const response = await authenticatedPostJson(
+        session.sessionToken,
+        `/api/jobs/${job.id}/cancel`,
+        {}
+      )
+
+      expect(response.status).toBe(200)
+      const data = await getJsonResponse<{
+        job: { status: string; cost: number | null; settled: boolean }
+        stopped: number
+        finishing: number
+      }>(response)
+      expect(data.job.status).toBe('cancelled')
+      expect(data.job.cost).toBeNull()
+      expect(data.job.settled).toBe(false)
+      expect(data.stopped).toBe(1)
+      expect(data.finishing).toBe(1)
+      // Released by the worker once the photo in progress finishes
+      const userCredits = await getUserCredits(user.id)
+      expect(Number(userCredits!.credits)).toBe(0)
+    })
+
+    it('should settle a job whose worker died and cancel its stuck photos', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+      await grantCredits(user.id, 0)
+      const job = await createTestJob(user.id, {
+        status: 'processing',
+        photoCount: 2,
+        creditsApplied: '2.00',
+        lockedAt: new Date(Date.now() - 60 * 60 * 1000),
+      })
+      await createTestJobItem(job.id, { position: 0, status: 'processing' })
+      await createTestJobItem(job.id, { position: 1 })
+
+      const response = await authenticatedPostJson(
+        session.sessionToken,
+        `/api/jobs/${job.id}/cancel`,
+        {}
+      )
+
+      expect(response.status).toBe(200)
+      const data = await getJsonResponse<{
+        job: { items: Array<{ status: string }> }
+        stopped: number
+        finishing: number
+      }>(response)
+      expect(data.job.items.map(item => item.status)).toEqual([
+        'cancelled',
+        'cancelled',
+      ])
+      expect(data.stopped).toBe(2)
+      expect(data.finishing).toBe(0)
+      const userCredits = await getUserCredits(user.id)
+      expect(Number(userCredits!.credits)).toBe(2)
+      const reloaded = await testDb.query.photoJobs.findFirst({
+        where: (jobs, { eq }) => eq(jobs.id, job.id),
+      })
+      expect(reloaded?.settledAt).not.toBeNull()
+    })
+
+    it('should return 409 for a job that has finished', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+      const job = await createTestJob(user.id, { status: 'completed' })
+
+      const response = await authenticatedPostJson(
+        session.sessionToken,
+        `/api/jobs/${job.id}/cancel`,
+        {}
+      )
+
+      expect(response.status).toBe(409)
+    })
+
+    it('should return 403 if job belongs to different user (CRITICAL security test)', async () => {
+      const { user: user1 } = await createTestUser('user1@example.com')
+      const { user: user2 } = await createTestUser('user2@example.com')
+      const session1 = await createTestSession(user1.id)
+      const job = await createTestJob(user2.id, { status: 'queued' })
+
+      const response = await authenticatedPostJson(
+        session1.sessionToken,
+        `/api/jobs/${job.id}/cancel`,
+        {}
+      )
+
+      expect(response.status).toBe(403)
+      const reloaded = await testDb.query.photoJobs.findFirst({
+        where: (jobs, { eq }) => eq(jobs.id, job.id),
+      })
+      expect(reloaded?.status).toBe('queued')
+    })
+  })
+
   describe('DELETE /api/jobs/[id] (delete job)', () => {
     it('should delete job', async () => {
       const { user } = await createTestUser()
@@ -497,6 +1046,7 @@ describe.skip('Job Management API Integration Tests', () => {
         prompt: 'Job to delete',
         photoCount: 5,
         cost: '5.00',
+        status: 'completed',
       })
 
       const response = await authenticatedDeleteRequest(
@@ -518,6 +1068,26 @@ describe.skip('Job Management API Integration Tests', () => {
       expect(deletedJob).toBeUndefined()
     })
 
+    it('should return 409 while the job is still queued', async () => {
+      const { user } = await createTestUser()
+      const session = await createTestSession(user.id)
+      const job = await createTestJob(user.id, {
+        status: 'queued',
+        creditsApplied: '5.00',
+      })
+
+      const response = await authenticatedDeleteRequest(
+        session.sessionToken,
+        `/api/jobs/${job.id}`
+      )
+
+      expect(response.status).toBe(409)
+      const reloaded = await testDb.query.photoJobs.findFirst({
+        where: (jobs, { eq }) => eq(jobs.id, job.id),
+      })
+      expect(reloaded).toBeDefined()
+    })
+
     it('should return 404 if job not found', async () => {
       const { user } = await createTestUser()
       const session = await createTestSession(user.id)
@@ -39,8 +39,13 @@ export async function teardownTestDb(): Promise<void> {
   try {
     // Delete in reverse order of dependencies to avoid foreign key constraints
     await testDb.delete(schema.purchases)
+    await testDb.delete(schema.photoJobOutputs)
+    await testDb.delete(schema.photoJobItems)
     await testDb.delete(schema.photoJobs)
     await testDb.delete(schema.userCredits)
+    await testDb.delete(schema.userSettings)
+    await testDb.delete(schema.brokerageMembers)
+    await testDb.delete(schema.brokerages)
     await testDb.delete(schema.authSessions)
     await testDb.delete(schema.authAccounts)
     await testDb.delete(schema.authVerificationToken)
@@ -173,6 +178,27 @@ export async function createTestJob(
   return job
 }
 
+/**
+ * Creates a test photo job item
+ */
+export async function createTestJobItem(
+  jobId: number,
+  overrides?: Partial<typeof schema.photoJobItems.$inferInsert>
+): Promise<typeof schema.photoJobItems.$inferSelect> {
+  const [item] = await testDb
+    .insert(schema.photoJobItems)
+    .values({
+      jobId,
+      position: 0,
+      sourceUrl: 'https://example.com/test-image.jpg',
+      status: 'pending',
+      ...overrides,
+    })
+    .returning()
+
+  return item
+}
+
 /**
  * Creates a test purchase record
  */
@@ -195,6 +221,30 @@ export async function createTestPurchase(
   return purchase
 }
 
+/**
+ * Creates a test brokerage with the given users as members
+ */
+export async function createTestBrokerage(
+  members: { userId: string; role?: 'admin' | 'member' }[],
+  overrides?: Partial<typeof schema.brokerages.$inferInsert>
+): Promise<typeof schema.brokerages.$inferSelect> {
+  const [brokerage] = await testDb
+    .insert(schema.brokerages)
+    .values({ name: 'Test Realty', ...overrides })
+    .returning()
+  if (members.length > 0) {
+    await testDb.insert(schema.brokerageMembers).values(
+      members.map(member => ({
+        brokerageId: brokerage.id,
+        userId: member.userId,
+        role: member.role || 'member',
+      }))
+    )
+  }
+
+  return brokerage
+}
+
 /**
  * Gets user credits
  */
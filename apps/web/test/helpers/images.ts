@@ -0,0 +1,50 @@
+/**
+ * Image fixtures for the image-processing tests, generated with sharp
+ */
+import sharp from 'sharp'
+
+type Color = { r: number; g: number; b: number }
+
+/**
+ * Makes a solid PNG. With `alpha` it has an alpha channel and is fully
+ * transparent; with `noise` it is filled with gaussian noise instead, which
+ * barely compresses.
+ */
+export function makeImage(
+  width = 64,
+  height = 48,
+  {
+    background = { r: 90, g: 120, b: 160 },
+    alpha = false,
+    noise = false,
+  }: { background?: Color; alpha?: boolean; noise?: boolean } = {}
+): Promise<Buffer> {
+  return sharp({
+    create: {
+      width,
+      height,
+      channels: alpha ? 4 : 3,
+      background: alpha ? { ...background, alpha: 0 } : background,
+      ...(noise
+        ? { noise: { type: 'gaussian' as const, mean: 128, sigma: 60 } }
+        : {}),
+    },
+  })
+    .png()
+    .toBuffer()
+}
+
+/**
+ * The RGB values of one pixel of an image.
+ */
+export async function pixelAt(
+  buffer: Buffer,
+  x: number,
+  y: number
+): Promise<number[]> {
+  const { data, info } = await sharp(buffer)
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+  const i = (y * info.width + x) * info.channels
+  return [...data.subarray(i, i + 3)]
+}
@@ -1,11 +1,17 @@
 import { describe, it, expect } from 'vitest'
 import {
   ProcessPhotosSchema,
+  QuotePhotosSchema,
   UpdateJobSchema,
   CreateCheckoutSchema,
   SignUpSchema,
   SignInSchema,
   SendVerificationSchema,
+  SelectVariationSchema,
+  RegeneratePhotoSchema,
+  UpdateSettingsSchema,
+  NormalizePhotoSchema,
+  UpdateBrokerageSchema,
 } from '../../src/schemas/api'
 
 describe('API Validation Schemas', () => {
@@ -158,6 +164,487 @@ describe('API Validation Schemas', () => {
         expect(result.error.issues[0].message).toContain('140')
       }
     })
+
+    it('should accept a known styleId', () => {
+      const input = {
+        fileUrls: ['https://example.com/photo.jpg'],
+        styleId: 'scandinavian',
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(true)
+    })
+
+    it('should reject an unknown styleId', () => {
+      const input = {
+        fileUrls: ['https://example.com/photo.jpg'],
+        styleId: 'brutalist',
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].message).toBe('Unknown style')
+      }
+    })
+
+    it('should accept a known operation', () => {
+      const input = {
+        fileUrls: ['https://example.com/photo.jpg'],
+        operation: 'empty_room',
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(true)
+    })
+
+    it('should reject an unknown operation', () => {
+      const input = {
+        fileUrls: ['https://example.com/photo.jpg'],
+        operation: 'repaint',
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].message).toBe('Unknown operation')
+      }
+    })
+
+    it('should accept per-photo operations', () => {
+      const input = {
+        fileUrls: [
+          'https://example.com/front.jpg',
+          'https://example.com/kitchen.jpg',
+        ],
+        operation: 'stage',
+        photoOperations: ['twilight', null],
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(true)
+    })
+
+    it('should reject per-photo operations that do not match fileUrls', () => {
+      const input = {
+        fileUrls: ['https://example.com/front.jpg'],
+        photoOperations: ['twilight', 'sky_replacement'],
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].path).toEqual(['photoOperations'])
+      }
+    })
+
+    it('should reject a styleId for operations other than staging', () => {
+      const input = {
+        fileUrls: ['https://example.com/photo.jpg'],
+        operation: 'declutter',
+        styleId: 'modern',
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].path).toEqual(['styleId'])
+      }
+    })
+
+    it('should accept the uploaded file names', () => {
+      const input = {
+        fileUrls: [
+          'https://example.com/living.jpg',
+          'https://example.com/kitchen.jpg',
+        ],
+        fileNames: ['IMG_0001.HEIC', null],
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(true)
+    })
+
+    it('should reject file names that do not match fileUrls', () => {
+      const input = {
+        fileUrls: ['https://example.com/living.jpg'],
+        fileNames: ['a.jpg', 'b.jpg'],
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].path).toEqual(['fileNames'])
+      }
+    })
+
+    it('should reject file names over 255 characters', () => {
+      const input = {
+        fileUrls: ['https://example.com/living.jpg'],
+        fileNames: [`${'x'.repeat(252)}.jpg`],
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(false)
+    })
+
+    it('should accept original upload URLs for some photos', () => {
+      const input = {
+        fileUrls: [
+          'https://example.com/living.jpg',
+          'https://example.com/kitchen.jpg',
+        ],
+        originalUrls: ['https://example.com/living.heic', null],
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(true)
+    })
+
+    it('should reject original upload URLs that do not match fileUrls', () => {
+      const input = {
+        fileUrls: ['https://example.com/living.jpg'],
+        originalUrls: [],
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].path).toEqual(['originalUrls'])
+      }
+    })
+
+    it('should accept a mask for some photos', () => {
+      const input = {
+        fileUrls: [
+          'https://example.com/living.jpg',
+          'https://example.com/kitchen.jpg',
+        ],
+        photoMasks: ['https://example.com/living-mask.png', null],
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(true)
+    })
+
+    it('should reject masks that do not match fileUrls', () => {
+      const input = {
+        fileUrls: ['https://example.com/living.jpg'],
+        photoMasks: [null, null],
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].path).toEqual(['photoMasks'])
+      }
+    })
+
+    it('should reject a mask URL that is not HTTPS', () => {
+      const input = {
+        fileUrls: ['https://example.com/living.jpg'],
+        photoMasks: ['http://example.com/living-mask.png'],
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(false)
+    })
+
+    it('should accept a comparison layout', () => {
+      const input = {
+        fileUrls: ['https://example.com/living.jpg'],
+        comparison: 'split',
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(true)
+    })
+
+    it('should reject an unknown comparison layout', () => {
+      const input = {
+        fileUrls: ['https://example.com/living.jpg'],
+        comparison: 'grid',
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].message).toBe('Unknown comparison layout')
+      }
+    })
+
+    it('should accept an output profile, or null for none', () => {
+      for (const outputProfile of ['mls', 'web', 'print', null]) {
+        const result = ProcessPhotosSchema.safeParse({
+          fileUrls: ['https://example.com/living.jpg'],
+          outputProfile,
+        })
+        expect(result.success).toBe(true)
+      }
+    })
+
+    it('should reject an unknown output profile', () => {
+      const result = ProcessPhotosSchema.safeParse({
+        fileUrls: ['https://example.com/living.jpg'],
+        outputProfile: 'billboard',
+      })
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].message).toBe('Unknown output profile')
+      }
+    })
+
+    it('should accept a turnaround and reject unknown ones', () => {
+      const input = { fileUrls: ['https://example.com/living.jpg'] }
+      for (const turnaround of ['standard', 'rush']) {
+        expect(
+          ProcessPhotosSchema.safeParse({ ...input, turnaround }).success
+        ).toBe(true)
+      }
+      const result = ProcessPhotosSchema.safeParse({
+        ...input,
+        turnaround: 'overnight',
+      })
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].message).toBe('Unknown turnaround')
+      }
+    })
+
+    it('should accept a preview of up to 2 photos', () => {
+      const input = {
+        fileUrls: [
+          'https://example.com/living.jpg',
+          'https://example.com/kitchen.jpg',
+        ],
+        preview: true,
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(true)
+    })
+
+    it('should reject a preview of more than 2 photos', () => {
+      const input = {
+        fileUrls: [
+          'https://example.com/living.jpg',
+          'https://example.com/kitchen.jpg',
+          'https://example.com/bath.jpg',
+        ],
+        preview: true,
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].path).toEqual(['fileUrls'])
+      }
+    })
+
+    it('should reject variations in a preview', () => {
+      const input = {
+        fileUrls: ['https://example.com/living.jpg'],
+        preview: true,
+        variations: 2,
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].path).toEqual(['variations'])
+      }
+    })
+
+    it('should accept up to 4 variations per photo', () => {
+      const input = {
+        fileUrls: ['https://example.com/photo.jpg'],
+        variations: 4,
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(true)
+    })
+
+    it('should reject more than 4 variations per photo', () => {
+      const input = {
+        fileUrls: ['https://example.com/photo.jpg'],
+        variations: 5,
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].message).toBe(
+          'Maximum 4 variations per photo'
+        )
+      }
+    })
+
+    it('should reject zero variations', () => {
+      const input = {
+        fileUrls: ['https://example.com/photo.jpg'],
+        variations: 0,
+      }
+      const result = ProcessPhotosSchema.safeParse(input)
+      expect(result.success).toBe(false)
+    })
+
+    it('should accept a disclosure label and trim its text', () => {
+      const result = ProcessPhotosSchema.safeParse({
+        fileUrls: ['https://example.com/photo.jpg'],
+        disclosure: { text: '  Virtually Staged ', corner: 'top_left' },
+      })
+      expect(result.success).toBe(true)
+      if (result.success) {
+        expect(result.data.disclosure).toEqual({
+          text: 'Virtually Staged',
+          corner: 'top_left',
+        })
+      }
+    })
+
+    it('should reject unreadable disclosure labels', () => {
+      const parse = (disclosure: unknown) =>
+        ProcessPhotosSchema.safeParse({
+          fileUrls: ['https://example.com/photo.jpg'],
+          disclosure,
+        }).success
+      expect(parse({ text: '   ' })).toBe(false)
+      expect(parse({ text: 'x'.repeat(61) })).toBe(false)
+      expect(parse({ text: 'Staged\nphoto' })).toBe(false)
+      expect(parse({ corner: 'center' })).toBe(false)
+      expect(parse({ opacity: 0.1 })).toBe(false)
+      expect(parse({ opacity: 1.5 })).toBe(false)
+    })
+  })
+
+  describe('QuotePhotosSchema', () => {
+    it('should accept the process-photos body', () => {
+      const result = QuotePhotosSchema.safeParse({
+        fileUrls: ['https://example.com/living.jpg'],
+        operation: 'twilight',
+        turnaround: 'rush',
+      })
+      expect(result.success).toBe(true)
+    })
+
+    it('should accept a file count in place of file URLs', () => {
+      const result = QuotePhotosSchema.safeParse({
+        fileCount: 2,
+        photoOperations: ['twilight', null],
+      })
+      expect(result.success).toBe(true)
+    })
+
+    it('should require fileUrls or fileCount', () => {
+      const result = QuotePhotosSchema.safeParse({ operation: 'stage' })
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].message).toBe(
+          'fileUrls or fileCount is required'
+        )
+      }
+    })
+
+    it('should check per-photo settings against the file count', () => {
+      const result = QuotePhotosSchema.safeParse({
+        fileCount: 3,
+        photoOperations: ['twilight', null],
+      })
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].path).toEqual(['photoOperations'])
+      }
+    })
+
+    it('should apply the preview limits', () => {
+      expect(
+        QuotePhotosSchema.safeParse({ fileCount: 3, preview: true }).success
+      ).toBe(false)
+      expect(QuotePhotosSchema.safeParse({ fileCount: 31 }).success).toBe(false)
+    })
+  })
+
+  describe('UpdateBrokerageSchema', () => {
+    it('should accept disclosure rules', () => {
+      expect(
+        UpdateBrokerageSchema.safeParse({
+          requireDisclosure: true,
+          disclosure: { text: 'Virtually staged by Acme Realty' },
+        }).success
+      ).toBe(true)
+      expect(
+        UpdateBrokerageSchema.safeParse({ disclosure: null }).success
+      ).toBe(true)
+    })
+
+    it('should reject an empty update', () => {
+      const result = UpdateBrokerageSchema.safeParse({})
+      expect(result.success).toBe(false)
+      if (!result.success) {
+        expect(result.error.issues[0].message).toBe('Nothing to update')
+      }
+    })
+  })
+
+  describe('SelectVariationSchema', () => {
+    it('should validate an output id', () => {
+      const result = SelectVariationSchema.safeParse({ outputId: 12 })
+      expect(result.success).toBe(true)
+    })
+
+    it('should reject a missing or invalid output id', () => {
+      expect(SelectVariationSchema.safeParse({}).success).toBe(false)
+      expect(SelectVariationSchema.safeParse({ outputId: 0 }).success).toBe(
+        false
+      )
+      expect(SelectVariationSchema.safeParse({ outputId: 1.5 }).success).toBe(
+        false
+      )
+    })
+  })
+
+  describe('RegeneratePhotoSchema', () => {
+    it('should accept an empty body', () => {
+      expect(RegeneratePhotoSchema.safeParse({}).success).toBe(true)
+    })
+
+    it('should trim the extra prompt', () => {
+      const result = RegeneratePhotoSchema.safeParse({
+        prompt: '  Make the sofa blue  ',
+      })
+      expect(result.success).toBe(true)
+      if (result.success) {
+        expect(result.data.prompt).toBe('Make the sofa blue')
+      }
+    })
+
+    it('should reject a blank or overlong prompt', () => {
+      expect(RegeneratePhotoSchema.safeParse({ prompt: '   ' }).success).toBe(
+        false
+      )
+      expect(
+        RegeneratePhotoSchema.safeParse({ prompt: 'x'.repeat(501) }).success
+      ).toBe(false)
+    })
+  })
+
+  describe('UpdateSettingsSchema', () => {
+    it('should accept an output profile or null', () => {
+      expect(
+        UpdateSettingsSchema.safeParse({ outputProfile: 'mls' }).success
+      ).toBe(true)
+      expect(
+        UpdateSettingsSchema.safeParse({ outputProfile: null }).success
+      ).toBe(true)
+    })
+
+    it('should reject unknown or missing profiles', () => {
+      expect(
+        UpdateSettingsSchema.safeParse({ outputProfile: 'billboard' }).success
+      ).toBe(false)
+      expect(UpdateSettingsSchema.safeParse({}).success).toBe(false)
+    })
+  })
+
+  describe('NormalizePhotoSchema', () => {
+    it('should accept an HTTPS URL', () => {
+      expect(
+        NormalizePhotoSchema.safeParse({
+          url: 'https://example.com/IMG_0001.heic',
+        }).success
+      ).toBe(true)
+    })
+
+    it('should reject missing, non-HTTPS and internal URLs', () => {
+      expect(NormalizePhotoSchema.safeParse({}).success).toBe(false)
+      expect(
+        NormalizePhotoSchema.safeParse({ url: 'http://example.com/a.heic' })
+          .success
+      ).toBe(false)
+      expect(
+        NormalizePhotoSchema.safeParse({ url: 'https://localhost/a.heic' })
+          .success
+      ).toBe(false)
+    })
   })
 
   describe('UpdateJobSchema', () => {
@@ -186,6 +673,27 @@ describe('API Validation Schemas', () => {
       expect(result.success).toBe(true)
     })
 
+    it('should accept the cancelled status', () => {
+      const result = UpdateJobSchema.safeParse({ status: 'cancelled' })
+      expect(result.success).toBe(true)
+    })
+
+    it('should accept queued status', () => {
+      const input = {
+        status: 'queued',
+      }
+      const result = UpdateJobSchema.safeParse(input)
+      expect(result.success).toBe(true)
+    })
+
+    it('should accept partial status', () => {
+      const input = {
+        status: 'partial',
+      }
+      const result = UpdateJobSchema.safeParse(input)
+      expect(result.success).toBe(true)
+    })
+
     it('should reject invalid status', () => {
       const input = {
         status: 'invalid-status',
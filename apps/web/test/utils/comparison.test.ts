@@ -0,0 +1,62 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import { renderComparison } from '@/app/api/utils/comparison'
+import { makeImage, pixelAt } from '../helpers/images'
+
+// JPEG shifts colours slightly
+function expectColor(actual: number[], expected: number[]) {
+  actual.forEach((value, i) => {
+    expect(Math.abs(value - expected[i])).toBeLessThan(12)
+  })
+}
+
+describe('renderComparison', () => {
+  const RED = [200, 30, 30]
+  const BLUE = [20, 40, 220]
+
+  it('should put a scaled original next to the enhanced photo', async () => {
+    const before = await makeImage(150, 100, {
+      background: { r: 200, g: 30, b: 30 },
+    })
+    const after = await makeImage(300, 200, {
+      background: { r: 20, g: 40, b: 220 },
+    })
+
+    const buffer = await renderComparison({
+      before,
+      after,
+      layout: 'side_by_side',
+    })
+
+    const meta = await sharp(buffer).metadata()
+    expect(meta.format).toBe('jpeg')
+    // 300 (scaled original) + 16 gap + 300
+    expect([meta.width, meta.height]).toEqual([616, 200])
+    expectColor(await pixelAt(buffer, 100, 150), RED)
+    expectColor(await pixelAt(buffer, 500, 150), BLUE)
+  })
+
+  it('should split one frame between the original and the enhanced photo', async () => {
+    const before = await makeImage(300, 200, {
+      background: { r: 200, g: 30, b: 30 },
+    })
+    const after = await makeImage(300, 200, {
+      background: { r: 20, g: 40, b: 220 },
+    })
+
+    const buffer = await renderComparison({ before, after, layout: 'split' })
+
+    const meta = await sharp(buffer).metadata()
+    expect([meta.width, meta.height]).toEqual([300, 200])
+    expectColor(await pixelAt(buffer, 50, 150), RED)
+    expectColor(await pixelAt(buffer, 250, 150), BLUE)
+  })
+
+  it('should reject an unknown layout', async () => {
+    const image = await makeImage(10, 10, { background: { r: 0, g: 0, b: 0 } })
+    await expect(
+      renderComparison({ before: image, after: image, layout: 'grid' as never })
+    ).rejects.toThrow('Unknown comparison layout')
+  })
+})
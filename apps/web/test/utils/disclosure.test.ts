@@ -0,0 +1,135 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import { applyDisclosure } from '@/app/api/utils/disclosure'
+import { DEFAULT_DISCLOSURE, resolveDisclosure } from '@/utils/disclosures'
+
+const WHITE = { r: 255, g: 255, b: 255 }
+
+function makeOutput(width: number, height: number): Promise<Buffer> {
+  return sharp({
+    create: { width, height, channels: 3, background: WHITE },
+  })
+    .png()
+    .toBuffer()
+}
+
+// Mean brightness of each quarter of the image
+async function quadrantBrightness(buffer: Buffer) {
+  const { data, info } = await sharp(buffer)
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+  const sums = { top_left: 0, top_right: 0, bottom_left: 0, bottom_right: 0 }
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      const corner = `${y < info.height / 2 ? 'top' : 'bottom'}_${x < info.width / 2 ? 'left' : 'right'}`
+      sums[corner as keyof typeof sums] += data[y * info.width + x]
+    }
+  }
+  const pixels = (info.width * info.height) / 4
+  return Object.fromEntries(
+    Object.entries(sums).map(([corner, sum]) => [corner, sum / pixels])
+  )
+}
+
+describe('applyDisclosure', () => {
+  it('should stamp the label into the chosen corner only', async () => {
+    const output = await applyDisclosure(
+      { buffer: await makeOutput(480, 320), mimeType: 'image/png' },
+      { ...DEFAULT_DISCLOSURE, corner: 'top_left' }
+    )
+
+    const brightness = await quadrantBrightness(output.buffer)
+    expect(brightness.top_left).toBeLessThan(250)
+    expect(brightness.top_right).toBe(255)
+    expect(brightness.bottom_left).toBe(255)
+    expect(brightness.bottom_right).toBe(255)
+  })
+
+  it('should keep the size and format of the output', async () => {
+    const output = await applyDisclosure(
+      { buffer: await makeOutput(480, 320), mimeType: 'image/webp' },
+      DEFAULT_DISCLOSURE
+    )
+
+    const meta = await sharp(output.buffer).metadata()
+    expect(output.mimeType).toBe('image/webp')
+    expect([meta.format, meta.width, meta.height]).toEqual(['webp', 480, 320])
+  })
+
+  it('should draw a fainter label at a lower opacity', async () => {
+    const cornerBrightness = async (opacity: number) => {
+      const output = await applyDisclosure(
+        { buffer: await makeOutput(480, 320), mimeType: 'image/png' },
+        { ...DEFAULT_DISCLOSURE, opacity }
+      )
+      return (await quadrantBrightness(output.buffer)).bottom_right
+    }
+
+    expect(await cornerBrightness(0.3)).toBeGreaterThan(
+      await cornerBrightness(1)
+    )
+  })
+
+  it('should fit long text and tiny photos', async () => {
+    const output = await applyDisclosure(
+      { buffer: await makeOutput(12, 8), mimeType: 'image/png' },
+      { ...DEFAULT_DISCLOSURE, text: 'Virtually staged <& edited> '.repeat(2) }
+    )
+
+    const meta = await sharp(output.buffer).metadata()
+    expect([meta.width, meta.height]).toEqual([12, 8])
+  })
+})
+
+describe('resolveDisclosure', () => {
+  it('should add no label unless one is requested or required', () => {
+    expect(resolveDisclosure(null)).toBeNull()
+    expect(
+      resolveDisclosure(undefined, {
+        requireDisclosure: false,
+        disclosure: { text: 'Digitally enhanced' },
+      })
+    ).toBeNull()
+  })
+
+  it('should fill in unset settings from the brokerage, then the defaults', () => {
+    expect(
+      resolveDisclosure(
+        { corner: 'top_left' },
+        { requireDisclosure: false, disclosure: { opacity: 0.5 } }
+      )
+    ).toEqual({
+      text: DEFAULT_DISCLOSURE.text,
+      corner: 'top_left',
+      opacity: 0.5,
+    })
+    expect(resolveDisclosure({ text: 'Staged' })).toEqual({
+      ...DEFAULT_DISCLOSURE,
+      text: 'Staged',
+    })
+  })
+
+  it("should always label required jobs with the brokerage's text", () => {
+    const brokerage = {
+      requireDisclosure: true,
+      disclosure: { text: 'Virtually staged by Acme Realty' },
+    }
+
+    expect(resolveDisclosure(null, brokerage)).toEqual({
+      ...DEFAULT_DISCLOSURE,
+      text: 'Virtually staged by Acme Realty',
+    })
+    expect(
+      resolveDisclosure({ text: 'Photo', corner: 'top_right' }, brokerage)
+    ).toEqual({
+      ...DEFAULT_DISCLOSURE,
+      text: 'Virtually staged by Acme Realty',
+      corner: 'top_right',
+    })
+    expect(
+      resolveDisclosure({ text: 'Photo' }, { requireDisclosure: true })?.text
+    ).toBe(DEFAULT_DISCLOSURE.text)
+  })
+})
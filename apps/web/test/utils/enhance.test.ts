@@ -0,0 +1,1473 @@
+// @vitest-environment node
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import sharp from 'sharp'
+import { inflateRawSync } from 'node:zlib'
+import {
+  runPhotoPipeline,
+  mapWithConcurrency,
+  regeneratePhoto,
+  enhanceImage,
+  rebuildJobZip,
+  uniqueFilenames,
+} from '@/app/api/utils/enhance'
+import { readPhotoMetadata } from '@/app/api/utils/metadata'
+import { getRoomType } from '@/utils/rooms'
+
+// Decodes any "HEIC" to a 4x2 grey image; there's no encoder to make real ones
+vi.mock('heic-decode', () => ({
+  default: async () => ({
+    width: 4,
+    height: 2,
+    data: new Uint8ClampedArray(4 * 2 * 4).fill(128),
+  }),
+}))
+
+type Item = { id: number; position: number; sourceUrl: string }
+type EnhanceInput = {
+  index: number
+  prompt?: string
+  variant?: number
+  variations?: number
+  signal?: AbortSignal
+}
+
+const PNG_1X1 = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+  'base64'
+)
+
+function makeItems(count: number): Item[] {
+  return Array.from({ length: count }, (_, position) => ({
+    id: position + 1,
+    position,
+    sourceUrl: `https://example.com/photo-${position}.png`,
+  }))
+}
+
+// Serves every source image and accepts every upload
+function stubNetwork() {
+  let uploads = 0
+  vi.stubGlobal('fetch', async (url: string, init?: { method?: string }) => {
+    if (init?.method === 'POST') {
+      uploads++
+      return Response.json({ url: `https://cdn.example.com/out-${uploads}` })
+    }
+    return new Response(PNG_1X1, { headers: { 'content-type': 'image/png' } })
+  })
+}
+
+// Upload bodies are buffers, or streams in the case of the ZIP
+type UploadBody = ConstructorParameters<typeof Response>[0]
+async function readBody(body?: UploadBody): Promise<Buffer> {
+  return Buffer.from(await new Response(body).arrayBuffer())
+}
+
+// Reads one entry of a ZIP by walking its local file headers
+function readZipEntry(zip: Buffer, name: string): Buffer | null {
+  let offset = 0
+  while (zip.readUInt32LE(offset) === 0x04034b50) {
+    const method = zip.readUInt16LE(offset + 8)
+    const size = zip.readUInt32LE(offset + 18)
+    const nameLength = zip.readUInt16LE(offset + 26)
+    const start = offset + 30 + nameLength + zip.readUInt16LE(offset + 28)
+    const data = zip.subarray(start, start + size)
+    if (zip.toString('utf8', offset + 30, offset + 30 + nameLength) === name) {
+      return method === 8 ? inflateRawSync(data) : data
+    }
+    offset = start + size
+  }
+  return null
+}
+
+// A result cache kept in memory, standing in for the database table
+function memoryCache() {
+  type Entry = { outputUrl: string; roomType: string | null }
+  const entries = new Map<string, Entry>()
+  const cache = {
+    get: async (key: string) => entries.get(key) || null,
+    set: async (key: string, entry: Entry) => {
+      entries.set(key, entry)
+    },
+  }
+  return { cache, entries }
+}
+
+// A wall with a dark window `x` pixels from the left, and sources served
+// as that room
+function roomWithWindow(x: number): Promise<Buffer> {
+  return sharp({
+    create: { width: 128, height: 96, channels: 3, background: '#C8C0B0' },
+  })
+    .composite([
+      {
+        input: {
+          create: { width: 30, height: 40, channels: 3, background: '#202830' },
+        },
+        left: x,
+        top: 20,
+      },
+    ])
+    .png()
+    .toBuffer()
+}
+function serveSource(source: Buffer) {
+  let uploads = 0
+  vi.stubGlobal('fetch', async (url: string, init?: { method?: string }) => {
+    if (init?.method === 'POST') {
+      uploads++
+      return Response.json({ url: `https://cdn.example.com/out-${uploads}` })
+    }
+    return new Response(source, { headers: { 'content-type': 'image/png' } })
+  })
+}
+
+// Never settles on its own; rejects once the job deadline aborts it
+function hangUntilAborted(signal?: AbortSignal): Promise<never> {
+  return new Promise((_, reject) => {
+    signal?.addEventListener('abort', () => reject(signal.reason), {
+      once: true,
+    })
+  })
+}
+
+describe('Photo pipeline', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.unstubAllEnvs()
+  })
+
+  describe('mapWithConcurrency', () => {
+    it('should preserve order and cap calls in flight', async () => {
+      let inFlight = 0
+      let maxInFlight = 0
+      const out = await mapWithConcurrency(
+        [5, 1, 4, 2, 3],
+        2,
+        async (n: number) => {
+          inFlight++
+          maxInFlight = Math.max(maxInFlight, inFlight)
+          await new Promise(r => setTimeout(r, n))
+          inFlight--
+          return n * 10
+        }
+      )
+
+      expect(out).toEqual([50, 10, 40, 20, 30])
+      expect(maxInFlight).toBe(2)
+    })
+
+    it('should handle an empty list', async () => {
+      expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([])
+    })
+  })
+
+  describe('runPhotoPipeline', () => {
+    it('should enhance photos concurrently up to the limit', async () => {
+      stubNetwork()
+      let inFlight = 0
+      let maxInFlight = 0
+      const provider = {
+        name: 'test',
+        async enhance() {
+          inFlight++
+          maxInFlight = Math.max(maxInFlight, inFlight)
+          await new Promise(r => setTimeout(r, 10))
+          inFlight--
+          return { buffer: PNG_1X1, mimeType: 'image/png' }
+        },
+      }
+
+      const { items, downloadUrl } = await runPhotoPipeline({
+        items: makeItems(6),
+        prompt: 'Enhance',
+        provider,
+        concurrency: 3,
+      })
+
+      expect(maxInFlight).toBe(3)
+      expect(items.map((i: Item & { status: string }) => i.status)).toEqual(
+        Array(6).fill('completed')
+      )
+      expect(items.map((i: Item) => i.position)).toEqual([0, 1, 2, 3, 4, 5])
+      expect(downloadUrl).toMatch(/^https:\/\/cdn\.example\.com\//)
+    })
+
+    it('should classify each photo and use its room prompt', async () => {
+      stubNetwork()
+      const prompts: string[] = []
+      const provider = {
+        name: 'test',
+        async classify() {
+          return 'kitchen'
+        },
+        async enhance({ prompt }: EnhanceInput) {
+          prompts.push(prompt!)
+          return { buffer: PNG_1X1, mimeType: 'image/png' }
+        },
+      }
+      const updates: Array<{ status: string; roomType?: string }> = []
+
+      const { items } = await runPhotoPipeline({
+        items: [...makeItems(1), { ...makeItems(2)[1], roomType: 'bedroom' }],
+        prompt: 'Enhance',
+        provider,
+        concurrency: 1,
+        onItemUpdate: async (_item: Item, update: { status: string }) => {
+          updates.push(update)
+        },
+      })
+
+      expect(items.map((i: Item & { roomType: string }) => i.roomType)).toEqual(
+        ['kitchen', 'bedroom']
+      )
+      expect(prompts[0]).toBe(`Enhance. ${getRoomType('kitchen')!.prompt}`)
+      // A room already stored on the item is not classified again
+      expect(prompts[1]).toBe(`Enhance. ${getRoomType('bedroom')!.prompt}`)
+      expect(updates).toContainEqual(
+        expect.objectContaining({ status: 'completed', roomType: 'kitchen' })
+      )
+    })
+
+    it('should leave room templates out when roomPrompts is off', async () => {
+      stubNetwork()
+      const prompts: string[] = []
+      const provider = {
+        name: 'test',
+        classify: async () => 'kitchen',
+        async enhance({ prompt }: EnhanceInput) {
+          prompts.push(prompt!)
+          return { buffer: PNG_1X1, mimeType: 'image/png' }
+        },
+      }
+
+      const { items } = await runPhotoPipeline({
+        items: makeItems(1),
+        prompt: 'Declutter',
+        roomPrompts: false,
+        provider,
+      })
+
+      expect(prompts).toEqual(['Declutter'])
+      expect(items[0].roomType).toBe('kitchen')
+    })
+
+    it('should use a prompt carried by the item', async () => {
+      stubNetwork()
+      const prompts: string[] = []
+      const provider = {
+        name: 'test',
+        classify: async () => 'exterior',
+        async enhance({ prompt }: EnhanceInput) {
+          prompts.push(prompt!)
+          return { buffer: PNG_1X1, mimeType: 'image/png' }
+        },
+      }
+      const [staged, twilight] = makeItems(2)
+
+      await runPhotoPipeline({
+        items: [
+          staged,
+          { ...twilight, prompt: 'Make it dusk', roomPrompts: false },
+        ],
+        prompt: 'Stage',
+        provider,
+        concurrency: 1,
+      })
+
+      expect(prompts).toEqual([
+        `Stage. ${getRoomType('exterior')!.prompt}`,
+        'Make it dusk',
+      ])
+    })
+
+    it('should fall back to the generic room when classification fails', async () => {
+      stubNetwork()
+      const provider = {
+        name: 'test',
+        async classify(): Promise<string> {
+          throw new Error('classifier down')
+        },
+        async enhance() {
+          return { buffer: PNG_1X1, mimeType: 'image/png' }
+        },
+      }
+
+      const { items } = await runPhotoPipeline({
+        items: makeItems(1),
+        prompt: 'Enhance',
+        provider,
+      })
+
+      expect(items[0].status).toBe('completed')
+      expect(items[0].roomType).toBe('other')
+    })
+
+    it('should generate and store every variation of a photo', async () => {
+      stubNetwork()
+      const calls: Array<[number, number]> = []
+      const provider = {
+        name: 'test',
+        async enhance({ variant, variations }: EnhanceInput) {
+          calls.push([variant!, variations!])
+          return { buffer: PNG_1X1, mimeType: 'image/png' }
+        },
+      }
+      const updates: Array<{ status: string; outputUrls?: string[] }> = []
+
+      const { items } = await runPhotoPipeline({
+        items: [{ ...makeItems(1)[0], variations: 3 }],
+        prompt: 'Enhance',
+        provider,
+        onItemUpdate: async (_item: Item, update: { status: string }) => {
+          updates.push(update)
+        },
+      })
+
+      expect(calls).toEqual([
+        [0, 3],
+        [1, 3],
+        [2, 3],
+      ])
+      expect(items[0].outputUrls).toHaveLength(3)
+      // The first variation is selected until the user picks another
+      expect(items[0].outputUrl).toBe(items[0].outputUrls[0])
+      expect(updates).toContainEqual(
+        expect.objectContaining({
+          status: 'completed',
+          outputUrls: items[0].outputUrls,
+        })
+      )
+    })
+
+    it('should reuse cached outputs for a repeat request', async () => {
+      stubNetwork()
+      const { cache, entries } = memoryCache()
+      const enhance = vi.fn(async () => ({
+        buffer: PNG_1X1,
+        mimeType: 'image/png',
+      }))
+      const classify = vi.fn(async () => 'kitchen')
+      const provider = { name: 'test', enhance, classify }
+      const run = () =>
+        runPhotoPipeline({
+          items: [{ ...makeItems(1)[0], variations: 2 }],
+          prompt: 'Stage  this room',
+          provider,
+          cache,
+        })
+
+      const first = await run()
+      expect(enhance).toHaveBeenCalledTimes(2)
+      expect(first.items[0].cachedVariations).toBe(0)
+      expect(entries.size).toBe(2)
+
+      const second = await run()
+      expect(enhance).toHaveBeenCalledTimes(2)
+      expect(classify).toHaveBeenCalledTimes(1)
+      expect(second.items[0]).toMatchObject({
+        status: 'completed',
+        outputUrls: first.items[0].outputUrls,
+        cachedVariations: 2,
+        roomType: 'kitchen',
+      })
+    })
+
+    it('should not reuse outputs generated for a different request', async () => {
+      stubNetwork()
+      const { cache } = memoryCache()
+      const enhance = vi.fn(async () => ({
+        buffer: PNG_1X1,
+        mimeType: 'image/png',
+      }))
+      const provider = { name: 'test', enhance }
+
+      await runPhotoPipeline({
+        items: [{ ...makeItems(1)[0], operation: 'stage' }],
+        prompt: 'Stage this room',
+        provider,
+        cache,
+      })
+      const { items } = await runPhotoPipeline({
+        items: [{ ...makeItems(1)[0], operation: 'declutter' }],
+        prompt: 'Stage this room',
+        provider,
+        cache,
+      })
+
+      expect(enhance).toHaveBeenCalledTimes(2)
+      expect(items[0].cachedVariations).toBe(0)
+    })
+
+    it('should enhance as usual when the cache is unavailable', async () => {
+      stubNetwork()
+      const cache = {
+        get: async () => {
+          throw new Error('connection refused')
+        },
+        set: async () => {
+          throw new Error('connection refused')
+        },
+      }
+      const enhance = vi.fn(async () => ({
+        buffer: PNG_1X1,
+        mimeType: 'image/png',
+      }))
+
+      const { items } = await runPhotoPipeline({
+        items: makeItems(1),
+        prompt: 'Enhance',
+        provider: { name: 'test', enhance },
+        cache,
+      })
+
+      expect(enhance).toHaveBeenCalledTimes(1)
+      expect(items[0]).toMatchObject({
+        status: 'completed',
+        cachedVariations: 0,
+      })
+    })
+
+    it('should generate an output again when it moved the architecture', async () => {
+      const source = await roomWithWindow(10)
+      serveSource(source)
+      const { cache, entries } = memoryCache()
+      const enhance = vi
+        .fn()
+        .mockResolvedValueOnce({
+          buffer: await roomWithWindow(80),
+          mimeType: 'image/png',
+        })
+        .mockResolvedValueOnce({ buffer: source, mimeType: 'image/png' })
+
+      const { items } = await runPhotoPipeline({
+        items: makeItems(1),
+        prompt: 'Stage',
+        provider: { name: 'test', enhance },
+        cache,
+      })
+
+      expect(enhance).toHaveBeenCalledTimes(2)
+      expect(items[0].structure).toEqual([{ score: 1, changed: false }])
+      expect(entries.size).toBe(1)
+    })
+
+    it('should flag outputs that still change the structure and not cache them', async () => {
+      serveSource(await roomWithWindow(10))
+      const { cache, entries } = memoryCache()
+      const moved = await roomWithWindow(80)
+      const enhance = vi.fn(async () => ({
+        buffer: moved,
+        mimeType: 'image/png',
+      }))
+
+      const { items } = await runPhotoPipeline({
+        items: makeItems(1),
+        prompt: 'Stage',
+        provider: { name: 'test', enhance },
+        cache,
+      })
+
+      expect(enhance).toHaveBeenCalledTimes(2)
+      expect(items[0].status).toBe('completed')
+      expect(items[0].structure[0].changed).toBe(true)
+      expect(items[0].structure[0].score).toBeLessThan(0.7)
+      expect(entries.size).toBe(0)
+    })
+
+    it('should skip the structure check when STRUCTURE_MIN_SCORE is 0', async () => {
+      vi.stubEnv('STRUCTURE_MIN_SCORE', '0')
+      serveSource(await roomWithWindow(10))
+      const moved = await roomWithWindow(80)
+      const enhance = vi.fn(async () => ({
+        buffer: moved,
+        mimeType: 'image/png',
+      }))
+
+      const { items } = await runPhotoPipeline({
+        items: makeItems(1),
+        prompt: 'Stage',
+        provider: { name: 'test', enhance },
+      })
+
+      expect(enhance).toHaveBeenCalledTimes(1)
+      expect(items[0].structure).toEqual([{ score: null, changed: false }])
+    })
+
+    it('should add a before/after composite of each photo to the ZIP', async () => {
+      const source = await sharp({
+        create: {
+          width: 8,
+          height: 4,
+          channels: 3,
+          background: { r: 200, g: 30, b: 30 },
+        },
+      })
+        .png()
+        .toBuffer()
+      const bodies: Buffer[] = []
+      vi.stubGlobal(
+        'fetch',
+        async (url: string, init?: { method?: string; body?: UploadBody }) => {
+          if (init?.method === 'POST') {
+            bodies.push(await readBody(init.body))
+            return Response.json({
+              url: `https://cdn.example.com/out-${bodies.length}`,
+            })
+          }
+          return new Response(source, {
+            headers: { 'content-type': 'image/png' },
+          })
+        }
+      )
+      const provider = {
+        name: 'test',
+        async enhance() {
+          return { buffer: source, mimeType: 'image/png' }
+        },
+      }
+
+      await runPhotoPipeline({
+        items: makeItems(2),
+        prompt: 'Stage',
+        comparison: 'side_by_side',
+        provider,
+      })
+
+      // The ZIP is the last upload; entries keep their names readable
+      const zip = bodies[bodies.length - 1].toString('latin1')
+      expect(zip).toContain('enhanced-1.png')
+      expect(zip).toContain('before-after-1.jpg')
+      expect(zip).toContain('before-after-2.jpg')
+    })
+
+    it('should name ZIP entries after the uploaded files', async () => {
+      const bodies: Buffer[] = []
+      vi.stubGlobal(
+        'fetch',
+        async (url: string, init?: { method?: string; body?: UploadBody }) => {
+          if (init?.method === 'POST') {
+            bodies.push(await readBody(init.body))
+            return Response.json({
+              url: `https://cdn.example.com/out-${bodies.length}`,
+            })
+          }
+          return new Response(PNG_1X1, {
+            headers: { 'content-type': 'image/png' },
+          })
+        }
+      )
+      const provider = {
+        name: 'test',
+        async enhance() {
+          return { buffer: PNG_1X1, mimeType: 'image/png' }
+        },
+      }
+      const names = ['Küche 1.HEIC', 'IMG_0001.jpg', 'img_0001.png', null]
+      const operations = ['stage', 'twilight', 'twilight', 'stage']
+
+      await runPhotoPipeline({
+        items: makeItems(4).map((item, position) => ({
+          ...item,
+          originalName: names[position],
+          operation: operations[position],
+        })),
+        prompt: 'Stage',
+        provider,
+      })
+
+      const zip = bodies[bodies.length - 1].toString('utf8')
+      expect(zip).toContain('Küche 1-staged.png')
+      expect(zip).toContain('IMG_0001-twilight.png')
+      // Same name apart from case and extension, so it gets a number
+      expect(zip).toContain('img_0001-twilight (2).png')
+      expect(zip).toContain('enhanced-4.png')
+    })
+
+    it('should describe each photo in the manifest', async () => {
+      const bodies: Buffer[] = []
+      vi.stubGlobal(
+        'fetch',
+        async (url: string, init?: { method?: string; body?: UploadBody }) => {
+          if (init?.method === 'POST') {
+            bodies.push(await readBody(init.body))
+            return Response.json({
+              url: `https://cdn.example.com/out-${bodies.length}`,
+            })
+          }
+          return new Response(PNG_1X1, {
+            headers: { 'content-type': 'image/png' },
+          })
+        }
+      )
+      const provider = {
+        name: 'test',
+        async enhance() {
+          return { buffer: PNG_1X1, mimeType: 'image/png' }
+        },
+      }
+
+      await runPhotoPipeline({
+        items: makeItems(2).map((item, position) => ({
+          ...item,
+          originalName: ['Kitchen.jpg', 'Front.jpg'][position],
+          operation: ['stage', 'twilight'][position],
+          prompt: position === 1 ? 'Turn to dusk' : null,
+          roomType: ['kitchen', 'exterior'][position],
+        })),
+        prompt: 'Stage',
+        jobId: 42,
+        styleId: 'modern',
+        provider,
+      })
+
+      const zip = bodies[bodies.length - 1]
+      const manifest = JSON.parse(String(readZipEntry(zip, 'manifest.json')))
+      expect(manifest.jobId).toBe(42)
+      expect(Date.parse(manifest.generatedAt)).not.toBeNaN()
+      expect(manifest.photos).toEqual([
+        expect.objectContaining({
+          originalFilename: 'Kitchen.jpg',
+          outputFilename: 'Kitchen-staged.png',
+          operation: 'stage',
+          style: 'modern',
+          prompt: 'Stage',
+          roomType: 'kitchen',
+          width: 1,
+          height: 1,
+        }),
+        expect.objectContaining({
+          originalFilename: 'Front.jpg',
+          outputFilename: 'Front-twilight.png',
+          style: null,
+          prompt: 'Turn to dusk',
+          roomType: 'exterior',
+        }),
+      ])
+      expect(readZipEntry(zip, 'Kitchen-staged.png')).toEqual(PNG_1X1)
+      const csv = String(readZipEntry(zip, 'manifest.csv')).split('\r\n')
+      expect(csv[1]).toMatch(/^42,.*,Kitchen\.jpg,Kitchen-staged\.png,stage,/)
+    })
+
+    it('should encode the photos in the ZIP to the output profile', async () => {
+      const source = await sharp({
+        create: {
+          width: 8,
+          height: 4,
+          channels: 3,
+          background: { r: 200, g: 30, b: 30 },
+        },
+      })
+        .png()
+        .toBuffer()
+      const bodies: Buffer[] = []
+      vi.stubGlobal(
+        'fetch',
+        async (url: string, init?: { method?: string; body?: UploadBody }) => {
+          if (init?.method === 'POST') {
+            bodies.push(await readBody(init.body))
+            return Response.json({
+              url: `https://cdn.example.com/out-${bodies.length}`,
+            })
+          }
+          return new Response(source, {
+            headers: { 'content-type': 'image/png' },
+          })
+        }
+      )
+      const provider = {
+        name: 'test',
+        async enhance() {
+          return { buffer: source, mimeType: 'image/png' }
+        },
+      }
+
+      await runPhotoPipeline({
+        items: makeItems(1),
+        prompt: 'Stage',
+        outputProfile: 'mls',
+        provider,
+      })
+
+      // The stored output keeps the provider's PNG
+      expect(bodies[0].subarray(1, 4).toString('latin1')).toBe('PNG')
+      // The ZIP entry is a JPEG, stored uncompressed right after its name
+      const zip = bodies[bodies.length - 1]
+      const name = zip.indexOf('enhanced-1.jpg')
+      expect(name).toBeGreaterThan(0)
+      expect([...zip.subarray(name + 14, name + 17)]).toEqual([
+        0xff, 0xd8, 0xff,
+      ])
+    })
+
+    it('should fail only the upload that is not a real image', async () => {
+      let uploads = 0
+      vi.stubGlobal(
+        'fetch',
+        async (url: string, init?: { method?: string }) => {
+          if (init?.method === 'POST') {
+            uploads++
+            return Response.json({
+              url: `https://cdn.example.com/out-${uploads}`,
+            })
+          }
+          // The second photo is HTML served with an image content type
+          return url.endsWith('photo-1.png')
+            ? new Response('<html><body>Not a photo</body></html>', {
+                headers: { 'content-type': 'image/jpeg' },
+              })
+            : new Response(PNG_1X1, {
+                headers: { 'content-type': 'image/png' },
+              })
+        }
+      )
+      const provider = {
+        name: 'test',
+        async enhance() {
+          return { buffer: PNG_1X1, mimeType: 'image/png' }
+        },
+      }
+
+      const { items } = await runPhotoPipeline({
+        items: makeItems(2),
+        prompt: 'Stage',
+        provider,
+      })
+
+      expect(items[0].status).toBe('completed')
+      expect(items[1]).toMatchObject({
+        status: 'failed',
+        error: 'Invalid image [2]: Not a JPEG, PNG, WebP or HEIC image',
+      })
+    })
+
+    it('should number a photo that cannot be downloaded from 1', async () => {
+      vi.stubGlobal(
+        'fetch',
+        async (url: string, init?: { method?: string }) => {
+          if (init?.method === 'POST') {
+            return Response.json({ url: 'https://cdn.example.com/out' })
+          }
+          return url.endsWith('photo-0.png')
+            ? new Response('gone', { status: 404, statusText: 'Not Found' })
+            : new Response(PNG_1X1, {
+                headers: { 'content-type': 'image/png' },
+              })
+        }
+      )
+      const provider = {
+        name: 'test',
+        async enhance() {
+          return { buffer: PNG_1X1, mimeType: 'image/png' }
+        },
+      }
+
+      const { items } = await runPhotoPipeline({
+        items: makeItems(2),
+        prompt: 'Stage',
+        provider,
+      })
+
+      expect(items[0]).toMatchObject({
+        status: 'failed',
+        error: 'Failed to fetch uploaded image [1]: 404 Not Found',
+      })
+      expect(items[1].status).toBe('completed')
+    })
+
+    it('should fail a photo whose output cannot be encoded', async () => {
+      stubNetwork()
+      const provider = {
+        name: 'test',
+        async enhance() {
+          return { buffer: Buffer.from('not an image'), mimeType: 'image/png' }
+        },
+      }
+      const updates: Array<{ status: string }> = []
+
+      await expect(
+        runPhotoPipeline({
+          items: makeItems(1),
+          prompt: 'Stage',
+          outputProfile: 'web',
+          provider,
+          onItemUpdate: async (_item, update) => {
+            updates.push(update)
+          },
+        })
+      ).rejects.toThrow()
+      // Never reported as completed, so it isn't charged
+      expect(updates.map(update => update.status)).toEqual([
+        'processing',
+        'failed',
+      ])
+    })
+
+    it('should leave out composites that cannot be rendered', async () => {
+      stubNetwork()
+      const provider = {
+        name: 'test',
+        async enhance() {
+          return { buffer: Buffer.from('not an image'), mimeType: 'image/png' }
+        },
+      }
+
+      const result = await runPhotoPipeline({
+        items: makeItems(1),
+        prompt: 'Stage',
+        comparison: 'split',
+        provider,
+      })
+
+      expect(result.items[0].status).toBe('completed')
+    })
+
+    it('should only upload watermarked copies and no ZIP for a preview', async () => {
+      const uploads: string[] = []
+      const photo = await sharp({
+        create: {
+          width: 8,
+          height: 4,
+          channels: 3,
+          background: { r: 90, g: 120, b: 160 },
+        },
+      })
+        .png()
+        .toBuffer()
+      vi.stubGlobal(
+        'fetch',
+        async (url: string, init?: { method?: string; body?: UploadBody }) => {
+          if (init?.method === 'POST') {
+            uploads.push((await readBody(init.body)).toString('latin1'))
+            return Response.json({
+              url: `https://cdn.example.com/out-${uploads.length}`,
+            })
+          }
+          return new Response(photo, {
+            headers: { 'content-type': 'image/png' },
+          })
+        }
+      )
+      const updates: Array<{ status: string; previewUrl?: string }> = []
+      const provider = {
+        name: 'test',
+        async enhance() {
+          return { buffer: photo, mimeType: 'image/png' }
+        },
+      }
+
+      const result = await runPhotoPipeline({
+        items: makeItems(2),
+        prompt: 'Stage',
+        preview: true,
+        provider,
+        onItemUpdate: async (_item: Item, update: { status: string }) => {
+          updates.push(update)
+        },
+      })
+
+      // One full output and one preview per photo, no ZIP
+      expect(uploads).toHaveLength(4)
+      expect(uploads.some(body => body.startsWith('PK'))).toBe(false)
+      expect(result.downloadUrl).toBeNull()
+      const completed = updates.filter(u => u.status === 'completed')
+      expect(completed).toHaveLength(2)
+      // Photos finish in any order
+      expect([...result.previewUrls].sort()).toEqual(
+        completed.map(u => u.previewUrl).sort()
+      )
+      expect(result.previewUrls).toHaveLength(2)
+    })
+
+    it('should keep the stored preview of a completed photo', async () => {
+      const fetchStub = vi.fn()
+      vi.stubGlobal('fetch', fetchStub)
+      const enhance = vi.fn()
+
+      const result = await runPhotoPipeline({
+        items: [
+          {
+            ...makeItems(1)[0],
+            status: 'completed',
+            outputUrl: 'https://cdn.example.com/full.png',
+            previewUrl: 'https://cdn.example.com/preview.jpg',
+          },
+        ],
+        prompt: 'Stage',
+        preview: true,
+        provider: { name: 'test', enhance },
+      })
+
+      expect(result.previewUrls).toEqual([
+        'https://cdn.example.com/preview.jpg',
+      ])
+      expect(fetchStub).not.toHaveBeenCalled()
+      expect(enhance).not.toHaveBeenCalled()
+    })
+
+    it('should mark photos that miss the deadline as timed out', async () => {
+      stubNetwork()
+      const provider = {
+        name: 'test',
+        async enhance({ index, signal }: EnhanceInput) {
+          if (index === 0) return { buffer: PNG_1X1, mimeType: 'image/png' }
+          return hangUntilAborted(signal)
+        },
+      }
+      const updates: Array<[number, string]> = []
+
+      const { items } = await runPhotoPipeline({
+        items: makeItems(3),
+        prompt: 'Enhance',
+        provider,
+        concurrency: 1,
+        deadlineMs: 50,
+        onItemUpdate: async (item: Item, update: { status: string }) => {
+          updates.push([item.position, update.status])
+        },
+      })
+
+      expect(items.map((i: Item & { status: string }) => i.status)).toEqual([
+        'completed',
+        'timed_out',
+        'timed_out',
+      ])
+      expect(items[1].error).toContain('Timed out')
+      // The last photo never started
+      expect(updates).not.toContainEqual([2, 'processing'])
+      expect(updates).toContainEqual([2, 'timed_out'])
+    })
+
+    it('should fail the job when every photo times out', async () => {
+      stubNetwork()
+      const provider = {
+        name: 'test',
+        enhance: ({ signal }: EnhanceInput) => hangUntilAborted(signal),
+      }
+
+      await expect(
+        runPhotoPipeline({
+          items: makeItems(2),
+          prompt: 'Enhance',
+          provider,
+          deadlineMs: 20,
+        })
+      ).rejects.toThrow('Timed out')
+    })
+
+    it('should skip photos that have not started once the job is cancelled', async () => {
+      stubNetwork()
+      let cancelled = false
+      const enhance = vi.fn(async () => {
+        // Cancelled while the first photo is being enhanced
+        cancelled = true
+        return { buffer: PNG_1X1, mimeType: 'image/png' }
+      })
+      const updates: Array<[number, string]> = []
+
+      const { items, downloadUrl } = await runPhotoPipeline({
+        items: makeItems(3),
+        prompt: 'Enhance',
+        provider: { name: 'test', enhance },
+        concurrency: 1,
+        isCancelled: async () => cancelled,
+        onItemUpdate: async (item: Item, update: { status: string }) => {
+          updates.push([item.position, update.status])
+        },
+      })
+
+      expect(items.map((i: Item & { status: string }) => i.status)).toEqual([
+        'completed',
+        'cancelled',
+        'cancelled',
+      ])
+      expect(enhance).toHaveBeenCalledTimes(1)
+      expect(updates).not.toContainEqual([1, 'processing'])
+      expect(updates).toContainEqual([2, 'cancelled'])
+      expect(downloadUrl).toMatch(/^https:\/\/cdn\.example\.com\//)
+    })
+
+    it('should package nothing when a job is cancelled before any photo completes', async () => {
+      stubNetwork()
+      const enhance = vi.fn()
+
+      const result = await runPhotoPipeline({
+        items: makeItems(2).map(item => ({ ...item, status: 'cancelled' })),
+        prompt: 'Enhance',
+        provider: { name: 'test', enhance },
+      })
+
+      expect(result.downloadUrl).toBeNull()
+      expect(result.previewUrls).toEqual([])
+      expect(
+        result.items.map((i: Item & { status: string }) => i.status)
+      ).toEqual(['cancelled', 'cancelled'])
+      expect(enhance).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('uniqueFilenames', () => {
+    it('should number repeated names and keep the rest', () => {
+      const files = ['a.jpg', 'b.jpg', 'A.jpg', 'a.jpg', 'notes'].map(
+        filename => ({ filename, buffer: PNG_1X1 })
+      )
+
+      expect(uniqueFilenames(files).map(file => file.filename)).toEqual([
+        'a.jpg',
+        'b.jpg',
+        'A (2).jpg',
+        'a (3).jpg',
+        'notes',
+      ])
+    })
+  })
+
+  describe('enhanceImage', () => {
+    it('should send sideways phone shots upright and keep their metadata', async () => {
+      const shot = await sharp({
+        create: {
+          width: 40,
+          height: 20,
+          channels: 3,
+          background: { r: 90, g: 120, b: 160 },
+        },
+      })
+        .jpeg()
+        .withMetadata({ orientation: 6 })
+        .withExif({
+          IFD0: { Make: 'Apple', Model: 'iPhone 15' },
+          IFD2: { DateTimeOriginal: '2024:05:01 10:30:00' },
+        })
+        .toBuffer()
+      vi.stubGlobal(
+        'fetch',
+        async () =>
+          new Response(shot, { headers: { 'content-type': 'image/jpeg' } })
+      )
+      const sent: Buffer[] = []
+      const provider = {
+        name: 'test',
+        async enhance({ bytes }: EnhanceInput & { bytes: Buffer }) {
+          sent.push(bytes)
+          // Models return bare images
+          return {
+            buffer: await sharp(bytes).png().toBuffer(),
+            mimeType: 'image/png',
+          }
+        },
+      }
+
+      const { files, source } = await enhanceImage({
+        srcUrl: 'https://example.com/photo.jpg',
+        index: 0,
+        prompt: 'Stage',
+        roomType: 'living_room',
+        provider,
+      })
+
+      const meta = await sharp(sent[0]).metadata()
+      expect([meta.width, meta.height]).toEqual([20, 40])
+      expect(source).toBe(sent[0])
+      expect(await readPhotoMetadata(files[0].buffer)).toEqual({
+        IFD0: { Make: 'Apple', Model: 'iPhone 15' },
+        IFD2: { DateTimeOriginal: '2024:05:01 10:30:00' },
+      })
+    })
+
+    it('should send HEIC photos to the provider as JPEG', async () => {
+      // ftyp, then meta > iprp > ipco > ispe giving the size, 4x2
+      const heic = Buffer.alloc(72)
+      heic.writeUInt32BE(24, 0)
+      heic.write('ftypheic', 4, 'latin1')
+      heic.writeUInt32BE(48, 24)
+      heic.write('meta', 28, 'latin1')
+      heic.writeUInt32BE(36, 36)
+      heic.write('iprp', 40, 'latin1')
+      heic.writeUInt32BE(28, 44)
+      heic.write('ipco', 48, 'latin1')
+      heic.writeUInt32BE(20, 52)
+      heic.write('ispe', 56, 'latin1')
+      heic.writeUInt32BE(4, 64)
+      heic.writeUInt32BE(2, 68)
+      vi.stubGlobal(
+        'fetch',
+        async () =>
+          new Response(heic, { headers: { 'content-type': 'image/heic' } })
+      )
+      const sent: { bytes: Buffer; mimeType: string }[] = []
+      const provider = {
+        name: 'test',
+        async enhance(
+          input: EnhanceInput & { bytes: Buffer; mimeType: string }
+        ) {
+          sent.push(input)
+          return { buffer: PNG_1X1, mimeType: 'image/png' }
+        },
+      }
+
+      const { source } = await enhanceImage({
+        srcUrl: 'https://example.com/IMG_0001.HEIC',
+        index: 0,
+        prompt: 'Stage',
+        roomType: 'living_room',
+        provider,
+      })
+
+      expect(sent[0].mimeType).toBe('image/jpeg')
+      const meta = await sharp(sent[0].bytes).metadata()
+      expect(meta.format).toBe('jpeg')
+      expect([meta.width, meta.height]).toEqual([4, 2])
+      expect(source).toBe(sent[0].bytes)
+    })
+
+    it('should copy no metadata when OUTPUT_METADATA is none', async () => {
+      vi.stubEnv('OUTPUT_METADATA', 'none')
+      const shot = await sharp({
+        create: { width: 4, height: 4, channels: 3, background: '#FFFFFF' },
+      })
+        .jpeg()
+        .withExif({ IFD0: { Make: 'Apple' } })
+        .toBuffer()
+      vi.stubGlobal(
+        'fetch',
+        async () =>
+          new Response(shot, { headers: { 'content-type': 'image/jpeg' } })
+      )
+      const provider = {
+        name: 'test',
+        async enhance() {
+          return { buffer: PNG_1X1, mimeType: 'image/png' }
+        },
+      }
+
+      const { files } = await enhanceImage({
+        srcUrl: 'https://example.com/photo.jpg',
+        index: 0,
+        prompt: 'Stage',
+        roomType: 'living_room',
+        provider,
+      })
+
+      expect(files[0].buffer).toBe(PNG_1X1)
+    })
+
+    it('should label the output and describe it in its metadata', async () => {
+      const white = await sharp({
+        create: { width: 96, height: 64, channels: 3, background: '#FFFFFF' },
+      })
+        .jpeg()
+        .toBuffer()
+      vi.stubGlobal(
+        'fetch',
+        async () =>
+          new Response(white, { headers: { 'content-type': 'image/jpeg' } })
+      )
+      const provider = {
+        name: 'test',
+        async enhance() {
+          return { buffer: white, mimeType: 'image/jpeg' }
+        },
+      }
+
+      const { files } = await enhanceImage({
+        srcUrl: 'https://example.com/photo.jpg',
+        index: 0,
+        prompt: 'Stage',
+        roomType: 'living_room',
+        disclosure: {
+          text: 'Virtually Staged',
+          corner: 'top_left',
+          opacity: 1,
+        },
+        provider,
+      })
+
+      const { data } = await sharp(files[0].buffer)
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+      // The label darkens the top left of an all-white photo
+      expect(data[16 * 96 + 16]).toBeLessThan(200)
+      expect(data[60 * 96 + 92]).toBeGreaterThan(240)
+      const { xmp } = await sharp(files[0].buffer).metadata()
+      expect(String(xmp)).toContain('Virtually Staged')
+    })
+
+    it('should only keep edits inside the mask', async () => {
+      const red = { r: 200, g: 30, b: 30 }
+      const blue = { r: 20, g: 40, b: 220 }
+      const solid = (background: typeof red) =>
+        sharp({ create: { width: 4, height: 2, channels: 3, background } })
+          .png()
+          .toBuffer()
+      const source = await solid(red)
+      // Left half painted white, right half black
+      const mask = await sharp({
+        create: {
+          width: 4,
+          height: 2,
+          channels: 3,
+          background: { r: 0, g: 0, b: 0 },
+        },
+      })
+        .composite([
+          {
+            input: {
+              create: {
+                width: 2,
+                height: 2,
+                channels: 3,
+                background: { r: 255, g: 255, b: 255 },
+              },
+            },
+            left: 0,
+            top: 0,
+          },
+        ])
+        .png()
+        .toBuffer()
+      vi.stubGlobal('fetch', async (url: string) =>
+        url.includes('mask')
+          ? new Response(mask, { headers: { 'content-type': 'image/png' } })
+          : new Response(source, { headers: { 'content-type': 'image/png' } })
+      )
+      const masks: Array<Buffer | undefined> = []
+      const provider = {
+        name: 'test',
+        async enhance({ mask: sent }: EnhanceInput & { mask?: Buffer }) {
+          masks.push(sent)
+          return { buffer: await solid(blue), mimeType: 'image/png' }
+        },
+      }
+
+      const { files } = await enhanceImage({
+        srcUrl: 'https://example.com/photo.png',
+        maskUrl: 'https://example.com/mask.png',
+        index: 0,
+        prompt: 'Replace the couch',
+        roomType: 'living_room',
+        provider,
+      })
+
+      expect(masks[0]).toEqual(mask)
+      const { data } = await sharp(files[0].buffer)
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+      expect([...data.subarray(0, 3)]).toEqual([blue.r, blue.g, blue.b])
+      expect([...data.subarray(9, 12)]).toEqual([red.r, red.g, red.b])
+      expect(files[0].filename).toBe('enhanced-1.png')
+    })
+
+    it('should reject a mask with nothing painted', async () => {
+      const blank = await sharp({
+        create: {
+          width: 4,
+          height: 2,
+          channels: 4,
+          background: { r: 0, g: 0, b: 0, alpha: 0 },
+        },
+      })
+        .png()
+        .toBuffer()
+      vi.stubGlobal(
+        'fetch',
+        async () =>
+          new Response(blank, { headers: { 'content-type': 'image/png' } })
+      )
+      const enhance = vi.fn()
+
+      await expect(
+        enhanceImage({
+          srcUrl: 'https://example.com/photo.png',
+          maskUrl: 'https://example.com/mask.png',
+          index: 0,
+          prompt: 'Replace the couch',
+          roomType: 'living_room',
+          provider: { name: 'test', enhance },
+        })
+      ).rejects.toThrow('Mask is empty')
+      expect(enhance).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('rebuildJobZip', () => {
+    const stored = [
+      {
+        position: 0,
+        originalName: 'Kitchen.jpg',
+        operation: 'stage',
+        outputUrl: 'https://cdn.example.com/a.png',
+      },
+      {
+        position: 1,
+        originalName: 'Hall.jpg',
+        operation: 'stage',
+        outputUrl: 'https://cdn.example.com/b.png',
+      },
+    ]
+
+    it('should stream the stored outputs into the uploaded ZIP', async () => {
+      const bodies: Buffer[] = []
+      vi.stubGlobal(
+        'fetch',
+        async (url: string, init?: { method?: string; body?: UploadBody }) => {
+          if (init?.method === 'POST') {
+            expect(init.body).toBeInstanceOf(globalThis.ReadableStream)
+            bodies.push(await readBody(init.body))
+            return Response.json({ url: 'https://cdn.example.com/job.zip' })
+          }
+          return new Response(PNG_1X1, {
+            headers: { 'content-type': 'image/png' },
+          })
+        }
+      )
+
+      const { downloadUrl } = await rebuildJobZip(stored)
+
+      expect(downloadUrl).toBe('https://cdn.example.com/job.zip')
+      const zip = bodies[0].toString('utf8')
+      expect(zip.startsWith('PK')).toBe(true)
+      expect(zip).toContain('Kitchen-staged.png')
+      expect(zip).toContain('Hall-staged.png')
+      expect(zip).toContain('manifest.json')
+      expect(zip).toContain('manifest.csv')
+    })
+
+    it('should fail with the reason an output could not be packaged', async () => {
+      vi.stubGlobal(
+        'fetch',
+        async (url: string, init?: { method?: string; body?: UploadBody }) => {
+          if (init?.method === 'POST') {
+            await readBody(init.body)
+            return Response.json({ url: 'https://cdn.example.com/job.zip' })
+          }
+          return url.endsWith('b.png')
+            ? new Response('gone', { status: 404 })
+            : new Response(PNG_1X1, {
+                headers: { 'content-type': 'image/png' },
+              })
+        }
+      )
+
+      await expect(rebuildJobZip(stored)).rejects.toThrow(
+        'Failed to fetch stored output: 404'
+      )
+    })
+
+    it('should refuse a stored output larger than an upload may be', async () => {
+      vi.stubGlobal(
+        'fetch',
+        async (url: string, init?: { method?: string; body?: UploadBody }) => {
+          if (init?.method === 'POST') {
+            await readBody(init.body)
+            return Response.json({ url: 'https://cdn.example.com/job.zip' })
+          }
+          return new Response(PNG_1X1, {
+            headers: {
+              'content-type': 'image/png',
+              'content-length': String(64 * 1024 * 1024),
+            },
+          })
+        }
+      )
+
+      await expect(rebuildJobZip(stored)).rejects.toThrow(
+        'Stored output too large: 64.0 MB'
+      )
+    })
+
+    it('should stop downloading outputs once the signal fires', async () => {
+      const downloads: Array<AbortSignal | undefined> = []
+      vi.stubGlobal(
+        'fetch',
+        async (
+          url: string,
+          init?: { method?: string; signal?: AbortSignal; body?: UploadBody }
+        ) => {
+          if (init?.method === 'POST') {
+            await readBody(init.body)
+            return Response.json({ url: 'https://cdn.example.com/job.zip' })
+          }
+          downloads.push(init?.signal)
+          return hangUntilAborted(init?.signal)
+        }
+      )
+
+      await expect(
+        rebuildJobZip(stored, { signal: AbortSignal.timeout(20) })
+      ).rejects.toThrow('Timed out: the job ZIP took too long to package')
+      expect(downloads).toHaveLength(1)
+      expect(downloads[0]?.aborted).toBe(true)
+    })
+
+    it('should give up on an upload that outlasts its signal', async () => {
+      vi.stubGlobal(
+        'fetch',
+        async (
+          url: string,
+          init?: { method?: string; signal?: AbortSignal }
+        ) =>
+          init?.method === 'POST'
+            ? hangUntilAborted(init.signal)
+            : new Response(PNG_1X1, {
+                headers: { 'content-type': 'image/png' },
+              })
+      )
+
+      await expect(
+        rebuildJobZip(stored, { signal: AbortSignal.timeout(20) })
+      ).rejects.toThrow('Timed out: the job ZIP took too long to package')
+    })
+  })
+
+  describe('regeneratePhoto', () => {
+    it('should produce one new output with the stored room type', async () => {
+      stubNetwork()
+      const calls: EnhanceInput[] = []
+      const classify = vi.fn(async () => 'kitchen')
+      const provider = {
+        name: 'test',
+        classify,
+        async enhance(input: EnhanceInput) {
+          calls.push(input)
+          return { buffer: PNG_1X1, mimeType: 'image/png' }
+        },
+      }
+
+      const { outputUrl, roomType } = await regeneratePhoto({
+        item: { ...makeItems(1)[0], roomType: 'bedroom' },
+        prompt: 'Enhance. Warmer light',
+        variant: 3,
+        provider,
+      })
+
+      expect(outputUrl).toMatch(/^https:\/\/cdn\.example\.com\//)
+      expect(roomType).toBe('bedroom')
+      expect(classify).not.toHaveBeenCalled()
+      expect(calls).toHaveLength(1)
+      expect(calls[0]).toMatchObject({
+        variant: 3,
+        variations: 1,
+        prompt: `Enhance. Warmer light. ${getRoomType('bedroom')!.prompt}`,
+      })
+    })
+
+    it('should reject when the provider fails', async () => {
+      stubNetwork()
+      const provider = {
+        name: 'test',
+        async enhance(): Promise<never> {
+          throw new Error('provider down')
+        },
+      }
+
+      await expect(
+        regeneratePhoto({
+          item: makeItems(1)[0],
+          prompt: 'Enhance',
+          variant: 1,
+          provider,
+        })
+      ).rejects.toThrow('provider down')
+    })
+  })
+})
@@ -0,0 +1,91 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import {
+  structureMinScore,
+  structureRetries,
+  structureScore,
+} from '@/app/api/utils/fidelity'
+
+// A wall and floor with whatever is drawn on them, e.g. a window and a door
+function room(
+  shapes: { x: number; y: number; w: number; h: number; fill: string }[],
+  { width = 256, height = 192, wall = '#C8C0B0' } = {}
+): Promise<Buffer> {
+  const rects = shapes
+    .map(
+      ({ x, y, w, h, fill }) =>
+        `<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="${fill}"/>`
+    )
+    .join('')
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="192" viewBox="0 0 256 192" preserveAspectRatio="none">
+  <rect width="256" height="192" fill="${wall}"/>
+  <rect y="140" width="256" height="52" fill="#8A6A4A"/>
+  ${rects}
+</svg>`
+  return sharp(Buffer.from(svg)).resize(width, height).png().toBuffer()
+}
+
+const windowRect = { x: 30, y: 30, w: 50, h: 60, fill: '#E0F0FF' }
+const doorRect = { x: 190, y: 50, w: 40, h: 90, fill: '#5A4030' }
+const sofaRect = { x: 80, y: 110, w: 100, h: 45, fill: '#3050A0' }
+
+describe('structureScore', () => {
+  it('should score an unchanged room 1', async () => {
+    const source = await room([windowRect, doorRect])
+
+    expect(await structureScore(source, source)).toBe(1)
+  })
+
+  it('should keep a high score when furniture is added or the light changes', async () => {
+    const source = await room([windowRect, doorRect])
+
+    const staged = await room([windowRect, doorRect, sofaRect])
+    expect(await structureScore(source, staged)).toBeGreaterThan(0.8)
+    const relit = await room([windowRect, doorRect], { wall: '#DDD5C5' })
+    expect(await structureScore(source, relit)).toBeGreaterThan(0.95)
+  })
+
+  it('should score low when a windowRect moves', async () => {
+    const source = await room([windowRect, doorRect])
+    const moved = await room([{ ...windowRect, x: 110, y: 20 }, doorRect])
+
+    expect(await structureScore(source, moved)).toBeLessThan(0.7)
+  })
+
+  it('should compare outputs returned at another size', async () => {
+    const source = await room([windowRect, doorRect])
+    const larger = await room([windowRect, doorRect], {
+      width: 512,
+      height: 384,
+    })
+
+    expect(await structureScore(source, larger)).toBeGreaterThan(0.95)
+  })
+
+  it('should score photos without visible structure 1', async () => {
+    const blank = await sharp({
+      create: { width: 8, height: 8, channels: 3, background: '#FFFFFF' },
+    })
+      .png()
+      .toBuffer()
+
+    expect(await structureScore(blank, await room([windowRect]))).toBe(1)
+  })
+})
+
+describe('structure check settings', () => {
+  it('should read the minimum score, where 0 turns the check off', () => {
+    expect(structureMinScore({})).toBe(0.7)
+    expect(structureMinScore({ STRUCTURE_MIN_SCORE: '0.5' })).toBe(0.5)
+    expect(structureMinScore({ STRUCTURE_MIN_SCORE: '0' })).toBe(0)
+    expect(structureMinScore({ STRUCTURE_MIN_SCORE: '2' })).toBe(0.7)
+    expect(structureMinScore({ STRUCTURE_MIN_SCORE: ' ' })).toBe(0.7)
+  })
+
+  it('should read the retries', () => {
+    expect(structureRetries({})).toBe(1)
+    expect(structureRetries({ STRUCTURE_RETRIES: '0' })).toBe(0)
+    expect(structureRetries({ STRUCTURE_RETRIES: '-1' })).toBe(1)
+  })
+})
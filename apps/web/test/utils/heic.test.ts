@@ -0,0 +1,120 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest'
+import sharp from 'sharp'
+import {
+  THUMBNAIL_SIZE,
+  heicToJpeg,
+  isHeic,
+  normalizeUpload,
+  renderThumbnail,
+} from '@/app/api/utils/heic'
+
+// No HEIC encoder is at hand to make fixtures, so the decoder is replaced
+// with one returning a 6x4 red image, and "HEIC files" are just headers
+vi.mock('heic-decode', () => ({
+  default: vi.fn(async ({ buffer }: { buffer: Buffer }) => {
+    if (buffer.includes('corrupt')) throw new Error('Invalid input')
+    return {
+      width: 6,
+      height: 4,
+      data: new Uint8ClampedArray(
+        Array.from({ length: 6 * 4 }, () => [200, 30, 30, 255]).flat()
+      ),
+    }
+  }),
+}))
+
+function heifFile(brand: string, rest = ''): Buffer {
+  const ftyp = Buffer.alloc(24)
+  ftyp.writeUInt32BE(24, 0)
+  ftyp.write('ftyp', 4, 'latin1')
+  ftyp.write(brand, 8, 'latin1')
+  ftyp.write('mif1heic', 16, 'latin1')
+  return Buffer.concat([ftyp, Buffer.from(rest)])
+}
+
+describe('isHeic', () => {
+  it('should recognize HEIC and HEIF brands', () => {
+    expect(isHeic(heifFile('heic'))).toBe(true)
+    expect(isHeic(heifFile('heix'))).toBe(true)
+    expect(isHeic(heifFile('mif1'))).toBe(true)
+  })
+
+  it('should not treat AVIF or other formats as HEIC', async () => {
+    expect(isHeic(heifFile('avif'))).toBe(false)
+    expect(
+      isHeic(
+        await sharp({
+          create: { width: 2, height: 2, channels: 3, background: '#FFFFFF' },
+        })
+          .jpeg()
+          .toBuffer()
+      )
+    ).toBe(false)
+    expect(isHeic(Buffer.from('ftyp'))).toBe(false)
+  })
+})
+
+describe('heicToJpeg', () => {
+  it('should decode to a JPEG of the same size', async () => {
+    const jpeg = await heicToJpeg(heifFile('heic'))
+
+    const meta = await sharp(jpeg).metadata()
+    expect(meta.format).toBe('jpeg')
+    expect([meta.width, meta.height]).toEqual([6, 4])
+    const { channels } = await sharp(jpeg).stats()
+    expect(channels[0].mean).toBeGreaterThan(180)
+    expect(channels[2].mean).toBeLessThan(60)
+  })
+})
+
+describe('normalizeUpload', () => {
+  it('should convert HEIC, whatever its content type says', async () => {
+    const result = await normalizeUpload(
+      heifFile('heic'),
+      'application/octet-stream'
+    )
+
+    expect(result.converted).toBe(true)
+    expect(result.mimeType).toBe('image/jpeg')
+    expect((await sharp(result.bytes).metadata()).format).toBe('jpeg')
+  })
+
+  it('should pass other photos through', async () => {
+    const png = await sharp({
+      create: { width: 2, height: 2, channels: 3, background: '#FFFFFF' },
+    })
+      .png()
+      .toBuffer()
+
+    const result = await normalizeUpload(png, 'image/png')
+    expect(result).toEqual({
+      bytes: png,
+      mimeType: 'image/png',
+      converted: false,
+    })
+  })
+
+  it('should report photos that cannot be decoded', async () => {
+    await expect(
+      normalizeUpload(heifFile('heic', 'corrupt'), 'image/heic')
+    ).rejects.toThrow('Could not decode HEIC photo: Invalid input')
+  })
+})
+
+describe('renderThumbnail', () => {
+  it('should shrink photos to fit the thumbnail size', async () => {
+    const photo = await sharp({
+      create: { width: 1200, height: 900, channels: 3, background: '#808080' },
+    })
+      .jpeg()
+      .toBuffer()
+
+    const meta = await sharp(await renderThumbnail(photo)).metadata()
+    expect(meta.format).toBe('jpeg')
+    expect([meta.width, meta.height]).toEqual([
+      THUMBNAIL_SIZE,
+      (THUMBNAIL_SIZE * 3) / 4,
+    ])
+  })
+})
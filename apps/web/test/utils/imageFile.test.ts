@@ -0,0 +1,247 @@
+// @vitest-environment node
+import { afterEach, describe, it, expect, vi } from 'vitest'
+import sharp from 'sharp'
+import { deflateSync } from 'node:zlib'
+import {
+  MAX_IMAGE_BYTES,
+  fetchImage,
+  inspectImage,
+  sniffImageType,
+} from '@/app/api/utils/imageFile'
+
+function photo(format: 'jpeg' | 'png' | 'webp', width = 40, height = 30) {
+  return sharp({
+    create: { width, height, channels: 3, background: '#8899aa' },
+  })
+    .toFormat(format)
+    .toBuffer()
+}
+
+// A valid PNG whose header claims the given size; its pixel data, one
+// zero row, is tiny however large the size (a decompression bomb)
+function pngClaiming(width: number, height: number): Buffer {
+  const chunk = (type: string, data: Buffer) => {
+    const length = Buffer.alloc(4)
+    length.writeUInt32BE(data.length)
+    // The CRC isn't checked here, so it's left zero
+    return Buffer.concat([length, Buffer.from(type), data, Buffer.alloc(4)])
+  }
+  const ihdr = Buffer.alloc(13)
+  ihdr.writeUInt32BE(width, 0)
+  ihdr.writeUInt32BE(height, 4)
+  ihdr[8] = 8 // bit depth
+  ihdr[9] = 0 // greyscale
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', deflateSync(Buffer.alloc(1))),
+    chunk('IEND', Buffer.alloc(0)),
+  ])
+}
+
+// ftyp, then meta > iprp > ipco > ispe giving the size
+function heicClaiming(width: number, height: number): Buffer {
+  const box = (type: string, ...parts: Buffer[]) => {
+    const size = Buffer.alloc(4)
+    size.writeUInt32BE(8 + Buffer.concat(parts).length)
+    return Buffer.concat([size, Buffer.from(type), ...parts])
+  }
+  const ispe = Buffer.alloc(12)
+  ispe.writeUInt32BE(width, 4)
+  ispe.writeUInt32BE(height, 8)
+  return Buffer.concat([
+    box('ftyp', Buffer.from('heic'), Buffer.alloc(4), Buffer.from('mif1heic')),
+    box('meta', Buffer.alloc(4), box('iprp', box('ipco', box('ispe', ispe)))),
+  ])
+}
+
+describe('sniffImageType', () => {
+  it('should recognize JPEG, PNG, WebP and HEIC by their bytes', async () => {
+    expect(sniffImageType(await photo('jpeg'))).toBe('image/jpeg')
+    expect(sniffImageType(await photo('png'))).toBe('image/png')
+    expect(sniffImageType(await photo('webp'))).toBe('image/webp')
+    expect(sniffImageType(heicClaiming(4, 2))).toBe('image/heic')
+  })
+
+  it('should return null for anything else', async () => {
+    expect(sniffImageType(Buffer.from('<html><body></body></html>'))).toBe(null)
+    expect(sniffImageType(await photo('png').then(b => b.subarray(1)))).toBe(
+      null
+    )
+    expect(sniffImageType(Buffer.alloc(4))).toBe(null)
+  })
+})
+
+describe('inspectImage', () => {
+  it.each(['jpeg', 'png', 'webp'] as const)(
+    'should read the size of a %s',
+    async format => {
+      expect(inspectImage(await photo(format, 40, 30))).toEqual({
+        mimeType: `image/${format}`,
+        width: 40,
+        height: 30,
+      })
+    }
+  )
+
+  it('should read the size of a lossless WebP', async () => {
+    const webp = await sharp({
+      create: { width: 17, height: 9, channels: 3, background: '#102030' },
+    })
+      .webp({ lossless: true })
+      .toBuffer()
+    expect(inspectImage(webp)).toMatchObject({ width: 17, height: 9 })
+  })
+
+  it('should read the size of a HEIC from its largest ispe', () => {
+    expect(inspectImage(heicClaiming(4032, 3024))).toEqual({
+      mimeType: 'image/heic',
+      width: 4032,
+      height: 3024,
+    })
+  })
+
+  it('should accept a JPEG with another JPEG appended, as phones write', async () => {
+    const main = await photo('jpeg', 40, 30)
+    const gainMap = await photo('jpeg', 20, 15)
+    expect(inspectImage(Buffer.concat([main, gainMap]))).toMatchObject({
+      width: 40,
+      height: 30,
+    })
+  })
+
+  it.each(['jpeg', 'png', 'webp'] as const)(
+    'should reject a truncated %s',
+    async format => {
+      const bytes = await photo(format)
+      expect(() => inspectImage(bytes.subarray(0, bytes.length - 10))).toThrow(
+        'File is truncated'
+      )
+    }
+  )
+
+  it('should reject a truncated HEIC', () => {
+    const bytes = heicClaiming(4, 2)
+    expect(() => inspectImage(bytes.subarray(0, bytes.length - 4))).toThrow(
+      'File is truncated'
+    )
+  })
+
+  it.each(['jpeg', 'png', 'webp'] as const)(
+    'should reject a %s with other data appended',
+    async format => {
+      const zip = Buffer.concat([
+        Buffer.from('PK\x03\x04'),
+        Buffer.from('payload.exe'),
+      ])
+      const bytes = Buffer.concat([await photo(format), zip])
+      expect(() => inspectImage(bytes)).toThrow(
+        'File has extra data after the end of the image'
+      )
+    }
+  )
+
+  it('should allow zero padding after the end of the image', async () => {
+    const bytes = Buffer.concat([await photo('png'), Buffer.alloc(16)])
+    expect(inspectImage(bytes)).toMatchObject({ mimeType: 'image/png' })
+  })
+
+  it('should reject files with another format near the start', async () => {
+    const png = await photo('png')
+    // A text chunk right after IHDR, where a PDF reader would find it
+    const pdf = Buffer.from('\0\0\0\x10tEXt%PDF-1.7 obj' + '\0'.repeat(8))
+    const polyglot = Buffer.concat([png.subarray(0, 33), pdf, png.subarray(33)])
+    expect(() => inspectImage(polyglot)).toThrow(
+      'File also contains %PDF- content'
+    )
+
+    const jpeg = await sharp(await photo('jpeg'))
+      .withMetadata({
+        exif: { IFD0: { ImageDescription: '<script>alert(1)</script>' } },
+      })
+      .jpeg()
+      .toBuffer()
+    expect(() => inspectImage(jpeg)).toThrow('File also contains <script')
+  })
+
+  it('should reject dimensions over the limits without decoding', () => {
+    expect(() => inspectImage(pngClaiming(20_000, 10))).toThrow(
+      'Image is 20000x10 pixels'
+    )
+    expect(() => inspectImage(pngClaiming(10_000, 10_000))).toThrow(
+      'Image is 10000x10000 pixels'
+    )
+    expect(() => inspectImage(heicClaiming(16_000, 16_000))).toThrow(
+      'Image is 16000x16000 pixels'
+    )
+    expect(inspectImage(pngClaiming(8000, 6000))).toMatchObject({
+      width: 8000,
+      height: 6000,
+    })
+  })
+
+  it('should reject a HEIC without a size', () => {
+    const ftyp = heicClaiming(4, 2).subarray(0, 24)
+    expect(() => inspectImage(ftyp)).toThrow(
+      'Could not read the image dimensions'
+    )
+  })
+
+  it('should reject files that are not a supported image', () => {
+    expect(() => inspectImage(Buffer.from('GIF89a' + '\0'.repeat(20)))).toThrow(
+      'Not a JPEG, PNG, WebP or HEIC image'
+    )
+  })
+})
+
+describe('fetchImage', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('should judge the download by its bytes, not its content type', async () => {
+    const png = await photo('png', 8, 6)
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async (url: string) =>
+        url.endsWith('real.txt')
+          ? new Response(png, { headers: { 'content-type': 'text/plain' } })
+          : new Response('<html></html>', {
+              headers: { 'content-type': 'image/jpeg' },
+            })
+      )
+    )
+
+    await expect(
+      fetchImage('https://example.com/real.txt')
+    ).resolves.toMatchObject({ mimeType: 'image/png', width: 8, height: 6 })
+    await expect(fetchImage('https://example.com/fake.jpg')).rejects.toThrow(
+      'Not a JPEG, PNG, WebP or HEIC image'
+    )
+  })
+
+  it('should reject downloads over the size limit', async () => {
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(
+        async () =>
+          new Response(Buffer.alloc(MAX_IMAGE_BYTES + 1), {
+            headers: { 'content-type': 'image/jpeg' },
+          })
+      )
+    )
+    await expect(fetchImage('https://example.com/big.jpg')).rejects.toThrow(
+      'Photos must be 15 MB or smaller'
+    )
+  })
+
+  it('should reject failed downloads', async () => {
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async () => new Response('gone', { status: 404 }))
+    )
+    await expect(fetchImage('https://example.com/gone.jpg')).rejects.toThrow(
+      'Could not download the photo: 404'
+    )
+  })
+})
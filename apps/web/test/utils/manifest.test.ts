@@ -0,0 +1,134 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import { createHash } from 'node:crypto'
+import sharp from 'sharp'
+import {
+  MANIFEST_COLUMNS,
+  describePhoto,
+  manifestFiles,
+} from '@/app/api/utils/manifest'
+
+function makePhoto(width: number, height: number): Promise<Buffer> {
+  return sharp({
+    create: { width, height, channels: 3, background: '#8090A0' },
+  })
+    .jpeg()
+    .toBuffer()
+}
+
+const generatedAt = new Date('2025-01-09T12:05:00Z')
+
+describe('describePhoto', () => {
+  it('should describe the entry as delivered', async () => {
+    const buffer = await makePhoto(30, 20)
+
+    const photo = await describePhoto({
+      item: {
+        originalName: 'IMG_0412.HEIC',
+        operation: 'stage',
+        roomType: 'kitchen',
+      },
+      filename: 'IMG_0412-staged.jpg',
+      buffer,
+      prompt: 'Stage this room',
+      styleId: 'modern',
+    })
+
+    expect(photo).toEqual({
+      originalFilename: 'IMG_0412.HEIC',
+      outputFilename: 'IMG_0412-staged.jpg',
+      operation: 'stage',
+      style: 'modern',
+      prompt: 'Stage this room',
+      roomType: 'kitchen',
+      width: 30,
+      height: 20,
+      sha256: createHash('sha256').update(buffer).digest('hex'),
+    })
+  })
+
+  it("should prefer the photo's own prompt and leave out styles when not staging", async () => {
+    const photo = await describePhoto({
+      item: { operation: 'twilight', prompt: 'Turn to dusk' },
+      filename: 'enhanced-1.jpg',
+      buffer: await makePhoto(4, 4),
+      prompt: 'Stage this room',
+      styleId: 'modern',
+    })
+
+    expect(photo).toMatchObject({
+      originalFilename: null,
+      style: null,
+      prompt: 'Turn to dusk',
+      roomType: null,
+    })
+  })
+
+  it('should leave out dimensions it cannot read', async () => {
+    const photo = await describePhoto({
+      item: { operation: 'stage' },
+      filename: 'enhanced-1.jpg',
+      buffer: Buffer.from('not an image'),
+      prompt: null,
+      styleId: null,
+    })
+
+    expect([photo.width, photo.height]).toEqual([null, null])
+  })
+})
+
+describe('manifestFiles', () => {
+  const photo = {
+    originalFilename: 'Living, "front".jpg',
+    outputFilename: 'Living_ _front_-staged.jpg',
+    operation: 'stage',
+    style: null,
+    prompt: '=HYPERLINK("http://example.com")',
+    roomType: 'living_room',
+    width: 1024,
+    height: 768,
+    sha256: 'ab'.repeat(32),
+  }
+
+  it('should write the job and its photos as JSON', () => {
+    const [json] = manifestFiles({ jobId: 123, generatedAt, photos: [photo] })
+
+    expect(json.filename).toBe('manifest.json')
+    expect(JSON.parse(json.buffer.toString())).toEqual({
+      jobId: 123,
+      generatedAt: '2025-01-09T12:05:00.000Z',
+      photos: [photo],
+    })
+  })
+
+  it('should write one CSV row per photo, quoted and safe to open', () => {
+    const [, csv] = manifestFiles({ jobId: 123, generatedAt, photos: [photo] })
+
+    expect(csv.filename).toBe('manifest.csv')
+    const lines = csv.buffer.toString().split('\r\n')
+    expect(lines[0]).toBe(MANIFEST_COLUMNS.join(','))
+    expect(lines[1]).toBe(
+      [
+        '123',
+        '2025-01-09T12:05:00.000Z',
+        '"Living, ""front"".jpg"',
+        'Living_ _front_-staged.jpg',
+        'stage',
+        '',
+        `"'=HYPERLINK(""http://example.com"")"`,
+        'living_room',
+        '1024',
+        '768',
+        'ab'.repeat(32),
+      ].join(',')
+    )
+    expect(lines[2]).toBe('')
+  })
+
+  it('should list no photos for jobs without a database id', () => {
+    const [json, csv] = manifestFiles({ jobId: null, generatedAt, photos: [] })
+
+    expect(JSON.parse(json.buffer.toString()).jobId).toBeNull()
+    expect(csv.buffer.toString()).toBe(`${MANIFEST_COLUMNS.join(',')}\r\n`)
+  })
+})
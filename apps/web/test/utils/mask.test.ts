@@ -0,0 +1,116 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import { compositeMasked, isMaskEmpty, readMask } from '@/app/api/utils/mask'
+import { makeImage, pixelAt } from '../helpers/images'
+
+const RED = { r: 200, g: 30, b: 30 }
+const BLUE = { r: 20, g: 40, b: 220 }
+
+// White on transparency over the left `painted` columns
+async function makeMask(
+  width: number,
+  height: number,
+  painted: number
+): Promise<Buffer> {
+  const transparent = { r: 0, g: 0, b: 0, alpha: 0 }
+  const white = { r: 255, g: 255, b: 255, alpha: 1 }
+  return sharp({
+    create: { width, height, channels: 4, background: transparent },
+  })
+    .composite([
+      {
+        input: {
+          create: { width: painted, height, channels: 4, background: white },
+        },
+        left: 0,
+        top: 0,
+      },
+    ])
+    .png()
+    .toBuffer()
+}
+
+describe('Brush masks', () => {
+  describe('readMask', () => {
+    it('should read painted pixels as 255 and the rest as 0', async () => {
+      const pixels = await readMask(await makeMask(4, 2, 2), {
+        width: 4,
+        height: 2,
+      })
+      expect([...pixels]).toEqual([255, 255, 0, 0, 255, 255, 0, 0])
+    })
+
+    it('should treat white on black like white on transparency', async () => {
+      const mask = await sharp(
+        await makeImage(4, 2, { background: { r: 0, g: 0, b: 0 } })
+      )
+        .composite([
+          {
+            input: {
+              create: {
+                width: 1,
+                height: 2,
+                channels: 3,
+                background: { r: 255, g: 255, b: 255 },
+              },
+            },
+            left: 3,
+            top: 0,
+          },
+        ])
+        .png()
+        .toBuffer()
+      const pixels = await readMask(mask, { width: 4, height: 2 })
+      expect([...pixels]).toEqual([0, 0, 0, 255, 0, 0, 0, 255])
+    })
+  })
+
+  describe('isMaskEmpty', () => {
+    it('should detect a mask with nothing painted', async () => {
+      expect(await isMaskEmpty(await makeMask(4, 4, 1))).toBe(false)
+      const blank = await sharp({
+        create: {
+          width: 4,
+          height: 4,
+          channels: 4,
+          background: { r: 255, g: 255, b: 255, alpha: 0 },
+        },
+      })
+        .png()
+        .toBuffer()
+      expect(await isMaskEmpty(blank)).toBe(true)
+    })
+  })
+
+  describe('compositeMasked', () => {
+    it('should keep the original outside the mask', async () => {
+      const original = await makeImage(8, 4, { background: RED })
+      const { buffer, mimeType } = await compositeMasked({
+        original,
+        // Providers may return a different size; it is stretched to fit
+        output: await makeImage(16, 8, { background: BLUE }),
+        mask: await makeMask(8, 4, 4),
+      })
+
+      expect(mimeType).toBe('image/png')
+      const meta = await sharp(buffer).metadata()
+      expect([meta.width, meta.height, meta.channels]).toEqual([8, 4, 3])
+      expect(await pixelAt(buffer, 1, 1)).toEqual([BLUE.r, BLUE.g, BLUE.b])
+      expect(await pixelAt(buffer, 6, 2)).toEqual([RED.r, RED.g, RED.b])
+    })
+
+    it('should leave unmasked JPEG pixels exactly as decoded', async () => {
+      const original = await sharp(await makeImage(8, 4, { background: RED }))
+        .jpeg()
+        .toBuffer()
+      const { buffer } = await compositeMasked({
+        original,
+        output: await makeImage(8, 4, { background: BLUE }),
+        mask: await makeMask(8, 4, 2),
+      })
+
+      expect(await pixelAt(buffer, 7, 3)).toEqual(await pixelAt(original, 7, 3))
+    })
+  })
+})
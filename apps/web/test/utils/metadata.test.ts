@@ -0,0 +1,175 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import {
+  OUTPUT_METADATA_FIELDS,
+  copyMetadata,
+  normalizeOrientation,
+  outputMetadataFields,
+  readPhotoMetadata,
+} from '@/app/api/utils/metadata'
+
+// A 40x20 JPEG shot by a phone held upright: stored sideways and tagged to be
+// rotated 90°, with a capture date, camera and location
+function makePhoneShot(): Promise<Buffer> {
+  return sharp({
+    create: {
+      width: 40,
+      height: 20,
+      channels: 3,
+      background: { r: 90, g: 120, b: 160 },
+    },
+  })
+    .jpeg()
+    .withMetadata({ orientation: 6 })
+    .withExif({
+      IFD0: { Make: 'Apple', Model: 'iPhone 15' },
+      IFD2: { DateTimeOriginal: '2024:05:01 10:30:00' },
+      IFD3: { GPSLatitudeRef: 'N' },
+    })
+    .toBuffer()
+}
+
+function makeOutput(): Promise<Buffer> {
+  return sharp({
+    create: { width: 4, height: 4, channels: 3, background: '#FFFFFF' },
+  })
+    .png()
+    .toBuffer()
+}
+
+describe('outputMetadataFields', () => {
+  it('should copy the capture date and camera by default', () => {
+    expect(outputMetadataFields({})).toEqual(OUTPUT_METADATA_FIELDS)
+    expect(outputMetadataFields({ OUTPUT_METADATA: '' })).toEqual(
+      OUTPUT_METADATA_FIELDS
+    )
+  })
+
+  it('should read a comma-separated list and ignore unknown fields', () => {
+    expect(
+      outputMetadataFields({ OUTPUT_METADATA: ' camera , location' })
+    ).toEqual(['camera'])
+    expect(outputMetadataFields({ OUTPUT_METADATA: 'none' })).toEqual([])
+  })
+})
+
+describe('normalizeOrientation', () => {
+  it('should rotate sideways photos upright', async () => {
+    const upright = await normalizeOrientation(
+      await makePhoneShot(),
+      'image/jpeg'
+    )
+
+    const meta = await sharp(upright).metadata()
+    expect(meta.format).toBe('jpeg')
+    expect([meta.width, meta.height]).toEqual([20, 40])
+    expect(meta.orientation ?? 1).toBe(1)
+  })
+
+  it('should return upright photos unchanged', async () => {
+    const photo = await makeOutput()
+    expect(await normalizeOrientation(photo, 'image/png')).toBe(photo)
+  })
+
+  it('should return formats it does not handle, and unreadable bytes, unchanged', async () => {
+    const shot = await makePhoneShot()
+    expect(await normalizeOrientation(shot, 'image/heic')).toBe(shot)
+
+    const junk = Buffer.from('not an image')
+    expect(await normalizeOrientation(junk, 'image/jpeg')).toBe(junk)
+  })
+})
+
+describe('readPhotoMetadata', () => {
+  it('should read the capture date and camera', async () => {
+    const metadata = await readPhotoMetadata(await makePhoneShot())
+
+    expect(metadata.IFD0).toMatchObject({ Make: 'Apple', Model: 'iPhone 15' })
+    expect(metadata.IFD2).toMatchObject({
+      DateTimeOriginal: '2024:05:01 10:30:00',
+    })
+  })
+
+  it('should return nothing for photos without metadata', async () => {
+    expect(await readPhotoMetadata(await makeOutput())).toEqual({
+      IFD0: {},
+      IFD2: {},
+    })
+    expect(await readPhotoMetadata(Buffer.from('not an image'))).toEqual({
+      IFD0: {},
+      IFD2: {},
+    })
+  })
+})
+
+describe('copyMetadata', () => {
+  it('should write the chosen fields into the output', async () => {
+    const metadata = await readPhotoMetadata(await makePhoneShot())
+    const output = await copyMetadata(
+      { buffer: await makeOutput(), mimeType: 'image/png' },
+      metadata,
+      OUTPUT_METADATA_FIELDS
+    )
+
+    expect((await sharp(output.buffer).metadata()).format).toBe('png')
+    expect(await readPhotoMetadata(output.buffer)).toEqual({
+      IFD0: { Make: 'Apple', Model: 'iPhone 15' },
+      IFD2: { DateTimeOriginal: '2024:05:01 10:30:00' },
+    })
+  })
+
+  it('should leave out fields that are not chosen', async () => {
+    const metadata = await readPhotoMetadata(await makePhoneShot())
+    const output = await copyMetadata(
+      { buffer: await makeOutput(), mimeType: 'image/png' },
+      metadata,
+      ['camera']
+    )
+
+    const copied = await readPhotoMetadata(output.buffer)
+    expect(copied.IFD0).toEqual({ Make: 'Apple', Model: 'iPhone 15' })
+    expect(copied.IFD2).toEqual({})
+  })
+
+  it('should write a description as XMP and EXIF', async () => {
+    const metadata = await readPhotoMetadata(await makeOutput())
+    const output = await copyMetadata(
+      { buffer: await makeOutput(), mimeType: 'image/jpeg' },
+      metadata,
+      OUTPUT_METADATA_FIELDS,
+      { description: 'Virtually Staged & <edited>' }
+    )
+
+    const { format, xmp, exif } = await sharp(output.buffer).metadata()
+    expect(format).toBe('jpeg')
+    expect(xmp!.toString()).toContain(
+      '<rdf:li xml:lang="x-default">Virtually Staged &amp; &lt;edited&gt;</rdf:li>'
+    )
+    expect(xmp!.toString()).toContain('compositeWithTrainedAlgorithmicMedia')
+    expect(exif!.includes('Virtually Staged & <edited>')).toBe(true)
+  })
+
+  it('should only write descriptions EXIF cannot hold as XMP', async () => {
+    const metadata = await readPhotoMetadata(await makeOutput())
+    const output = await copyMetadata(
+      { buffer: await makeOutput(), mimeType: 'image/png' },
+      metadata,
+      [],
+      { description: 'Virtuell möbliert' }
+    )
+
+    const { xmp, exif } = await sharp(output.buffer).metadata()
+    expect(xmp!.toString()).toContain('Virtuell möbliert')
+    expect(exif).toBeUndefined()
+  })
+
+  it('should return the output untouched when there is nothing to copy', async () => {
+    const output = { buffer: await makeOutput(), mimeType: 'image/png' }
+    const metadata = await readPhotoMetadata(await makeOutput())
+
+    expect(await copyMetadata(output, metadata, OUTPUT_METADATA_FIELDS)).toBe(
+      output
+    )
+  })
+})
@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest'
+import {
+  OPERATIONS,
+  OPERATION_IDS,
+  DEFAULT_OPERATION,
+  getOperation,
+  buildOperationPrompt,
+  operationUsage,
+} from '@/utils/operations'
+import { buildStagingPrompt } from '@/utils/styles'
+
+describe('Photo operations', () => {
+  it('should offer interior and exterior operations', () => {
+    expect(OPERATION_IDS).toEqual([
+      'stage',
+      'declutter',
+      'empty_room',
+      'sky_replacement',
+      'twilight',
+      'lawn_greening',
+    ])
+    expect(DEFAULT_OPERATION).toBe('stage')
+    expect(
+      OPERATIONS.filter(op => op.category === 'exterior').map(op => op.id)
+    ).toEqual(['sky_replacement', 'twilight', 'lawn_greening'])
+  })
+
+  it('should price every operation', () => {
+    for (const op of OPERATIONS) {
+      expect(op.price).toBeGreaterThan(0)
+    }
+  })
+
+  it('should give every operation a distinct file name suffix', () => {
+    const suffixes = OPERATIONS.map(op => op.fileSuffix)
+    expect(new Set(suffixes).size).toBe(OPERATIONS.length)
+    for (const suffix of suffixes) {
+      expect(suffix).toMatch(/^[a-z-]+$/)
+    }
+  })
+
+  describe('getOperation', () => {
+    it('should find an operation by id', () => {
+      expect(getOperation('declutter')?.label).toBe('Declutter')
+    })
+
+    it('should return null for unknown ids', () => {
+      expect(getOperation('repaint')).toBeNull()
+    })
+  })
+
+  describe('buildOperationPrompt', () => {
+    it('should build the staging prompt with the style preset', () => {
+      const input = { prompt: 'Make it bright', styleId: 'coastal' }
+      expect(buildOperationPrompt({ operation: 'stage', ...input })).toBe(
+        buildStagingPrompt(input)
+      )
+    })
+
+    it('should default to staging', () => {
+      expect(buildOperationPrompt({ prompt: 'Make it bright' })).toBe(
+        'Make it bright'
+      )
+    })
+
+    it('should lead with the operation instructions', () => {
+      const prompt = buildOperationPrompt({
+        operation: 'empty_room',
+        prompt: 'Keep the piano',
+      })
+      expect(prompt.startsWith('Empty this room')).toBe(true)
+      expect(prompt.endsWith('. Keep the piano')).toBe(true)
+    })
+
+    it('should ignore styles for non-staging operations', () => {
+      expect(
+        buildOperationPrompt({ operation: 'declutter', styleId: 'luxury' })
+      ).toBe(getOperation('declutter')!.prompt)
+    })
+  })
+  describe('operationUsage', () => {
+    it('should total completed photos and credits per operation', () => {
+      const usage = operationUsage([
+        { operation: 'twilight', status: 'completed', price: 1.5 },
+        { operation: 'twilight', status: 'completed', price: 1.5 },
+        { operation: 'twilight', status: 'failed', price: 1.5 },
+        { operation: 'stage', status: 'completed', price: 1, isFree: true },
+      ])
+
+      expect(usage).toEqual([
+        { operation: 'twilight', photoCount: 2, credits: 3 },
+        { operation: 'stage', photoCount: 1, credits: 0 },
+      ])
+    })
+
+    it('should charge every variation except the free one', () => {
+      const usage = operationUsage([
+        { operation: 'stage', status: 'completed', price: 1, variations: 3 },
+        {
+          operation: 'stage',
+          status: 'completed',
+          price: 1,
+          variations: 3,
+          isFree: true,
+        },
+      ])
+
+      expect(usage).toEqual([{ operation: 'stage', photoCount: 2, credits: 5 }])
+    })
+
+    it('should only charge cached variations when the plan does', () => {
+      const items = [
+        {
+          operation: 'stage',
+          status: 'completed',
+          price: 1,
+          variations: 3,
+          cachedVariations: 2,
+        },
+      ]
+
+      expect(operationUsage(items)).toEqual([
+        { operation: 'stage', photoCount: 1, credits: 3 },
+      ])
+      expect(operationUsage(items, { chargeCacheHits: false })).toEqual([
+        { operation: 'stage', photoCount: 1, credits: 1 },
+      ])
+    })
+
+    it('should be empty when nothing completed', () => {
+      expect(
+        operationUsage([{ operation: 'stage', status: 'failed' }])
+      ).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_PLAN_ID,
+  PLANS,
+  PLAN_IDS,
+  getPlan,
+  planForPurchase,
+} from '@/utils/plans'
+
+describe('Billing plans', () => {
+  it('should have unique ids and include the default plan', () => {
+    expect(new Set(PLAN_IDS).size).toBe(PLANS.length)
+    expect(PLAN_IDS).toContain(DEFAULT_PLAN_ID)
+  })
+
+  it('should charge cache hits on pay as you go but not on packs', () => {
+    expect(getPlan('payg').chargeCacheHits).toBe(true)
+    expect(getPlan('pack').chargeCacheHits).toBe(false)
+  })
+
+  it('should discount packs but not pay as you go', () => {
+    expect(getPlan('payg').discount).toBe(0)
+    expect(getPlan('pack').discount).toBeGreaterThan(0)
+    expect(getPlan('pack').discount).toBeLessThan(1)
+  })
+
+  it('should fall back to the default plan', () => {
+    expect(getPlan(null).id).toBe(DEFAULT_PLAN_ID)
+    expect(getPlan('enterprise').id).toBe(DEFAULT_PLAN_ID)
+  })
+
+  describe('planForPurchase', () => {
+    it('should put pack buyers on the pack plan', () => {
+      expect(planForPurchase('PACK_50_CREDITS')).toBe('pack')
+      expect(planForPurchase('PAYG_IMAGE_CREDIT')).toBe('payg')
+      expect(planForPurchase(null)).toBe('payg')
+    })
+  })
+})
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_TURNAROUND,
+  FREE_TRIAL_PHOTOS,
+  TURNAROUNDS,
+  TURNAROUND_IDS,
+  chargePhotos,
+  freeTrialRemaining,
+  getTurnaround,
+  photoPrice,
+  priceJob,
+} from '@/utils/pricing'
+
+describe('Pricing', () => {
+  it('should have unique turnaround ids and include the default', () => {
+    expect(new Set(TURNAROUND_IDS).size).toBe(TURNAROUNDS.length)
+    expect(TURNAROUND_IDS).toContain(DEFAULT_TURNAROUND)
+    expect(getTurnaround(DEFAULT_TURNAROUND).multiplier).toBe(1)
+    expect(getTurnaround('overnight').id).toBe(DEFAULT_TURNAROUND)
+  })
+
+  describe('photoPrice', () => {
+    it('should price a photo at its operation price by default', () => {
+      expect(photoPrice({ operation: 'stage' })).toBe(1)
+      expect(photoPrice({ operation: 'empty_room' })).toBe(1.5)
+    })
+
+    it('should add the output profile surcharge', () => {
+      expect(photoPrice({ operation: 'stage', outputProfile: 'mls' })).toBe(1)
+      expect(photoPrice({ operation: 'stage', outputProfile: 'print' })).toBe(
+        1.5
+      )
+    })
+
+    it('should apply the turnaround multiplier and plan discount', () => {
+      expect(photoPrice({ operation: 'stage', turnaround: 'rush' })).toBe(1.5)
+      expect(photoPrice({ operation: 'stage', plan: 'pack' })).toBe(0.9)
+      // (1.5 + 0.5) * 1.5 * 0.9
+      expect(
+        photoPrice({
+          operation: 'empty_room',
+          outputProfile: 'print',
+          turnaround: 'rush',
+          plan: 'pack',
+        })
+      ).toBe(2.7)
+    })
+
+    it('should round to the cent', () => {
+      // 1.5 * 1.5 * 0.9 = 2.025
+      expect(
+        photoPrice({ operation: 'twilight', turnaround: 'rush', plan: 'pack' })
+      ).toBe(2.03)
+    })
+
+    it('should reject unknown operations', () => {
+      expect(() => photoPrice({ operation: 'paint' })).toThrow(
+        'Unknown operation'
+      )
+    })
+  })
+
+  describe('chargePhotos', () => {
+    it('should cover one variation of each of the first photos', () => {
+      const photos = [
+        { price: 1.5, variations: 2 },
+        { price: 1, variations: 1 },
+        { price: 1, variations: 3 },
+      ]
+      expect(chargePhotos(photos)).toEqual({ cost: 7, free: 0, credits: 7 })
+      expect(chargePhotos(photos, 2)).toEqual({
+        cost: 7,
+        free: 2,
+        credits: 4.5,
+      })
+      expect(chargePhotos(photos, 5)).toEqual({
+        cost: 7,
+        free: 3,
+        credits: 3.5,
+      })
+    })
+
+    it('should treat a negative allowance as none', () => {
+      expect(chargePhotos([{ price: 1 }], -2)).toEqual({
+        cost: 1,
+        free: 0,
+        credits: 1,
+      })
+    })
+  })
+
+  describe('freeTrialRemaining', () => {
+    it('should count down from the trial allowance', () => {
+      expect(freeTrialRemaining(undefined)).toBe(FREE_TRIAL_PHOTOS)
+      expect(freeTrialRemaining(1)).toBe(FREE_TRIAL_PHOTOS - 1)
+      expect(freeTrialRemaining(FREE_TRIAL_PHOTOS + 2)).toBe(0)
+    })
+  })
+
+  describe('priceJob', () => {
+    const photos = [
+      { operation: 'stage', variations: 2 },
+      { operation: 'empty_room', variations: 2 },
+    ]
+
+    it('should price every photo and apply the free trial', () => {
+      expect(
+        priceJob({ photos, turnaround: 'rush', freeRemaining: 1 })
+      ).toEqual({
+        prices: [1.5, 2.25],
+        cost: 7.5,
+        free: 1,
+        credits: 6,
+      })
+    })
+
+    it('should apply the plan discount to the stored prices', () => {
+      expect(priceJob({ photos, plan: 'pack' })).toEqual({
+        prices: [0.9, 1.35],
+        cost: 4.5,
+        free: 0,
+        credits: 4.5,
+      })
+    })
+
+    it('should reserve nothing for previews but still price the photos', () => {
+      expect(priceJob({ photos, freeRemaining: 3, preview: true })).toEqual({
+        prices: [1, 1.5],
+        cost: 0,
+        free: 0,
+        credits: 0,
+      })
+    })
+  })
+})
@@ -0,0 +1,114 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import { getEnhancementProvider } from '@/app/api/utils/providers'
+import { ROOM_TYPE_IDS } from '@/utils/rooms'
+import { makeImage } from '../helpers/images'
+
+describe('Enhancement providers', () => {
+  describe('getEnhancementProvider', () => {
+    it('should default to gemini', () => {
+      const provider = getEnhancementProvider({ GOOGLE_API_KEY: 'test-key' })
+      expect(provider.name).toBe('gemini')
+    })
+
+    it('should require GOOGLE_API_KEY for gemini', () => {
+      expect(() => getEnhancementProvider({})).toThrow('GOOGLE_API_KEY')
+    })
+
+    it('should select the local provider without an API key', () => {
+      const provider = getEnhancementProvider({ ENHANCEMENT_PROVIDER: 'local' })
+      expect(provider.name).toBe('local')
+    })
+
+    it('should reject unknown providers', () => {
+      expect(() =>
+        getEnhancementProvider({ ENHANCEMENT_PROVIDER: 'dall-e' })
+      ).toThrow('Unknown ENHANCEMENT_PROVIDER')
+    })
+  })
+
+  describe('local provider', () => {
+    const provider = getEnhancementProvider({ ENHANCEMENT_PROVIDER: 'local' })
+
+    it('should return a JPEG with the source dimensions', async () => {
+      const output = await provider.enhance({
+        bytes: await makeImage(64, 48),
+        mimeType: 'image/png',
+        prompt: 'Modern living room',
+        index: 0,
+      })
+
+      expect(output.mimeType).toBe('image/jpeg')
+      const meta = await sharp(output.buffer).metadata()
+      expect(meta.format).toBe('jpeg')
+      expect(meta.width).toBe(64)
+      expect(meta.height).toBe(48)
+    })
+
+    it('should be deterministic for the same input and prompt', async () => {
+      const bytes = await makeImage()
+      const input = {
+        bytes,
+        mimeType: 'image/png',
+        prompt: 'Cozy',
+        index: 0,
+      }
+
+      const first = await provider.enhance(input)
+      const second = await provider.enhance(input)
+      expect(first.buffer.equals(second.buffer)).toBe(true)
+    })
+
+    it('should tint the image', async () => {
+      const bytes = await makeImage()
+      const output = await provider.enhance({
+        bytes,
+        mimeType: 'image/png',
+        prompt: '',
+        index: 0,
+      })
+
+      const { channels } = await sharp(output.buffer).stats()
+      // Warm tint raises red over the blue source
+      expect(channels[0].mean).toBeGreaterThan(40)
+    })
+
+    it('should escape markup in the prompt', async () => {
+      await expect(
+        provider.enhance({
+          bytes: await makeImage(),
+          mimeType: 'image/png',
+          prompt: '<script>"&\'</script>',
+          index: 0,
+        })
+      ).resolves.toHaveProperty('mimeType', 'image/jpeg')
+    })
+
+    describe('classify', () => {
+      const beige = { r: 220, g: 205, b: 180 }
+      const sky = { r: 40, g: 90, b: 160 }
+
+      it('should label photos with a blue sky as exterior', async () => {
+        const roomType = await provider.classify!({
+          bytes: await makeImage(64, 48, { background: sky }),
+          mimeType: 'image/png',
+        })
+        expect(roomType).toBe('exterior')
+      })
+
+      it('should pick a stable interior room for other photos', async () => {
+        const bytes = await makeImage(64, 48, { background: beige })
+        const first = await provider.classify!({ bytes, mimeType: 'image/png' })
+        const second = await provider.classify!({
+          bytes,
+          mimeType: 'image/png',
+        })
+
+        expect(ROOM_TYPE_IDS).toContain(first)
+        expect(['exterior', 'other']).not.toContain(first)
+        expect(second).toBe(first)
+      })
+    })
+  })
+})
@@ -0,0 +1,155 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import { formatJobItem, previewUnlockCharge } from '@/app/api/utils/queue'
+
+describe('Photo queue', () => {
+  describe('previewUnlockCharge', () => {
+    const items = [
+      { status: 'completed', price: 1.5 },
+      { status: 'failed', price: 1 },
+      { status: 'completed', price: 1 },
+    ]
+
+    it('should charge the completed photos', () => {
+      expect(previewUnlockCharge(items)).toEqual({
+        cost: 2.5,
+        free: 0,
+        credits: 2.5,
+      })
+    })
+
+    it('should cover the first completed photos with the free trial', () => {
+      expect(previewUnlockCharge(items, 1)).toEqual({
+        cost: 2.5,
+        free: 1,
+        credits: 1,
+      })
+      expect(previewUnlockCharge(items, 3)).toEqual({
+        cost: 2.5,
+        free: 2,
+        credits: 0,
+      })
+    })
+
+    it('should leave out cached variations when the plan does not charge them', () => {
+      const cached = [
+        { status: 'completed', price: 1, variations: 2, cachedVariations: 2 },
+        { status: 'completed', price: 1, variations: 2, cachedVariations: 1 },
+      ]
+
+      expect(previewUnlockCharge(cached, 1)).toEqual({
+        cost: 4,
+        free: 1,
+        credits: 3,
+      })
+      expect(
+        previewUnlockCharge(cached, 1, { chargeCacheHits: false })
+      ).toEqual({ cost: 1, free: 1, credits: 1 })
+    })
+  })
+
+  describe('formatJobItem', () => {
+    const row = {
+      id: 1,
+      position: 0,
+      source_url: 'https://example.com/photo.jpg',
+      status: 'completed',
+      error: null,
+      output_url: 'https://cdn.example.com/full.png',
+      preview_url: 'https://cdn.example.com/preview.jpg',
+      operation: 'stage',
+      room_type: 'kitchen',
+      mask_url: null,
+      price: '1.00',
+      variations: 1,
+      regenerations: 0,
+      credits_charged: '0.00',
+    }
+    const outputs = [
+      {
+        id: 9,
+        variant: 0,
+        version: 0,
+        prompt: null,
+        url: 'https://cdn.example.com/full.png',
+      },
+    ]
+
+    it('should only expose the watermarked copy of a locked preview', () => {
+      const item = formatJobItem({ ...row, locked: true }, outputs)
+
+      expect(item.outputUrl).toBe('https://cdn.example.com/preview.jpg')
+      expect(item.outputs).toEqual([])
+      expect(JSON.stringify(item)).not.toContain('full.png')
+    })
+
+    it('should expose the full output once unlocked', () => {
+      const item = formatJobItem({ ...row, locked: false }, outputs)
+
+      expect(item.outputUrl).toBe('https://cdn.example.com/full.png')
+      expect(item.outputs[0].selected).toBe(true)
+    })
+
+    it('should flag the photo when its selected output changed the structure', () => {
+      const flagged = [
+        { ...outputs[0], structure_score: 0.41, structure_changed: true },
+        {
+          ...outputs[0],
+          id: 10,
+          variant: 1,
+          url: 'https://cdn.example.com/full-2.png',
+          structure_score: 0.93,
+          structure_changed: false,
+        },
+      ]
+
+      const item = formatJobItem({ ...row, locked: false }, flagged)
+      expect(item.structureChanged).toBe(true)
+      expect(item.outputs.map(output => output.structureScore)).toEqual([
+        0.41, 0.93,
+      ])
+
+      const reselected = formatJobItem(
+        { ...row, output_url: 'https://cdn.example.com/full-2.png' },
+        flagged
+      )
+      expect(reselected.structureChanged).toBe(false)
+    })
+
+    it('should not count structure fixes against the free regenerations', () => {
+      const item = formatJobItem(
+        { ...row, regenerations: 3, structure_regenerations: 2 },
+        outputs
+      )
+
+      expect(item.freeRegenerationsLeft).toBe(1)
+    })
+
+    it('should report a photo being regenerated and its latest run', () => {
+      const idle = formatJobItem({ ...row, locked: false }, outputs)
+      expect(idle.regenerating).toBe(false)
+      expect(idle.lastRegeneration).toBeNull()
+
+      const running = formatJobItem({ ...row, locked: false }, outputs, [
+        { id: 3, status: 'failed', error: 'Provider error' },
+        { id: 4, status: 'queued', error: null },
+      ])
+      expect(running.regenerating).toBe(true)
+      expect(running.lastRegeneration).toEqual({
+        id: 4,
+        status: 'queued',
+        error: null,
+      })
+
+      const failed = formatJobItem({ ...row, locked: false }, outputs, [
+        { id: 3, status: 'failed', error: 'Provider error' },
+      ])
+      expect(failed.regenerating).toBe(false)
+      expect(failed.lastRegeneration).toEqual({
+        id: 3,
+        status: 'failed',
+        error: 'Provider error',
+      })
+    })
+  })
+})
@@ -0,0 +1,67 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import { normalizePrompt, resultCacheKey } from '@/app/api/utils/resultCache'
+
+const base = {
+  source: Buffer.from('photo bytes'),
+  mask: null,
+  prompt: 'Stage this room',
+  operation: 'stage',
+  model: 'gemini:gemini-2.5-flash-image-preview',
+  variant: 0,
+  roomPrompts: true,
+  roomType: null,
+  metadataFields: ['gps', 'copyright'],
+}
+
+describe('Result cache', () => {
+  describe('normalizePrompt', () => {
+    it('should ignore spacing and Unicode normalization', () => {
+      expect(normalizePrompt('  Stage\n this\troom ')).toBe('Stage this room')
+      expect(normalizePrompt('Cafe\u0301')).toBe(normalizePrompt('Caf\u00e9'))
+      expect(normalizePrompt(null)).toBe('')
+    })
+  })
+
+  describe('resultCacheKey', () => {
+    it('should be a SHA-256 that is the same for the same request', () => {
+      const key = resultCacheKey(base)
+
+      expect(key).toMatch(/^[0-9a-f]{64}$/)
+      expect(resultCacheKey({ ...base })).toBe(key)
+      expect(
+        resultCacheKey({
+          ...base,
+          prompt: ' Stage  this room',
+          metadataFields: ['copyright', 'gps'],
+        })
+      ).toBe(key)
+    })
+
+    it('should change with anything that changes the output', () => {
+      const key = resultCacheKey(base)
+      const variants = [
+        { source: Buffer.from('other bytes') },
+        { mask: Buffer.from('mask') },
+        { prompt: 'Declutter this room' },
+        { operation: 'declutter' },
+        { model: 'local' },
+        { variant: 1 },
+        { roomPrompts: false },
+        { roomType: 'kitchen' },
+        { metadataFields: [] },
+        {
+          disclosure: {
+            text: 'Virtually Staged',
+            corner: 'bottom_right',
+            opacity: 0.8,
+          },
+        },
+      ]
+
+      for (const change of variants) {
+        expect(resultCacheKey({ ...base, ...change })).not.toBe(key)
+      }
+    })
+  })
+})
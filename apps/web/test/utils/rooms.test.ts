@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest'
+import {
+  ROOM_TYPES,
+  ROOM_TYPE_IDS,
+  getRoomType,
+  parseRoomType,
+  buildRoomPrompt,
+} from '@/utils/rooms'
+
+describe('Room types', () => {
+  it('should include the common rooms and a fallback', () => {
+    expect(ROOM_TYPE_IDS).toEqual(
+      expect.arrayContaining([
+        'living_room',
+        'bedroom',
+        'kitchen',
+        'bathroom',
+        'exterior',
+        'other',
+      ])
+    )
+  })
+
+  it('should give every room a label and prompt template', () => {
+    for (const room of ROOM_TYPES) {
+      expect(room.label).toBeTruthy()
+      expect(room.prompt).toBeTruthy()
+    }
+    expect(new Set(ROOM_TYPE_IDS).size).toBe(ROOM_TYPE_IDS.length)
+  })
+
+  describe('getRoomType', () => {
+    it('should find a room by id', () => {
+      expect(getRoomType('kitchen')?.label).toBe('Kitchen')
+    })
+
+    it('should return null for unknown or missing ids', () => {
+      expect(getRoomType('garage')).toBeNull()
+      expect(getRoomType(null)).toBeNull()
+    })
+  })
+
+  describe('parseRoomType', () => {
+    it('should accept ids and loosely formatted answers', () => {
+      expect(parseRoomType('kitchen')).toBe('kitchen')
+      expect(parseRoomType(' Bathroom.\n')).toBe('bathroom')
+      expect(parseRoomType('Dining Room')).toBe('dining_room')
+      expect(parseRoomType('livingroom')).toBe('living_room')
+    })
+
+    it('should find a room mentioned in a longer answer', () => {
+      expect(parseRoomType('This looks like a bedroom with a window')).toBe(
+        'bedroom'
+      )
+    })
+
+    it('should fall back to other', () => {
+      expect(parseRoomType('garage')).toBe('other')
+      expect(parseRoomType('')).toBe('other')
+      expect(parseRoomType(undefined)).toBe('other')
+    })
+  })
+
+  describe('buildRoomPrompt', () => {
+    it('should append the room template to the prompt', () => {
+      const prompt = buildRoomPrompt({
+        prompt: 'Make it bright',
+        roomType: 'bathroom',
+      })
+      expect(prompt).toBe(`Make it bright. ${getRoomType('bathroom')!.prompt}`)
+    })
+
+    it('should leave the prompt unchanged for unknown rooms', () => {
+      expect(buildRoomPrompt({ prompt: ' Make it bright ' })).toBe(
+        'Make it bright'
+      )
+    })
+  })
+})
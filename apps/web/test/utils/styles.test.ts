@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import { STYLES, STYLE_IDS, getStyle, buildStagingPrompt } from '@/utils/styles'
+
+describe('Staging styles', () => {
+  it('should include the core presets', () => {
+    expect(STYLE_IDS).toEqual(
+      expect.arrayContaining([
+        'modern',
+        'scandinavian',
+        'farmhouse',
+        'luxury',
+        'coastal',
+      ])
+    )
+  })
+
+  it('should give every style a label, thumbnail, prompt and constraints', () => {
+    for (const style of STYLES) {
+      expect(style.label).toBeTruthy()
+      expect(style.thumbnail).toMatch(/^data:image\/svg\+xml,/)
+      expect(style.prompt).toBeTruthy()
+      expect(style.negative.length).toBeGreaterThan(0)
+    }
+  })
+
+  it('should have unique ids', () => {
+    expect(new Set(STYLE_IDS).size).toBe(STYLE_IDS.length)
+  })
+
+  describe('getStyle', () => {
+    it('should find a style by id', () => {
+      expect(getStyle('coastal')?.label).toBe('Coastal')
+    })
+
+    it('should return null for unknown or missing ids', () => {
+      expect(getStyle('brutalist')).toBeNull()
+      expect(getStyle(undefined)).toBeNull()
+    })
+  })
+
+  describe('buildStagingPrompt', () => {
+    it('should append the style fragment and negative constraints', () => {
+      const prompt = buildStagingPrompt({
+        prompt: 'Make it bright',
+        styleId: 'modern',
+      })
+
+      expect(prompt.startsWith('Make it bright. Stage in a modern style')).toBe(
+        true
+      )
+      expect(prompt).toContain('Avoid: clutter')
+    })
+
+    it('should work without a user prompt', () => {
+      const prompt = buildStagingPrompt({ styleId: 'luxury' })
+      expect(prompt.startsWith('Stage in a luxury style')).toBe(true)
+    })
+
+    it('should return the trimmed prompt when no style is given', () => {
+      expect(buildStagingPrompt({ prompt: '  Make it bright ' })).toBe(
+        'Make it bright'
+      )
+    })
+  })
+})
@@ -0,0 +1,111 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest'
+import sharp from 'sharp'
+import { transcodeToProfile } from '@/app/api/utils/transcode'
+import { makeImage } from '../helpers/images'
+
+// Real photos never come near the MLS cap at 2048px, so the size limit is
+// exercised with extra profiles that have small ones
+vi.mock('@/utils/outputProfiles', async importOriginal => {
+  const actual = await importOriginal<typeof import('@/utils/outputProfiles')>()
+  const capped = (id: string, maxBytes: number) => ({
+    id,
+    label: id,
+    description: id,
+    format: 'jpeg' as const,
+    maxDimension: 1024,
+    quality: 90,
+    maxBytes,
+  })
+  const extra = [capped('capped', 120 * 1024), capped('impossible', 100)]
+  return {
+    ...actual,
+    getOutputProfile: (id: string) =>
+      extra.find(profile => profile.id === id) || actual.getOutputProfile(id),
+  }
+})
+
+describe('transcodeToProfile', () => {
+  it('should encode MLS outputs as JPEGs no longer than 2048px', async () => {
+    const { buffer, extension } = await transcodeToProfile(
+      await makeImage(3000, 1500),
+      'mls'
+    )
+
+    const meta = await sharp(buffer).metadata()
+    expect(extension).toBe('jpg')
+    expect(meta.format).toBe('jpeg')
+    expect([meta.width, meta.height]).toEqual([2048, 1024])
+  })
+
+  it('should encode web outputs as WebP no longer than 1600px', async () => {
+    const { buffer, extension } = await transcodeToProfile(
+      await makeImage(1000, 2000),
+      'web'
+    )
+
+    const meta = await sharp(buffer).metadata()
+    expect(extension).toBe('webp')
+    expect(meta.format).toBe('webp')
+    expect([meta.width, meta.height]).toEqual([800, 1600])
+  })
+
+  it('should keep print outputs at full resolution as TIFF', async () => {
+    const { buffer, extension } = await transcodeToProfile(
+      await makeImage(3000, 2000),
+      'print'
+    )
+
+    const meta = await sharp(buffer).metadata()
+    expect(extension).toBe('tif')
+    expect(meta.format).toBe('tiff')
+    expect([meta.width, meta.height]).toEqual([3000, 2000])
+  })
+
+  it('should not enlarge small photos', async () => {
+    const { buffer } = await transcodeToProfile(
+      await makeImage(640, 480),
+      'mls'
+    )
+
+    const meta = await sharp(buffer).metadata()
+    expect([meta.width, meta.height]).toEqual([640, 480])
+  })
+
+  it('should flatten transparency onto white for JPEG', async () => {
+    const { buffer } = await transcodeToProfile(
+      await makeImage(40, 40, { alpha: true }),
+      'mls'
+    )
+
+    const { channels } = await sharp(buffer).stats()
+    expect(channels).toHaveLength(3)
+    expect(channels[0].mean).toBeGreaterThan(250)
+  })
+
+  it('should reduce quality and size until the file fits the cap', async () => {
+    const { buffer } = await transcodeToProfile(
+      await makeImage(1024, 1024, { noise: true }),
+      'capped'
+    )
+
+    expect(buffer.length).toBeLessThanOrEqual(120 * 1024)
+    const meta = await sharp(buffer).metadata()
+    expect(meta.format).toBe('jpeg')
+  })
+
+  it('should fail when the file cannot fit the cap', async () => {
+    await expect(
+      transcodeToProfile(
+        await makeImage(512, 512, { noise: true }),
+        'impossible'
+      )
+    ).rejects.toThrow('Image does not fit the 0 MB limit')
+  })
+
+  it('should reject unknown profiles', async () => {
+    await expect(
+      transcodeToProfile(await makeImage(8, 8), 'billboard')
+    ).rejects.toThrow('Unknown output profile: billboard')
+  })
+})
@@ -0,0 +1,34 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import {
+  PREVIEW_MAX_SIZE,
+  renderWatermarkedPreview,
+} from '@/app/api/utils/watermark'
+import { makeImage } from '../helpers/images'
+
+describe('renderWatermarkedPreview', () => {
+  it('should scale the photo down to the preview size', async () => {
+    const preview = await renderWatermarkedPreview(await makeImage(2000, 1000))
+
+    const meta = await sharp(preview).metadata()
+    expect(meta.format).toBe('jpeg')
+    expect(meta.width).toBe(PREVIEW_MAX_SIZE)
+    expect(meta.height).toBe(PREVIEW_MAX_SIZE / 2)
+  })
+
+  it('should not enlarge small photos', async () => {
+    const preview = await renderWatermarkedPreview(await makeImage(300, 200))
+
+    const meta = await sharp(preview).metadata()
+    expect([meta.width, meta.height]).toEqual([300, 200])
+  })
+
+  it('should stamp a visible watermark', async () => {
+    const preview = await renderWatermarkedPreview(await makeImage(600, 400))
+
+    // A plain image is one colour; the watermark text adds light pixels
+    const { channels } = await sharp(preview).stats()
+    expect(channels[0].max - channels[0].min).toBeGreaterThan(60)
+  })
+})
@@ -0,0 +1,143 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { execFileSync } from 'node:child_process'
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { buffer } from 'node:stream/consumers'
+import { createZipStream } from '@/app/api/utils/zip'
+
+type Entry = { filename: string; buffer: Buffer }
+
+const ZIP64_END_SIGNATURE = Buffer.from([0x50, 0x4b, 0x06, 0x06])
+
+// Archives are checked with Info-ZIP's unzip, the reference implementation
+const hasUnzip = (() => {
+  try {
+    execFileSync('unzip', ['-v'], { stdio: 'ignore' })
+    return true
+  } catch {
+    return false
+  }
+})()
+
+let dir: string
+beforeAll(() => {
+  dir = mkdtempSync(join(tmpdir(), 'zip-test-'))
+})
+afterAll(() => {
+  rmSync(dir, { recursive: true, force: true })
+})
+
+async function writeZip(
+  entries: Iterable<Entry> | AsyncIterable<Entry>,
+  options?: { forceZip64?: boolean }
+): Promise<string> {
+  const path = join(dir, `${Math.random().toString(36).slice(2)}.zip`)
+  writeFileSync(path, await buffer(createZipStream(entries, options)))
+  return path
+}
+
+// In a UTF-8 locale, so unzip decodes flagged names instead of escaping them
+const unzip = (...args: string[]) =>
+  execFileSync('unzip', args, {
+    env: { ...process.env, LC_ALL: 'C.UTF-8' },
+    maxBuffer: 64 * 1024 * 1024,
+  })
+
+// A photo-like entry that is stored and a text entry that is deflated
+const entries = (): Entry[] => [
+  {
+    filename: 'Küche 1-staged.jpg',
+    buffer: Buffer.from([0xff, 0xd8, 0xff, 0xe0, ...Array(500).keys()]),
+  },
+  {
+    filename: 'notes.txt',
+    buffer: Buffer.from('Stage the living room. '.repeat(200)),
+  },
+]
+
+describe.skipIf(!hasUnzip)('createZipStream', () => {
+  it('should write archives that unzip tests clean', async () => {
+    const path = await writeZip(entries())
+
+    expect(unzip('-t', path).toString()).toContain('No errors detected')
+    expect(unzip('-p', path, 'notes.txt')).toEqual(entries()[1].buffer)
+    expect(unzip('-p', path, 'Küche 1-staged.jpg')).toEqual(entries()[0].buffer)
+  })
+
+  it('should store photos and deflate other files', async () => {
+    const path = await writeZip(entries())
+
+    const listing = unzip('-Zv', path).toString()
+    const methods = [...listing.matchAll(/compression method:\s+(\w+)/g)].map(
+      match => match[1]
+    )
+    expect(methods).toEqual(['none', 'deflated'])
+    expect((await buffer(createZipStream(entries()))).length).toBeLessThan(
+      entries()[0].buffer.length + entries()[1].buffer.length
+    )
+  })
+
+  it('should mark file names as UTF-8', async () => {
+    const path = await writeZip(entries())
+
+    expect(unzip('-Z1', path).toString().split('\n')).toContain(
+      'Küche 1-staged.jpg'
+    )
+  })
+
+  it('should write ZIP64 records that unzip reads', async () => {
+    const path = await writeZip(entries(), { forceZip64: true })
+
+    expect(unzip('-t', path).toString()).toContain('No errors detected')
+    expect(unzip('-p', path, 'notes.txt')).toEqual(entries()[1].buffer)
+    expect(unzip('-Zv', path).toString()).toContain(
+      'minimum software version required to extract:   4.5'
+    )
+    expect(readFileSync(path).includes(ZIP64_END_SIGNATURE)).toBe(true)
+  })
+
+  it('should switch to ZIP64 past 65,535 entries', async () => {
+    const count = 70000
+    function* many() {
+      for (let i = 0; i < count; i++) {
+        yield { filename: `${i}.png`, buffer: Buffer.from([i % 256]) }
+      }
+    }
+    const path = await writeZip(many())
+
+    expect(readFileSync(path).includes(ZIP64_END_SIGNATURE)).toBe(true)
+    expect(unzip('-t', path).toString()).toContain('No errors detected')
+    expect(unzip('-Z1', path).toString().trim().split('\n')).toHaveLength(count)
+  }, 60000)
+
+  it('should read entries from async generators as it writes them', async () => {
+    const produced: string[] = []
+    async function* lazy() {
+      for (const entry of entries()) {
+        produced.push(entry.filename)
+        yield entry
+      }
+    }
+
+    const stream = createZipStream(lazy())
+    expect(produced).toEqual([])
+
+    const path = join(dir, 'lazy.zip')
+    writeFileSync(path, await buffer(stream))
+    expect(produced).toHaveLength(2)
+    expect(unzip('-t', path).toString()).toContain('No errors detected')
+  })
+
+  it('should fail the stream when an entry cannot be produced', async () => {
+    async function* failing() {
+      yield entries()[0]
+      throw new Error('Failed to fetch stored output: 404')
+    }
+
+    await expect(buffer(createZipStream(failing()))).rejects.toThrow(
+      'Failed to fetch stored output: 404'
+    )
+  })
+})